@@ -8,6 +8,8 @@ import MarketInsights from "../models/MarketInsights.js";
 import SystemSettings from "../models/SystemSettings.js";
 import ActivityLog from "../models/ActivityLog.js";
 import OHLCV from "../models/OHLCV.js";
+import { notifyInBackground } from "../services/notificationService.js";
+import { publishBalance } from "../services/streamService.js";
 
 // Get all users with pagination and filtering
 export const getAllUsers = async (req, res) => {
@@ -71,11 +73,11 @@ export const getUserDetails = async (req, res) => {
       });
     }
 
-    // Get user's portfolio
-    const portfolio = await Portfolio.find({ userId });
+    // Get user's portfolio (main account; competition holdings and trades stay with their competition)
+    const portfolio = await Portfolio.find({ userId, competitionId: null });
     
     // Get user's trading stats
-    const trades = await Trade.find({ userId }).sort({ timestamp: -1 });
+    const trades = await Trade.find({ userId, competitionId: null }).sort({ timestamp: -1 });
     const totalTrades = trades.length;
     const totalVolume = trades.reduce((sum, trade) => sum + (trade.price * trade.quantity), 0);
     const totalFees = trades.reduce((sum, trade) => sum + (trade.totalFees || 0), 0);
@@ -184,6 +186,10 @@ export const updateUser = async (req, res) => {
       });
     }
 
+    if (balance !== undefined) {
+      publishBalance(user._id, user.balance);
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -201,7 +207,7 @@ export const updateUser = async (req, res) => {
 export const banUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { action = 'ban' } = req.body; // 'ban' or 'unban'
+    const { action = 'ban', reason = null } = req.body; // 'ban' or 'unban'
     
     const user = await User.findById(userId);
     if (!user) {
@@ -214,13 +220,21 @@ export const banUser = async (req, res) => {
     if (action === 'ban') {
       user.isBanned = true;
       user.bannedAt = new Date();
+      user.banReason = reason;
     } else {
       user.isBanned = false;
       user.bannedAt = null;
+      user.banReason = null;
     }
 
     await user.save();
 
+    notifyInBackground(user._id, action === 'ban' ? 'account_banned' : 'account_unbanned', {
+      date: new Date(),
+      reason,
+      reasonText: action === 'ban' && reason ? ` Reason: ${reason}.` : ''
+    });
+
     res.json({
       success: true,
       message: `User ${action === 'ban' ? 'banned' : 'unbanned'} successfully`,
@@ -411,6 +425,52 @@ export const processStockData = async (req, res) => {
   }
 };
 
+// Manually take today's portfolio snapshots (normally written nightly)
+export const runPortfolioSnapshots = async (req, res) => {
+  try {
+    const { takeDailySnapshots } = await import("../services/portfolioSnapshotService.js");
+
+    console.log("📸 Manual portfolio snapshots triggered by admin");
+    const result = await takeDailySnapshots();
+
+    res.json({
+      success: true,
+      message: `Portfolio snapshots written for ${result.date}`,
+      data: result
+    });
+  } catch (err) {
+    console.error("❌ Error in manual portfolio snapshots:", err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to take portfolio snapshots"
+    });
+  }
+};
+
+// Rebuild all candles from the stored snapshots (after a backfill, or on first deploy)
+export const rebuildCandles = async (req, res) => {
+  try {
+    const { rebuildAllCandles } = await import("../services/candleService.js");
+
+    console.log("🕯️ Manual candle rebuild triggered by admin");
+    const result = await rebuildAllCandles();
+
+    res.json({
+      success: true,
+      message: `Rebuilt ${result.candles} candles for ${result.assets} assets`,
+      data: result
+    });
+  } catch (err) {
+    console.error("❌ Error in manual candle rebuild:", err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to rebuild candles"
+    });
+  }
+};
+
 // Diagnostic endpoint to check data pipeline status
 export const getDataPipelineStatus = async (req, res) => {
   try {
@@ -3,6 +3,7 @@ import SystemSettings from "../models/SystemSettings.js";
 import ActivityLog from "../models/ActivityLog.js";
 import User from "../models/User.js";
 import { getCurrentFeeConfiguration } from "../utils/feeCalculator.js";
+import { invalidateTradingSettings } from "../services/tradingPolicy.js";
 
 // Get system settings
 export const getSystemSettings = async (req, res) => {
@@ -51,9 +52,12 @@ export const updateSystemSettings = async (req, res) => {
     
     await settings.save();
     
+    // Trading controls and halts apply from the next trade
+    invalidateTradingSettings();
+    
     res.json({
       success: true,
-      message: 'System settings updated successfully. Restart required for changes to take effect.',
+      message: 'System settings updated successfully. Trading controls, halts and fees apply from the next trade.',
       data: { settings }
     });
   } catch (err) {
@@ -0,0 +1,102 @@
+// controllers/alertController.js
+import {
+  createAlert as createPriceAlert,
+  listAlerts,
+  updateAlert as updatePriceAlert,
+  deleteAlert as deletePriceAlert,
+  getAlertHistory as getTriggerHistory
+} from "../services/alertService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleAlertError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+export const getAlerts = async (req, res) => {
+  try {
+    const alerts = await listAlerts(req.user._id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: alerts
+    });
+  } catch (err) {
+    handleAlertError(res, err, "Failed to fetch alerts");
+  }
+};
+
+/**
+ * Create a price alert (price above/below, % move since created, daily % change)
+ */
+export const createAlert = async (req, res) => {
+  try {
+    const alert = await createPriceAlert(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Alert set on ${alert.symbol}`,
+      data: alert
+    });
+  } catch (err) {
+    handleAlertError(res, err, "Failed to create alert");
+  }
+};
+
+export const updateAlert = async (req, res) => {
+  try {
+    const alert = await updatePriceAlert(req.user._id, req.params.alertId, req.body);
+
+    res.json({
+      success: true,
+      message: "Alert updated",
+      data: alert
+    });
+  } catch (err) {
+    handleAlertError(res, err, "Failed to update alert");
+  }
+};
+
+export const deleteAlert = async (req, res) => {
+  try {
+    await deletePriceAlert(req.user._id, req.params.alertId);
+
+    res.json({
+      success: true,
+      message: "Alert deleted"
+    });
+  } catch (err) {
+    handleAlertError(res, err, "Failed to delete alert");
+  }
+};
+
+/**
+ * Trigger history, for all alerts or one (`alertId` route param or query)
+ */
+export const getAlertHistory = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const alertId = req.params.alertId || req.query.alertId;
+    const history = await getTriggerHistory(req.user._id, { alertId, page, limit });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (err) {
+    handleAlertError(res, err, "Failed to fetch alert history");
+  }
+};
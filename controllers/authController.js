@@ -2,8 +2,7 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import Portfolio from "../models/Portfolio.js";
-import Trade from "../models/Trade.js";
+import { resetTradingAccount } from "../services/accountResetService.js";
 
 export const register = async (req, res) => {
   try {
@@ -164,17 +163,8 @@ export const resetTradingData = async (req, res) => {
     
     // Start a transaction-like operation to ensure data consistency
     try {
-      // Reset user balance to initial amount (100,000)
-      await User.findByIdAndUpdate(userId, { balance: 100000 });
-      
-      // Delete all portfolio holdings for the user
-      await Portfolio.deleteMany({ userId });
-      
-      // Delete all trade history for the user
-      await Trade.deleteMany({ userId });
-      
-      // Get updated user data
-      const user = await User.findById(userId);
+      // Reset the main account to the initial balance (100,000) and clear its history
+      const user = await resetTradingAccount(userId);
       
       res.json({
         success: true,
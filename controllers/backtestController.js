@@ -0,0 +1,91 @@
+// controllers/backtestController.js
+import {
+  submitBacktest,
+  listBacktests,
+  getBacktest as getUserBacktest,
+  deleteBacktest as deleteUserBacktest
+} from "../services/backtestService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleBacktestError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Queue a backtest of the strategy in the body; poll the returned job for its result
+ */
+export const createBacktest = async (req, res) => {
+  try {
+    const job = await submitBacktest(req.user._id, req.body);
+
+    res.status(202).json({
+      success: true,
+      message: `Backtest of ${job.strategy.symbol} queued`,
+      data: {
+        _id: job._id,
+        status: job.status,
+        strategy: job.strategy,
+        statusUrl: `/api/backtests/${job._id}`
+      }
+    });
+  } catch (err) {
+    handleBacktestError(res, err, "Failed to queue backtest");
+  }
+};
+
+export const getBacktests = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await listBacktests(req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    handleBacktestError(res, err, "Failed to fetch backtests");
+  }
+};
+
+/**
+ * A backtest's status, and its result once completed
+ */
+export const getBacktest = async (req, res) => {
+  try {
+    const job = await getUserBacktest(req.user._id, req.params.backtestId);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (err) {
+    handleBacktestError(res, err, "Failed to fetch backtest");
+  }
+};
+
+export const deleteBacktest = async (req, res) => {
+  try {
+    await deleteUserBacktest(req.user._id, req.params.backtestId);
+
+    res.json({
+      success: true,
+      message: "Backtest deleted"
+    });
+  } catch (err) {
+    handleBacktestError(res, err, "Failed to delete backtest");
+  }
+};
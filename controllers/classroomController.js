@@ -0,0 +1,199 @@
+// controllers/classroomController.js
+import {
+  createClassroom as createClassroomRecord,
+  listClassrooms,
+  joinClassroom as joinClassroomByCode,
+  getClassroomRoster,
+  removeStudent as removeClassroomStudent,
+  getStudentPortfolio as getStudentAccount,
+  getStudentTrades as getStudentTradeHistory,
+  getStudentActivity as getStudentActivityLogs,
+  resetClassroom as resetClassroomAccounts,
+  getClassroomLeaderboard as getClassroomRanking
+} from "../services/classroomService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleClassroomError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Create a classroom (instructors and admins)
+ */
+export const createClassroom = async (req, res) => {
+  try {
+    const classroom = await createClassroomRecord(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Classroom "${classroom.name}" created - share invite code ${classroom.inviteCode} with your students`,
+      data: classroom
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to create classroom");
+  }
+};
+
+export const getClassrooms = async (req, res) => {
+  try {
+    const classrooms = await listClassrooms(req.user);
+
+    res.json({
+      success: true,
+      data: classrooms
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to fetch classrooms");
+  }
+};
+
+export const joinClassroom = async (req, res) => {
+  try {
+    const classroom = await joinClassroomByCode(req.user, req.body.inviteCode);
+
+    res.status(201).json({
+      success: true,
+      message: `Joined ${classroom.name}`,
+      data: {
+        classroomId: classroom._id,
+        name: classroom.name
+      }
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to join classroom");
+  }
+};
+
+/**
+ * Classroom details and roster (instructor)
+ */
+export const getClassroom = async (req, res) => {
+  try {
+    const classroom = await getClassroomRoster(req.user, req.params.classroomId);
+
+    res.json({
+      success: true,
+      data: classroom
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to fetch classroom");
+  }
+};
+
+export const removeStudent = async (req, res) => {
+  try {
+    const student = await removeClassroomStudent(req.user, req.params.classroomId, req.params.studentId);
+
+    res.json({
+      success: true,
+      message: `${student.username} removed from the classroom`
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to remove student");
+  }
+};
+
+export const getStudentPortfolio = async (req, res) => {
+  try {
+    const { student, portfolio } = await getStudentAccount(req.user, req.params.classroomId, req.params.studentId);
+
+    res.json({
+      success: true,
+      data: {
+        student: { id: student._id, username: student.username, firstName: student.firstName, lastName: student.lastName },
+        ...portfolio
+      }
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to fetch student portfolio");
+  }
+};
+
+export const getStudentTrades = async (req, res) => {
+  try {
+    const { student, trades, pagination } = await getStudentTradeHistory(
+      req.user,
+      req.params.classroomId,
+      req.params.studentId,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data: {
+        student: { id: student._id, username: student.username },
+        trades,
+        pagination
+      }
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to fetch student trades");
+  }
+};
+
+export const getStudentActivity = async (req, res) => {
+  try {
+    const { student, logs, pagination } = await getStudentActivityLogs(
+      req.user,
+      req.params.classroomId,
+      req.params.studentId,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data: {
+        student: { id: student._id, username: student.username },
+        logs,
+        pagination
+      }
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to fetch student activity");
+  }
+};
+
+/**
+ * Reset every student's main account to the classroom's starting balance
+ */
+export const resetClassroom = async (req, res) => {
+  try {
+    const result = await resetClassroomAccounts(req.user, req.params.classroomId);
+
+    res.json({
+      success: true,
+      message: `Reset ${result.reset} of ${result.students} student accounts`,
+      data: result
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to reset classroom");
+  }
+};
+
+export const getClassroomLeaderboard = async (req, res) => {
+  try {
+    const { period = 'all', sortBy = 'value' } = req.query;
+    const leaderboard = await getClassroomRanking(req.user, req.params.classroomId, { period, sortBy });
+
+    res.json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (err) {
+    handleClassroomError(res, err, "Failed to fetch classroom leaderboard");
+  }
+};
@@ -0,0 +1,128 @@
+// controllers/competitionController.js
+import {
+  createCompetition as createCompetitionRecord,
+  listCompetitions,
+  getCompetition as getCompetitionDetails,
+  joinCompetition as joinCompetitionAccount,
+  getCompetitionPortfolio as getCompetitionAccount,
+  getStandings
+} from "../services/competitionService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleCompetitionError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+export const getCompetitions = async (req, res) => {
+  try {
+    const competitions = await listCompetitions(req.user, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: competitions
+    });
+  } catch (err) {
+    handleCompetitionError(res, err, "Failed to fetch competitions");
+  }
+};
+
+export const getCompetition = async (req, res) => {
+  try {
+    const competition = await getCompetitionDetails(req.user, req.params.competitionId);
+
+    res.json({
+      success: true,
+      data: competition
+    });
+  } catch (err) {
+    handleCompetitionError(res, err, "Failed to fetch competition");
+  }
+};
+
+/**
+ * Create a competition (admin)
+ */
+export const createCompetition = async (req, res) => {
+  try {
+    const competition = await createCompetitionRecord(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Competition "${competition.name}" created`,
+      data: competition
+    });
+  } catch (err) {
+    handleCompetitionError(res, err, "Failed to create competition");
+  }
+};
+
+export const joinCompetition = async (req, res) => {
+  try {
+    const { competition, entry } = await joinCompetitionAccount(req.user, req.params.competitionId);
+
+    res.status(201).json({
+      success: true,
+      message: `Joined ${competition.name} with KSh ${entry.balance.toFixed(2)}`,
+      data: {
+        competitionId: competition._id,
+        balance: entry.balance,
+        joinedAt: entry.joinedAt
+      }
+    });
+  } catch (err) {
+    handleCompetitionError(res, err, "Failed to join competition");
+  }
+};
+
+/**
+ * The user's isolated competition balance and holdings
+ */
+export const getCompetitionPortfolio = async (req, res) => {
+  try {
+    const portfolio = await getCompetitionAccount(req.user, req.params.competitionId);
+
+    res.json({
+      success: true,
+      data: portfolio
+    });
+  } catch (err) {
+    handleCompetitionError(res, err, "Failed to fetch competition portfolio");
+  }
+};
+
+/**
+ * Live standings while the competition runs, frozen standings once it is finalized
+ */
+export const getCompetitionStandings = async (req, res) => {
+  try {
+    const { competition, status, final, standings } = await getStandings(req.params.competitionId);
+
+    res.json({
+      success: true,
+      data: {
+        competitionId: competition._id,
+        name: competition.name,
+        status,
+        final,
+        finalizedAt: competition.finalizedAt,
+        standings
+      }
+    });
+  } catch (err) {
+    handleCompetitionError(res, err, "Failed to fetch competition standings");
+  }
+};
@@ -1,26 +1,50 @@
 // controllers/leaderboardController.js
-import User from "../models/User.js";
-import Portfolio from "../models/Portfolio.js";
-import { fetchStockPrice } from "../utils/stockApi.js";
+import { getLeaderboardPage, getUserRanks } from "../services/leaderboardService.js";
 
 export const getLeaderboard = async (req, res) => {
   try {
-    const users = await User.find({ role: "user" });
-    const leaderboard = [];
+    const { period = 'all', sortBy = 'value', page = 1, limit = 20 } = req.query;
 
-    for (const user of users) {
-      let portfolioValue = 0;
-      const holdings = await Portfolio.find({ userId: user._id });
-      for (const holding of holdings) {
-        const stockData = await fetchStockPrice(holding.stockSymbol);
-        portfolioValue += holding.quantity * stockData.price;
-      }
-      leaderboard.push({ username: user.username, totalValue: user.balance + portfolioValue });
+    // Rankings come from the cached leaderboard, refreshed by the scheduler
+    const leaderboard = await getLeaderboardPage(
+      { period, sortBy, page, limit },
+      req.user?._id || null
+    );
+
+    res.json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
     }
+    console.error('Leaderboard error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to fetch leaderboard"
+    });
+  }
+};
+
+export const getUserRank = async (req, res) => {
+  try {
+    const ranks = await getUserRanks(req.user._id);
 
-    leaderboard.sort((a, b) => b.totalValue - a.totalValue);
-    res.json(leaderboard);
+    res.json({
+      success: true,
+      data: ranks
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('User rank error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to fetch user rank"
+    });
   }
 };
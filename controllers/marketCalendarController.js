@@ -0,0 +1,155 @@
+// controllers/marketCalendarController.js
+import mongoose from "mongoose";
+import MarketCalendarOverride from "../models/MarketCalendarOverride.js";
+import { SESSIONS, getKenyanHolidays, getCurrentMarketStatus } from "../services/marketCalendar.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * Get the calendar for a year: regular sessions, public holidays, overrides and current status
+ */
+export const getMarketCalendar = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const { assetType } = req.query;
+
+    if (assetType && !SESSIONS[assetType]) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid asset type. Must be: stock, crypto, or currency"
+      });
+    }
+
+    const filter = { date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` } };
+    if (assetType) filter.assetType = assetType;
+
+    const [overrides, statuses] = await Promise.all([
+      MarketCalendarOverride.find(filter).sort({ date: 1 }),
+      Promise.all(Object.keys(SESSIONS).map(type => getCurrentMarketStatus(type)))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        year,
+        sessions: SESSIONS,
+        holidays: [...getKenyanHolidays(year)]
+          .map(([date, name]) => ({ date, name }))
+          .sort((a, b) => a.date.localeCompare(b.date)),
+        overrides,
+        status: statuses
+      }
+    });
+  } catch (err) {
+    console.error('Get market calendar error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to fetch market calendar"
+    });
+  }
+};
+
+/**
+ * Create or replace the override for one day and asset type
+ */
+export const upsertCalendarOverride = async (req, res) => {
+  try {
+    const { date, assetType = 'stock', closed = true, open = null, close = null, reason } = req.body;
+
+    if (!date || !DATE_PATTERN.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be in YYYY-MM-DD format"
+      });
+    }
+
+    if (!SESSIONS[assetType]) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid asset type. Must be: stock, crypto, or currency"
+      });
+    }
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Reason is required"
+      });
+    }
+
+    if ([open, close].some(time => time !== null && !TIME_PATTERN.test(time))) {
+      return res.status(400).json({
+        success: false,
+        message: "Open and close must be HH:MM times"
+      });
+    }
+
+    if (!closed && open && close && open >= close) {
+      return res.status(400).json({
+        success: false,
+        message: "Open must be before close"
+      });
+    }
+
+    const override = await MarketCalendarOverride.findOneAndUpdate(
+      { date, assetType },
+      {
+        closed: Boolean(closed),
+        open: closed ? null : open,
+        close: closed ? null : close,
+        reason,
+        createdBy: req.user._id,
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: `${assetType} calendar override saved for ${date}`,
+      data: { override }
+    });
+  } catch (err) {
+    console.error('Save calendar override error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to save calendar override"
+    });
+  }
+};
+
+/**
+ * Remove an override so the regular calendar applies again
+ */
+export const deleteCalendarOverride = async (req, res) => {
+  try {
+    const { overrideId } = req.params;
+
+    const override = mongoose.isValidObjectId(overrideId)
+      ? await MarketCalendarOverride.findByIdAndDelete(overrideId)
+      : null;
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: "Calendar override not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Calendar override removed",
+      data: { override }
+    });
+  } catch (err) {
+    console.error('Delete calendar override error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to remove calendar override"
+    });
+  }
+};
@@ -0,0 +1,158 @@
+// controllers/notificationController.js
+import {
+  listNotifications,
+  markRead,
+  deleteNotification as removeNotification,
+  getPreferences as getNotificationPreferences,
+  updatePreferences as updateNotificationPreferences,
+  addPushSubscription,
+  removePushSubscription
+} from "../services/notificationService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleNotificationError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Inbox, newest first (`unread=true` for unread only)
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, page, limit } = req.query;
+    const inbox = await listNotifications(req.user._id, { unread: unread === 'true', page, limit });
+
+    res.json({
+      success: true,
+      data: inbox
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to fetch notifications");
+  }
+};
+
+export const markNotificationRead = async (req, res) => {
+  try {
+    await markRead(req.user._id, req.params.notificationId);
+
+    res.json({
+      success: true,
+      message: "Notification marked as read"
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to update notification");
+  }
+};
+
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const updated = await markRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: `${updated} notification(s) marked as read`,
+      data: { updated }
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to update notifications");
+  }
+};
+
+export const deleteNotification = async (req, res) => {
+  try {
+    await removeNotification(req.user._id, req.params.notificationId);
+
+    res.json({
+      success: true,
+      message: "Notification deleted"
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to delete notification");
+  }
+};
+
+export const getPreferences = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getNotificationPreferences(req.user)
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to fetch notification preferences");
+  }
+};
+
+/**
+ * Update channel switches, muted events and the webhook URL
+ * A new webhook URL comes back with its signing secret, which is not shown again
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const preferences = await updateNotificationPreferences(req.user, req.body);
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated",
+      data: preferences
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to update notification preferences");
+  }
+};
+
+/**
+ * VAPID public key browsers subscribe with
+ */
+export const getPushPublicKey = async (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) {
+    return res.status(503).json({
+      success: false,
+      message: "Web push is not configured"
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { publicKey: process.env.VAPID_PUBLIC_KEY }
+  });
+};
+
+export const subscribePush = async (req, res) => {
+  try {
+    await addPushSubscription(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Push subscription saved"
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to save push subscription");
+  }
+};
+
+export const unsubscribePush = async (req, res) => {
+  try {
+    await removePushSubscription(req.user, req.body.endpoint);
+
+    res.json({
+      success: true,
+      message: "Push subscription removed"
+    });
+  } catch (err) {
+    handleNotificationError(res, err, "Failed to remove push subscription");
+  }
+};
@@ -0,0 +1,324 @@
+// controllers/orderController.js
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import {
+  PROTECTIVE_ORDER_TYPES,
+  placeLimitOrder,
+  placeProtectiveOrder,
+  amendOrder,
+  cancelOrder
+} from "../services/orderService.js";
+import { checkTradingPolicy } from "../services/tradingPolicy.js";
+
+/**
+ * Shape an order for API responses
+ */
+const formatOrder = (order) => ({
+  id: order._id,
+  assetType: order.assetType,
+  symbol: order.assetSymbol,
+  side: order.side,
+  orderType: order.orderType,
+  quantity: order.quantity,
+  limitPrice: order.limitPrice,
+  stopPrice: order.stopPrice,
+  trailPercent: order.trailPercent,
+  highWaterMark: order.highWaterMark,
+  status: order.status,
+  statusReason: order.statusReason,
+  reservedAmount: order.reservedAmount,
+  reservedQuantity: order.reservedQuantity,
+  expiresAt: order.expiresAt,
+  triggerPrice: order.triggerPrice,
+  triggeredAt: order.triggeredAt,
+  fillPrice: order.fillPrice,
+  slippage: order.slippage,
+  filledAt: order.filledAt,
+  tradeId: order.tradeId,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt
+});
+
+/**
+ * Validate optional order fields shared by place and amend
+ * Returns an error message or null
+ */
+const validateOrderFields = ({ quantity, limitPrice, stopPrice, trailPercent, expiresAt }) => {
+  if (quantity !== undefined && (typeof quantity !== 'number' || quantity <= 0)) {
+    return "Quantity must be a positive number";
+  }
+
+  if (limitPrice !== undefined && (typeof limitPrice !== 'number' || limitPrice <= 0)) {
+    return "Limit price must be a positive number";
+  }
+
+  if (stopPrice !== undefined && (typeof stopPrice !== 'number' || stopPrice <= 0)) {
+    return "Stop price must be a positive number";
+  }
+
+  if (trailPercent !== undefined && (typeof trailPercent !== 'number' || trailPercent <= 0 || trailPercent >= 100)) {
+    return "Trail percent must be between 0 and 100";
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return "Expiry must be a valid future date";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleOrderError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      ...(err.code && { code: err.code }),
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Place a limit order, or a stop-loss / take-profit / trailing-stop order on a holding
+ */
+export const placeOrder = async (req, res) => {
+  try {
+    const {
+      assetType = 'stock',
+      symbol,
+      orderType = 'limit',
+      side,
+      quantity,
+      limitPrice,
+      stopPrice,
+      trailPercent,
+      expiresAt
+    } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if (!['stock', 'crypto', 'currency'].includes(assetType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid asset type. Must be: stock, crypto, or currency"
+      });
+    }
+
+    if (!symbol || typeof symbol !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Symbol is required"
+      });
+    }
+
+    const isProtective = PROTECTIVE_ORDER_TYPES.includes(orderType);
+    if (orderType !== 'limit' && !isProtective) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid order type. Must be: limit, ${PROTECTIVE_ORDER_TYPES.join(', ')}`
+      });
+    }
+
+    if (isProtective ? (side && side !== 'sell') : !['buy', 'sell'].includes(side)) {
+      return res.status(400).json({
+        success: false,
+        message: isProtective ? "Protective orders can only sell" : "Side must be 'buy' or 'sell'"
+      });
+    }
+
+    if (!isProtective && (quantity === undefined || limitPrice === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity and limit price are required"
+      });
+    }
+
+    const validationError = validateOrderFields({ quantity, limitPrice, stopPrice, trailPercent, expiresAt });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const orderSymbol = symbol.toUpperCase();
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+
+    // Orders may wait out a closed market, but not a halt or the trade size limits
+    const violation = await checkTradingPolicy(
+      { assetType, symbol: orderSymbol, tradeAmount: isProtective ? undefined : quantity * limitPrice },
+      { requireSession: false }
+    );
+    if (violation) {
+      return res.status(violation.status).json({
+        success: false,
+        code: violation.code,
+        message: violation.message
+      });
+    }
+
+    const order = isProtective
+      ? await placeProtectiveOrder(user, {
+          assetType,
+          symbol: orderSymbol,
+          orderType,
+          quantity,
+          stopPrice,
+          trailPercent,
+          expiresAt: expiry
+        })
+      : await placeLimitOrder(user, {
+          assetType,
+          symbol: orderSymbol,
+          side,
+          quantity,
+          limitPrice,
+          expiresAt: expiry
+        });
+
+    res.status(201).json({
+      success: true,
+      message: isProtective
+        ? `${orderType.replace('_', '-')} order placed for ${order.quantity} ${orderSymbol} at KSh ${order.stopPrice.toFixed(2)}`
+        : `Limit ${side} order placed for ${quantity} ${orderSymbol} at KSh ${limitPrice.toFixed(2)}`,
+      data: {
+        order: formatOrder(order),
+        user: {
+          balance: user.balance
+        }
+      }
+    });
+  } catch (err) {
+    handleOrderError(res, err, "Failed to place order");
+  }
+};
+
+/**
+ * List the user's orders, open ones by default
+ */
+export const getOrders = async (req, res) => {
+  try {
+    const { status = 'open', assetType, symbol, limit = 50 } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (status !== 'all') filter.status = status;
+    if (assetType) filter.assetType = assetType;
+    if (symbol) filter.assetSymbol = symbol.toUpperCase();
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: orders.map(formatOrder),
+      count: orders.length
+    });
+  } catch (err) {
+    handleOrderError(res, err, "Failed to fetch orders");
+  }
+};
+
+/**
+ * Amend quantity, price terms or expiry of an open order
+ */
+export const updateOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { quantity, limitPrice, stopPrice, trailPercent, expiresAt } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if ([quantity, limitPrice, stopPrice, trailPercent, expiresAt].every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide quantity, limitPrice, stopPrice, trailPercent or expiresAt to amend"
+      });
+    }
+
+    const validationError = validateOrderFields({ quantity, limitPrice, stopPrice, trailPercent, expiresAt });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const order = await amendOrder(user, orderId, {
+      quantity,
+      limitPrice,
+      stopPrice,
+      trailPercent,
+      expiresAt: expiresAt === undefined ? undefined : (expiresAt ? new Date(expiresAt) : null)
+    });
+
+    res.json({
+      success: true,
+      message: "Order amended successfully",
+      data: {
+        order: formatOrder(order),
+        user: {
+          balance: user.balance
+        }
+      }
+    });
+  } catch (err) {
+    handleOrderError(res, err, "Failed to amend order");
+  }
+};
+
+/**
+ * Cancel an open order and release its reservation
+ */
+export const deleteOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const order = await cancelOrder(user, orderId);
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: {
+        order: formatOrder(order),
+        user: {
+          balance: user.balance
+        }
+      }
+    });
+  } catch (err) {
+    handleOrderError(res, err, "Failed to cancel order");
+  }
+};
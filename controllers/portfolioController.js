@@ -5,6 +5,12 @@ import Trade from "../models/Trade.js";
 import { fetchStockPrice } from "../utils/stockApi.js";
 import { getLatestCryptoPrice } from "../services/cryptoFetcher.js";
 import { getLatestFXRate } from "../services/fxFetcher.js";
+import { COST_BASIS_METHODS, getPnLReport } from "../services/taxLotService.js";
+import { resolveHistoryRange, getPortfolioValuation } from "../services/portfolioValuationService.js";
+import { getSnapshotPerformance } from "../services/portfolioSnapshotService.js";
+import { getPerformanceMetrics } from "../services/performanceService.js";
+import { validateBenchmark, getBenchmarkComparison } from "../services/benchmarkService.js";
+import { validateTargets, getRebalancePlan as buildRebalancePlan, executeRebalance as executeRebalanceProposal } from "../services/rebalanceService.js";
 
 export const getPortfolio = async (req, res) => {
   try {
@@ -17,10 +23,10 @@ export const getPortfolio = async (req, res) => {
       });
     }
 
-    const holdings = await Portfolio.find({ userId: user._id });
+    const holdings = await Portfolio.find({ userId: user._id, competitionId: null });
     
     // Get recent transactions
-    const recentTransactions = await Trade.find({ userId: user._id })
+    const recentTransactions = await Trade.find({ userId: user._id, competitionId: null })
       .sort({ timestamp: -1 })
       .limit(10);
     
@@ -161,7 +167,7 @@ export const getPortfolioSummary = async (req, res) => {
       });
     }
 
-    const holdings = await Portfolio.find({ userId: user._id });
+    const holdings = await Portfolio.find({ userId: user._id, competitionId: null });
     
     let totalPortfolioValue = 0;
     let totalCostBasis = 0;
@@ -232,6 +238,9 @@ export const getPortfolioSummary = async (req, res) => {
     const cashAllocation = totalValue > 0 ? (user.balance / totalValue) * 100 : 100;
     const stockAllocation = totalValue > 0 ? (safeTotalPortfolioValue / totalValue) * 100 : 0;
     
+    // Realized vs unrealized P&L under the user's cost basis method
+    const pnl = await getPnLReport(user);
+    
     res.json({
       success: true,
       data: {
@@ -241,6 +250,9 @@ export const getPortfolioSummary = async (req, res) => {
         assetCount: holdings.length,
         availableBalance: user.balance, // Cash available to invest
         investedAmount: safeTotalPortfolioValue, // Amount invested in assets
+        realizedGain: pnl.realized,
+        unrealizedGain: pnl.unrealized,
+        costBasisMethod: pnl.method,
         lastUpdated: new Date().toISOString()
       }
     });
@@ -254,98 +266,409 @@ export const getPortfolioSummary = async (req, res) => {
   }
 };
 
-export const getPortfolioHistory = async (req, res) => {
+/**
+ * Portfolio value over time, read from the nightly snapshots
+ */
+export const getPortfolioSnapshots = async (req, res) => {
   try {
-    const { days = 7 } = req.query;
     const user = await User.findById(req.user.id);
-    
+
     if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
       });
     }
 
-    // Get portfolio history from trades
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - parseInt(days));
-
-    const trades = await Trade.find({ 
-      userId: user._id,
-      timestamp: { $gte: startDate, $lte: endDate }
-    }).sort({ timestamp: 1 });
-
-    // Calculate portfolio value over time
-    const history = [];
-    let runningBalance = user.balance;
-    let runningPortfolioValue = 0;
-
-    // Group trades by day
-    const tradesByDay = {};
-    trades.forEach(trade => {
-      const day = trade.timestamp.toISOString().split('T')[0];
-      if (!tradesByDay[day]) {
-        tradesByDay[day] = [];
+    // Served from the nightly snapshots, so no holding is priced on request
+    const range = resolveHistoryRange({ days: 30, ...req.query });
+    const { points, summary } = await getSnapshotPerformance(user, range);
+
+    res.json({
+      success: true,
+      data: {
+        points,
+        summary
+      },
+      meta: {
+        granularity: range.granularity,
+        from: range.from,
+        to: range.to
       }
-      tradesByDay[day].push(trade);
     });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Portfolio snapshots error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to fetch portfolio snapshots"
+    });
+  }
+};
 
-    // Calculate daily portfolio values
-    for (let i = 0; i < parseInt(days); i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - (parseInt(days) - 1 - i));
-      const dayStr = date.toISOString().split('T')[0];
-      
-      // Apply trades for this day
-      if (tradesByDay[dayStr]) {
-        tradesByDay[dayStr].forEach(trade => {
-          if (trade.type === 'buy') {
-            runningBalance -= (trade.price * trade.quantity + trade.fees);
-          } else {
-            runningBalance += (trade.price * trade.quantity - trade.fees);
-          }
-        });
+export const getPortfolioPerformance = async (req, res) => {
+  try {
+    const { period = '1Y' } = req.query;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const metrics = await getPerformanceMetrics(user, period.toUpperCase());
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Portfolio performance error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to calculate portfolio performance"
+    });
+  }
+};
+
+export const getBenchmark = async (req, res) => {
+  try {
+    const { benchmark = 'NASI', period = '1Y' } = req.query;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const comparison = await getBenchmarkComparison(user, {
+      benchmark: benchmark.toUpperCase(),
+      period: period.toUpperCase()
+    });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Benchmark comparison error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to compare portfolio with benchmark"
+    });
+  }
+};
+
+export const updateCustomBenchmark = async (req, res) => {
+  try {
+    const components = await validateBenchmark(req.body.components);
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { customBenchmark: components },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Custom benchmark saved",
+      data: {
+        customBenchmark: user.customBenchmark
       }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Update custom benchmark error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to save custom benchmark"
+    });
+  }
+};
 
-      // Calculate current portfolio value
-      const holdings = await Portfolio.find({ userId: user._id });
-      let currentPortfolioValue = 0;
-      
-      for (const holding of holdings) {
-        try {
-          let assetData;
-          switch (holding.assetType) {
-            case 'stock':
-              assetData = await fetchStockPrice(holding.assetSymbol);
-              break;
-            case 'crypto':
-              assetData = await getLatestCryptoPrice(holding.assetSymbol);
-              break;
-            case 'currency':
-              assetData = await getLatestFXRate(holding.assetSymbol);
-              break;
-          }
-          currentPortfolioValue += assetData.price * holding.quantity;
-        } catch (err) {
-          // Use average buy price as fallback
-          currentPortfolioValue += holding.avgBuyPrice * holding.quantity;
-        }
+export const getTargetAllocation = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('targetAllocation');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        targetAllocation: user.targetAllocation
+      }
+    });
+  } catch (err) {
+    console.error('Get target allocation error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to get target allocation"
+    });
+  }
+};
+
+export const updateTargetAllocation = async (req, res) => {
+  try {
+    const targets = await validateTargets(req.body.targets);
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { targetAllocation: targets },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Target allocation saved",
+      data: {
+        targetAllocation: user.targetAllocation
       }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Update target allocation error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to save target allocation"
+    });
+  }
+};
+
+export const getRebalancePlan = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const plan = await buildRebalancePlan(user, {
+      driftThresholdPercent: req.query.driftThresholdPercent
+    });
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Rebalance plan error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to build rebalance plan"
+    });
+  }
+};
+
+export const executeRebalance = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
 
-      history.push({
-        date: dayStr,
-        totalValue: runningBalance + currentPortfolioValue,
-        portfolioValue: currentPortfolioValue,
-        cashBalance: runningBalance
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
       });
     }
 
+    const result = await executeRebalanceProposal(user, req.body.proposalId);
+
     res.json({
       success: true,
-      data: history
+      message: `Rebalance executed: ${result.trades.length} trade${result.trades.length === 1 ? '' : 's'}`,
+      data: result
     });
   } catch (err) {
+    // Policy refusals, expired or used proposals and funds spent by a concurrent trade carry a status
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Execute rebalance error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to execute rebalance"
+    });
+  }
+};
+
+/**
+ * Realized vs unrealized P&L per asset, based on tax lots
+ */
+export const getPnL = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const report = await getPnLReport(user);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        lastUpdated: new Date().toISOString()
+      }
+    });
+  } catch (err) {
+    console.error('Portfolio P&L error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to fetch P&L report"
+    });
+  }
+};
+
+/**
+ * Choose how sold units are matched to tax lots (applies to future sells)
+ */
+export const updateCostBasisMethod = async (req, res) => {
+  try {
+    const { method } = req.body;
+
+    if (!COST_BASIS_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid cost basis method. Must be: ${COST_BASIS_METHODS.join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { costBasisMethod: method },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Cost basis method set to ${method}`,
+      data: {
+        costBasisMethod: user.costBasisMethod
+      }
+    });
+  } catch (err) {
+    console.error('Update cost basis method error:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to update cost basis method"
+    });
+  }
+};
+
+export const getPortfolioHistory = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+
+    // Holdings are rebuilt from trades and valued with the stored price of each date
+    const range = resolveHistoryRange(req.query);
+    const history = await getPortfolioValuation(user, range);
+
+    res.json({
+      success: true,
+      data: history,
+      meta: {
+        granularity: range.granularity,
+        from: range.from,
+        to: range.to,
+        points: history.length
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
     console.error('Portfolio history error:', err);
     res.status(500).json({ 
       success: false,
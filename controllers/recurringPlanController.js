@@ -0,0 +1,101 @@
+// controllers/recurringPlanController.js
+import {
+  createPlan as createRecurringPlan,
+  listPlans,
+  updatePlan as updateRecurringPlan,
+  deletePlan as deleteRecurringPlan,
+  getPlanHistory as getExecutionHistory
+} from "../services/recurringPlanService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handlePlanError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+export const getPlans = async (req, res) => {
+  try {
+    const plans = await listPlans(req.user._id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (err) {
+    handlePlanError(res, err, "Failed to fetch recurring plans");
+  }
+};
+
+/**
+ * Create a recurring buy of a KES amount, daily, weekly or monthly
+ */
+export const createPlan = async (req, res) => {
+  try {
+    const plan = await createRecurringPlan(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Recurring ${plan.frequency} buy of ${plan.symbol} created`,
+      data: plan
+    });
+  } catch (err) {
+    handlePlanError(res, err, "Failed to create recurring plan");
+  }
+};
+
+export const updatePlan = async (req, res) => {
+  try {
+    const plan = await updateRecurringPlan(req.user._id, req.params.planId, req.body);
+
+    res.json({
+      success: true,
+      message: "Recurring plan updated",
+      data: plan
+    });
+  } catch (err) {
+    handlePlanError(res, err, "Failed to update recurring plan");
+  }
+};
+
+export const deletePlan = async (req, res) => {
+  try {
+    await deleteRecurringPlan(req.user._id, req.params.planId);
+
+    res.json({
+      success: true,
+      message: "Recurring plan deleted"
+    });
+  } catch (err) {
+    handlePlanError(res, err, "Failed to delete recurring plan");
+  }
+};
+
+/**
+ * Each run of a plan: the buy it made, or why it was skipped
+ */
+export const getPlanHistory = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const history = await getExecutionHistory(req.user._id, req.params.planId, { page, limit });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (err) {
+    handlePlanError(res, err, "Failed to fetch recurring plan history");
+  }
+};
@@ -0,0 +1,113 @@
+// controllers/screenerController.js
+import {
+  runScreen as runAssetScreen,
+  listScreens,
+  createScreen as createSavedScreen,
+  updateScreen as updateSavedScreen,
+  deleteScreen as deleteSavedScreen,
+  runSavedScreen as runUserScreen
+} from "../services/screenerService.js";
+
+/**
+ * Relay service errors that carry an HTTP status, otherwise respond 500
+ */
+const handleScreenerError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Screen every stored asset with the criteria in the body; page and limit come from the query
+ */
+export const runScreen = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await runAssetScreen(req.body, { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    handleScreenerError(res, err, "Failed to run screen");
+  }
+};
+
+export const getScreens = async (req, res) => {
+  try {
+    const screens = await listScreens(req.user._id);
+
+    res.json({
+      success: true,
+      data: screens
+    });
+  } catch (err) {
+    handleScreenerError(res, err, "Failed to fetch saved screens");
+  }
+};
+
+export const createScreen = async (req, res) => {
+  try {
+    const screen = await createSavedScreen(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Screen "${screen.name}" saved`,
+      data: screen
+    });
+  } catch (err) {
+    handleScreenerError(res, err, "Failed to save screen");
+  }
+};
+
+export const updateScreen = async (req, res) => {
+  try {
+    const screen = await updateSavedScreen(req.user._id, req.params.screenId, req.body);
+
+    res.json({
+      success: true,
+      message: "Screen updated",
+      data: screen
+    });
+  } catch (err) {
+    handleScreenerError(res, err, "Failed to update screen");
+  }
+};
+
+export const deleteScreen = async (req, res) => {
+  try {
+    await deleteSavedScreen(req.user._id, req.params.screenId);
+
+    res.json({
+      success: true,
+      message: "Screen deleted"
+    });
+  } catch (err) {
+    handleScreenerError(res, err, "Failed to delete screen");
+  }
+};
+
+export const runSavedScreen = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await runUserScreen(req.user._id, req.params.screenId, { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    handleScreenerError(res, err, "Failed to run saved screen");
+  }
+};
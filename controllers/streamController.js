@@ -0,0 +1,67 @@
+// controllers/streamController.js
+import { openStream, parseSubscriptions } from "../services/streamService.js";
+import { createStreamToken } from "../middleware/authMiddleware.js";
+
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+/**
+ * Server-Sent Events stream - the fallback for clients that cannot use WebSocket
+ * Subscriptions come from `symbols` (type:SYMBOL, comma-separated) and last for the connection;
+ * reconnect to change them. Authenticated clients also get their fill, order and balance events.
+ */
+export const streamEvents = async (req, res) => {
+  let symbols;
+  try {
+    symbols = parseSubscriptions(req.query.symbols);
+  } catch (err) {
+    return res.status(err.status || 400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  if (symbols.length === 0 && !req.user) {
+    return res.status(400).json({
+      success: false,
+      message: "Subscribe to at least one symbol (symbols=crypto:BTCUSDT,stock:SCOM) or authenticate for account events"
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx buffering the stream
+  });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const stream = openStream({ userId: req.user ? req.user._id : null, send });
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(keepalive);
+    stream.close();
+  });
+
+  send('connected', { authenticated: Boolean(req.user) });
+  try {
+    send('subscribed', { symbols: await stream.subscribe(symbols) });
+  } catch (err) {
+    send('error', { message: err.message });
+  }
+};
+
+/**
+ * Issue a short-lived token that opens either stream, for its ?token= parameter
+ * Login tokens are not accepted in stream URLs, since URLs end up in proxy and access logs
+ */
+export const getStreamToken = async (req, res) => {
+  const { token, expiresAt } = createStreamToken(req.user);
+  res.json({
+    success: true,
+    data: { token, expiresAt }
+  });
+};
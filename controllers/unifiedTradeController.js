@@ -1,12 +1,17 @@
 // controllers/unifiedTradeController.js
 import Trade from "../models/Trade.js";
-import Portfolio from "../models/Portfolio.js";
 import User from "../models/User.js";
 import { fetchStockPrice, getMockStockData } from "../utils/stockApi.js";
 import { getLatestCryptoPrice } from "../services/cryptoFetcher.js";
 import { getLatestFXRate } from "../services/fxFetcher.js";
 import { calculateFees, formatFeeInfo, validateBuyOrder, getPlatformRevenue } from "../utils/feeCalculator.js";
 import OHLCV from "../models/OHLCV.js";
+import { findHolding, executeBuy, executeSell } from "../services/tradeService.js";
+import { createQuote, verifyQuote } from "../services/quoteService.js";
+import { checkTradingPolicy } from "../services/tradingPolicy.js";
+import { getTradingAccount } from "../services/competitionService.js";
+import { notifyInBackground, getTradeData } from "../services/notificationService.js";
+import { publishFill } from "../services/streamService.js";
 
 /**
  * Validate live data freshness and quality
@@ -135,12 +140,41 @@ const fetchAssetPrice = async (assetType, symbol) => {
   }
 };
 
+/**
+ * Respond with a trading policy violation and its error code
+ */
+const rejectByPolicy = (res, violation) => {
+  const limitOrderHint = violation.code === 'MARKET_CLOSED'
+    ? ' Place a limit order to queue it for the next session.'
+    : '';
+
+  return res.status(violation.status).json({
+    success: false,
+    code: violation.code,
+    message: `${violation.message}${limitOrderHint}`,
+    ...(violation.marketStatus && { marketStatus: violation.marketStatus })
+  });
+};
+
+/**
+ * Price data for a trade executing at a quoted price
+ */
+const quotedPriceData = (quote) => ({
+  price: quote.price,
+  change: 0,
+  changePercent: 0,
+  volume: 0,
+  timestamp: quote.iat * 1000,
+  source: 'quote'
+});
+
 /**
  * Buy any asset type (stock, crypto, currency) - Unified function
  */
 export const buyAsset = async (req, res) => {
   try {
-    const { assetType = 'stock', symbol, quantity } = req.body;
+    const { quoteId, competitionId = null } = req.body;
+    let { assetType = 'stock', symbol, quantity } = req.body;
     const user = await User.findById(req.user.id);
     
     if (!user) {
@@ -150,6 +184,12 @@ export const buyAsset = async (req, res) => {
       });
     }
 
+    // A quote fixes the asset, quantity and price the trade executes at
+    const quote = quoteId ? verifyQuote(quoteId, user, 'buy', req.body) : null;
+    if (quote) {
+      ({ assetType, symbol, quantity } = quote);
+    }
+
     // Validate asset type
     if (!['stock', 'crypto', 'currency'].includes(assetType)) {
       return res.status(400).json({ 
@@ -158,8 +198,11 @@ export const buyAsset = async (req, res) => {
       });
     }
 
+    // Competition trades run against the user's competition balance and fee rules
+    const account = competitionId ? await getTradingAccount(user, competitionId, assetType) : null;
+
     // Get current asset price with live data validation
-    const assetData = await fetchAssetPrice(assetType, symbol);
+    const assetData = quote ? quotedPriceData(quote) : await fetchAssetPrice(assetType, symbol);
     const price = assetData.price;
     const tradeAmount = price * quantity;
 
@@ -190,12 +233,18 @@ export const buyAsset = async (req, res) => {
       });
     }
 
-    // Calculate fees for buy order
-    const feeData = await calculateFees(tradeAmount, 'buy');
+    // Platform trading controls, halts and the market session
+    const violation = await checkTradingPolicy({ assetType, symbol, tradeAmount });
+    if (violation) {
+      return rejectByPolicy(res, violation);
+    }
+
+    // Calculate fees for buy order (a quote keeps the fee settings it was priced with)
+    const feeData = await calculateFees(tradeAmount, 'buy', account ? account.feeConfig : quote?.fees || null);
     const feeInfo = formatFeeInfo(feeData, 'buy');
 
     // Validate sufficient balance including fees
-    const balanceValidation = validateBuyOrder(user.balance, feeData);
+    const balanceValidation = validateBuyOrder(account ? account.entry.balance : user.balance, feeData);
     if (!balanceValidation.hasSufficientBalance) {
       return res.status(400).json({ 
         success: false, 
@@ -204,122 +253,66 @@ export const buyAsset = async (req, res) => {
       });
     }
 
-    // Start transaction-like operations
-    try {
-      // Deduct balance (including fees)
-      user.balance -= feeData.totalCost;
-      await user.save();
-
-      // Update or create portfolio holding
-      // First try to find with new schema
-      let holding = await Portfolio.findOne({ 
-        userId: user._id, 
-        assetType: assetType,
-        assetSymbol: symbol 
-      });
-      
-      // If not found, try to find with old schema (for backward compatibility)
-      if (!holding && assetType === 'stock') {
-        holding = await Portfolio.findOne({ 
-          userId: user._id, 
-          stockSymbol: symbol 
-        });
-        
-        // If found with old schema, migrate it
-        if (holding) {
-          holding.assetSymbol = symbol;
-          holding.assetType = assetType;
-          await holding.save();
-        }
-      }
-      
-      if (holding) {
-        // Calculate new average buy price (asset price only)
-        const totalAssetCost = (holding.avgBuyPrice * holding.quantity) + (price * quantity);
-        const totalQuantity = holding.quantity + quantity;
-        holding.avgBuyPrice = totalAssetCost / totalQuantity;
-        
-        // Calculate new average cost basis (including fees)
-        const totalCostBasis = (holding.avgCostBasis * holding.quantity) + feeData.totalCost;
-        holding.avgCostBasis = totalCostBasis / totalQuantity;
-        
-        holding.quantity = totalQuantity;
-        holding.updatedAt = new Date();
-        await holding.save();
-      } else {
-        holding = new Portfolio({ 
-          userId: user._id, 
-          assetType: assetType,
-          assetSymbol: symbol, 
-          quantity, 
-          avgBuyPrice: price,
-          avgCostBasis: feeData.totalCost / quantity, // cost per unit including fees
-          updatedAt: new Date()
-        });
-        await holding.save();
+    const { trade, holding, balance } = await executeBuy(user, {
+      assetType,
+      symbol,
+      quantity,
+      price,
+      feeData,
+      idempotencyKey: req.idempotencyKey,
+      quoteId: quote ? quote.jti : null,
+      competitionId
+    });
+
+    publishFill(trade, balance);
+    notifyInBackground(user._id, 'trade_executed', getTradeData(trade));
+
+    // Return success response with updated data
+    res.json({ 
+      success: true,
+      message: `Successfully bought ${quantity} ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'} of ${symbol} at KSh ${price.toFixed(2)} per unit`,
+      data: {
+        trade: {
+          id: trade._id,
+          assetType: trade.assetType,
+          symbol: trade.assetSymbol,
+          type: trade.type,
+          quantity: trade.quantity,
+          price: trade.price,
+          totalCost: feeData.totalCost,
+          timestamp: trade.timestamp
+        },
+        fees: {
+          platformFee: feeData.platformFee,
+          taxAmount: feeData.taxAmount,
+          totalFees: feeData.totalFees,
+          feeBreakdown: feeData.feeBreakdown
+        },
+        user: {
+          balance,
+          newBalance: balance
+        },
+        ...(competitionId && { competitionId }),
+        portfolio: {
+          assetType: holding.assetType,
+          symbol: holding.assetSymbol,
+          quantity: holding.quantity,
+          avgBuyPrice: holding.avgBuyPrice,
+          totalValue: holding.quantity * price
+        },
+        platformRevenue: getPlatformRevenue(feeData)
       }
+    });
 
-      // Save trade record with fee information
-      const trade = new Trade({ 
-        userId: user._id, 
-        assetType: assetType,
-        assetSymbol: symbol, 
-        quantity, 
-        price, 
-        type: "buy",
-        platformFee: feeData.platformFee,
-        taxAmount: feeData.taxAmount,
-        totalFees: feeData.totalFees,
-        netAmount: feeData.netAmount,
-        feeBreakdown: feeData.feeBreakdown,
-        timestamp: new Date()
-      });
-      await trade.save();
-
-      // Return success response with updated data
-      res.json({ 
-        success: true,
-        message: `Successfully bought ${quantity} ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'} of ${symbol} at KSh ${price.toFixed(2)} per unit`,
-        data: {
-          trade: {
-            id: trade._id,
-            assetType: trade.assetType,
-            symbol: trade.assetSymbol,
-            type: trade.type,
-            quantity: trade.quantity,
-            price: trade.price,
-            totalCost: feeData.totalCost,
-            timestamp: trade.timestamp
-          },
-          fees: {
-            platformFee: feeData.platformFee,
-            taxAmount: feeData.taxAmount,
-            totalFees: feeData.totalFees,
-            feeBreakdown: feeData.feeBreakdown
-          },
-          user: {
-            balance: user.balance,
-            newBalance: user.balance
-          },
-          portfolio: {
-            assetType: holding.assetType,
-            symbol: holding.assetSymbol,
-            quantity: holding.quantity,
-            avgBuyPrice: holding.avgBuyPrice,
-            totalValue: holding.quantity * price
-          },
-          platformRevenue: getPlatformRevenue(feeData)
-        }
+  } catch (err) {
+    // Service errors (funds spent by a concurrent trade, expired or used quotes) carry a status
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
       });
-
-    } catch (transactionError) {
-      // Rollback user balance if portfolio/trade operations fail
-      user.balance += feeData.totalCost;
-      await user.save();
-      throw transactionError;
     }
 
-  } catch (err) {
     console.error('Buy asset error:', err);
     res.status(500).json({ 
       success: false,
@@ -334,7 +327,8 @@ export const buyAsset = async (req, res) => {
  */
 export const sellAsset = async (req, res) => {
   try {
-    const { assetType = 'stock', symbol, quantity } = req.body;
+    const { quoteId, competitionId = null } = req.body;
+    let { assetType = 'stock', symbol, quantity } = req.body;
     const user = await User.findById(req.user.id);
     
     if (!user) {
@@ -344,6 +338,12 @@ export const sellAsset = async (req, res) => {
       });
     }
 
+    // A quote fixes the asset, quantity and price the trade executes at
+    const quote = quoteId ? verifyQuote(quoteId, user, 'sell', req.body) : null;
+    if (quote) {
+      ({ assetType, symbol, quantity } = quote);
+    }
+
     // Validate asset type
     if (!['stock', 'crypto', 'currency'].includes(assetType)) {
       return res.status(400).json({ 
@@ -352,28 +352,11 @@ export const sellAsset = async (req, res) => {
       });
     }
 
+    // Competition trades run against the user's competition balance and fee rules
+    const account = competitionId ? await getTradingAccount(user, competitionId, assetType) : null;
+
     // Check if user owns this asset
-    // First try to find with new schema
-    let holding = await Portfolio.findOne({ 
-      userId: user._id, 
-      assetType: assetType,
-      assetSymbol: symbol 
-    });
-    
-    // If not found, try to find with old schema (for backward compatibility)
-    if (!holding && assetType === 'stock') {
-      holding = await Portfolio.findOne({ 
-        userId: user._id, 
-        stockSymbol: symbol 
-      });
-      
-      // If found with old schema, migrate it
-      if (holding) {
-        holding.assetSymbol = symbol;
-        holding.assetType = assetType;
-        await holding.save();
-      }
-    }
+    const holding = await findHolding(user._id, assetType, symbol, null, competitionId);
     
     if (!holding) {
       return res.status(400).json({ 
@@ -390,15 +373,21 @@ export const sellAsset = async (req, res) => {
       });
     }
 
-    if (holding.quantity < quantity) {
+    // Units reserved for open sell orders are not available to sell
+    const reservedQuantity = holding.reservedQuantity || 0;
+    const availableQuantity = holding.quantity - reservedQuantity;
+
+    if (availableQuantity < quantity) {
       return res.status(400).json({ 
         success: false, 
-        message: `Insufficient ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'}. You own ${holding.quantity} but trying to sell ${quantity}` 
+        message: reservedQuantity > 0
+          ? `Insufficient ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'}. You own ${holding.quantity} (${reservedQuantity} reserved for open orders) but trying to sell ${quantity}`
+          : `Insufficient ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'}. You own ${holding.quantity} but trying to sell ${quantity}` 
       });
     }
 
     // Get current asset price with live data validation
-    const assetData = await fetchAssetPrice(assetType, symbol);
+    const assetData = quote ? quotedPriceData(quote) : await fetchAssetPrice(assetType, symbol);
     const price = assetData.price;
     const tradeAmount = price * quantity;
 
@@ -414,106 +403,185 @@ export const sellAsset = async (req, res) => {
     // Log live data validation for transparency
     console.log(`Live data validation for ${assetType}:${symbol} - Price: ${price}, Timestamp: ${assetData.timestamp || 'N/A'}, Validation: ${dataValidation.reason}`);
 
-    // Calculate fees for sell order
-    const feeData = await calculateFees(tradeAmount, 'sell');
+    // Platform trading controls, halts and the market session
+    const violation = await checkTradingPolicy({ assetType, symbol, tradeAmount });
+    if (violation) {
+      return rejectByPolicy(res, violation);
+    }
+
+    // Calculate fees for sell order (a quote keeps the fee settings it was priced with)
+    const feeData = await calculateFees(tradeAmount, 'sell', account ? account.feeConfig : quote?.fees || null);
     const feeInfo = formatFeeInfo(feeData, 'sell');
 
-    // Start transaction-like operations
-    try {
-      // Add net proceeds to balance (after fees)
-      user.balance += feeData.netAmount;
-      await user.save();
-
-      // Update portfolio
-      holding.quantity -= quantity;
-      if (holding.quantity <= 0) {
-        await holding.deleteOne();
-      } else {
-        holding.updatedAt = new Date();
-        await holding.save();
+    const { trade, holding: remainingHolding, balance } = await executeSell(user, holding, {
+      assetType,
+      symbol,
+      quantity,
+      price,
+      feeData,
+      idempotencyKey: req.idempotencyKey,
+      quoteId: quote ? quote.jti : null,
+      competitionId
+    });
+
+    publishFill(trade, balance);
+    notifyInBackground(user._id, 'trade_executed', getTradeData(trade));
+
+    // Profit/loss against the tax lots sold (includes fees paid on purchase and sale)
+    const actualCostBasis = trade.costBasis;
+    
+    const profitLoss = trade.realizedPnL;
+    const profitLossPercent = actualCostBasis > 0 ? (profitLoss / actualCostBasis) * 100 : 0;
+
+    // Return success response with updated data
+    res.json({ 
+      success: true,
+      message: `Successfully sold ${quantity} ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'} of ${symbol} at KSh ${price.toFixed(2)} per unit`,
+      data: {
+        trade: {
+          id: trade._id,
+          assetType: trade.assetType,
+          symbol: trade.assetSymbol,
+          type: trade.type,
+          quantity: trade.quantity,
+          price: trade.price,
+          totalProceeds: feeData.netAmount,
+          timestamp: trade.timestamp
+        },
+        fees: {
+          platformFee: feeData.platformFee,
+          taxAmount: feeData.taxAmount,
+          totalFees: feeData.totalFees,
+          feeBreakdown: feeData.feeBreakdown
+        },
+        user: {
+          balance,
+          newBalance: balance
+        },
+        ...(competitionId && { competitionId }),
+        portfolio: {
+          assetType: assetType,
+          symbol: symbol,
+          remainingQuantity: remainingHolding.quantity > 0 ? remainingHolding.quantity : 0,
+          avgBuyPrice: holding.avgBuyPrice
+        },
+        performance: {
+          costBasis: actualCostBasis,
+          grossProceeds: tradeAmount,
+          netProceeds: feeData.netAmount,
+          profitLoss: profitLoss,
+          profitLossPercent: profitLossPercent,
+          costBasisMethod: trade.costBasisMethod
+        },
+        platformRevenue: getPlatformRevenue(feeData)
       }
+    });
 
-      // Save trade record with fee information
-      const trade = new Trade({ 
-        userId: user._id, 
-        assetType: assetType,
-        assetSymbol: symbol, 
-        quantity, 
-        price, 
-        type: "sell",
-        platformFee: feeData.platformFee,
-        taxAmount: feeData.taxAmount,
-        totalFees: feeData.totalFees,
-        netAmount: feeData.netAmount,
-        feeBreakdown: feeData.feeBreakdown,
-        timestamp: new Date()
+  } catch (err) {
+    // Service errors (funds spent by a concurrent trade, expired or used quotes) carry a status
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
       });
-      await trade.save();
+    }
 
-      // Calculate profit/loss using actual cost basis including fees paid during purchase
-      // Use avgCostBasis if available (includes fees), otherwise fall back to avgBuyPrice
-      const actualCostBasis = holding.avgCostBasis ? 
-        holding.avgCostBasis * quantity : 
-        holding.avgBuyPrice * quantity;
-      
-      const profitLoss = feeData.netAmount - actualCostBasis;
-      const profitLossPercent = actualCostBasis > 0 ? (profitLoss / actualCostBasis) * 100 : 0;
-
-      // Return success response with updated data
-      res.json({ 
-        success: true,
-        message: `Successfully sold ${quantity} ${assetType === 'crypto' ? 'units' : assetType === 'currency' ? 'units' : 'shares'} of ${symbol} at KSh ${price.toFixed(2)} per unit`,
-        data: {
-          trade: {
-            id: trade._id,
-            assetType: trade.assetType,
-            symbol: trade.assetSymbol,
-            type: trade.type,
-            quantity: trade.quantity,
-            price: trade.price,
-            totalProceeds: feeData.netAmount,
-            timestamp: trade.timestamp
-          },
-          fees: {
-            platformFee: feeData.platformFee,
-            taxAmount: feeData.taxAmount,
-            totalFees: feeData.totalFees,
-            feeBreakdown: feeData.feeBreakdown
-          },
-          user: {
-            balance: user.balance,
-            newBalance: user.balance
-          },
-          portfolio: {
-            assetType: assetType,
-            symbol: symbol,
-            remainingQuantity: holding.quantity > 0 ? holding.quantity : 0,
-            avgBuyPrice: holding.avgBuyPrice
-          },
-          performance: {
-            costBasis: actualCostBasis,
-            grossProceeds: tradeAmount,
-            netProceeds: feeData.netAmount,
-            profitLoss: profitLoss,
-            profitLossPercent: profitLossPercent
-          },
-          platformRevenue: getPlatformRevenue(feeData)
-        }
+    console.error('Sell asset error:', err);
+    res.status(500).json({ 
+      success: false,
+      error: err.message,
+      message: "Failed to execute sell order"
+    });
+  }
+};
+
+/**
+ * Lock the current price for a buy or sell - execute it by sending the quoteId to buy/sell
+ */
+export const getTradeQuote = async (req, res) => {
+  try {
+    const { assetType = 'stock', symbol, side, quantity } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
       });
+    }
+
+    if (!['stock', 'crypto', 'currency'].includes(assetType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid asset type. Must be: stock, crypto, or currency"
+      });
+    }
+
+    if (!symbol || typeof symbol !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Symbol is required"
+      });
+    }
+
+    if (!['buy', 'sell'].includes(side)) {
+      return res.status(400).json({
+        success: false,
+        message: "Side must be 'buy' or 'sell'"
+      });
+    }
+
+    if (typeof quantity !== 'number' || quantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid quantity"
+      });
+    }
 
-    } catch (transactionError) {
-      // Rollback user balance if portfolio/trade operations fail
-      user.balance -= feeData.netAmount;
-      await user.save();
-      throw transactionError;
+    const violation = await checkTradingPolicy({ assetType, symbol });
+    if (violation) {
+      return rejectByPolicy(res, violation);
     }
 
+    const quoteSymbol = symbol.toUpperCase();
+    const assetData = await fetchAssetPrice(assetType, quoteSymbol);
+
+    const dataValidation = validateLiveData(assetData);
+    if (!dataValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: `Live data validation failed for ${quoteSymbol}: ${dataValidation.reason}`
+      });
+    }
+
+    const quote = await createQuote(user, {
+      assetType,
+      symbol: quoteSymbol,
+      side,
+      quantity,
+      price: assetData.price
+    });
+
+    res.json({
+      success: true,
+      message: `${quoteSymbol} quoted at KSh ${quote.price.toFixed(2)} until ${quote.expiresAt.toISOString()}`,
+      data: {
+        quoteId: quote.quoteId,
+        assetType: quote.assetType,
+        symbol: quote.symbol,
+        side: quote.side,
+        quantity: quote.quantity,
+        price: quote.price,
+        fees: formatFeeInfo(quote.feeData, side),
+        expiresAt: quote.expiresAt
+      }
+    });
   } catch (err) {
-    console.error('Sell asset error:', err);
-    res.status(500).json({ 
+    console.error('Get trade quote error:', err);
+    res.status(500).json({
       success: false,
       error: err.message,
-      message: "Failed to execute sell order"
+      message: "Failed to create quote"
     });
   }
 };
@@ -749,8 +817,10 @@ export const searchAssets = async (req, res) => {
 export const getUserTrades = async (req, res) => {
   try {
     const userId = req.user.id;
+    const competitionId = req.query.competitionId || null;
     
-    const trades = await Trade.find({ userId })
+    // Main account trades unless a competition is asked for
+    const trades = await Trade.find({ userId, competitionId })
       .sort({ timestamp: -1 })
       .limit(50); // Limit to last 50 trades
     
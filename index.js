@@ -8,6 +8,11 @@ import authRoutes from "./routes/authRoutes.js";
 import unifiedTradeRoutes from "./routes/unifiedTradeRoutes.js";
 import portfolioRoutes from "./routes/portfolioRoutes.js";
 import leaderboardRoutes from "./routes/leaderboardRoutes.js";
+import competitionRoutes from "./routes/competitionRoutes.js";
+import classroomRoutes from "./routes/classroomRoutes.js";
+import alertRoutes from "./routes/alertRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import streamRoutes from "./routes/streamRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import currencyRoutes from "./routes/currencyRoutes.js";
 import marketDataRoutes from "./routes/marketDataRoutes.js";
@@ -16,9 +21,13 @@ import marketInsightsRoutes from "./routes/marketInsightsRoutes.js";
 import stockInfoRoutes from "./routes/stockInfoRoutes.js";
 import watchlistRoutes from "./routes/watchlistRoutes.js";
 import assetsRoutes from "./routes/assetsRoutes.js";
+import screenerRoutes from "./routes/screenerRoutes.js";
+import backtestRoutes from "./routes/backtestRoutes.js";
+import recurringPlanRoutes from "./routes/recurringPlanRoutes.js";
 // Import scheduler and scraper
 import { startScheduler, updateAllData } from "./scheduler.js";
 import { startCombinedScheduler, triggerManualUpdate } from "./scheduler/multiAssetScheduler.js";
+import { attachStreamSocket } from "./services/streamSocket.js";
 
 dotenv.config();
 const app = express();
@@ -32,6 +41,8 @@ app.use("/api/auth", authRoutes);
 app.use("/api/trades", unifiedTradeRoutes);
 app.use("/api/portfolio", portfolioRoutes);
 app.use("/api/leaderboard", leaderboardRoutes);
+app.use("/api/competitions", competitionRoutes);
+app.use("/api/classrooms", classroomRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/currency", currencyRoutes);
 app.use("/api/market", marketDataRoutes);
@@ -39,7 +50,13 @@ app.use("/api/stocks", stockRoutes);
 app.use("/api/market-insights", marketInsightsRoutes);
 app.use("/api/stock-info", stockInfoRoutes);
 app.use("/api/watchlist", watchlistRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/stream", streamRoutes);
 app.use("/api/assets", assetsRoutes);
+app.use("/api/screener", screenerRoutes);
+app.use("/api/backtests", backtestRoutes);
+app.use("/api/recurring-plans", recurringPlanRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -51,6 +68,8 @@ app.get("/", (req, res) => {
       trades: "/api/trades",
       portfolio: "/api/portfolio",
       leaderboard: "/api/leaderboard",
+      competitions: "/api/competitions",
+      classrooms: "/api/classrooms",
       admin: "/api/admin",
       currency: "/api/currency",
       market: "/api/market",
@@ -58,7 +77,14 @@ app.get("/", (req, res) => {
       marketInsights: "/api/market-insights",
       stockInfo: "/api/stock-info",
       watchlist: "/api/watchlist",
+      alerts: "/api/alerts",
+      notifications: "/api/notifications",
+      stream: "/api/stream",
+      streamSocket: "/api/stream/ws",
       assets: "/api/assets",
+      screener: "/api/screener",
+      backtests: "/api/backtests",
+      recurringPlans: "/api/recurring-plans",
     },
   });
 });
@@ -70,7 +96,7 @@ mongoose
     console.log("✅ MongoDB connected successfully");
     
     // Start the server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Trading Platform - All endpoints available`);
       
@@ -88,5 +114,8 @@ mongoose
         console.log("⏰ Scheduler disabled. Set ENABLE_SCHEDULER=true to enable automatic scraping");
       }
     });
+
+    // Live prices and account events over WebSocket
+    attachStreamSocket(server);
   })
   .catch((err) => console.error("❌ DB Connection Error:", err));
@@ -2,6 +2,25 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 
+// Stream tokens travel in URLs (EventSource and WebSocket clients cannot set headers), where proxies
+// and access logs keep them, so they only open streams and expire quickly
+const STREAM_TOKEN_SUBJECT = "stream";
+const DEFAULT_STREAM_TOKEN_TTL_SECONDS = 60;
+
+const getStreamTokenTtlSeconds = () => {
+  const ttl = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS);
+  return ttl > 0 ? ttl : DEFAULT_STREAM_TOKEN_TTL_SECONDS;
+};
+
+// Verify a login token; stream tokens are refused here
+const verifyLoginToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.sub === STREAM_TOKEN_SUBJECT) {
+    throw new Error("Stream tokens only open streams");
+  }
+  return decoded;
+};
+
 export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.header("Authorization");
@@ -16,7 +35,7 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: "No token, authorization denied" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyLoginToken(token);
     req.user = await User.findById(decoded.id);
     
     if (!req.user) return res.status(404).json({ message: "User not found" });
@@ -27,6 +46,51 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Like authenticate, but lets requests without a token through as anonymous
+export const optionalAuthenticate = async (req, res, next) => {
+  if (!req.header("Authorization")) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+// The user a bearer token belongs to, for connections that do not pass through authenticate (WebSocket upgrades)
+export const findUserByToken = async (token) => {
+  const decoded = verifyLoginToken(token);
+  return User.findById(decoded.id);
+};
+
+// Short-lived token for a user that opens streams only, to put in a stream URL's ?token=
+export const createStreamToken = (user) => {
+  const ttl = getStreamTokenTtlSeconds();
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: ttl, subject: STREAM_TOKEN_SUBJECT });
+  return { token, expiresAt: new Date(Date.now() + ttl * 1000) };
+};
+
+// The user a stream token belongs to; login tokens are refused
+export const findUserByStreamToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { subject: STREAM_TOKEN_SUBJECT });
+  return User.findById(decoded.id);
+};
+
+// Like optionalAuthenticate, but also takes a stream token from ?token= for EventSource clients, which cannot set headers
+export const optionalStreamAuthenticate = async (req, res, next) => {
+  if (req.header("Authorization") || !req.query.token) {
+    return optionalAuthenticate(req, res, next);
+  }
+
+  try {
+    req.user = await findUserByStreamToken(req.query.token);
+  } catch {
+    req.user = null;
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ message: "Stream token is not valid. Request a new one from POST /api/stream/token" });
+  }
+  next();
+};
+
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
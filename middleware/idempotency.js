@@ -0,0 +1,140 @@
+// middleware/idempotency.js
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_WINDOW_HOURS = 24;
+const DEFAULT_LOCK_SECONDS = 120;
+
+const getWindowMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS);
+  return (hours > 0 ? hours : DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+};
+
+const getLockMs = () => {
+  const seconds = parseFloat(process.env.IDEMPOTENCY_LOCK_SECONDS);
+  return (seconds > 0 ? seconds : DEFAULT_LOCK_SECONDS) * 1000;
+};
+
+// Keys stored before lockedUntil existed are locked for the same time from their creation
+const isLocked = (record, now) => {
+  const lockedUntil = record.lockedUntil || new Date(record.createdAt.getTime() + getLockMs());
+  return lockedUntil > now;
+};
+
+const hashRequest = (req) => crypto
+  .createHash("sha256")
+  .update(JSON.stringify(req.body || {}))
+  .digest("hex");
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key instead of running the handler again
+ * Requests without the header pass straight through. Must run after authenticate.
+ * Server errors release the key so the client can retry; other responses are kept for the window.
+ * A key whose request never answered (the process died, or the response was not JSON) does not
+ * block retries: responses ended without res.json release it, and a pending key is only honoured
+ * for IDEMPOTENCY_LOCK_SECONDS.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.header("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    const now = new Date();
+    const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+    const abandoned = existing && existing.status === "pending" && !isLocked(existing, now);
+
+    if (existing && existing.expiresAt > now && !abandoned) {
+      if (existing.route !== route || existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: "Idempotency-Key was already used for a different request"
+        });
+      }
+
+      if (existing.status === "pending") {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still being processed"
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // The TTL monitor only runs periodically, so clear an expired or abandoned key ourselves.
+    // The delete only matches the record as it was read; racing retries then settle on the unique index
+    if (existing) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, status: existing.status });
+    }
+
+    const record = await IdempotencyKey.create({
+      userId: req.user._id,
+      key,
+      route,
+      requestHash,
+      lockedUntil: new Date(now.getTime() + getLockMs()),
+      expiresAt: new Date(now.getTime() + getWindowMs())
+    });
+
+    req.idempotencyKey = key;
+    let settled = false;
+
+    // A response sent some other way than res.json leaves nothing to replay, so free the key.
+    // A client hanging up does not: the handler is still running and records its outcome as usual
+    res.on("finish", () => {
+      if (settled) return;
+      settled = true;
+      IdempotencyKey.deleteOne({ _id: record._id, status: "pending" })
+        .catch(error => console.error(`Failed to release Idempotency-Key ${key}:`, error.message));
+    });
+
+    // Persist the outcome before the response leaves so an immediate retry sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const save = res.statusCode >= 500
+        ? record.deleteOne()
+        : IdempotencyKey.updateOne({ _id: record._id }, {
+            status: "completed",
+            responseStatus: res.statusCode,
+            responseBody: body,
+            tradeId: body?.data?.trade?.id || null
+          });
+
+      save
+        .catch(error => console.error(`Failed to store idempotent response for key ${key}:`, error.message))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    // Another submission with the same key created the record first
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A request with this Idempotency-Key is still being processed"
+      });
+    }
+
+    console.error("Idempotency check failed:", err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      message: "Failed to process Idempotency-Key"
+    });
+  }
+};
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// One firing of a price alert, kept as the alert's trigger history
+const AlertTriggerSchema = new mongoose.Schema({
+  alertId: { type: mongoose.Schema.Types.ObjectId, ref: "PriceAlert", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  assetType: { type: String, required: true },
+  symbol: { type: String, required: true },
+  condition: { type: String, required: true },
+  threshold: { type: Number, required: true },
+
+  price: { type: Number, required: true }, // price that met the condition
+  basePrice: { type: Number, default: null }, // reference or previous close the move was measured from
+  changePercent: { type: Number, default: null },
+  message: { type: String, required: true },
+
+  triggeredAt: { type: Date, default: Date.now }
+});
+
+// A user's history, and one alert's history
+AlertTriggerSchema.index({ userId: 1, triggeredAt: -1 });
+AlertTriggerSchema.index({ alertId: 1, triggeredAt: -1 });
+
+export default mongoose.model("AlertTrigger", AlertTriggerSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// A backtest job: a strategy queued by a user, run in the background, and its result
+const BacktestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  strategy: { type: mongoose.Schema.Types.Mixed, required: true }, // normalized by the backtest service
+
+  status: { type: String, enum: ["queued", "running", "completed", "failed"], default: "queued" },
+  result: { type: mongoose.Schema.Types.Mixed, default: null }, // { statistics, trades, equityCurve, fees, ... }
+  error: { type: String, default: null },
+
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+BacktestSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The worker's queue, and the user's list
+BacktestSchema.index({ status: 1, createdAt: 1 });
+BacktestSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("Backtest", BacktestSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One rolled-up OHLCV bar, built from the raw price snapshots of an asset
+const CandleSchema = new mongoose.Schema({
+  type: { type: String, enum: ["stock", "crypto", "currency"], required: true },
+  symbol: { type: String, required: true },
+  interval: { type: String, enum: ["5m", "15m", "1h", "1d", "1w"], required: true },
+
+  openTime: { type: Number, required: true }, // bucket start, ms since epoch
+  closeTime: { type: Number, required: true }, // bucket end (exclusive)
+
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+  volume: { type: Number, default: 0 }, // last volume the feed reported in the bucket
+  ticks: { type: Number, default: 0 }, // snapshots rolled into the bar
+  lastTickAt: { type: Number, default: null }, // timestamp of the snapshot that set close
+
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One bar per asset, interval and bucket; also serves range reads in time order
+CandleSchema.index({ type: 1, symbol: 1, interval: 1, openTime: -1 }, { unique: true });
+
+export default mongoose.model("Candle", CandleSchema);
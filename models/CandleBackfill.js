@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Marks an asset's candles at one interval as rebuilt from the raw snapshots stored before live roll-ups
+const CandleBackfillSchema = new mongoose.Schema({
+  type: { type: String, enum: ["stock", "crypto", "currency"], required: true },
+  symbol: { type: String, required: true },
+  interval: { type: String, enum: ["5m", "15m", "1h", "1d", "1w"], required: true },
+  candles: { type: Number, default: 0 }, // candles the rebuild wrote
+  backfilledAt: { type: Date, default: Date.now }
+});
+
+CandleBackfillSchema.index({ type: 1, symbol: 1, interval: 1 }, { unique: true });
+
+export default mongoose.model("CandleBackfill", CandleBackfillSchema);
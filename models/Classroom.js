@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// An instructor's class; students join it with the invite code
+const ClassroomSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+  instructorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  inviteCode: { type: String, required: true, unique: true, uppercase: true },
+  startingBalance: { type: Number, default: 100000, min: 1 }, // balance students get back when the class is reset
+
+  lastResetAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ClassroomSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// An instructor's classes
+ClassroomSchema.index({ instructorId: 1, createdAt: -1 });
+
+export default mongoose.model("Classroom", ClassroomSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// A student's membership of a classroom
+const ClassroomMemberSchema = new mongoose.Schema({
+  classroomId: { type: mongoose.Schema.Types.ObjectId, ref: "Classroom", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  joinedAt: { type: Date, default: Date.now }
+});
+
+// One membership per student per classroom
+ClassroomMemberSchema.index({ classroomId: 1, userId: 1 }, { unique: true });
+
+// A student's classrooms
+ClassroomMemberSchema.index({ userId: 1, joinedAt: -1 });
+
+export default mongoose.model("ClassroomMember", ClassroomMemberSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Time-boxed trading contest; each participant trades a separate virtual balance
+const CompetitionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  startingBalance: { type: Number, default: 100000, min: 1 },
+  allowedAssetTypes: {
+    type: [{ type: String, enum: ["stock", "crypto", "currency"] }],
+    default: ["stock", "crypto", "currency"]
+  },
+  maxParticipants: { type: Number, default: null }, // null for no limit
+
+  // Fee rules: the platform fees, no fees, or the competition's own percentages
+  fees: {
+    mode: { type: String, enum: ["platform", "none", "custom"], default: "platform" },
+    platformFeePercentage: { type: Number, default: 0, min: 0, max: 10 },
+    taxPercentage: { type: Number, default: 0, min: 0, max: 5 },
+    minimumFee: { type: Number, default: 0, min: 0 },
+    maximumFee: { type: Number, default: 0, min: 0 } // 0 for no cap
+  },
+
+  finalizedAt: { type: Date, default: null }, // standings frozen once set
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+CompetitionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Finished competitions waiting to be finalized, and listings by date
+CompetitionSchema.index({ finalizedAt: 1, endDate: 1 });
+CompetitionSchema.index({ startDate: -1 });
+
+export default mongoose.model("Competition", CompetitionSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// A user's account in a competition: their own balance, plus the final standing once frozen
+const CompetitionEntrySchema = new mongoose.Schema({
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  username: { type: String },
+  balance: { type: Number, required: true }, // competition cash, separate from the main account
+
+  finalValue: { type: Number, default: null },
+  finalReturnPercent: { type: Number, default: null },
+  finalRank: { type: Number, default: null },
+
+  joinedAt: { type: Date, default: Date.now }
+});
+
+// One entry per user per competition
+CompetitionEntrySchema.index({ competitionId: 1, userId: 1 }, { unique: true });
+
+// A user's competitions
+CompetitionEntrySchema.index({ userId: 1, joinedAt: -1 });
+
+export default mongoose.model("CompetitionEntry", CompetitionEntrySchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Stored outcome of a request sent with an Idempotency-Key header, replayed for repeat submissions
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  key: { type: String, required: true },
+  route: { type: String, required: true }, // e.g. "POST /api/trades/buy"
+  requestHash: { type: String, required: true }, // detects the same key reused with a different body
+
+  status: {
+    type: String,
+    enum: ["pending", "completed"],
+    default: "pending"
+  },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+  tradeId: { type: mongoose.Schema.Types.ObjectId, ref: "Trade", default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null }, // a pending key is free again after this (crashed or abandoned request)
+  expiresAt: { type: Date, required: true }
+});
+
+// One record per key per user; the unique index also settles two submissions racing each other
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Let MongoDB remove keys once their replay window has passed
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", IdempotencyKeySchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// A user's standing for one leaderboard period, recomputed by the leaderboard job
+const LeaderboardEntrySchema = new mongoose.Schema({
+  period: { type: String, enum: ["day", "week", "month", "all"], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  username: { type: String },
+
+  totalValue: { type: Number, required: true }, // cash plus holdings at stored prices
+  cashBalance: { type: Number, default: 0 },
+  holdingsValue: { type: Number, default: 0 },
+  valueByAssetType: {
+    stock: { type: Number, default: 0 },
+    crypto: { type: Number, default: 0 },
+    currency: { type: Number, default: 0 }
+  },
+  startValue: { type: Number, default: 0 }, // account value at the start of the period
+  returnAmount: { type: Number, default: 0 }, // gain over the period, net of deposits
+  returnPercent: { type: Number, default: 0 },
+
+  valueRank: { type: Number, required: true },
+  returnRank: { type: Number, required: true },
+
+  computedAt: { type: Date, default: Date.now }
+});
+
+LeaderboardEntrySchema.index({ period: 1, userId: 1 }, { unique: true });
+
+// Pages ordered by either ranking
+LeaderboardEntrySchema.index({ period: 1, valueRank: 1 });
+LeaderboardEntrySchema.index({ period: 1, returnRank: 1 });
+
+export default mongoose.model("LeaderboardEntry", LeaderboardEntrySchema);
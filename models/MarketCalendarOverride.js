@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Admin-set exception to the regular trading calendar for one day (EAT)
+// e.g. Eid holidays gazetted each year, ad hoc closures or shortened sessions
+const MarketCalendarOverrideSchema = new mongoose.Schema({
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // YYYY-MM-DD in East Africa Time
+  assetType: {
+    type: String,
+    enum: ["stock", "crypto", "currency"],
+    default: "stock"
+  },
+  closed: { type: Boolean, default: true }, // false opens the market, optionally with custom hours
+  open: { type: String, default: null, match: /^\d{2}:\d{2}$/ }, // HH:MM, defaults to the regular session
+  close: { type: String, default: null, match: /^\d{2}:\d{2}$/ },
+  reason: { type: String, required: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+MarketCalendarOverrideSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// One override per asset type per day
+MarketCalendarOverrideSchema.index({ assetType: 1, date: 1 }, { unique: true });
+
+export default mongoose.model("MarketCalendarOverride", MarketCalendarOverrideSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// An entry in a user's in-app inbox; every notification lands here whatever other channels it goes to
+const NotificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  event: { type: String, required: true }, // e.g. trade_executed, alert_triggered, account_banned
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }, // event details the message was rendered from
+
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// The inbox, newest first, and the unread count
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+export default mongoose.model("Notification", NotificationSchema);
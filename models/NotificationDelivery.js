@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One attempt-tracked delivery of a notification over an external channel (the retry queue)
+const NotificationDeliverySchema = new mongoose.Schema({
+  notificationId: { type: mongoose.Schema.Types.ObjectId, ref: "Notification", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  channel: { type: String, required: true }, // email, webhook, push or a registered channel
+  target: { type: String, required: true }, // email address, webhook URL or push endpoint
+
+  status: { type: String, enum: ["pending", "sent", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+NotificationDeliverySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The retry job's query for deliveries that are due
+NotificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationDeliverySchema.index({ notificationId: 1 });
+
+export default mongoose.model("NotificationDelivery", NotificationDeliverySchema);
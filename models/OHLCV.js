@@ -73,6 +73,7 @@ const OHLCVSchema = new mongoose.Schema({
     // For crypto
     baseAsset: String,
     quoteAsset: String,
+    marketCap: Number, // KES, when the feed provides it
     
     // For metals
     metalType: String,
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Pending order book - orders wait here until the scheduler fills them
+const OrderSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  assetType: {
+    type: String,
+    enum: ["stock", "crypto", "currency"],
+    required: true
+  },
+  assetSymbol: { type: String, required: true },
+  side: { type: String, enum: ["buy", "sell"], required: true },
+  orderType: {
+    type: String,
+    enum: ["limit", "stop_loss", "take_profit", "trailing_stop"],
+    default: "limit"
+  },
+  quantity: { type: Number, required: true },
+  limitPrice: {
+    type: Number,
+    required: function() { return this.orderType === 'limit'; }
+  }, // worst acceptable price per unit (limit orders)
+
+  // Protective orders (stop-loss, take-profit, trailing-stop) attached to a holding
+  holdingId: { type: mongoose.Schema.Types.ObjectId, ref: "Portfolio", default: null },
+  stopPrice: { type: Number, default: null }, // trigger level; trails the high-water mark for trailing stops
+  trailPercent: { type: Number, default: null }, // trailing distance below the high-water mark
+  highWaterMark: { type: Number, default: null }, // highest price seen since a trailing stop was placed
+
+  status: {
+    type: String,
+    enum: ["open", "filled", "cancelled", "expired", "rejected"],
+    default: "open"
+  },
+  statusReason: { type: String, default: null },
+
+  // Reservations held while the order is open
+  reservedAmount: { type: Number, default: 0 }, // cash incl. fees (buy orders)
+  reservedQuantity: { type: Number, default: 0 }, // units (sell orders)
+
+  // Optional good-till-date
+  expiresAt: { type: Date, default: null },
+
+  // Trigger details (protective orders) - fillPrice minus triggerPrice is the slippage
+  triggerPrice: { type: Number, default: null },
+  triggeredAt: { type: Date, default: null },
+  slippage: { type: Number, default: null },
+
+  // Fill details
+  fillPrice: { type: Number, default: null },
+  filledAt: { type: Date, default: null },
+  tradeId: { type: mongoose.Schema.Types.ObjectId, ref: "Trade", default: null },
+  cancelledAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+OrderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Indexes for the scheduler's matching query and the user's order list
+OrderSchema.index({ status: 1, assetType: 1, assetSymbol: 1 });
+OrderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("Order", OrderSchema);
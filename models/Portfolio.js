@@ -14,6 +14,8 @@ const PortfolioSchema = new mongoose.Schema({
   quantity: { type: Number, required: true }, // total held
   avgBuyPrice: { type: Number, required: true }, // average buy price (asset price only)
   avgCostBasis: { type: Number, required: true }, // average cost basis including fees
+  reservedQuantity: { type: Number, default: 0 }, // units held back for open sell orders
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", default: null }, // null for the main account
   updatedAt: { type: Date, default: Date.now }
 });
 
@@ -31,6 +33,8 @@ PortfolioSchema.pre('save', function(next) {
 });
 
 // Compound index for efficient querying - use sparse to handle null values
-PortfolioSchema.index({ userId: 1, assetType: 1, assetSymbol: 1 }, { unique: true, sparse: true });
+// One holding per asset in each account (main account or a competition); replaces the
+// { userId, assetType, assetSymbol } index - run scripts/migratePortfolioIndexes.js on existing databases
+PortfolioSchema.index({ userId: 1, assetType: 1, assetSymbol: 1, competitionId: 1 }, { unique: true, sparse: true });
 
 export default mongoose.model("Portfolio", PortfolioSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// End-of-day state of a user's account, written nightly for charts and returns
+const PortfolioSnapshotSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD in Nairobi time
+
+  cashBalance: { type: Number, required: true }, // balance plus cash held for open buy orders
+  holdingsValue: { type: Number, required: true },
+  totalValue: { type: Number, required: true },
+  valueByAssetType: {
+    stock: { type: Number, default: 0 },
+    crypto: { type: Number, default: 0 },
+    currency: { type: Number, default: 0 }
+  },
+  costBasis: { type: Number, default: 0 }, // cost including fees of the units held
+  netDeposits: { type: Number, default: 0 }, // cash put into the account, excluding trading gains
+
+  holdings: [{
+    assetType: { type: String, enum: ["stock", "crypto", "currency"] },
+    symbol: { type: String },
+    quantity: { type: Number },
+    price: { type: Number },
+    value: { type: Number },
+    costBasis: { type: Number },
+    priceAvailable: { type: Boolean, default: true } // false when valued at the average buy price
+  }],
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+PortfolioSnapshotSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// One snapshot per user per day; also serves date-range reads for a user
+PortfolioSnapshotSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+export default mongoose.model("PortfolioSnapshot", PortfolioSnapshotSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// A user's price alert, checked by the scheduler after each price update
+const PriceAlertSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  assetType: {
+    type: String,
+    enum: ["stock", "crypto", "currency"],
+    required: true
+  },
+  symbol: { type: String, required: true, uppercase: true, trim: true },
+
+  // price_above / price_below compare the price with threshold;
+  // percent_change (since the alert was created) and daily_change (since the previous day's close) compare a move in %
+  condition: {
+    type: String,
+    enum: ["price_above", "price_below", "percent_change", "daily_change"],
+    required: true
+  },
+  threshold: { type: Number, required: true, min: 0 },
+  direction: { type: String, enum: ["up", "down", "either"], default: "either" }, // percent conditions only
+  referencePrice: { type: Number, default: null }, // price when created (percent_change)
+
+  // once: fires a single time; recurring: fires again each time the condition is met anew
+  mode: { type: String, enum: ["once", "recurring"], default: "once" },
+  status: { type: String, enum: ["active", "triggered", "disabled"], default: "active" },
+  armed: { type: Boolean, default: true }, // false until a recurring alert's condition clears
+  note: { type: String, default: "", maxlength: 200 },
+
+  triggerCount: { type: Number, default: 0 },
+  lastTriggeredAt: { type: Date, default: null },
+  lastPrice: { type: Number, default: null },
+  lastCheckedAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+PriceAlertSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The scheduler's query for an asset type, and the user's alert list
+PriceAlertSchema.index({ status: 1, assetType: 1, symbol: 1 });
+PriceAlertSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("PriceAlert", PriceAlertSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// A user's recurring buy (dollar-cost averaging): a fixed KES amount of one asset on a schedule
+const RecurringPlanSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  assetType: {
+    type: String,
+    enum: ["stock", "crypto", "currency"],
+    required: true
+  },
+  symbol: { type: String, required: true, uppercase: true, trim: true },
+  amount: { type: Number, required: true, min: 0 }, // KES spent per buy, fees included
+
+  // Runs at `time` (EAT) every day, on dayOfWeek (0 = Sunday) each week, or on dayOfMonth each month
+  frequency: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+  dayOfWeek: { type: Number, min: 0, max: 6, default: null },
+  dayOfMonth: { type: Number, min: 1, max: 28, default: null },
+  time: { type: String, default: "10:00" },
+
+  status: { type: String, enum: ["active", "paused"], default: "active" },
+  nextRunAt: { type: Date, required: true },
+  retryAfter: { type: Date, default: null }, // a deferred run is not picked up again before this
+  lastRunAt: { type: Date, default: null },
+
+  executionCount: { type: Number, default: 0 },
+  skipCount: { type: Number, default: 0 },
+  totalInvested: { type: Number, default: 0 }, // KES spent, fees included
+  totalQuantity: { type: Number, default: 0 },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+RecurringPlanSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The scheduler's query for due plans, and the user's plan list
+RecurringPlanSchema.index({ status: 1, nextRunAt: 1 });
+RecurringPlanSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("RecurringPlan", RecurringPlanSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// One scheduled run of a recurring plan: the buy it made, or why it was skipped
+const RecurringPlanExecutionSchema = new mongoose.Schema({
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: "RecurringPlan", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  assetType: { type: String, enum: ["stock", "crypto", "currency"], required: true },
+  symbol: { type: String, required: true },
+
+  status: { type: String, enum: ["executed", "skipped", "failed"], required: true },
+  reason: { type: String, default: null }, // skip or failure code, e.g. insufficient_balance
+  message: { type: String, default: null },
+
+  scheduledFor: { type: Date, required: true },
+  price: { type: Number, default: null },
+  quantity: { type: Number, default: null },
+  totalCost: { type: Number, default: null }, // KES debited, fees included
+  totalFees: { type: Number, default: null },
+  tradeId: { type: mongoose.Schema.Types.ObjectId, ref: "Trade", default: null },
+
+  executedAt: { type: Date, default: Date.now }
+});
+
+// A plan's history, newest first
+RecurringPlanExecutionSchema.index({ planId: 1, executedAt: -1 });
+
+export default mongoose.model("RecurringPlanExecution", RecurringPlanExecutionSchema);
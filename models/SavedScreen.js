@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// A user's named screener criteria, re-run on demand
+const SavedScreenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  criteria: { type: mongoose.Schema.Types.Mixed, required: true }, // normalized by the screener service
+  lastRunAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+SavedScreenSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Names are unique per user; also serves the user's list
+SavedScreenSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("SavedScreen", SavedScreenSchema);
@@ -9,6 +9,7 @@ const stockInfoSchema = new mongoose.Schema({
   name: String,
   description: String,
   currentPrice: String,
+  marketCap: String, // as scraped, e.g. "12.3 billionB"
   lastTrading: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -11,6 +11,15 @@ const SystemSettingsSchema = new mongoose.Schema({
   minTradeAmount: { type: Number, default: 100 },
   maxTradeAmount: { type: Number, default: 1000000 },
   
+  // Trading halts - whole asset types or individual symbols that cannot be traded
+  haltedAssetTypes: [{ type: String, enum: ["stock", "crypto", "currency"] }],
+  haltedSymbols: [{
+    assetType: { type: String, enum: ["stock", "crypto", "currency"], required: true },
+    symbol: { type: String, required: true, uppercase: true },
+    reason: { type: String, default: null },
+    haltedAt: { type: Date, default: Date.now }
+  }],
+  
   // Fee Configuration
   platformFeePercentage: { type: Number, default: 0.5, min: 0, max: 10 }, // 0.5% default, max 10%
   taxPercentage: { type: Number, default: 0.1, min: 0, max: 5 }, // 0.1% default, max 5%
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// One purchase of an asset, drawn down by later sells for realized P&L
+const TaxLotSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  assetType: {
+    type: String,
+    enum: ["stock", "crypto", "currency"],
+    required: true
+  },
+  assetSymbol: { type: String, required: true },
+  tradeId: { type: mongoose.Schema.Types.ObjectId, ref: "Trade", required: true }, // buy that opened the lot
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", default: null }, // null for the main account
+
+  quantity: { type: Number, required: true }, // units bought
+  remainingQuantity: { type: Number, required: true }, // units not yet sold
+  price: { type: Number, required: true }, // asset price per unit
+  unitCost: { type: Number, required: true }, // cost per unit including buy fees
+
+  acquiredAt: { type: Date, default: Date.now },
+  closedAt: { type: Date, default: null } // set once every unit has been sold
+});
+
+// Open lots for a holding in acquisition order (FIFO/LIFO consumption)
+TaxLotSchema.index({ userId: 1, assetType: 1, assetSymbol: 1, remainingQuantity: 1, acquiredAt: 1 });
+
+export default mongoose.model("TaxLot", TaxLotSchema);
@@ -13,6 +13,29 @@ const TradeSchema = new mongoose.Schema({
   quantity: { type: Number, required: true },
   price: { type: Number, required: true }, // price per asset
   
+  // Order that produced this trade (market trades have no order; recurring buys come from a plan,
+  // rebalance trades from a confirmed rebalancing batch)
+  orderType: {
+    type: String,
+    enum: ["market", "limit", "stop_loss", "take_profit", "trailing_stop", "recurring", "rebalance"],
+    default: "market"
+  },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  triggerPrice: { type: Number, default: null }, // stop level that fired a protective order
+  idempotencyKey: { type: String, default: null }, // Idempotency-Key header of the request that placed it
+  quoteId: { type: String, default: null }, // id of the locked-price quote it executed at
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", default: null }, // null for the main account
+  
+  // Realized P&L (sells) - proceeds after fees minus the cost of the tax lots sold
+  costBasis: { type: Number, default: null },
+  realizedPnL: { type: Number, default: null },
+  costBasisMethod: { type: String, enum: ["fifo", "lifo", "average", null], default: null },
+  lots: [{
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: "TaxLot" },
+    quantity: { type: Number },
+    unitCost: { type: Number }
+  }],
+  
   // Fee tracking fields
   platformFee: { type: Number, default: 0 },
   taxAmount: { type: Number, default: 0 },
@@ -34,4 +57,16 @@ const TradeSchema = new mongoose.Schema({
 // Compound index for efficient querying
 TradeSchema.index({ userId: 1, assetType: 1, assetSymbol: 1, timestamp: -1 });
 
+// A participant's trades in a competition
+TradeSchema.index({ competitionId: 1, userId: 1, timestamp: -1 });
+
+// Look up the trade a retried request produced
+TradeSchema.index({ userId: 1, idempotencyKey: 1 }, { sparse: true });
+
+// Each quote can be executed only once
+TradeSchema.index(
+  { quoteId: 1 },
+  { unique: true, partialFilterExpression: { quoteId: { $type: "string" } } }
+);
+
 export default mongoose.model("Trade", TradeSchema);
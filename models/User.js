@@ -7,11 +7,40 @@ const UserSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   passwordHash: { type: String, required: true },
 
-  // Roles: user (default), admin
-  role: { type: String, enum: ["user", "admin"], default: "user" },
+  // Roles: user (default), instructor (runs classrooms), admin
+  role: { type: String, enum: ["user", "instructor", "admin"], default: "user" },
 
   // Finance
   balance: { type: Number, default: 100000 },
+  costBasisMethod: { type: String, enum: ["fifo", "lifo", "average"], default: "fifo" }, // lots consumed on sells
+  customBenchmark: [{ // weighted benchmark the portfolio can be compared against
+    assetType: { type: String, enum: ["stock", "crypto", "currency", "index"] },
+    symbol: { type: String, uppercase: true },
+    weight: { type: Number }
+  }],
+  targetAllocation: [{ // weights rebalancing aims for; no symbol targets the whole asset type
+    assetType: { type: String, enum: ["stock", "crypto", "currency"] },
+    symbol: { type: String, uppercase: true, default: null },
+    weight: { type: Number } // percent of total value; the rest is held as cash
+  }],
+
+  // Notifications - the in-app inbox is always on; these choose the other channels
+  notificationPreferences: {
+    email: { type: Boolean, default: true },
+    push: { type: Boolean, default: true },
+    webhook: { type: Boolean, default: false },
+    webhookUrl: { type: String, default: null },
+    webhookSecret: { type: String, default: null, select: false }, // signs webhook payloads
+    mutedEvents: [{ type: String }] // events kept out of email, push and webhooks
+  },
+  pushSubscriptions: [{ // browser web push subscriptions
+    endpoint: { type: String, required: true },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true }
+    },
+    createdAt: { type: Date, default: Date.now }
+  }],
 
   // Localization
   region: { type: String, default: "US" },
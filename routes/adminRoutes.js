@@ -9,6 +9,8 @@ import {
   getPlatformStats,
   getSystemHealth,
   processStockData,
+  runPortfolioSnapshots,
+  rebuildCandles,
   getDataPipelineStatus
 } from "../controllers/adminController.js";
 import { 
@@ -19,6 +21,11 @@ import {
   getFeeSettings,
   updateFeeSettings
 } from "../controllers/adminControllerAdditional.js";
+import {
+  getMarketCalendar,
+  upsertCalendarOverride,
+  deleteCalendarOverride
+} from "../controllers/marketCalendarController.js";
 import { authenticate, authorizeRoles } from "../middleware/authMiddleware.js";
 import OHLCV from "../models/OHLCV.js";
 
@@ -31,6 +38,8 @@ router.get("/data-pipeline", authenticate, authorizeRoles("admin"), getDataPipel
 
 // Data Management
 router.post("/process-stocks", authenticate, authorizeRoles("admin"), processStockData);
+router.post("/portfolio-snapshots", authenticate, authorizeRoles("admin"), runPortfolioSnapshots);
+router.post("/candles/rebuild", authenticate, authorizeRoles("admin"), rebuildCandles);
 
 // System Settings
 router.get("/settings", authenticate, authorizeRoles("admin"), getSystemSettings);
@@ -40,6 +49,11 @@ router.put("/settings", authenticate, authorizeRoles("admin"), updateSystemSetti
 router.get("/fee-settings", authenticate, authorizeRoles("admin"), getFeeSettings);
 router.put("/fee-settings", authenticate, authorizeRoles("admin"), updateFeeSettings);
 
+// Market Calendar (sessions, holidays and overrides)
+router.get("/market-calendar", authenticate, authorizeRoles("admin"), getMarketCalendar);
+router.put("/market-calendar/overrides", authenticate, authorizeRoles("admin"), upsertCalendarOverride);
+router.delete("/market-calendar/overrides/:overrideId", authenticate, authorizeRoles("admin"), deleteCalendarOverride);
+
 // Activity Monitoring
 router.get("/activity", authenticate, authorizeRoles("admin"), getActivityLogs);
 router.get("/users/:userId/activity", authenticate, authorizeRoles("admin"), getUserActivitySummary);
@@ -0,0 +1,24 @@
+// routes/alertRoutes.js
+import express from "express";
+import {
+  getAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getAlertHistory
+} from "../controllers/alertController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All alert routes require authentication
+router.use(authenticate);
+
+router.get("/", getAlerts);
+router.post("/", createAlert);
+router.get("/history", getAlertHistory);
+router.patch("/:alertId", updateAlert);
+router.delete("/:alertId", deleteAlert);
+router.get("/:alertId/history", getAlertHistory);
+
+export default router;
@@ -11,6 +11,8 @@ import {
 } from "../services/fxFetcher.js";
 import { getLatestStockPrice, getHistoricalStockData } from "../services/stockFetcher.js";
 import OHLCV from "../models/OHLCV.js";
+import { getCandles } from "../services/candleService.js";
+import { getIndicators } from "../services/indicatorService.js";
 
 const router = express.Router();
 
@@ -67,11 +69,13 @@ router.get("/latest/:type/:symbol", async (req, res) => {
 
 /**
  * Get historical data for any asset type
- * GET /api/assets/history/:type/:symbol?limit=100
+ * GET /api/assets/history/:type/:symbol?limit=100&interval=1h
+ * Without interval this returns the raw snapshots; with one (5m, 15m, 1h, 1d, 1w) the latest candles
  */
 router.get("/history/:type/:symbol", async (req, res) => {
   try {
     const { type, symbol } = req.params;
+    const { interval } = req.query;
     const limit = parseInt(req.query.limit) || 100;
     
     // Validate asset type
@@ -82,6 +86,28 @@ router.get("/history/:type/:symbol", async (req, res) => {
       });
     }
     
+    if (interval) {
+      const candles = await getCandles(type, symbol, interval, { limit });
+      
+      if (candles.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No historical data found for ${type}:${symbol}`
+        });
+      }
+      
+      return res.json({
+        success: true,
+        data: {
+          type: type,
+          symbol: symbol,
+          interval: interval,
+          historical: candles,
+          count: candles.length
+        }
+      });
+    }
+    
     // Get historical data from MongoDB
     const historical = await OHLCV.getHistoricalData(type, symbol, limit);
     
@@ -111,6 +137,12 @@ router.get("/history/:type/:symbol", async (req, res) => {
     });
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error("Error getting historical data:", error);
     res.status(500).json({
       success: false,
@@ -120,6 +152,38 @@ router.get("/history/:type/:symbol", async (req, res) => {
   }
 });
 
+/**
+ * Get technical indicators for any asset
+ * GET /api/assets/indicators/:type/:symbol?indicators=sma:50,rsi:14,macd&interval=1h&limit=100
+ */
+router.get("/indicators/:type/:symbol", async (req, res) => {
+  try {
+    const { type, symbol } = req.params;
+    const { interval, indicators, limit, end } = req.query;
+    
+    const data = await getIndicators(type, symbol, { interval, indicators, limit, end });
+    
+    res.json({
+      success: true,
+      data: data
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Error computing indicators:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compute indicators",
+      error: error.message
+    });
+  }
+});
+
 /**
  * Search assets by type
  * GET /api/assets/search/:type?query=btc&limit=10
@@ -293,12 +357,13 @@ router.get("/overview", async (req, res) => {
 
 /**
  * Get price range for an asset
- * GET /api/assets/range/:type/:symbol?start=1695300000&end=1695300000
+ * GET /api/assets/range/:type/:symbol?start=1695300000&end=1695300000&interval=1d
+ * With an interval (5m, 15m, 1h, 1d, 1w) this returns the candles starting in the range (at most 1000)
  */
 router.get("/range/:type/:symbol", async (req, res) => {
   try {
     const { type, symbol } = req.params;
-    const { start, end } = req.query;
+    const { start, end, interval } = req.query;
     
     // Validate asset type
     if (!["stock", "crypto", "currency"].includes(type)) {
@@ -326,6 +391,23 @@ router.get("/range/:type/:symbol", async (req, res) => {
       });
     }
     
+    if (interval) {
+      const candles = await getCandles(type, symbol, interval, { from: startTime, to: endTime, limit: 1000 });
+      
+      return res.json({
+        success: true,
+        data: {
+          type: type,
+          symbol: symbol,
+          interval: interval,
+          startTime: startTime,
+          endTime: endTime,
+          data: candles,
+          count: candles.length
+        }
+      });
+    }
+    
     // Get price range from MongoDB
     const range = await OHLCV.getPriceRange(type, symbol, startTime, endTime);
     
@@ -350,6 +432,12 @@ router.get("/range/:type/:symbol", async (req, res) => {
     });
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error("Error getting price range:", error);
     res.status(500).json({
       success: false,
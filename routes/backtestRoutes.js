@@ -0,0 +1,21 @@
+// routes/backtestRoutes.js
+import express from "express";
+import {
+  createBacktest,
+  getBacktests,
+  getBacktest,
+  deleteBacktest
+} from "../controllers/backtestController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All backtest routes require authentication
+router.use(authenticate);
+
+router.get("/", getBacktests);
+router.post("/", createBacktest);
+router.get("/:backtestId", getBacktest);
+router.delete("/:backtestId", deleteBacktest);
+
+export default router;
@@ -0,0 +1,32 @@
+// routes/classroomRoutes.js
+import express from "express";
+import {
+  createClassroom,
+  getClassrooms,
+  joinClassroom,
+  getClassroom,
+  removeStudent,
+  getStudentPortfolio,
+  getStudentTrades,
+  getStudentActivity,
+  resetClassroom,
+  getClassroomLeaderboard
+} from "../controllers/classroomController.js";
+import { authenticate, authorizeRoles } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.get("/", authenticate, getClassrooms);
+router.post("/", authenticate, authorizeRoles("instructor", "admin"), createClassroom);
+router.post("/join", authenticate, joinClassroom);
+
+router.get("/:classroomId", authenticate, getClassroom);
+router.get("/:classroomId/leaderboard", authenticate, getClassroomLeaderboard);
+router.post("/:classroomId/reset", authenticate, resetClassroom);
+
+router.get("/:classroomId/students/:studentId/portfolio", authenticate, getStudentPortfolio);
+router.get("/:classroomId/students/:studentId/trades", authenticate, getStudentTrades);
+router.get("/:classroomId/students/:studentId/activity", authenticate, getStudentActivity);
+router.delete("/:classroomId/students/:studentId", authenticate, removeStudent);
+
+export default router;
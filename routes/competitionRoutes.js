@@ -0,0 +1,22 @@
+// routes/competitionRoutes.js
+import express from "express";
+import {
+  getCompetitions,
+  getCompetition,
+  createCompetition,
+  joinCompetition,
+  getCompetitionPortfolio,
+  getCompetitionStandings
+} from "../controllers/competitionController.js";
+import { authenticate, authorizeRoles } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.get("/", authenticate, getCompetitions);
+router.post("/", authenticate, authorizeRoles("admin"), createCompetition);
+router.get("/:competitionId", authenticate, getCompetition);
+router.post("/:competitionId/join", authenticate, joinCompetition);
+router.get("/:competitionId/portfolio", authenticate, getCompetitionPortfolio);
+router.get("/:competitionId/standings", authenticate, getCompetitionStandings);
+
+export default router;
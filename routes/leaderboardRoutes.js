@@ -1,9 +1,11 @@
 // routes/leaderboardRoutes.js
 import express from "express";
-import { getLeaderboard } from "../controllers/leaderboardController.js";
+import { getLeaderboard, getUserRank } from "../controllers/leaderboardController.js";
+import { authenticate, optionalAuthenticate } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-router.get("/", getLeaderboard);
+router.get("/", optionalAuthenticate, getLeaderboard);
+router.get("/rank", authenticate, getUserRank);
 
 export default router;
@@ -0,0 +1,31 @@
+// routes/notificationRoutes.js
+import express from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences,
+  getPushPublicKey,
+  subscribePush,
+  unsubscribePush
+} from "../controllers/notificationController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticate);
+
+router.get("/", getNotifications);
+router.post("/read-all", markAllNotificationsRead);
+router.get("/preferences", getPreferences);
+router.put("/preferences", updatePreferences);
+router.get("/push/public-key", getPushPublicKey);
+router.post("/push/subscriptions", subscribePush);
+router.delete("/push/subscriptions", unsubscribePush);
+router.patch("/:notificationId/read", markNotificationRead);
+router.delete("/:notificationId", deleteNotification);
+
+export default router;
@@ -1,6 +1,20 @@
 // routes/portfolioRoutes.js
 import express from "express";
-import { getPortfolio, getPortfolioSummary, getPortfolioHistory } from "../controllers/portfolioController.js";
+import {
+  getPortfolio,
+  getPortfolioSummary,
+  getPortfolioHistory,
+  getPortfolioSnapshots,
+  getPortfolioPerformance,
+  getBenchmark,
+  updateCustomBenchmark,
+  getPnL,
+  updateCostBasisMethod,
+  getTargetAllocation,
+  updateTargetAllocation,
+  getRebalancePlan,
+  executeRebalance
+} from "../controllers/portfolioController.js";
 import { authenticate } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -8,5 +22,15 @@ const router = express.Router();
 router.get("/", authenticate, getPortfolio);
 router.get("/summary", authenticate, getPortfolioSummary);
 router.get("/history", authenticate, getPortfolioHistory);
+router.get("/snapshots", authenticate, getPortfolioSnapshots);
+router.get("/performance", authenticate, getPortfolioPerformance);
+router.get("/benchmark", authenticate, getBenchmark);
+router.put("/benchmark", authenticate, updateCustomBenchmark);
+router.get("/pnl", authenticate, getPnL);
+router.put("/cost-basis-method", authenticate, updateCostBasisMethod);
+router.get("/target-allocation", authenticate, getTargetAllocation);
+router.put("/target-allocation", authenticate, updateTargetAllocation);
+router.get("/rebalance", authenticate, getRebalancePlan);
+router.post("/rebalance/execute", authenticate, executeRebalance);
 
 export default router;
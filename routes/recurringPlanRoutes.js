@@ -0,0 +1,23 @@
+// routes/recurringPlanRoutes.js
+import express from "express";
+import {
+  getPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getPlanHistory
+} from "../controllers/recurringPlanController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All recurring plan routes require authentication
+router.use(authenticate);
+
+router.get("/", getPlans);
+router.post("/", createPlan);
+router.patch("/:planId", updatePlan);
+router.delete("/:planId", deletePlan);
+router.get("/:planId/history", getPlanHistory);
+
+export default router;
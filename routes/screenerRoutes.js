@@ -0,0 +1,24 @@
+// routes/screenerRoutes.js
+import express from "express";
+import {
+  runScreen,
+  getScreens,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  runSavedScreen
+} from "../controllers/screenerController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Screening market data is public; saved screens belong to a user
+router.post("/run", runScreen);
+
+router.get("/screens", authenticate, getScreens);
+router.post("/screens", authenticate, createScreen);
+router.put("/screens/:screenId", authenticate, updateScreen);
+router.delete("/screens/:screenId", authenticate, deleteScreen);
+router.get("/screens/:screenId/run", authenticate, runSavedScreen);
+
+export default router;
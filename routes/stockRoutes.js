@@ -3,6 +3,7 @@ import { fetchNSEListings } from "../scraper.js";
 import Stock from "../models/Stock.js";
 import MarketIndex from "../models/MarketIndex.js";
 import TopPerformers from "../models/TopPerformers.js";
+import { SESSIONS, getCurrentMarketStatus } from "../services/marketCalendar.js";
 
 const router = express.Router();
 
@@ -135,29 +136,16 @@ router.get("/latest", async (req, res) => {
 router.get("/market-status", async (req, res) => {
   try {
     const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
-    const currentTime = currentHour * 60 + currentMinute;
-    
-    // NSE trading hours: 9:15 AM to 3:30 PM (IST)
-    const marketOpenTime = 9 * 60 + 15; // 9:15 AM
-    const marketCloseTime = 15 * 60 + 30; // 3:30 PM
-    
-    let marketStatus = "CLOSED";
-    let nextAction = "";
-    let timeToNextAction = 0;
-    
-    if (currentTime >= marketOpenTime && currentTime <= marketCloseTime) {
-      marketStatus = "OPEN";
-      timeToNextAction = marketCloseTime - currentTime;
-      nextAction = "Market closes in";
-    } else if (currentTime < marketOpenTime) {
-      timeToNextAction = marketOpenTime - currentTime;
-      nextAction = "Market opens in";
-    } else {
-      timeToNextAction = (24 * 60) - currentTime + marketOpenTime;
-      nextAction = "Market opens in";
-    }
+    const [stockStatus, cryptoStatus, currencyStatus] = await Promise.all([
+      getCurrentMarketStatus("stock", now),
+      getCurrentMarketStatus("crypto", now),
+      getCurrentMarketStatus("currency", now)
+    ]);
+
+    const marketStatus = stockStatus.status;
+    const nextChange = stockStatus.isOpen ? stockStatus.closesAt : stockStatus.opensAt;
+    const nextAction = stockStatus.isOpen ? "Market closes in" : "Market opens in";
+    const timeToNextAction = nextChange ? Math.max(0, Math.round((nextChange - now) / 60000)) : 0;
     
     // Get latest market data
     const [latestStock, marketIndex] = await Promise.all([
@@ -171,9 +159,17 @@ router.get("/market-status", async (req, res) => {
     res.json({
       marketStatus,
       tradingHours: {
-        open: "09:15 AM",
-        close: "03:30 PM",
-        timezone: "IST"
+        open: stockStatus.session?.open || SESSIONS.stock.open,
+        close: stockStatus.session?.close || SESSIONS.stock.close,
+        timezone: "EAT"
+      },
+      reason: stockStatus.reason,
+      opensAt: stockStatus.opensAt,
+      closesAt: stockStatus.closesAt,
+      sessions: {
+        stock: stockStatus,
+        crypto: cryptoStatus,
+        currency: currencyStatus
       },
       currentTime: now.toISOString(),
       nextAction: `${nextAction} ${hours}h ${minutes}m`,
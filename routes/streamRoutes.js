@@ -0,0 +1,14 @@
+// routes/streamRoutes.js
+import express from "express";
+import { streamEvents, getStreamToken } from "../controllers/streamController.js";
+import { authenticate, optionalStreamAuthenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Server-Sent Events; the WebSocket stream is served on /api/stream/ws
+router.get("/", optionalStreamAuthenticate, streamEvents);
+
+// Short-lived token for the ?token= of either stream
+router.post("/token", authenticate, getStreamToken);
+
+export default router;
@@ -7,9 +7,12 @@ import {
   searchAssets, 
   getUserTrades,
   getTradeFees,
+  getTradeQuote,
   validateAssetPrice 
 } from "../controllers/unifiedTradeController.js";
+import { placeOrder, getOrders, updateOrder, deleteOrder } from "../controllers/orderController.js";
 import { authenticate } from "../middleware/authMiddleware.js";
+import { idempotency } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
@@ -21,7 +24,14 @@ router.get("/fees", getTradeFees);
 
 // Protected routes (authentication required)
 router.get("/", authenticate, getUserTrades);
-router.post("/buy", authenticate, buyAsset);
-router.post("/sell", authenticate, sellAsset);
+router.post("/quote", authenticate, getTradeQuote);
+router.post("/buy", authenticate, idempotency, buyAsset);
+router.post("/sell", authenticate, idempotency, sellAsset);
+
+// Pending order book (limit orders)
+router.get("/orders", authenticate, getOrders);
+router.post("/orders", authenticate, placeOrder);
+router.patch("/orders/:orderId", authenticate, updateOrder);
+router.delete("/orders/:orderId", authenticate, deleteOrder);
 
 export default router;
@@ -3,10 +3,63 @@ import { processAndStoreCryptoData } from "../services/cryptoFetcher.js";
 import { processAndStoreFXData } from "../services/fxFetcher.js";
 import { processAndStoreStockData } from "../services/stockFetcher.js";
 import { updateAllData as updateNSEData } from "../scheduler.js"; // Existing NSE scraper
+import { processOpenOrders, processProtectiveOrders } from "../services/orderService.js";
+import { takeDailySnapshots } from "../services/portfolioSnapshotService.js";
+import { refreshLeaderboards } from "../services/leaderboardService.js";
+import { finalizeCompetitions } from "../services/competitionService.js";
+import { evaluateAlerts } from "../services/alertService.js";
+import { processPendingDeliveries } from "../services/notificationService.js";
+import { rebuildAllCandles } from "../services/candleService.js";
+import { processQueuedBacktests } from "../services/backtestService.js";
+import { processDuePlans } from "../services/recurringPlanService.js";
 
 // Flag to prevent overlapping executions
 let isScrapingInProgress = false;
 
+/**
+ * Fill open limit orders against the prices just stored for an asset type
+ * Failures are logged so they never abort a data update
+ */
+async function matchOpenOrders(assetType) {
+  try {
+    const result = await processOpenOrders(assetType);
+    if (result.checked > 0) {
+      console.log(`📒 ${assetType} orders: ${result.filled} filled, ${result.expired} expired, ${result.rejected} rejected of ${result.checked} open`);
+    }
+  } catch (error) {
+    console.error(`❌ Error matching ${assetType} orders:`, error);
+  }
+}
+
+/**
+ * Check users' price alerts against the prices just stored for an asset type
+ * Failures are logged so they never abort a data update
+ */
+async function checkPriceAlerts(assetType) {
+  try {
+    const result = await evaluateAlerts(assetType);
+    if (result.triggered > 0) {
+      console.log(`🔔 ${assetType} alerts: ${result.triggered} triggered of ${result.checked} active`);
+    }
+  } catch (error) {
+    console.error(`❌ Error checking ${assetType} alerts:`, error);
+  }
+}
+
+/**
+ * Fire stop-loss, take-profit and trailing-stop orders once all prices are refreshed
+ */
+async function evaluateProtectiveOrders() {
+  try {
+    const result = await processProtectiveOrders();
+    if (result.checked > 0) {
+      console.log(`🛡️ Protective orders: ${result.triggered} triggered, ${result.expired} expired, ${result.rejected} rejected of ${result.checked} open`);
+    }
+  } catch (error) {
+    console.error("❌ Error evaluating protective orders:", error);
+  }
+}
+
 /**
  * Update all asset data with MongoDB-first approach
  * This ensures all data is stored in MongoDB before being served to frontend
@@ -27,15 +80,24 @@ async function updateAllAssetData() {
     // Update all asset types sequentially to avoid resource conflicts
     console.log("📊 Updating cryptocurrency data...");
     await processAndStoreCryptoData();
+    await matchOpenOrders("crypto");
+    await checkPriceAlerts("crypto");
     
     console.log("💱 Updating FX data...");
     await processAndStoreFXData();
+    await matchOpenOrders("currency");
+    await checkPriceAlerts("currency");
     
     console.log("📈 Updating NSE stocks data...");
     await updateNSEData();
     
     console.log("📊 Processing stock data for OHLCV collection...");
     await processAndStoreStockData();
+    await matchOpenOrders("stock");
+    await checkPriceAlerts("stock");
+    
+    console.log("🛡️ Evaluating protective orders...");
+    await evaluateProtectiveOrders();
     
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000;
@@ -65,6 +127,8 @@ async function updateCryptoData() {
   try {
     console.log("🔄 Updating cryptocurrency data...");
     await processAndStoreCryptoData();
+    await matchOpenOrders("crypto");
+    await checkPriceAlerts("crypto");
     console.log("✅ Cryptocurrency data updated successfully");
   } catch (error) {
     console.error("❌ Error updating cryptocurrency data:", error);
@@ -79,6 +143,8 @@ async function updateFXData() {
   try {
     console.log("🔄 Updating FX data...");
     await processAndStoreFXData();
+    await matchOpenOrders("currency");
+    await checkPriceAlerts("currency");
     console.log("✅ FX data updated successfully");
   } catch (error) {
     console.error("❌ Error updating FX data:", error);
@@ -101,6 +167,100 @@ async function updateStocksData() {
   }
 }
 
+/**
+ * Record every user's end-of-day portfolio snapshot
+ */
+async function snapshotPortfolios() {
+  try {
+    console.log("📸 Taking daily portfolio snapshots...");
+    const result = await takeDailySnapshots();
+    console.log(`✅ Portfolio snapshots for ${result.date}: ${result.written} written, ${result.failed} failed of ${result.users} users`);
+  } catch (error) {
+    console.error("❌ Error taking portfolio snapshots:", error);
+  }
+}
+
+/**
+ * Recompute the cached leaderboards from the latest stored prices
+ */
+async function rankLeaderboards() {
+  try {
+    const result = await refreshLeaderboards();
+    console.log(`🏆 Leaderboards ranked for ${result.users} users${result.failed ? ` (${result.failed} failed)` : ""}`);
+  } catch (error) {
+    console.error("❌ Error ranking leaderboards:", error);
+  }
+}
+
+/**
+ * Freeze the standings of competitions that have ended
+ */
+async function closeCompetitions() {
+  try {
+    const result = await finalizeCompetitions();
+    if (result.finalized > 0) {
+      console.log(`🏁 Finalized ${result.finalized} competition(s)`);
+    }
+  } catch (error) {
+    console.error("❌ Error finalizing competitions:", error);
+  }
+}
+
+/**
+ * Retry notification deliveries that failed and are due again
+ */
+async function retryNotifications() {
+  try {
+    const result = await processPendingDeliveries();
+    if (result.attempted > 0) {
+      console.log(`📨 Notification retries: ${result.sent} sent, ${result.failed} failed of ${result.attempted} due`);
+    }
+  } catch (error) {
+    console.error("❌ Error retrying notifications:", error);
+  }
+}
+
+/**
+ * Rebuild every candle from the raw snapshots (candles are otherwise rolled up as prices arrive)
+ */
+async function rebuildCandleHistory() {
+  try {
+    console.log("🕯️ Rebuilding candles from stored snapshots...");
+    const result = await rebuildAllCandles();
+    console.log(`✅ Candles rebuilt: ${result.candles} for ${result.assets} assets${result.failed ? ` (${result.failed} failed)` : ""}`);
+  } catch (error) {
+    console.error("❌ Error rebuilding candles:", error);
+  }
+}
+
+/**
+ * Run backtests still queued, e.g. ones submitted before a restart
+ */
+async function runQueuedBacktests() {
+  try {
+    const result = await processQueuedBacktests();
+    if (result.completed + result.failed > 0) {
+      console.log(`🧪 Backtests: ${result.completed} completed, ${result.failed} failed`);
+    }
+  } catch (error) {
+    console.error("❌ Error running queued backtests:", error);
+  }
+}
+
+/**
+ * Execute users' recurring buys that are due
+ */
+async function runRecurringPlans() {
+  try {
+    const result = await processDuePlans();
+    if (result.due > 0) {
+      console.log(`🔁 Recurring buys: ${result.executed} executed, ${result.skipped} skipped, ${result.deferred} waiting, ${result.failed} failed of ${result.due} due`);
+    }
+  } catch (error) {
+    console.error("❌ Error running recurring plans:", error);
+  }
+}
+
 // Create cron jobs for different update frequencies
 const cryptoJob = cron.schedule("*/5 * * * *", updateCryptoData, {
   scheduled: false
@@ -120,6 +280,37 @@ const allAssetsJob = cron.schedule("*/5 * * * *", updateAllAssetData, {
   scheduled: false
 });
 
+// Nightly portfolio snapshots, after the last price updates of the Nairobi day
+const snapshotJob = cron.schedule("55 23 * * *", snapshotPortfolios, {
+  scheduled: false,
+  timezone: "Africa/Nairobi"
+});
+
+// Leaderboard rankings, a few minutes after each quarter-hour price update
+const leaderboardJob = cron.schedule("3,18,33,48 * * * *", rankLeaderboards, {
+  scheduled: false
+});
+
+// Competition finalization, shortly after each competition ends
+const competitionJob = cron.schedule("*/5 * * * *", closeCompetitions, {
+  scheduled: false
+});
+
+// Notification delivery retries
+const notificationJob = cron.schedule("* * * * *", retryNotifications, {
+  scheduled: false
+});
+
+// Recurring buys, a minute after each five-minute price update
+const recurringPlanJob = cron.schedule("1-59/5 * * * *", runRecurringPlans, {
+  scheduled: false
+});
+
+// Backtest queue pickup (submissions normally start the worker straight away)
+const backtestJob = cron.schedule("* * * * *", runQueuedBacktests, {
+  scheduled: false
+});
+
 /**
  * Start all schedulers
  */
@@ -129,11 +320,23 @@ function startAllSchedulers() {
     cryptoJob.start();
     fxJob.start();
     stocksJob.start();
+    snapshotJob.start();
+    leaderboardJob.start();
+    competitionJob.start();
+    notificationJob.start();
+    backtestJob.start();
+    recurringPlanJob.start();
     
     console.log("✅ Asset schedulers started:");
     console.log("  📊 Cryptocurrency: Every 5 minutes");
     console.log("  💱 FX: Every hour");
     console.log("  📈 NSE Stocks: Every 5 minutes");
+    console.log("  📸 Portfolio snapshots: Daily at 23:55 EAT");
+    console.log("  🏆 Leaderboards: Every 15 minutes");
+    console.log("  🏁 Competition finalization: Every 5 minutes");
+    console.log("  📨 Notification retries: Every minute");
+    console.log("  🧪 Queued backtests: Every minute");
+    console.log("  🔁 Recurring buys: Every 5 minutes");
     
   } catch (error) {
     console.error("❌ Error starting schedulers:", error);
@@ -147,7 +350,19 @@ function startAllSchedulers() {
 function startCombinedScheduler() {
   try {
     allAssetsJob.start();
+    snapshotJob.start();
+    leaderboardJob.start();
+    competitionJob.start();
+    notificationJob.start();
+    backtestJob.start();
+    recurringPlanJob.start();
     console.log("✅ Combined asset scheduler started - all assets every 5 minutes");
+    console.log("✅ Portfolio snapshot job started - daily at 23:55 EAT");
+    console.log("✅ Leaderboard job started - every 15 minutes");
+    console.log("✅ Competition finalization job started - every 5 minutes");
+    console.log("✅ Notification retry job started - every minute");
+    console.log("✅ Backtest queue job started - every minute");
+    console.log("✅ Recurring buy job started - every 5 minutes");
   } catch (error) {
     console.error("❌ Error starting combined scheduler:", error);
     throw error;
@@ -163,6 +378,12 @@ function stopAllSchedulers() {
     fxJob.stop();
     stocksJob.stop();
     allAssetsJob.stop();
+    snapshotJob.stop();
+    leaderboardJob.stop();
+    competitionJob.stop();
+    notificationJob.stop();
+    backtestJob.stop();
+    recurringPlanJob.stop();
     
     console.log("✅ All asset schedulers stopped");
   } catch (error) {
@@ -180,6 +401,12 @@ function getSchedulerStatus() {
     fx: fxJob.running,
     stocks: stocksJob.running,
     allAssets: allAssetsJob.running,
+    portfolioSnapshots: snapshotJob.running,
+    leaderboards: leaderboardJob.running,
+    competitions: competitionJob.running,
+    notifications: notificationJob.running,
+    backtests: backtestJob.running,
+    recurringPlans: recurringPlanJob.running,
     isScrapingInProgress: isScrapingInProgress
   };
 }
@@ -201,6 +428,32 @@ async function triggerManualUpdate(assetType = "all") {
       case "stocks":
         await updateStocksData();
         break;
+      case "snapshots":
+        await snapshotPortfolios();
+        break;
+      case "leaderboards":
+        await rankLeaderboards();
+        break;
+      case "competitions":
+        await closeCompetitions();
+        break;
+      case "alerts":
+        for (const assetType of ["crypto", "currency", "stock"]) {
+          await checkPriceAlerts(assetType);
+        }
+        break;
+      case "notifications":
+        await retryNotifications();
+        break;
+      case "candles":
+        await rebuildCandleHistory();
+        break;
+      case "backtests":
+        await runQueuedBacktests();
+        break;
+      case "recurring":
+        await runRecurringPlans();
+        break;
       case "all":
       default:
         await updateAllAssetData();
@@ -219,6 +472,13 @@ export {
   updateCryptoData,
   updateFXData,
   updateStocksData,
+  snapshotPortfolios,
+  rankLeaderboards,
+  closeCompetitions,
+  retryNotifications,
+  rebuildCandleHistory,
+  runQueuedBacktests,
+  runRecurringPlans,
   startAllSchedulers,
   startCombinedScheduler,
   stopAllSchedulers,
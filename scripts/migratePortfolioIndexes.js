@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Portfolio from '../models/Portfolio.js';
+
+/**
+ * Migration script for competition accounts
+ * Holdings used to be unique per { userId, assetType, assetSymbol }. A competition holding of an
+ * asset the user also holds in their main account breaks that index (E11000), so this script will:
+ * 1. Drop the old unique index
+ * 2. Create the { userId, assetType, assetSymbol, competitionId } index the model now declares
+ * Safe to run more than once.
+ */
+
+const OLD_INDEX_KEY = { userId: 1, assetType: 1, assetSymbol: 1 };
+
+async function migratePortfolioIndexes() {
+  try {
+    console.log('🔄 Starting portfolio index migration...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/avodal-finance');
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await Portfolio.collection.indexes();
+    const oldIndex = indexes.find(index => JSON.stringify(index.key) === JSON.stringify(OLD_INDEX_KEY));
+
+    if (oldIndex) {
+      await Portfolio.collection.dropIndex(oldIndex.name);
+      console.log(`✅ Dropped old index ${oldIndex.name}`);
+    } else {
+      console.log('ℹ️  Old index not found or already dropped');
+    }
+
+    // Build whatever the schema declares that the collection is still missing
+    await Portfolio.createIndexes();
+    console.log('✅ Created the per-account holding index');
+
+    console.log('\n🎉 Portfolio index migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migratePortfolioIndexes();
+}
+
+export default migratePortfolioIndexes;
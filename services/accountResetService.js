@@ -0,0 +1,53 @@
+import User from "../models/User.js";
+import Portfolio from "../models/Portfolio.js";
+import Trade from "../models/Trade.js";
+import TaxLot from "../models/TaxLot.js";
+import Order from "../models/Order.js";
+import PortfolioSnapshot from "../models/PortfolioSnapshot.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { publishBalance } from "./streamService.js";
+
+/**
+ * Account Reset Service
+ * Wipes a user's main trading account back to a fresh balance.
+ * Competition accounts are left alone.
+ */
+
+const DEFAULT_STARTING_BALANCE = 100000;
+
+/**
+ * Reset a user's main account: new balance, no holdings, trades, tax lots, orders or snapshots
+ * Everything is reset in one transaction, so a trade committing meanwhile either lands before the
+ * reset (and is wiped with it) or conflicts with the balance write and retries after it
+ * @param {ObjectId} userId - Account to reset
+ * @param {number} startingBalance - Balance the account starts over with
+ * @returns {Object|null} Updated user document, or null if the user does not exist
+ */
+async function resetTradingAccount(userId, startingBalance = DEFAULT_STARTING_BALANCE) {
+  const user = await runInTransaction(async (session) => {
+    const updated = await User.findByIdAndUpdate(userId, { balance: startingBalance }, { new: true, session });
+    if (!updated) return null;
+
+    // Delete the main account's holdings, trade history and tax lots
+    await Portfolio.deleteMany({ userId, competitionId: null }, { session });
+    await Trade.deleteMany({ userId, competitionId: null }, { session });
+    await TaxLot.deleteMany({ userId, competitionId: null }, { session });
+
+    // Pending orders go too (their reservations went with the old balance)
+    await Order.deleteMany({ userId }, { session });
+
+    // Performance history starts over with the new balance
+    await PortfolioSnapshot.deleteMany({ userId }, { session });
+
+    return updated;
+  });
+  if (!user) return null;
+
+  publishBalance(user._id, user.balance);
+  return user;
+}
+
+export {
+  DEFAULT_STARTING_BALANCE,
+  resetTradingAccount
+};
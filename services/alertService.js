@@ -0,0 +1,367 @@
+import mongoose from "mongoose";
+import PriceAlert from "../models/PriceAlert.js";
+import AlertTrigger from "../models/AlertTrigger.js";
+import OHLCV from "../models/OHLCV.js";
+import { toLocalDateKey, eatTimeToDate } from "./marketCalendar.js";
+import { notifyInBackground } from "./notificationService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Alert Service
+ * User-defined price alerts on any asset in the OHLCV store, evaluated after each scheduler price update.
+ * Alerts are edge-triggered: a recurring alert fires when its condition becomes true, then waits
+ * for the condition to clear before it can fire again. One-shot alerts retire after firing.
+ */
+
+const ALERT_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const ALERT_CONDITIONS = ['price_above', 'price_below', 'percent_change', 'daily_change'];
+const ALERT_DIRECTIONS = ['up', 'down', 'either'];
+const ALERT_MODES = ['once', 'recurring'];
+const MAX_ALERTS_PER_USER = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Check the settings shared by creating and editing an alert
+ */
+function validateAlertSettings({ condition, threshold, direction, mode, note }) {
+  if (condition !== undefined && !ALERT_CONDITIONS.includes(condition)) {
+    throw httpError(`Condition must be one of: ${ALERT_CONDITIONS.join(', ')}`);
+  }
+
+  if (threshold !== undefined && (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold <= 0)) {
+    throw httpError("threshold must be a positive number");
+  }
+
+  if (direction !== undefined && !ALERT_DIRECTIONS.includes(direction)) {
+    throw httpError(`direction must be one of: ${ALERT_DIRECTIONS.join(', ')}`);
+  }
+
+  if (mode !== undefined && !ALERT_MODES.includes(mode)) {
+    throw httpError(`mode must be one of: ${ALERT_MODES.join(', ')}`);
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 200)) {
+    throw httpError("note must be text of at most 200 characters");
+  }
+}
+
+/**
+ * Load one of the user's alerts
+ * @throws 404 when it does not exist or belongs to someone else
+ */
+async function findAlert(userId, alertId) {
+  const alert = mongoose.isValidObjectId(alertId)
+    ? await PriceAlert.findOne({ _id: alertId, userId })
+    : null;
+
+  if (!alert) {
+    throw httpError("Alert not found", 404);
+  }
+  return alert;
+}
+
+/**
+ * Start of the current Nairobi day; the last price before it is the previous close
+ */
+function getDayStart(now) {
+  return eatTimeToDate(toLocalDateKey(now), '00:00');
+}
+
+/**
+ * Last stored price before an instant
+ */
+async function getPriceBefore(assetType, symbol, before) {
+  const previous = await OHLCV.findOne({ type: assetType, symbol, timestamp: { $lt: before.getTime() }, valueKES: { $gt: 0 } })
+    .sort({ timestamp: -1 })
+    .select('valueKES')
+    .lean();
+  return previous ? previous.valueKES : null;
+}
+
+/**
+ * Whether an alert's condition holds at a price
+ * @param {Object} alert - { condition, threshold, direction, referencePrice }
+ * @param {Object} prices - { price, previousClose }
+ * @returns {Object} { met, basePrice, changePercent }
+ */
+function checkCondition(alert, { price, previousClose = null }) {
+  if (alert.condition === 'price_above') {
+    return { met: price >= alert.threshold, basePrice: null, changePercent: null };
+  }
+
+  if (alert.condition === 'price_below') {
+    return { met: price <= alert.threshold, basePrice: null, changePercent: null };
+  }
+
+  const basePrice = alert.condition === 'daily_change' ? previousClose : alert.referencePrice;
+  if (!basePrice || basePrice <= 0) {
+    return { met: false, basePrice: null, changePercent: null };
+  }
+
+  const changePercent = ((price - basePrice) / basePrice) * 100;
+  const met = (alert.direction !== 'down' && changePercent >= alert.threshold)
+    || (alert.direction !== 'up' && changePercent <= -alert.threshold);
+
+  return { met, basePrice, changePercent };
+}
+
+/**
+ * Human-readable description of a firing
+ */
+function describeTrigger(alert, price, changePercent) {
+  const asset = `${alert.symbol} (${alert.assetType})`;
+
+  if (alert.condition === 'price_above') return `${asset} is at KSh ${price.toFixed(2)}, above KSh ${alert.threshold.toFixed(2)}`;
+  if (alert.condition === 'price_below') return `${asset} is at KSh ${price.toFixed(2)}, below KSh ${alert.threshold.toFixed(2)}`;
+
+  const since = alert.condition === 'daily_change' ? "today" : "since the alert was set";
+  const sign = changePercent >= 0 ? '+' : '';
+  return `${asset} moved ${sign}${changePercent.toFixed(2)}% ${since} to KSh ${price.toFixed(2)}`;
+}
+
+/**
+ * Create an alert on an asset with stored prices
+ * @param {ObjectId} userId - Owner
+ * @param {Object} data - { assetType, symbol, condition, threshold, direction, mode, note }
+ * @returns {Object} PriceAlert document
+ */
+async function createAlert(userId, data) {
+  const { assetType, condition, threshold, direction = 'either', mode = 'once', note = '' } = data;
+  const symbol = typeof data.symbol === 'string' ? data.symbol.trim().toUpperCase() : '';
+
+  if (!ALERT_ASSET_TYPES.includes(assetType)) {
+    throw httpError(`assetType must be one of: ${ALERT_ASSET_TYPES.join(', ')}`);
+  }
+  if (!symbol) {
+    throw httpError("symbol is required");
+  }
+  if (condition === undefined || threshold === undefined) {
+    throw httpError("condition and threshold are required");
+  }
+  validateAlertSettings({ condition, threshold, direction, mode, note });
+
+  const latest = await OHLCV.getLatestPrice(assetType, symbol);
+  if (!latest || !(latest.valueKES > 0)) {
+    throw httpError(`No price data for ${assetType}:${symbol}`, 404);
+  }
+
+  if (await PriceAlert.countDocuments({ userId, status: { $ne: 'triggered' } }) >= MAX_ALERTS_PER_USER) {
+    throw httpError(`You can have up to ${MAX_ALERTS_PER_USER} alerts`);
+  }
+
+  return PriceAlert.create({
+    userId,
+    assetType,
+    symbol,
+    condition,
+    threshold,
+    direction,
+    mode,
+    note,
+    referencePrice: latest.valueKES,
+    lastPrice: latest.valueKES
+  });
+}
+
+/**
+ * The user's alerts, newest first
+ * @param {Object} options - { status }
+ */
+async function listAlerts(userId, { status } = {}) {
+  const filter = { userId };
+  if (status) filter.status = status;
+  return PriceAlert.find(filter).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Edit an alert's settings, or enable/disable it
+ * Changing the trigger settings or re-enabling an alert arms it again
+ * @param {Object} changes - { threshold, direction, mode, note, status }
+ * @returns {Object} Updated PriceAlert document
+ */
+async function updateAlert(userId, alertId, changes) {
+  const alert = await findAlert(userId, alertId);
+  const { threshold, direction, mode, note, status } = changes;
+
+  validateAlertSettings({ threshold, direction, mode, note });
+  if (status !== undefined && !['active', 'disabled'].includes(status)) {
+    throw httpError("status can be set to active or disabled");
+  }
+
+  if (threshold !== undefined) alert.threshold = threshold;
+  if (direction !== undefined) alert.direction = direction;
+  if (mode !== undefined) alert.mode = mode;
+  if (note !== undefined) alert.note = note;
+  if (status !== undefined) alert.status = status;
+
+  if (threshold !== undefined || direction !== undefined || status === 'active') {
+    alert.armed = true;
+  }
+
+  await alert.save();
+  return alert;
+}
+
+/**
+ * Delete an alert; its trigger history is kept
+ */
+async function deleteAlert(userId, alertId) {
+  const alert = await findAlert(userId, alertId);
+  await alert.deleteOne();
+  return alert;
+}
+
+/**
+ * The user's trigger history, newest first, optionally for one alert
+ * @param {Object} options - { alertId, page, limit }
+ * @returns {Object} { triggers, pagination }
+ */
+async function getAlertHistory(userId, { alertId, page = 1, limit = 50 } = {}) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  const filter = { userId };
+  if (alertId) {
+    if (!mongoose.isValidObjectId(alertId)) {
+      throw httpError("Alert not found", 404);
+    }
+    filter.alertId = alertId;
+  }
+
+  const [triggers, total] = await Promise.all([
+    AlertTrigger.find(filter).sort({ triggeredAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+    AlertTrigger.countDocuments(filter)
+  ]);
+
+  return {
+    triggers,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Fire an alert: retire (once) or disarm (recurring) it, then record the trigger and notify the user
+ * The state is written first and only while the alert is still active and armed, so an alert
+ * checked by two runs at once fires once.
+ * @returns {Object|null} AlertTrigger document, or null when another run already fired the alert
+ */
+async function fireAlert(alert, price, basePrice, changePercent, now) {
+  const fired = await PriceAlert.findOneAndUpdate(
+    { _id: alert._id, status: 'active', armed: true },
+    {
+      $set: {
+        armed: false,
+        ...(alert.mode === 'once' ? { status: 'triggered' } : {}),
+        lastTriggeredAt: now,
+        lastPrice: price,
+        lastCheckedAt: now,
+        updatedAt: now
+      },
+      $inc: { triggerCount: 1 }
+    },
+    { new: true }
+  );
+  if (!fired) return null;
+
+  const trigger = await AlertTrigger.create({
+    alertId: alert._id,
+    userId: alert.userId,
+    assetType: alert.assetType,
+    symbol: alert.symbol,
+    condition: alert.condition,
+    threshold: alert.threshold,
+    price,
+    basePrice,
+    changePercent,
+    message: describeTrigger(alert, price, changePercent),
+    triggeredAt: now
+  });
+
+  notifyInBackground(alert.userId, 'alert_triggered', {
+    alertId: alert._id,
+    triggerId: trigger._id,
+    assetType: alert.assetType,
+    symbol: alert.symbol,
+    condition: alert.condition,
+    price,
+    changePercent,
+    message: trigger.message,
+    noteText: alert.note ? ` Note: ${alert.note}` : ''
+  });
+
+  return trigger;
+}
+
+/**
+ * Check every active alert on an asset type against the latest stored prices
+ * Failures are logged per alert so one bad alert never stops the rest
+ * @param {string} assetType - Asset type whose prices were just updated
+ * @param {Date} now - Time of the check
+ * @returns {Object} { checked, triggered, triggers }
+ */
+async function evaluateAlerts(assetType, now = new Date()) {
+  const result = { checked: 0, triggered: 0, triggers: [] };
+  const alerts = await PriceAlert.find({ status: 'active', assetType });
+
+  // Group by symbol so each price is looked up once
+  const alertsBySymbol = new Map();
+  alerts.forEach(alert => {
+    if (!alertsBySymbol.has(alert.symbol)) {
+      alertsBySymbol.set(alert.symbol, []);
+    }
+    alertsBySymbol.get(alert.symbol).push(alert);
+  });
+
+  for (const [symbol, symbolAlerts] of alertsBySymbol) {
+    const latest = await OHLCV.getLatestPrice(assetType, symbol);
+    const price = latest ? latest.valueKES : null;
+    if (!price || price <= 0) continue;
+
+    const previousClose = symbolAlerts.some(alert => alert.condition === 'daily_change')
+      ? await getPriceBefore(assetType, symbol, getDayStart(now))
+      : null;
+
+    for (const alert of symbolAlerts) {
+      result.checked++;
+
+      try {
+        const { met, basePrice, changePercent } = checkCondition(alert, { price, previousClose });
+
+        if (met && alert.armed) {
+          // fireAlert saves the alert itself
+          const trigger = await fireAlert(alert, price, basePrice, changePercent, now);
+          if (trigger) {
+            result.triggers.push(trigger);
+            result.triggered++;
+          }
+          continue;
+        }
+
+        if (!met && !alert.armed) {
+          alert.armed = true; // condition cleared, so a recurring alert can fire again
+        }
+
+        alert.lastPrice = price;
+        alert.lastCheckedAt = now;
+        await alert.save();
+      } catch (error) {
+        console.error(`❌ Error evaluating alert ${alert._id} for ${assetType}:${symbol}:`, error.message);
+      }
+    }
+  }
+
+  return result;
+}
+
+export {
+  ALERT_CONDITIONS,
+  ALERT_DIRECTIONS,
+  ALERT_MODES,
+  checkCondition,
+  createAlert,
+  listAlerts,
+  updateAlert,
+  deleteAlert,
+  getAlertHistory,
+  evaluateAlerts
+};
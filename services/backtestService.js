@@ -0,0 +1,602 @@
+import mongoose from "mongoose";
+import Backtest from "../models/Backtest.js";
+import OHLCV from "../models/OHLCV.js";
+import { CANDLE_INTERVALS, getCandles } from "./candleService.js";
+import { parseIndicatorSpecs, getWarmupBars, computeIndicatorSeries } from "./indicatorService.js";
+import { mean, standardDeviation, getRiskFreeRate } from "./performanceService.js";
+import { calculateFees, getCurrentFeeConfiguration, getAffordableTradeAmount } from "../utils/feeCalculator.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Backtest Service
+ * Runs declarative long-only strategies over an asset's stored candles and reports the equity
+ * curve, the round trips and performance statistics.
+ * Rules are checked on each bar's close and acted on at the next bar's open, so a signal never
+ * trades on a price it could not have seen. Stop-loss and take-profit levels are checked against
+ * each bar's range, the stop first when both are touched. Fees follow the platform's fee settings
+ * at the time the job runs.
+ * Backtests are jobs: submitting queues one, a single in-process worker runs them one at a time,
+ * and the scheduler picks up anything left queued (e.g. after a restart).
+ */
+
+const BACKTEST_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const RULE_OPERATORS = ['lt', 'lte', 'gt', 'gte', 'crosses_above', 'crosses_below'];
+const BAR_OPERANDS = ['price', 'open', 'high', 'low', 'close', 'volume'];
+const POSITION_SIZING_TYPES = ['percent_of_equity', 'fixed_amount', 'fixed_quantity'];
+const MAX_RULES = 10;
+const MAX_BACKTEST_BARS = 5000;
+const CANDLE_PAGE_SIZE = 1000;
+const DEFAULT_LOOKBACK_MS = 365 * 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_ACTIVE_BACKTESTS_PER_USER = 3;
+const STALE_RUNNING_MS = 15 * 60 * 1000;
+const MAX_PAGE_SIZE = 100;
+
+// Indicators returning several values, and the one an operand without a field reads
+const INDICATOR_FIELDS = {
+  macd: ['macd', 'signal', 'histogram'],
+  bbands: ['middle', 'upper', 'lower'],
+  stoch: ['k', 'd']
+};
+
+let workerRunning = false;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Parse a rule operand: a number, a bar field ("price" is the close) or an indicator spec
+ * with an optional field, e.g. "sma:50", "macd.histogram", "bbands:20:2.lower"
+ * @returns {Object} { label, value } | { label, bar } | { label, spec, field }
+ */
+function parseOperand(operand, label) {
+  if (isNumber(operand)) return { label: operand, value: operand };
+  if (typeof operand !== 'string' || operand.trim() === '') {
+    throw httpError(`${label} must be a number, a price field (${BAR_OPERANDS.join(', ')}) or an indicator such as "sma:50"`);
+  }
+
+  const text = operand.trim().toLowerCase();
+  if (BAR_OPERANDS.includes(text)) {
+    return { label: text, bar: text === 'price' ? 'close' : text };
+  }
+
+  // The field follows the last dot; a Bollinger multiplier such as 2.5 may contain one too
+  const [, specText, field] = text.match(/^(.*?)(?:\.([a-z]+))?$/);
+  if (specText.includes(',')) {
+    throw httpError(`${label} must be a single indicator`);
+  }
+
+  const [spec] = parseIndicatorSpecs(specText);
+  const fields = INDICATOR_FIELDS[spec.name];
+  if (field !== undefined && !(fields && fields.includes(field))) {
+    throw httpError(fields
+      ? `${label}: ${spec.name} fields are ${fields.join(', ')}`
+      : `${label}: ${spec.name} has a single value, so it takes no field`);
+  }
+
+  const resolvedField = fields ? (field ?? fields[0]) : null;
+  return { label: resolvedField ? `${spec.key}.${resolvedField}` : spec.key, spec, field: resolvedField };
+}
+
+/**
+ * Normalize an entry or exit rule set: { all: [...] } or { any: [...] } of
+ * { left, operator, right } conditions
+ */
+function normalizeRuleSet(ruleSet, name, required) {
+  if (ruleSet === undefined || ruleSet === null) {
+    if (required) throw httpError(`${name} rules are required`);
+    return null;
+  }
+  if (typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    throw httpError(`${name} must be { "all": [...] } or { "any": [...] }`);
+  }
+
+  const mode = ruleSet.all !== undefined ? 'all' : 'any';
+  const conditions = ruleSet[mode];
+  if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_RULES) {
+    throw httpError(`${name}.${mode} must list 1 to ${MAX_RULES} conditions`);
+  }
+
+  return {
+    [mode]: conditions.map((condition, index) => {
+      const label = `${name}.${mode}[${index}]`;
+      if (typeof condition !== 'object' || condition === null) {
+        throw httpError(`${label} must be an object`);
+      }
+      if (!RULE_OPERATORS.includes(condition.operator)) {
+        throw httpError(`${label}.operator must be one of: ${RULE_OPERATORS.join(', ')}`);
+      }
+
+      return {
+        left: parseOperand(condition.left, `${label}.left`).label,
+        operator: condition.operator,
+        right: parseOperand(condition.right, `${label}.right`).label
+      };
+    })
+  };
+}
+
+function parseTime(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = isNumber(value) ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw httpError(`${label} must be a date or a timestamp in milliseconds`);
+  }
+  return time;
+}
+
+function normalizePercent(value, label, max) {
+  if (value === undefined || value === null) return null;
+  if (!isNumber(value) || value <= 0 || value > max) {
+    throw httpError(`${label} must be above 0 and at most ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate a strategy and fill in defaults
+ * @param {Object} strategy - { assetType, symbol, interval, from, to, initialCapital, entry, exit,
+ *   positionSizing: { type, value }, stopLossPercent, takeProfitPercent }
+ * @param {number} now - ms timestamp that a missing `to` defaults to
+ * @returns {Object} Normalized strategy, as stored on the job
+ */
+function normalizeStrategy(strategy = {}, now = Date.now()) {
+  if (typeof strategy !== 'object' || strategy === null || Array.isArray(strategy)) {
+    throw httpError("strategy must be an object");
+  }
+
+  const { assetType, interval = '1d', initialCapital = 100000, positionSizing = {} } = strategy;
+  const symbol = typeof strategy.symbol === 'string' ? strategy.symbol.trim().toUpperCase() : '';
+
+  if (!BACKTEST_ASSET_TYPES.includes(assetType)) {
+    throw httpError(`assetType must be one of: ${BACKTEST_ASSET_TYPES.join(', ')}`);
+  }
+  if (!symbol) {
+    throw httpError("symbol is required");
+  }
+  if (!CANDLE_INTERVALS[interval]) {
+    throw httpError(`interval must be one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+  }
+  if (!isNumber(initialCapital) || initialCapital <= 0) {
+    throw httpError("initialCapital must be a positive number");
+  }
+
+  const to = parseTime(strategy.to, 'to') ?? now;
+  const from = parseTime(strategy.from, 'from') ?? to - DEFAULT_LOOKBACK_MS;
+  if (from >= to) {
+    throw httpError("from must be before to");
+  }
+  if ((to - from) / CANDLE_INTERVALS[interval].size > MAX_BACKTEST_BARS) {
+    throw httpError(`The range spans more than ${MAX_BACKTEST_BARS} ${interval} candles; shorten it or use a longer interval`);
+  }
+
+  const sizingType = positionSizing.type ?? 'percent_of_equity';
+  if (!POSITION_SIZING_TYPES.includes(sizingType)) {
+    throw httpError(`positionSizing.type must be one of: ${POSITION_SIZING_TYPES.join(', ')}`);
+  }
+  const sizingValue = positionSizing.value ?? (sizingType === 'percent_of_equity' ? 100 : undefined);
+  if (!isNumber(sizingValue) || sizingValue <= 0 || (sizingType === 'percent_of_equity' && sizingValue > 100)) {
+    throw httpError(sizingType === 'percent_of_equity'
+      ? "positionSizing.value must be a percentage above 0 and at most 100"
+      : "positionSizing.value must be a positive number");
+  }
+
+  return {
+    assetType,
+    symbol,
+    interval,
+    from,
+    to,
+    initialCapital,
+    entry: normalizeRuleSet(strategy.entry, 'entry', true),
+    exit: normalizeRuleSet(strategy.exit, 'exit', false),
+    positionSizing: { type: sizingType, value: sizingValue },
+    stopLossPercent: normalizePercent(strategy.stopLossPercent, 'stopLossPercent', 100),
+    takeProfitPercent: normalizePercent(strategy.takeProfitPercent, 'takeProfitPercent', 1000)
+  };
+}
+
+/**
+ * Every condition of a normalized strategy, entry and exit
+ */
+function strategyConditions(strategy) {
+  return [strategy.entry, strategy.exit]
+    .filter(Boolean)
+    .flatMap(ruleSet => ruleSet.all || ruleSet.any);
+}
+
+/**
+ * Candles from `from` to `to`, oldest first, read a page at a time
+ */
+async function loadCandles(assetType, symbol, interval, from, to) {
+  const bars = [];
+  let end = to;
+
+  for (;;) {
+    const page = await getCandles(assetType, symbol, interval, { from, to: end, limit: CANDLE_PAGE_SIZE });
+    bars.unshift(...page);
+    if (page.length < CANDLE_PAGE_SIZE) break;
+    end = page[0].timestamp - 1;
+  }
+
+  return bars;
+}
+
+/**
+ * Resolve each operand of the strategy to a series aligned with the bars
+ * @returns {Function} (label, index) => number|null
+ */
+function buildOperandReader(bars, strategy) {
+  const operands = new Map();
+  strategyConditions(strategy).forEach(condition => {
+    [condition.left, condition.right].forEach(label => operands.set(String(label), parseOperand(label, label)));
+  });
+
+  const specs = [...new Map([...operands.values()].filter(operand => operand.spec).map(operand => [operand.spec.key, operand.spec])).values()];
+  const series = computeIndicatorSeries(bars, specs, strategy.interval);
+
+  return (label, index) => {
+    const operand = operands.get(String(label));
+    if (operand.value !== undefined) return operand.value;
+    if (operand.bar) return bars[index][operand.bar];
+
+    const value = series[operand.spec.key][index];
+    if (value === null || value === undefined) return null;
+    return operand.field ? value[operand.field] ?? null : value;
+  };
+}
+
+/**
+ * Whether a rule set holds on a bar's close
+ */
+function ruleSetMet(ruleSet, read, index) {
+  const check = ({ left, operator, right }) => {
+    const a = read(left, index);
+    const b = read(right, index);
+    if (a === null || b === null) return false;
+
+    switch (operator) {
+      case 'lt': return a < b;
+      case 'lte': return a <= b;
+      case 'gt': return a > b;
+      case 'gte': return a >= b;
+      default: {
+        if (index === 0) return false;
+        const previousA = read(left, index - 1);
+        const previousB = read(right, index - 1);
+        if (previousA === null || previousB === null) return false;
+        return operator === 'crosses_above'
+          ? previousA <= previousB && a > b
+          : previousA >= previousB && a < b;
+      }
+    }
+  };
+
+  return ruleSet.all ? ruleSet.all.every(check) : ruleSet.any.some(check);
+}
+
+const roundQuantity = quantity => Math.floor(quantity * 1e8) / 1e8;
+
+/**
+ * Simulate a normalized strategy over bars (oldest first, including warm-up bars before `from`)
+ * @param {Object} feeConfig - Fee settings as from getCurrentFeeConfiguration
+ * @returns {Object} { trades, equityCurve, statistics }
+ */
+async function simulateStrategy(strategy, bars, feeConfig) {
+  const read = buildOperandReader(bars, strategy);
+  const start = bars.findIndex(bar => bar.timestamp >= strategy.from);
+  if (start === -1) {
+    throw httpError("No candles in the requested range", 404);
+  }
+
+  let cash = strategy.initialCapital;
+  let position = null;
+  let pending = null;
+  let peak = cash;
+  let barsInMarket = 0;
+  const trades = [];
+  const equityCurve = [];
+
+  // Out of the market all equity is cash, so percent_of_equity sizes from the cash balance
+  const buy = async (bar, index) => {
+    let quantity;
+    if (strategy.positionSizing.type === 'fixed_quantity') {
+      quantity = strategy.positionSizing.value;
+    } else {
+      const budget = strategy.positionSizing.type === 'fixed_amount'
+        ? Math.min(strategy.positionSizing.value, cash)
+        : cash * (strategy.positionSizing.value / 100);
+      quantity = roundQuantity(getAffordableTradeAmount(budget, feeConfig) / bar.open);
+    }
+    if (!(quantity > 0)) return;
+
+    const fees = await calculateFees(bar.open * quantity, 'buy', feeConfig);
+    if (fees.totalCost > cash + 1e-9) return;
+
+    cash -= fees.totalCost;
+    position = { quantity, entryPrice: bar.open, entryTime: bar.timestamp, entryIndex: index, cost: fees.totalCost, entryFees: fees.totalFees };
+  };
+
+  const sell = async (price, bar, index, reason) => {
+    const fees = await calculateFees(price * position.quantity, 'sell', feeConfig);
+    cash += fees.netAmount;
+
+    trades.push({
+      entryTime: position.entryTime,
+      entryPrice: position.entryPrice,
+      exitTime: bar.timestamp,
+      exitPrice: price,
+      quantity: position.quantity,
+      fees: position.entryFees + fees.totalFees,
+      profit: fees.netAmount - position.cost,
+      returnPercent: (fees.netAmount / position.cost - 1) * 100,
+      barsHeld: index - position.entryIndex + 1,
+      exitReason: reason
+    });
+    position = null;
+  };
+
+  for (let index = start; index < bars.length; index++) {
+    const bar = bars[index];
+
+    // Act on the previous bar's signal at this bar's open
+    if (pending === 'buy' && !position) await buy(bar, index);
+    if (pending === 'sell' && position) await sell(bar.open, bar, index, 'exit_rule');
+    pending = null;
+
+    if (position && strategy.stopLossPercent) {
+      const stopPrice = position.entryPrice * (1 - strategy.stopLossPercent / 100);
+      if (bar.low <= stopPrice) await sell(Math.min(bar.open, stopPrice), bar, index, 'stop_loss');
+    }
+    if (position && strategy.takeProfitPercent) {
+      const targetPrice = position.entryPrice * (1 + strategy.takeProfitPercent / 100);
+      if (bar.high >= targetPrice) await sell(Math.max(bar.open, targetPrice), bar, index, 'take_profit');
+    }
+
+    if (position && index === bars.length - 1) {
+      await sell(bar.close, bar, index, 'end_of_test');
+      barsInMarket++;
+    } else if (position) {
+      barsInMarket++;
+      if (strategy.exit && ruleSetMet(strategy.exit, read, index)) pending = 'sell';
+    } else if (ruleSetMet(strategy.entry, read, index)) {
+      pending = 'buy';
+    }
+
+    const equity = cash + (position ? position.quantity * bar.close : 0);
+    peak = Math.max(peak, equity);
+    equityCurve.push({
+      timestamp: bar.timestamp,
+      close: bar.close,
+      equity,
+      drawdownPercent: (equity / peak - 1) * 100
+    });
+  }
+
+  const firstBar = bars[start];
+  const lastBar = bars[bars.length - 1];
+
+  return {
+    trades,
+    equityCurve,
+    statistics: computeStatistics(strategy, equityCurve, trades, {
+      barsInMarket,
+      buyAndHoldReturnPercent: (lastBar.close / firstBar.open - 1) * 100
+    })
+  };
+}
+
+/**
+ * Performance statistics of a simulated run
+ * Returns are per bar; volatility and Sharpe are annualized by the number of bars in a year
+ */
+function computeStatistics(strategy, equityCurve, trades, { barsInMarket, buyAndHoldReturnPercent }) {
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  const totalReturn = finalEquity / strategy.initialCapital - 1;
+  const years = (equityCurve[equityCurve.length - 1].timestamp - equityCurve[0].timestamp + CANDLE_INTERVALS[strategy.interval].size) / YEAR_MS;
+
+  const returns = equityCurve.map((point, index) => {
+    const previous = index === 0 ? strategy.initialCapital : equityCurve[index - 1].equity;
+    return point.equity / previous - 1;
+  });
+  const barsPerYear = YEAR_MS / CANDLE_INTERVALS[strategy.interval].size;
+  const deviation = returns.length >= 2 ? standardDeviation(returns) : 0;
+  const riskFreePerBar = Math.pow(1 + getRiskFreeRate(), 1 / barsPerYear) - 1;
+
+  const wins = trades.filter(trade => trade.profit > 0);
+  const losses = trades.filter(trade => trade.profit <= 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.profit, 0);
+  const grossLoss = -losses.reduce((sum, trade) => sum + trade.profit, 0);
+
+  return {
+    initialCapital: strategy.initialCapital,
+    finalEquity,
+    netProfit: finalEquity - strategy.initialCapital,
+    totalReturnPercent: totalReturn * 100,
+    annualizedReturnPercent: years > 0 && finalEquity > 0 ? (Math.pow(1 + totalReturn, 1 / years) - 1) * 100 : null,
+    buyAndHoldReturnPercent,
+    maxDrawdownPercent: Math.min(0, ...equityCurve.map(point => point.drawdownPercent)),
+    volatilityPercent: returns.length >= 2 ? deviation * Math.sqrt(barsPerYear) * 100 : null,
+    sharpeRatio: deviation > 0 ? ((mean(returns) - riskFreePerBar) / deviation) * Math.sqrt(barsPerYear) : null,
+    totalTrades: trades.length,
+    winningTrades: wins.length,
+    losingTrades: losses.length,
+    winRatePercent: trades.length ? (wins.length / trades.length) * 100 : null,
+    averageWinPercent: wins.length ? mean(wins.map(trade => trade.returnPercent)) : null,
+    averageLossPercent: losses.length ? mean(losses.map(trade => trade.returnPercent)) : null,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    totalFees: trades.reduce((sum, trade) => sum + trade.fees, 0),
+    exposurePercent: (barsInMarket / equityCurve.length) * 100,
+    bars: equityCurve.length
+  };
+}
+
+/**
+ * Run a strategy to completion: load candles with warm-up history, then simulate
+ * @param {Object} strategy - Normalized strategy
+ * @returns {Object} { statistics, trades, equityCurve, fees, from, to }
+ */
+async function runBacktest(strategy) {
+  const specs = strategyConditions(strategy)
+    .flatMap(condition => [condition.left, condition.right])
+    .map(label => parseOperand(label, label))
+    .filter(operand => operand.spec)
+    .map(operand => operand.spec);
+
+  // Crossovers also need the bar before the first one
+  const warmupBars = getWarmupBars(specs) + 1;
+  const size = CANDLE_INTERVALS[strategy.interval].size;
+  const bars = await loadCandles(strategy.assetType, strategy.symbol, strategy.interval, strategy.from - warmupBars * size, strategy.to);
+  if (bars.length === 0) {
+    throw httpError(`No candles for ${strategy.assetType}:${strategy.symbol}`, 404);
+  }
+
+  const feeConfig = await getCurrentFeeConfiguration();
+  const { trades, equityCurve, statistics } = await simulateStrategy(strategy, bars, feeConfig);
+
+  return {
+    statistics,
+    trades,
+    equityCurve,
+    fees: feeConfig,
+    from: equityCurve[0].timestamp,
+    to: equityCurve[equityCurve.length - 1].timestamp
+  };
+}
+
+/**
+ * Run queued backtests one at a time until the queue is empty
+ * Jobs left running past STALE_RUNNING_MS (the process stopped mid-run) are marked failed first.
+ * Only one worker loop runs per process; a call while it runs returns straight away.
+ * @returns {Object} { completed, failed }
+ */
+async function processQueuedBacktests(now = new Date()) {
+  const result = { completed: 0, failed: 0 };
+  if (workerRunning) return result;
+  workerRunning = true;
+
+  try {
+    await Backtest.updateMany(
+      { status: 'running', startedAt: { $lt: new Date(now.getTime() - STALE_RUNNING_MS) } },
+      { $set: { status: 'failed', error: "The backtest was interrupted", completedAt: now, updatedAt: now } }
+    );
+
+    for (;;) {
+      const job = await Backtest.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date(), updatedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      try {
+        job.result = await runBacktest(job.strategy);
+        job.status = 'completed';
+        result.completed++;
+      } catch (error) {
+        if (!error.status) {
+          console.error(`❌ Error running backtest ${job._id}:`, error);
+        }
+        job.status = 'failed';
+        job.error = error.message;
+        result.failed++;
+      }
+
+      job.completedAt = new Date();
+      await job.save();
+    }
+  } finally {
+    workerRunning = false;
+  }
+
+  return result;
+}
+
+/**
+ * Start the worker without waiting for it
+ */
+function runBacktestsInBackground() {
+  processQueuedBacktests().catch(error => {
+    console.error("❌ Error processing backtests:", error);
+  });
+}
+
+/**
+ * Queue a backtest for the user
+ * @returns {Object} Backtest document (status "queued")
+ */
+async function submitBacktest(userId, strategy) {
+  const normalized = normalizeStrategy(strategy);
+
+  const latest = await OHLCV.getLatestPrice(normalized.assetType, normalized.symbol);
+  if (!latest) {
+    throw httpError(`No price data for ${normalized.assetType}:${normalized.symbol}`, 404);
+  }
+
+  const active = await Backtest.countDocuments({ userId, status: { $in: ['queued', 'running'] } });
+  if (active >= MAX_ACTIVE_BACKTESTS_PER_USER) {
+    throw httpError(`You can have at most ${MAX_ACTIVE_BACKTESTS_PER_USER} backtests queued or running`, 429);
+  }
+
+  const job = await Backtest.create({ userId, strategy: normalized });
+  runBacktestsInBackground();
+  return job;
+}
+
+/**
+ * A page of the user's backtests, newest first, without their results' curves and trade lists
+ * @returns {Object} { backtests, pagination }
+ */
+async function listBacktests(userId, { page = 1, limit = 20 } = {}) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+
+  const [backtests, total] = await Promise.all([
+    Backtest.find({ userId })
+      .select('-result.trades -result.equityCurve')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Backtest.countDocuments({ userId })
+  ]);
+
+  return {
+    backtests,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Load one of the user's backtests
+ * @throws 404 when it does not exist or belongs to someone else
+ */
+async function getBacktest(userId, backtestId) {
+  const job = mongoose.isValidObjectId(backtestId)
+    ? await Backtest.findOne({ _id: backtestId, userId })
+    : null;
+
+  if (!job) {
+    throw httpError("Backtest not found", 404);
+  }
+  return job;
+}
+
+async function deleteBacktest(userId, backtestId) {
+  const job = await getBacktest(userId, backtestId);
+  if (job.status === 'running') {
+    throw httpError("A running backtest cannot be deleted", 409);
+  }
+  await job.deleteOne();
+}
+
+export {
+  BACKTEST_ASSET_TYPES,
+  normalizeStrategy,
+  simulateStrategy,
+  runBacktest,
+  processQueuedBacktests,
+  submitBacktest,
+  listBacktests,
+  getBacktest,
+  deleteBacktest
+};
@@ -0,0 +1,279 @@
+import MarketInsights from "../models/MarketInsights.js";
+import MarketIndex from "../models/MarketIndex.js";
+import OHLCV from "../models/OHLCV.js";
+import { loadDailyPrices } from "./portfolioValuationService.js";
+import {
+  DAYS_PER_YEAR,
+  getRiskFreeRate,
+  mean,
+  standardDeviation,
+  getDailyPerformance
+} from "./performanceService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Benchmark Service
+ * Compares a user's holdings with a market index, a crypto basket or their own weighted mix
+ * Benchmarks are rebalanced to their weights daily; the portfolio side uses the same
+ * time-weighted daily returns as the performance metrics
+ */
+
+const MARKET_INDICES = ['NASI'];
+const MAX_BENCHMARK_COMPONENTS = 10;
+
+const PRESET_BENCHMARKS = {
+  NASI: [{ assetType: 'index', symbol: 'NASI', weight: 1 }],
+  CRYPTO: [
+    { assetType: 'crypto', symbol: 'BTCUSDT', weight: 0.5 },
+    { assetType: 'crypto', symbol: 'ETHUSDT', weight: 0.5 }
+  ]
+};
+
+/**
+ * Check a user-defined benchmark and scale its weights to add up to 1
+ * @param {Object[]} components - [{ assetType, symbol, weight }]; assetType 'index' takes a market index
+ * @returns {Object[]} Normalized components
+ */
+async function validateBenchmark(components) {
+  if (!Array.isArray(components) || components.length === 0) {
+    throw httpError('A benchmark needs at least one component');
+  }
+
+  if (components.length > MAX_BENCHMARK_COMPONENTS) {
+    throw httpError(`A benchmark can have at most ${MAX_BENCHMARK_COMPONENTS} components`);
+  }
+
+  const normalized = [];
+  for (const component of components) {
+    const assetType = component?.assetType;
+    const symbol = String(component?.symbol || '').toUpperCase();
+    const weight = Number(component?.weight);
+
+    if (!['stock', 'crypto', 'currency', 'index'].includes(assetType)) {
+      throw httpError('Component assetType must be stock, crypto, currency or index');
+    }
+
+    if (!symbol) {
+      throw httpError('Every component needs a symbol');
+    }
+
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw httpError(`Weight for ${symbol} must be a positive number`);
+    }
+
+    if (assetType === 'index') {
+      if (!MARKET_INDICES.includes(symbol)) {
+        throw httpError(`Supported indices: ${MARKET_INDICES.join(', ')}`);
+      }
+    } else if (!(await OHLCV.getLatestPrice(assetType, symbol))) {
+      throw httpError(`No price history for ${assetType} ${symbol}`);
+    }
+
+    normalized.push({ assetType, symbol, weight });
+  }
+
+  const totalWeight = normalized.reduce((sum, component) => sum + component.weight, 0);
+  return normalized.map(component => ({ ...component, weight: component.weight / totalWeight }));
+}
+
+/**
+ * Components of a named benchmark
+ * @param {string} name - NASI, CRYPTO or CUSTOM (the user's saved benchmark)
+ * @param {Object} user - User document
+ */
+function resolveBenchmark(name, user) {
+  if (name === 'CUSTOM') {
+    if (!user.customBenchmark || user.customBenchmark.length === 0) {
+      throw httpError('No custom benchmark saved. Set one with PUT /api/portfolio/benchmark');
+    }
+    return user.customBenchmark.map(({ assetType, symbol, weight }) => ({ assetType, symbol, weight }));
+  }
+
+  const preset = PRESET_BENCHMARKS[name];
+  if (!preset) {
+    throw httpError(`Benchmark must be one of: ${[...Object.keys(PRESET_BENCHMARKS), 'CUSTOM'].join(', ')}`);
+  }
+  return preset;
+}
+
+/**
+ * Last index level of each day in the range, plus the last level before it
+ * NASI is scraped into both MarketInsights and MarketIndex, so both are read
+ * @returns {Object[]} [{ timestamp, price }] oldest first
+ */
+async function loadIndexLevels(indexName, from, to) {
+  const load = async (Model) => {
+    const [previous, days] = await Promise.all([
+      Model.findOne({ indexName, scrapedAt: { $lt: from }, currentValue: { $gt: 0 } })
+        .sort({ scrapedAt: -1 })
+        .select('scrapedAt currentValue')
+        .lean(),
+      Model.aggregate([
+        { $match: { indexName, scrapedAt: { $gte: from, $lte: to }, currentValue: { $gt: 0 } } },
+        { $sort: { scrapedAt: 1 } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$scrapedAt' } },
+            scrapedAt: { $last: '$scrapedAt' },
+            currentValue: { $last: '$currentValue' }
+          }
+        }
+      ])
+    ]);
+
+    return [previous, ...days]
+      .filter(Boolean)
+      .map(level => ({ timestamp: level.scrapedAt.getTime(), price: level.currentValue }));
+  };
+
+  const levels = [...await load(MarketInsights), ...await load(MarketIndex)];
+  return levels.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Level of a series at each date, carrying the last known level forward (null before the first)
+ */
+function levelsAtDates(series, dates) {
+  let index = 0;
+  return dates.map(date => {
+    while (index < series.length && series[index].timestamp <= date.getTime()) index++;
+    return index > 0 ? series[index - 1].price : null;
+  });
+}
+
+/**
+ * Daily returns of a weighted benchmark between consecutive dates
+ * A component without a level on both days contributes nothing that day
+ * @param {Object[]} components - [{ weight, levels }] - levels line up with the dates
+ * @returns {number[]} One return per date after the first
+ */
+function getBenchmarkReturns(components, dateCount) {
+  const returns = [];
+
+  for (let i = 1; i < dateCount; i++) {
+    returns.push(components.reduce((sum, { weight, levels }) => {
+      const previous = levels[i - 1];
+      const current = levels[i];
+      return previous > 0 && current > 0 ? sum + weight * (current / previous - 1) : sum;
+    }, 0));
+  }
+
+  return returns;
+}
+
+/**
+ * Beta, annualized alpha and tracking error of portfolio against benchmark daily returns
+ * @returns {Object} { beta, alpha, trackingError, correlation } - fractions; null with fewer than two pairs
+ */
+function compareReturns(portfolioReturns, benchmarkReturns, riskFreeRate = 0) {
+  if (portfolioReturns.length < 2) {
+    return { beta: null, alpha: null, trackingError: null, correlation: null };
+  }
+
+  const dailyRiskFree = Math.pow(1 + riskFreeRate, 1 / DAYS_PER_YEAR) - 1;
+  const portfolioMean = mean(portfolioReturns);
+  const benchmarkMean = mean(benchmarkReturns);
+
+  const covariance = portfolioReturns.reduce(
+    (sum, r, i) => sum + (r - portfolioMean) * (benchmarkReturns[i] - benchmarkMean),
+    0
+  ) / (portfolioReturns.length - 1);
+  const benchmarkDeviation = standardDeviation(benchmarkReturns);
+  const portfolioDeviation = standardDeviation(portfolioReturns);
+
+  const beta = benchmarkDeviation > 0 ? covariance / benchmarkDeviation ** 2 : null;
+  const alpha = beta !== null
+    ? ((portfolioMean - dailyRiskFree) - beta * (benchmarkMean - dailyRiskFree)) * DAYS_PER_YEAR
+    : null;
+  const differences = portfolioReturns.map((r, i) => r - benchmarkReturns[i]);
+
+  return {
+    beta,
+    alpha,
+    trackingError: standardDeviation(differences) * Math.sqrt(DAYS_PER_YEAR),
+    correlation: benchmarkDeviation > 0 && portfolioDeviation > 0
+      ? covariance / (benchmarkDeviation * portfolioDeviation)
+      : null
+  };
+}
+
+const toPercent = value => (value === null ? null : value * 100);
+
+/**
+ * Cumulative return of the user's holdings against a benchmark, with alpha, beta and tracking error
+ * @param {Object} user - User document
+ * @param {Object} options - { benchmark, period } - benchmark is NASI, CRYPTO or CUSTOM
+ * @param {Date} now - Current time
+ * @returns {Object} { benchmark, components, period, from, to, series, summary }
+ */
+async function getBenchmarkComparison(user, { benchmark = 'NASI', period = '1Y' } = {}, now = new Date()) {
+  const components = resolveBenchmark(benchmark, user);
+  const { from, points, days } = await getDailyPerformance(user, period, now);
+
+  // Valuation points are end-of-day (the last one is now); the benchmark is read at the same instants
+  const dates = points.map((point, i) => (i === points.length - 1 ? now : new Date(`${point.date}T23:59:59.999Z`)));
+  const rangeStart = new Date(from.getTime() - 24 * 60 * 60 * 1000);
+
+  const levels = await Promise.all(components.map(({ assetType, symbol }) => (
+    assetType === 'index'
+      ? loadIndexLevels(symbol, rangeStart, now)
+      : loadDailyPrices(assetType, symbol, rangeStart, now)
+  )));
+
+  const benchmarkReturns = getBenchmarkReturns(
+    components.map((component, i) => ({ weight: component.weight, levels: levelsAtDates(levels[i], dates) })),
+    dates.length
+  );
+
+  const series = [];
+  const pairedPortfolio = [];
+  const pairedBenchmark = [];
+  let portfolioGrowth = 1;
+  let benchmarkGrowth = 1;
+
+  days.forEach((day, i) => {
+    benchmarkGrowth *= 1 + benchmarkReturns[i];
+    if (day.return !== null) {
+      portfolioGrowth *= 1 + day.return;
+      pairedPortfolio.push(day.return);
+      pairedBenchmark.push(benchmarkReturns[i]);
+    }
+
+    series.push({
+      date: day.date,
+      portfolioReturn: toPercent(portfolioGrowth - 1),
+      benchmarkReturn: toPercent(benchmarkGrowth - 1)
+    });
+  });
+
+  const { beta, alpha, trackingError, correlation } = compareReturns(pairedPortfolio, pairedBenchmark, getRiskFreeRate());
+  const portfolioReturn = toPercent(portfolioGrowth - 1);
+  const benchmarkReturn = toPercent(benchmarkGrowth - 1);
+
+  return {
+    benchmark,
+    components,
+    period,
+    from,
+    to: now,
+    series,
+    summary: {
+      portfolioReturn,
+      benchmarkReturn,
+      excessReturn: portfolioReturn - benchmarkReturn,
+      alpha: toPercent(alpha),
+      beta,
+      trackingError: toPercent(trackingError),
+      correlation,
+      days: pairedPortfolio.length
+    }
+  };
+}
+
+export {
+  PRESET_BENCHMARKS,
+  validateBenchmark,
+  getBenchmarkReturns,
+  compareReturns,
+  getBenchmarkComparison
+};
@@ -0,0 +1,235 @@
+import OHLCV from "../models/OHLCV.js";
+import Candle from "../models/Candle.js";
+import CandleBackfill from "../models/CandleBackfill.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Candle Service
+ * Rolls the raw OHLCV price snapshots up into 5m, 15m, 1h, 1d and 1w candles, stored in the Candle collection.
+ * Each snapshot counts as one trade at its valueKES: the feeds' own open/high/low are not bar values
+ * (crypto tickers carry 24-hour figures, stock and FX snapshots have open = high = low = close).
+ * Fetchers roll each snapshot in as they write it, so candles keep accumulating even where the raw
+ * store keeps only the latest snapshot (stocks). Candles for history stored before that are rebuilt
+ * from the raw snapshots on first request, or for everything with rebuildAllCandles; a CandleBackfill
+ * marker records each full rebuild, since live ticks create candles long before one has run.
+ * Day and week candles follow Nairobi time; weeks start on Monday.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+const EAT_OFFSET_MS = 3 * HOUR_MS; // Nairobi is UTC+3 all year
+
+// Bucket size, and the shift that lines buckets up with Nairobi midnight / Monday
+const CANDLE_INTERVALS = {
+  '5m': { size: 5 * MINUTE_MS, offset: 0 },
+  '15m': { size: 15 * MINUTE_MS, offset: 0 },
+  '1h': { size: HOUR_MS, offset: 0 },
+  '1d': { size: DAY_MS, offset: EAT_OFFSET_MS },
+  '1w': { size: WEEK_MS, offset: EAT_OFFSET_MS + 3 * DAY_MS } // the epoch was a Thursday
+};
+const CANDLE_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const MAX_CANDLES = 1000;
+
+function validateInterval(interval) {
+  if (!CANDLE_INTERVALS[interval]) {
+    throw httpError(`Invalid interval. Must be one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+  }
+}
+
+/**
+ * Start of the bucket a timestamp falls in
+ * @param {number} timestamp - ms since epoch
+ * @param {string} interval - One of CANDLE_INTERVALS
+ */
+function getBucketStart(timestamp, interval) {
+  const { size, offset } = CANDLE_INTERVALS[interval];
+  return timestamp - ((timestamp + offset) % size);
+}
+
+/**
+ * Pipeline update merging a bar into a stored candle (or creating it)
+ * High and low widen, close and volume follow the latest tick, open is kept from the first write
+ * @param {Object} bar - { open, high, low, close, volume, lastTickAt, ticks }
+ * @param {boolean} addTicks - Add the bar's ticks to the count (live ticks) rather than take the larger count (rebuilds)
+ */
+function buildMergeUpdate(interval, openTime, bar, addTicks) {
+  const isLatest = { $gte: [bar.lastTickAt, { $ifNull: ['$lastTickAt', 0] }] };
+
+  return [{
+    $set: {
+      closeTime: openTime + CANDLE_INTERVALS[interval].size,
+      open: { $ifNull: ['$open', bar.open] },
+      high: { $max: ['$high', bar.high] },
+      low: { $min: ['$low', bar.low] },
+      close: { $cond: [isLatest, bar.close, '$close'] },
+      volume: { $cond: [isLatest, bar.volume, '$volume'] },
+      lastTickAt: { $max: ['$lastTickAt', bar.lastTickAt] },
+      ticks: addTicks
+        ? { $add: [{ $ifNull: ['$ticks', 0] }, bar.ticks] }
+        : { $max: ['$ticks', bar.ticks] },
+      updatedAt: '$$NOW'
+    }
+  }];
+}
+
+/**
+ * Roll one freshly written snapshot into its candle at every interval
+ * @param {Object} record - OHLCV document
+ */
+async function recordCandleTick(record) {
+  if (!record || !(record.valueKES > 0)) return;
+
+  const price = record.valueKES;
+  const bar = { open: price, high: price, low: price, close: price, volume: record.volume || 0, lastTickAt: record.timestamp, ticks: 1 };
+
+  await Candle.bulkWrite(Object.keys(CANDLE_INTERVALS).map(interval => {
+    const openTime = getBucketStart(record.timestamp, interval);
+    return {
+      updateOne: {
+        filter: { type: record.type, symbol: record.symbol, interval, openTime },
+        update: buildMergeUpdate(interval, openTime, bar, true),
+        upsert: true
+      }
+    };
+  }), { ordered: false });
+}
+
+/**
+ * Rebuild an asset's candles at one interval from its raw snapshots
+ * Merges into stored candles, so bars rolled up live are never narrowed
+ * A rebuild of the whole history marks the asset as backfilled at that interval
+ * @param {Object} range - { from, to } ms timestamps, both optional
+ * @returns {number} Candles written
+ */
+async function rebuildCandles(assetType, symbol, interval, { from = null, to = null } = {}) {
+  validateInterval(interval);
+  const { size, offset } = CANDLE_INTERVALS[interval];
+
+  const match = { type: assetType, symbol, valueKES: { $gt: 0 } };
+  if (from !== null || to !== null) {
+    match.timestamp = {};
+    if (from !== null) match.timestamp.$gte = getBucketStart(from, interval);
+    if (to !== null) match.timestamp.$lte = to;
+  }
+
+  const bars = await OHLCV.aggregate([
+    { $match: match },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { $subtract: ['$timestamp', { $mod: [{ $add: ['$timestamp', offset] }, size] }] },
+        open: { $first: '$valueKES' },
+        high: { $max: '$valueKES' },
+        low: { $min: '$valueKES' },
+        close: { $last: '$valueKES' },
+        volume: { $last: { $ifNull: ['$volume', 0] } },
+        lastTickAt: { $last: '$timestamp' },
+        ticks: { $sum: 1 }
+      }
+    }
+  ]);
+
+  if (bars.length > 0) {
+    await Candle.bulkWrite(bars.map(bar => ({
+      updateOne: {
+        filter: { type: assetType, symbol, interval, openTime: bar._id },
+        update: buildMergeUpdate(interval, bar._id, bar, false),
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  if (from === null && to === null) {
+    await CandleBackfill.updateOne(
+      { type: assetType, symbol, interval },
+      { candles: bars.length, backfilledAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  return bars.length;
+}
+
+/**
+ * Rebuild every asset's candles at every interval from the raw snapshots
+ * A failure for one asset is logged and counted so it never stops the rest
+ * @returns {Object} { assets, candles, failed }
+ */
+async function rebuildAllCandles() {
+  const result = { assets: 0, candles: 0, failed: 0 };
+  const assets = await OHLCV.aggregate([{ $group: { _id: { type: '$type', symbol: '$symbol' } } }]);
+
+  for (const { _id: { type, symbol } } of assets) {
+    result.assets++;
+    try {
+      for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        result.candles += await rebuildCandles(type, symbol, interval);
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Error rebuilding candles for ${type}:${symbol}:`, error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * API view of a candle; timestamp is the bucket start and valueKES the close, as on raw history
+ */
+function formatCandle(candle, now) {
+  return {
+    timestamp: candle.openTime,
+    closeTime: candle.closeTime,
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume,
+    valueKES: candle.close,
+    ticks: candle.ticks,
+    closed: candle.closeTime <= now
+  };
+}
+
+/**
+ * Candles for an asset, oldest first
+ * Without from/to this is the latest `limit` candles. An asset not yet backfilled at this
+ * interval has its candles rebuilt from the raw history first.
+ * @param {Object} options - { from, to, limit }
+ * @returns {Object[]} Candles including the current, still open one
+ */
+async function getCandles(assetType, symbol, interval, { from = null, to = null, limit = 100 } = {}) {
+  if (!CANDLE_ASSET_TYPES.includes(assetType)) {
+    throw httpError(`Invalid asset type. Must be: ${CANDLE_ASSET_TYPES.join(', ')}`);
+  }
+  validateInterval(interval);
+  const count = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_CANDLES);
+
+  const key = { type: assetType, symbol, interval };
+  if (!(await CandleBackfill.exists(key))) {
+    await rebuildCandles(assetType, symbol, interval);
+  }
+
+  const filter = { ...key };
+  if (from !== null || to !== null) {
+    filter.openTime = {};
+    if (from !== null) filter.openTime.$gte = getBucketStart(from, interval);
+    if (to !== null) filter.openTime.$lte = to;
+  }
+
+  const candles = await Candle.find(filter).sort({ openTime: -1 }).limit(count).lean();
+  const now = Date.now();
+  return candles.reverse().map(candle => formatCandle(candle, now));
+}
+
+export {
+  CANDLE_INTERVALS,
+  getBucketStart,
+  recordCandleTick,
+  rebuildCandles,
+  rebuildAllCandles,
+  getCandles
+};
@@ -0,0 +1,343 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Classroom from "../models/Classroom.js";
+import ClassroomMember from "../models/ClassroomMember.js";
+import User from "../models/User.js";
+import Trade from "../models/Trade.js";
+import ActivityLog from "../models/ActivityLog.js";
+import { buildSnapshot } from "./portfolioSnapshotService.js";
+import { resetTradingAccount } from "./accountResetService.js";
+import { getGroupLeaderboard } from "./leaderboardService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Classroom Service
+ * Instructors run classes that students join with an invite code.
+ * The instructor (or an admin) can see each student's main account, trades and activity,
+ * reset the whole class, and rank the class on its own leaderboard.
+ */
+
+// No 0/O or 1/I, so codes survive being read out in class
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Random invite code
+ */
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Page and limit query values, clamped
+ */
+function getPaging({ page = 1, limit = 50 } = {}) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * Load a classroom by id
+ * @throws 404 when it does not exist
+ */
+async function findClassroom(classroomId) {
+  if (!mongoose.isValidObjectId(classroomId)) {
+    throw httpError("Classroom not found", 404);
+  }
+
+  const classroom = await Classroom.findById(classroomId);
+  if (!classroom) {
+    throw httpError("Classroom not found", 404);
+  }
+  return classroom;
+}
+
+/**
+ * Load a classroom the user teaches (admins may manage any classroom)
+ * @throws 403 for anyone else
+ */
+async function findManagedClassroom(user, classroomId) {
+  const classroom = await findClassroom(classroomId);
+
+  if (user.role !== 'admin' && classroom.instructorId.toString() !== user._id.toString()) {
+    throw httpError("Only the class instructor can do this", 403);
+  }
+  return classroom;
+}
+
+/**
+ * Load a student of a classroom the user manages
+ * @throws 404 when the user is not in the class
+ */
+async function findStudent(user, classroomId, studentId) {
+  const classroom = await findManagedClassroom(user, classroomId);
+
+  const member = mongoose.isValidObjectId(studentId)
+    && await ClassroomMember.exists({ classroomId: classroom._id, userId: studentId });
+  if (!member) {
+    throw httpError("Student not found in this classroom", 404);
+  }
+
+  const student = await User.findById(studentId).select('-passwordHash');
+  if (!student) {
+    throw httpError("Student not found in this classroom", 404);
+  }
+  return { classroom, student };
+}
+
+/**
+ * Create a classroom with a fresh invite code
+ * @param {Object} instructor - Instructor (or admin) creating it
+ * @param {Object} data - { name, description, startingBalance }
+ * @returns {Object} Classroom document
+ */
+async function createClassroom(instructor, { name, description = '', startingBalance = 100000 } = {}) {
+  if (!name || !String(name).trim()) {
+    throw httpError("Classroom name is required");
+  }
+
+  const balance = Number(startingBalance);
+  if (!Number.isFinite(balance) || balance <= 0) {
+    throw httpError("startingBalance must be a positive number");
+  }
+
+  // Retry on the rare invite code collision
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await Classroom.create({
+        name: String(name).trim(),
+        description,
+        instructorId: instructor._id,
+        inviteCode: generateInviteCode(),
+        startingBalance: balance
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw httpError("Could not generate a unique invite code, please retry", 503);
+}
+
+/**
+ * Public view of a classroom; the invite code is only shown to whoever manages it
+ */
+function formatClassroom(classroom, studentCount, manages) {
+  return {
+    id: classroom._id,
+    name: classroom.name,
+    description: classroom.description,
+    instructorId: classroom.instructorId,
+    startingBalance: classroom.startingBalance,
+    studentCount,
+    lastResetAt: classroom.lastResetAt,
+    createdAt: classroom.createdAt,
+    ...(manages && { inviteCode: classroom.inviteCode })
+  };
+}
+
+/**
+ * Classrooms the user teaches and classrooms the user is enrolled in
+ * @returns {Object} { teaching, enrolled }
+ */
+async function listClassrooms(user) {
+  const memberships = await ClassroomMember.find({ userId: user._id }).lean();
+  const teachingFilter = user.role === 'admin' ? {} : { instructorId: user._id };
+
+  const [teaching, enrolled] = await Promise.all([
+    user.role === 'user' ? [] : Classroom.find(teachingFilter).sort({ createdAt: -1 }).lean(),
+    Classroom.find({ _id: { $in: memberships.map(member => member.classroomId) } }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  const counts = await ClassroomMember.aggregate([
+    { $match: { classroomId: { $in: [...teaching, ...enrolled].map(classroom => classroom._id) } } },
+    { $group: { _id: '$classroomId', count: { $sum: 1 } } }
+  ]);
+  const countOf = classroom => counts.find(count => count._id.toString() === classroom._id.toString())?.count || 0;
+
+  return {
+    teaching: teaching.map(classroom => formatClassroom(classroom, countOf(classroom), true)),
+    enrolled: enrolled.map(classroom => formatClassroom(classroom, countOf(classroom), false))
+  };
+}
+
+/**
+ * Join the classroom an invite code belongs to
+ * @returns {Object} Classroom document
+ */
+async function joinClassroom(user, inviteCode) {
+  if (!inviteCode) {
+    throw httpError("inviteCode is required");
+  }
+
+  const classroom = await Classroom.findOne({ inviteCode: String(inviteCode).trim().toUpperCase() });
+  if (!classroom) {
+    throw httpError("Invalid invite code", 404);
+  }
+
+  if (classroom.instructorId.toString() === user._id.toString()) {
+    throw httpError("You teach this classroom");
+  }
+
+  try {
+    await ClassroomMember.create({ classroomId: classroom._id, userId: user._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError("You are already in this classroom", 409);
+    }
+    throw error;
+  }
+
+  return classroom;
+}
+
+/**
+ * A classroom with its students and their balances
+ * @returns {Object} Classroom fields plus students [{ userId, username, firstName, lastName, email, balance, joinedAt }]
+ */
+async function getClassroomRoster(user, classroomId) {
+  const classroom = await findManagedClassroom(user, classroomId);
+  const members = await ClassroomMember.find({ classroomId: classroom._id }).sort({ joinedAt: 1 }).lean();
+  const users = await User.find({ _id: { $in: members.map(member => member.userId) } })
+    .select('username firstName lastName email balance')
+    .lean();
+
+  const students = members
+    .map(member => {
+      const student = users.find(candidate => candidate._id.toString() === member.userId.toString());
+      return student && {
+        userId: student._id,
+        username: student.username,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        email: student.email,
+        balance: student.balance,
+        joinedAt: member.joinedAt
+      };
+    })
+    .filter(Boolean);
+
+  return { ...formatClassroom(classroom, students.length, true), students };
+}
+
+/**
+ * Remove a student from a classroom (their account is untouched)
+ */
+async function removeStudent(user, classroomId, studentId) {
+  const { classroom, student } = await findStudent(user, classroomId, studentId);
+  await ClassroomMember.deleteOne({ classroomId: classroom._id, userId: student._id });
+  return student;
+}
+
+/**
+ * A student's main account valued at the latest stored prices
+ * @returns {Object} { student, portfolio }
+ */
+async function getStudentPortfolio(user, classroomId, studentId) {
+  const { student } = await findStudent(user, classroomId, studentId);
+  return { student, portfolio: await buildSnapshot(student) };
+}
+
+/**
+ * A student's main account trades, newest first
+ * @returns {Object} { student, trades, pagination }
+ */
+async function getStudentTrades(user, classroomId, studentId, query = {}) {
+  const { student } = await findStudent(user, classroomId, studentId);
+  const { pageNumber, pageSize, skip } = getPaging(query);
+  const filter = { userId: student._id, competitionId: null };
+
+  const [trades, total] = await Promise.all([
+    Trade.find(filter).sort({ timestamp: -1 }).skip(skip).limit(pageSize).lean(),
+    Trade.countDocuments(filter)
+  ]);
+
+  return {
+    student,
+    trades,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * A student's activity log, newest first, optionally narrowed to one activity type
+ * @returns {Object} { student, logs, pagination }
+ */
+async function getStudentActivity(user, classroomId, studentId, query = {}) {
+  const { student } = await findStudent(user, classroomId, studentId);
+  const { pageNumber, pageSize, skip } = getPaging(query);
+  const filter = { userId: student._id };
+  if (query.activityType) filter.activityType = query.activityType;
+
+  const [logs, total] = await Promise.all([
+    ActivityLog.find(filter).sort({ timestamp: -1 }).skip(skip).limit(pageSize).lean(),
+    ActivityLog.countDocuments(filter)
+  ]);
+
+  return {
+    student,
+    logs,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Reset every student's main account to the classroom's starting balance
+ * A failure for one student is logged and counted so it never stops the rest
+ * @returns {Object} { students, reset, failed }
+ */
+async function resetClassroom(user, classroomId) {
+  const classroom = await findManagedClassroom(user, classroomId);
+  const members = await ClassroomMember.find({ classroomId: classroom._id }).lean();
+
+  const result = { students: members.length, reset: 0, failed: 0 };
+  for (const member of members) {
+    try {
+      if (await resetTradingAccount(member.userId, classroom.startingBalance)) {
+        result.reset++;
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Classroom reset failed for user ${member.userId}:`, error);
+    }
+  }
+
+  classroom.lastResetAt = new Date();
+  await classroom.save();
+
+  return result;
+}
+
+/**
+ * The classroom's students ranked among themselves; open to the instructor and the students
+ * @param {Object} options - { period, sortBy }
+ * @returns {Object} { period, sortBy, computedAt, entries }
+ */
+async function getClassroomLeaderboard(user, classroomId, options = {}) {
+  const classroom = await findClassroom(classroomId);
+  const manages = user.role === 'admin' || classroom.instructorId.toString() === user._id.toString();
+
+  if (!manages && !(await ClassroomMember.exists({ classroomId: classroom._id, userId: user._id }))) {
+    throw httpError("You are not in this classroom", 403);
+  }
+
+  const members = await ClassroomMember.find({ classroomId: classroom._id }).select('userId').lean();
+  return getGroupLeaderboard(members.map(member => member.userId), options, user._id);
+}
+
+export {
+  generateInviteCode,
+  createClassroom,
+  listClassrooms,
+  joinClassroom,
+  getClassroomRoster,
+  removeStudent,
+  getStudentPortfolio,
+  getStudentTrades,
+  getStudentActivity,
+  resetClassroom,
+  getClassroomLeaderboard
+};
@@ -0,0 +1,466 @@
+import mongoose from "mongoose";
+import Competition from "../models/Competition.js";
+import CompetitionEntry from "../models/CompetitionEntry.js";
+import Portfolio from "../models/Portfolio.js";
+import OHLCV from "../models/OHLCV.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Competition Service
+ * Time-boxed contests where every participant trades a separate virtual balance.
+ * Competition holdings, trades and tax lots carry the competitionId; the main account's have none.
+ * Standings are live while a competition runs and frozen onto the entries once it ends.
+ */
+
+const ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const FEE_MODES = ['platform', 'none', 'custom'];
+
+/**
+ * Where a competition is in its life: upcoming, active, ended (awaiting finalization) or finalized
+ */
+function getCompetitionStatus(competition, now = new Date()) {
+  if (competition.finalizedAt) return 'finalized';
+  if (now < competition.startDate) return 'upcoming';
+  if (now < competition.endDate) return 'active';
+  return 'ended';
+}
+
+/**
+ * Load a competition by id
+ * @throws 404 when it does not exist
+ */
+async function findCompetition(competitionId) {
+  if (!mongoose.isValidObjectId(competitionId)) {
+    throw httpError("Competition not found", 404);
+  }
+
+  const competition = await Competition.findById(competitionId);
+  if (!competition) {
+    throw httpError("Competition not found", 404);
+  }
+  return competition;
+}
+
+/**
+ * Check and normalize the fields of a new competition
+ * @param {Object} data - Request body
+ * @returns {Object} Fields for the Competition model
+ */
+function validateCompetition(data) {
+  const { name, description = '', startDate, endDate, startingBalance = 100000, allowedAssetTypes = ASSET_TYPES, maxParticipants = null, fees = {} } = data;
+
+  if (!name || !String(name).trim()) {
+    throw httpError("Competition name is required");
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw httpError("startDate and endDate must be valid dates");
+  }
+  if (end <= start) {
+    throw httpError("endDate must be after startDate");
+  }
+
+  const balance = Number(startingBalance);
+  if (!Number.isFinite(balance) || balance <= 0) {
+    throw httpError("startingBalance must be a positive number");
+  }
+
+  if (!Array.isArray(allowedAssetTypes) || allowedAssetTypes.length === 0
+    || allowedAssetTypes.some(type => !ASSET_TYPES.includes(type))) {
+    throw httpError(`allowedAssetTypes must list one or more of: ${ASSET_TYPES.join(', ')}`);
+  }
+
+  if (maxParticipants !== null && (!Number.isInteger(Number(maxParticipants)) || Number(maxParticipants) < 1)) {
+    throw httpError("maxParticipants must be a positive whole number");
+  }
+
+  const mode = fees.mode || 'platform';
+  if (!FEE_MODES.includes(mode)) {
+    throw httpError(`Fee mode must be one of: ${FEE_MODES.join(', ')}`);
+  }
+
+  if (mode === 'custom') {
+    const { platformFeePercentage = 0, taxPercentage = 0, minimumFee = 0, maximumFee = 0 } = fees;
+    if (!(platformFeePercentage >= 0 && platformFeePercentage <= 10)) {
+      throw httpError("platformFeePercentage must be between 0 and 10");
+    }
+    if (!(taxPercentage >= 0 && taxPercentage <= 5)) {
+      throw httpError("taxPercentage must be between 0 and 5");
+    }
+    if (!(minimumFee >= 0) || !(maximumFee >= 0)) {
+      throw httpError("minimumFee and maximumFee cannot be negative");
+    }
+  }
+
+  return {
+    name: String(name).trim(),
+    description,
+    startDate: start,
+    endDate: end,
+    startingBalance: balance,
+    allowedAssetTypes: [...new Set(allowedAssetTypes)],
+    maxParticipants: maxParticipants === null ? null : Number(maxParticipants),
+    fees: mode === 'custom'
+      ? {
+          mode,
+          platformFeePercentage: Number(fees.platformFeePercentage) || 0,
+          taxPercentage: Number(fees.taxPercentage) || 0,
+          minimumFee: Number(fees.minimumFee) || 0,
+          maximumFee: Number(fees.maximumFee) || 0
+        }
+      : { mode }
+  };
+}
+
+/**
+ * Create a competition
+ * @param {Object} data - Request body
+ * @param {ObjectId} adminId - Admin creating it
+ * @returns {Object} Competition document
+ */
+async function createCompetition(data, adminId) {
+  return Competition.create({ ...validateCompetition(data), createdBy: adminId });
+}
+
+/**
+ * Public view of a competition with its status and the requesting user's entry
+ */
+function formatCompetition(competition, participants, entry, now) {
+  return {
+    id: competition._id,
+    name: competition.name,
+    description: competition.description,
+    startDate: competition.startDate,
+    endDate: competition.endDate,
+    startingBalance: competition.startingBalance,
+    allowedAssetTypes: competition.allowedAssetTypes,
+    maxParticipants: competition.maxParticipants,
+    fees: competition.fees,
+    status: getCompetitionStatus(competition, now),
+    participants,
+    joined: Boolean(entry),
+    balance: entry ? entry.balance : null
+  };
+}
+
+/**
+ * Competitions, newest first, optionally narrowed to one status
+ * @param {Object} user - Requesting user
+ * @param {Object} options - { status }
+ * @returns {Object[]} Competitions with participant counts and the user's entry
+ */
+async function listCompetitions(user, { status } = {}, now = new Date()) {
+  const filter = {};
+  if (status === 'upcoming') filter.startDate = { $gt: now };
+  if (status === 'active') Object.assign(filter, { startDate: { $lte: now }, endDate: { $gt: now } });
+  if (status === 'ended') Object.assign(filter, { endDate: { $lte: now } });
+
+  const competitions = await Competition.find(filter).sort({ startDate: -1 }).lean();
+  const ids = competitions.map(competition => competition._id);
+
+  const [counts, entries] = await Promise.all([
+    CompetitionEntry.aggregate([
+      { $match: { competitionId: { $in: ids } } },
+      { $group: { _id: '$competitionId', count: { $sum: 1 } } }
+    ]),
+    CompetitionEntry.find({ competitionId: { $in: ids }, userId: user._id }).lean()
+  ]);
+
+  return competitions.map(competition => formatCompetition(
+    competition,
+    counts.find(count => count._id.toString() === competition._id.toString())?.count || 0,
+    entries.find(entry => entry.competitionId.toString() === competition._id.toString()),
+    now
+  ));
+}
+
+/**
+ * One competition with its participant count and the requesting user's entry
+ */
+async function getCompetition(user, competitionId, now = new Date()) {
+  const competition = await findCompetition(competitionId);
+  const [participants, entry] = await Promise.all([
+    CompetitionEntry.countDocuments({ competitionId: competition._id }),
+    CompetitionEntry.findOne({ competitionId: competition._id, userId: user._id }).lean()
+  ]);
+
+  return formatCompetition(competition, participants, entry, now);
+}
+
+/**
+ * Fee configuration for trades in a competition, or null to use the platform settings
+ */
+function getCompetitionFeeConfig(competition) {
+  const { fees } = competition;
+
+  if (fees.mode === 'none') {
+    return { platformFeePercentage: 0, taxPercentage: 0, minimumFee: 0, maximumFee: 0 };
+  }
+
+  if (fees.mode === 'custom') {
+    return {
+      platformFeePercentage: fees.platformFeePercentage,
+      taxPercentage: fees.taxPercentage,
+      minimumFee: fees.minimumFee,
+      maximumFee: fees.maximumFee > 0 ? fees.maximumFee : Infinity // 0 leaves the fee uncapped
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Join a competition with its starting balance
+ * Users can join until the competition ends
+ * @returns {Object} { competition, entry }
+ */
+async function joinCompetition(user, competitionId, now = new Date()) {
+  const competition = await findCompetition(competitionId);
+  const status = getCompetitionStatus(competition, now);
+
+  if (status === 'ended' || status === 'finalized') {
+    throw httpError("This competition has ended");
+  }
+
+  if (competition.maxParticipants) {
+    const participants = await CompetitionEntry.countDocuments({ competitionId: competition._id });
+    if (participants >= competition.maxParticipants) {
+      throw httpError("This competition is full", 409);
+    }
+  }
+
+  try {
+    const entry = await CompetitionEntry.create({
+      competitionId: competition._id,
+      userId: user._id,
+      username: user.username,
+      balance: competition.startingBalance
+    });
+    return { competition, entry };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError("You have already joined this competition", 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * The account a competition trade runs against
+ * The competition must be running, the user entered, and the asset type allowed
+ * @param {Object} user - User document
+ * @param {string} competitionId - Competition to trade in
+ * @param {string} assetType - Asset type being traded
+ * @returns {Object} { competition, entry, feeConfig }
+ */
+async function getTradingAccount(user, competitionId, assetType, now = new Date()) {
+  const competition = await findCompetition(competitionId);
+  const status = getCompetitionStatus(competition, now);
+
+  if (status === 'upcoming') {
+    throw httpError(`This competition starts at ${competition.startDate.toISOString()}`, 403);
+  }
+  if (status !== 'active') {
+    throw httpError("This competition has ended", 403);
+  }
+
+  if (!competition.allowedAssetTypes.includes(assetType)) {
+    throw httpError(`${assetType} trading is not allowed in this competition`, 403);
+  }
+
+  const entry = await CompetitionEntry.findOne({ competitionId: competition._id, userId: user._id });
+  if (!entry) {
+    throw httpError("Join the competition before trading in it", 403);
+  }
+
+  return { competition, entry, feeConfig: getCompetitionFeeConfig(competition) };
+}
+
+/**
+ * A user's competition account: balance and holdings at the latest prices
+ * @returns {Object} { competitionId, status, balance, holdings, holdingsValue, totalValue, returnPercent }
+ */
+async function getCompetitionPortfolio(user, competitionId, now = new Date()) {
+  const competition = await findCompetition(competitionId);
+  const entry = await CompetitionEntry.findOne({ competitionId: competition._id, userId: user._id }).lean();
+  if (!entry) {
+    throw httpError("You have not joined this competition", 404);
+  }
+
+  const status = getCompetitionStatus(competition, now);
+  const valuedAt = status === 'active' || status === 'upcoming' ? now : competition.endDate;
+  const positions = await Portfolio.find({ userId: user._id, competitionId: competition._id, quantity: { $gt: 0 } }).lean();
+
+  const holdings = [];
+  for (const position of positions) {
+    const price = await getPriceAt(position.assetType, position.assetSymbol, valuedAt);
+    const currentPrice = price ?? position.avgBuyPrice;
+    holdings.push({
+      assetType: position.assetType,
+      symbol: position.assetSymbol,
+      quantity: position.quantity,
+      avgBuyPrice: position.avgBuyPrice,
+      currentPrice,
+      currentValue: currentPrice * position.quantity,
+      priceAvailable: price !== null
+    });
+  }
+
+  const holdingsValue = holdings.reduce((sum, holding) => sum + holding.currentValue, 0);
+  const totalValue = entry.balance + holdingsValue;
+
+  return {
+    competitionId: competition._id,
+    status,
+    startingBalance: competition.startingBalance,
+    balance: entry.balance,
+    holdings,
+    holdingsValue,
+    totalValue,
+    returnPercent: ((totalValue - competition.startingBalance) / competition.startingBalance) * 100,
+    finalRank: entry.finalRank ?? null
+  };
+}
+
+/**
+ * Price of an asset as of an instant: the last stored price at or before it, otherwise the
+ * latest stored price (stocks only keep their latest quote)
+ */
+async function getPriceAt(assetType, symbol, at) {
+  const stored = await OHLCV.findOne({ type: assetType, symbol, timestamp: { $lte: at.getTime() }, valueKES: { $gt: 0 } })
+    .sort({ timestamp: -1 })
+    .select('valueKES')
+    .lean();
+  if (stored) return stored.valueKES;
+
+  const latest = await OHLCV.getLatestPrice(assetType, symbol);
+  return latest && latest.valueKES > 0 ? latest.valueKES : null;
+}
+
+/**
+ * Ranked standings of every participant, valued at prices as of `at`
+ * @returns {Object[]} [{ rank, userId, username, cashBalance, holdingsValue, totalValue, returnPercent }]
+ */
+async function computeStandings(competition, at) {
+  const [entries, holdings] = await Promise.all([
+    CompetitionEntry.find({ competitionId: competition._id }).lean(),
+    Portfolio.find({ competitionId: competition._id }).lean()
+  ]);
+
+  const prices = new Map();
+  for (const holding of holdings) {
+    const key = `${holding.assetType}:${holding.assetSymbol}`;
+    if (!prices.has(key)) {
+      prices.set(key, await getPriceAt(holding.assetType, holding.assetSymbol, at));
+    }
+  }
+
+  const standings = entries.map(entry => {
+    const holdingsValue = holdings
+      .filter(holding => holding.userId.toString() === entry.userId.toString())
+      .reduce((sum, holding) => {
+        const price = prices.get(`${holding.assetType}:${holding.assetSymbol}`) ?? holding.avgBuyPrice;
+        return sum + price * holding.quantity;
+      }, 0);
+    const totalValue = entry.balance + holdingsValue;
+
+    return {
+      userId: entry.userId,
+      username: entry.username,
+      cashBalance: entry.balance,
+      holdingsValue,
+      totalValue,
+      returnPercent: ((totalValue - competition.startingBalance) / competition.startingBalance) * 100
+    };
+  });
+
+  // Equal values share a rank; earlier entrants are listed first
+  standings.sort((a, b) => b.totalValue - a.totalValue);
+  standings.forEach((standing, i) => {
+    const previous = standings[i - 1];
+    standing.rank = previous && previous.totalValue === standing.totalValue ? previous.rank : i + 1;
+  });
+
+  return standings;
+}
+
+/**
+ * Standings of a competition: frozen once finalized, otherwise live at the latest prices
+ * @returns {Object} { competition, status, final, standings }
+ */
+async function getStandings(competitionId, now = new Date()) {
+  const competition = await findCompetition(competitionId);
+  const status = getCompetitionStatus(competition, now);
+
+  if (status === 'finalized') {
+    const entries = await CompetitionEntry.find({ competitionId: competition._id })
+      .sort({ finalRank: 1, joinedAt: 1 })
+      .lean();
+
+    return {
+      competition,
+      status,
+      final: true,
+      standings: entries.map(entry => ({
+        rank: entry.finalRank,
+        userId: entry.userId,
+        username: entry.username,
+        totalValue: entry.finalValue,
+        returnPercent: entry.finalReturnPercent
+      }))
+    };
+  }
+
+  const valuedAt = status === 'ended' ? competition.endDate : now;
+  return { competition, status, final: false, standings: await computeStandings(competition, valuedAt) };
+}
+
+/**
+ * Freeze the standings of every competition that has ended
+ * Participants are valued at the last prices stored before the end
+ * @returns {Object} { finalized } - number of competitions frozen
+ */
+async function finalizeCompetitions(now = new Date()) {
+  const ended = await Competition.find({ finalizedAt: null, endDate: { $lte: now } });
+
+  for (const competition of ended) {
+    const standings = await computeStandings(competition, competition.endDate);
+
+    if (standings.length > 0) {
+      await CompetitionEntry.bulkWrite(standings.map(standing => ({
+        updateOne: {
+          filter: { competitionId: competition._id, userId: standing.userId },
+          update: {
+            $set: {
+              finalValue: standing.totalValue,
+              finalReturnPercent: standing.returnPercent,
+              finalRank: standing.rank
+            }
+          }
+        }
+      })));
+    }
+
+    competition.finalizedAt = new Date();
+    await competition.save();
+  }
+
+  return { finalized: ended.length };
+}
+
+export {
+  getCompetitionStatus,
+  findCompetition,
+  validateCompetition,
+  createCompetition,
+  listCompetitions,
+  getCompetition,
+  getCompetitionFeeConfig,
+  joinCompetition,
+  getTradingAccount,
+  getCompetitionPortfolio,
+  getStandings,
+  finalizeCompetitions
+};
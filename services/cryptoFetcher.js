@@ -1,6 +1,8 @@
 import axios from "axios";
 import OHLCV from "../models/OHLCV.js";
 import { getExchangeRate } from "./currencyConverter.js";
+import { publishPrice } from "./streamService.js";
+import { recordCandleTick } from "./candleService.js";
 
 // Binance API configuration
 const BINANCE_BASE_URL = "https://api.binance.com/api/v3";
@@ -193,7 +195,7 @@ async function processAndStoreCryptoData() {
         };
         
         // Store in MongoDB (upsert to avoid duplicates)
-        await OHLCV.findOneAndUpdate(
+        const record = await OHLCV.findOneAndUpdate(
           { 
             type: "crypto", 
             symbol: symbol, 
@@ -205,6 +207,8 @@ async function processAndStoreCryptoData() {
             new: true 
           }
         );
+        await recordCandleTick(record);
+        publishPrice(record);
         
         console.log(`✅ Stored crypto data for ${symbol}: KSh ${priceKES.toFixed(2)}`);
         
@@ -1,6 +1,8 @@
 import axios from "axios";
 import OHLCV from "../models/OHLCV.js";
 import { getExchangeRate, getMultipleExchangeRates } from "./currencyConverter.js";
+import { publishPrice } from "./streamService.js";
+import { recordCandleTick } from "./candleService.js";
 
 // Free FX API configuration
 const FX_API_BASE_URL = "https://api.exchangerate-api.com/v4/latest";
@@ -88,7 +90,7 @@ async function processAndStoreFXData() {
         };
         
         // Store in MongoDB (upsert to avoid duplicates)
-        await OHLCV.findOneAndUpdate(
+        const record = await OHLCV.findOneAndUpdate(
           { 
             type: "currency", 
             symbol: pair, 
@@ -100,6 +102,8 @@ async function processAndStoreFXData() {
             new: true 
           }
         );
+        await recordCandleTick(record);
+        publishPrice(record);
         
         console.log(`✅ Stored FX data for ${pair}: ${rate.toFixed(4)}`);
         
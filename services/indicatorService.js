@@ -0,0 +1,222 @@
+import OHLCV from "../models/OHLCV.js";
+import { CANDLE_INTERVALS, getCandles } from "./candleService.js";
+import { toLocalDateKey } from "./marketCalendar.js";
+import { sma, ema, rsi, macd, bollingerBands, atr, vwap, stochastic } from "../utils/indicators.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Indicator Service
+ * Technical indicators for any stored asset, computed server-side from its candles (or raw snapshots).
+ * Indicators are requested as name[:param...] specs, e.g. "sma:50", "macd:12:26:9", "bbands:20:2".
+ * Extra bars before the requested window are loaded so averages have warmed up by its first bar.
+ * Results are cached briefly per symbol, interval and request.
+ */
+
+const INDICATOR_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const RAW_INTERVAL = 'raw';
+const RAW_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_BARS = 500;
+const MAX_PERIOD = 200;
+const CANDLE_PAGE_SIZE = 1000; // the most candles one getCandles call returns
+const CACHE_DURATION = 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Default parameters, how many bars each needs before its values settle, and how to compute it
+const INDICATORS = {
+  sma: { defaults: [20], warmup: ([period]) => period, compute: (bars, [period]) => sma(closesOf(bars), period) },
+  ema: { defaults: [20], warmup: ([period]) => period * 3, compute: (bars, [period]) => ema(closesOf(bars), period) },
+  rsi: { defaults: [14], warmup: ([period]) => period * 3 + 1, compute: (bars, [period]) => rsi(closesOf(bars), period) },
+  macd: {
+    defaults: [12, 26, 9],
+    warmup: ([, slow, signal]) => slow * 3 + signal,
+    compute: (bars, [fast, slow, signal]) => macd(closesOf(bars), fast, slow, signal)
+  },
+  bbands: {
+    defaults: [20, 2],
+    warmup: ([period]) => period,
+    compute: (bars, [period, multiplier]) => bollingerBands(closesOf(bars), period, multiplier)
+  },
+  atr: { defaults: [14], warmup: ([period]) => period * 3, compute: (bars, [period]) => atr(bars, period) },
+  vwap: { defaults: [], warmup: () => 0, compute: (bars) => vwap(bars) },
+  stoch: {
+    defaults: [14, 3, 3],
+    warmup: ([period, kSmoothing, dPeriod]) => period + kSmoothing + dPeriod,
+    compute: (bars, [period, kSmoothing, dPeriod]) => stochastic(bars, period, kSmoothing, dPeriod)
+  }
+};
+
+const resultCache = new Map();
+
+function closesOf(bars) {
+  return bars.map(bar => bar.close);
+}
+
+/**
+ * Parse "sma:20,rsi,macd:12:26:9" into specs with defaults filled in
+ * Periods must be whole numbers up to MAX_PERIOD; the Bollinger multiplier may be fractional
+ * @returns {Object[]} [{ key, name, params }] - key is the canonical spec, e.g. "rsi:14"
+ */
+function parseIndicatorSpecs(indicators) {
+  const list = indicators ? String(indicators).split(',') : Object.keys(INDICATORS);
+
+  const specs = list.map(entry => {
+    const [name, ...given] = entry.trim().toLowerCase().split(':');
+    const indicator = INDICATORS[name];
+    if (!indicator) {
+      throw httpError(`Unknown indicator "${name}". Available: ${Object.keys(INDICATORS).join(', ')}`);
+    }
+    if (given.length > indicator.defaults.length) {
+      throw httpError(indicator.defaults.length
+        ? `${name} takes at most ${indicator.defaults.length} parameter(s)`
+        : `${name} takes no parameters`);
+    }
+
+    const params = indicator.defaults.map((fallback, index) => {
+      if (given[index] === undefined || given[index] === '') return fallback;
+
+      const value = Number(given[index]);
+      const isMultiplier = name === 'bbands' && index === 1;
+      const valid = isMultiplier
+        ? Number.isFinite(value) && value > 0 && value <= 10
+        : Number.isInteger(value) && value >= 1 && value <= MAX_PERIOD;
+      if (!valid) {
+        throw httpError(`Invalid ${name} parameter "${given[index]}". ${isMultiplier ? 'The multiplier must be above 0 and at most 10' : `Periods must be whole numbers from 1 to ${MAX_PERIOD}`}`);
+      }
+      return value;
+    });
+
+    return { key: [name, ...params].join(':'), name, params };
+  });
+
+  return [...new Map(specs.map(spec => [spec.key, spec])).values()];
+}
+
+/**
+ * Bars to compute over, oldest first: candles for a candle interval, raw snapshots for "raw"
+ * Raw snapshots become flat bars at their valueKES, as in the candle service
+ * Candles are read a page at a time, since the bars plus warm-up can exceed one getCandles call
+ */
+async function loadBars(assetType, symbol, interval, { end, count }) {
+  if (interval === RAW_INTERVAL) {
+    const snapshots = await OHLCV.getPriceRange(assetType, symbol, end - RAW_LOOKBACK_MS, end);
+    return snapshots
+      .filter(snapshot => snapshot.valueKES > 0)
+      .slice(-count)
+      .map(snapshot => ({
+        timestamp: snapshot.timestamp,
+        open: snapshot.valueKES,
+        high: snapshot.valueKES,
+        low: snapshot.valueKES,
+        close: snapshot.valueKES,
+        volume: snapshot.volume || 0
+      }));
+  }
+
+  const candles = [];
+  let to = end;
+  while (candles.length < count) {
+    const limit = Math.min(count - candles.length, CANDLE_PAGE_SIZE);
+    const page = await getCandles(assetType, symbol, interval, { to, limit });
+    candles.unshift(...page);
+    if (page.length < limit) break;
+    to = page[0].timestamp - 1;
+  }
+
+  return candles.map(({ timestamp, open, high, low, close, volume }) => ({ timestamp, open, high, low, close, volume }));
+}
+
+/**
+ * Round an indicator value (or each field of one) to 6 decimal places
+ */
+function roundValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Math.round(value * 1e6) / 1e6;
+  return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, roundValue(item)]));
+}
+
+/**
+ * Bars needed before the first value of interest for every spec to have warmed up
+ */
+function getWarmupBars(specs) {
+  return Math.max(0, ...specs.map(spec => INDICATORS[spec.name].warmup(spec.params)));
+}
+
+/**
+ * Compute each spec over bars (oldest first), unrounded
+ * VWAP restarts each Nairobi day on intraday bars, and runs across the series on daily and weekly ones
+ * @returns {Object} { [spec key]: values aligned with bars }
+ */
+function computeIndicatorSeries(bars, specs, interval) {
+  const intraday = !['1d', '1w'].includes(interval);
+  const sessionBars = bars.map(bar => ({ ...bar, session: intraday ? toLocalDateKey(new Date(bar.timestamp)) : null }));
+
+  return Object.fromEntries(specs.map(spec => [spec.key, INDICATORS[spec.name].compute(sessionBars, spec.params)]));
+}
+
+/**
+ * Indicators for an asset over its latest bars
+ * @param {Object} options - { interval, indicators, limit, end }
+ *   interval - a candle interval (5m, 15m, 1h, 1d, 1w) or "raw" for stored snapshots; default 1h
+ *   indicators - comma-separated specs; default every indicator with default parameters
+ *   limit - bars to return (at most MAX_BARS); end - ms timestamp of the last bar, default now
+ * @returns {Object} { type, symbol, interval, bars, indicators: { [spec]: values aligned with bars }, computedAt, cached }
+ */
+async function getIndicators(assetType, symbol, { interval = '1h', indicators, limit = 100, end } = {}) {
+  if (!INDICATOR_ASSET_TYPES.includes(assetType)) {
+    throw httpError(`Invalid asset type. Must be: ${INDICATOR_ASSET_TYPES.join(', ')}`);
+  }
+  if (interval !== RAW_INTERVAL && !CANDLE_INTERVALS[interval]) {
+    throw httpError(`Invalid interval. Must be one of: ${[...Object.keys(CANDLE_INTERVALS), RAW_INTERVAL].join(', ')}`);
+  }
+
+  const specs = parseIndicatorSpecs(indicators);
+  const barCount = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_BARS);
+  const endTime = end !== undefined && end !== null && end !== '' ? parseInt(end) : null;
+  if (Number.isNaN(endTime)) {
+    throw httpError("end must be a timestamp in milliseconds");
+  }
+
+  const cacheKey = [assetType, symbol, interval, endTime ?? 'latest', barCount, specs.map(spec => spec.key).join(',')].join('|');
+  const cached = resultCache.get(cacheKey);
+  if (cached && Date.now() - cached.storedAt < CACHE_DURATION) {
+    return { ...cached.result, cached: true };
+  }
+
+  const bars = await loadBars(assetType, symbol, interval, { end: endTime ?? Date.now(), count: barCount + getWarmupBars(specs) });
+  if (bars.length === 0) {
+    throw httpError(`No price data for ${assetType}:${symbol}`, 404);
+  }
+
+  const first = Math.max(bars.length - barCount, 0);
+  const series = computeIndicatorSeries(bars, specs, interval);
+  const values = Object.fromEntries(Object.entries(series).map(([key, items]) => [key, items.slice(first).map(roundValue)]));
+
+  const result = {
+    type: assetType,
+    symbol,
+    interval,
+    bars: bars.slice(first),
+    indicators: values,
+    computedAt: new Date()
+  };
+
+  resultCache.set(cacheKey, { result, storedAt: Date.now() });
+  if (resultCache.size > MAX_CACHE_ENTRIES) {
+    resultCache.delete(resultCache.keys().next().value); // oldest entry
+  }
+
+  return { ...result, cached: false };
+}
+
+function clearIndicatorCache() {
+  resultCache.clear();
+}
+
+export {
+  INDICATORS,
+  parseIndicatorSpecs,
+  getWarmupBars,
+  computeIndicatorSeries,
+  getIndicators,
+  clearIndicatorCache
+};
@@ -0,0 +1,290 @@
+import LeaderboardEntry from "../models/LeaderboardEntry.js";
+import PortfolioSnapshot from "../models/PortfolioSnapshot.js";
+import User from "../models/User.js";
+import { toLocalDateKey } from "./marketCalendar.js";
+import { buildSnapshot } from "./portfolioSnapshotService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Leaderboard Service
+ * Ranks traders by account value and by return over a day, week, month or all time.
+ * Rankings are computed by a scheduled job into LeaderboardEntry so reads are a single query.
+ *
+ * Ranking rules:
+ * - Only active traders take part (role "user", not banned)
+ * - Accounts are valued at stored prices across stocks, crypto and currencies, with cash held
+ *   for open buy orders counted as cash
+ * - Period returns are measured from the last nightly snapshot on or before the period start and
+ *   are net of deposits; accounts without such a snapshot are measured from their net deposits
+ * - Equal figures share a rank (1, 2, 2, 4); ties are listed by username
+ */
+
+const LEADERBOARD_PERIODS = ['day', 'week', 'month', 'all'];
+const LEADERBOARD_SORTS = ['value', 'return'];
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let refreshInFlight = null;
+
+/**
+ * Snapshot date a period is measured from (Nairobi date)
+ */
+function getPeriodStartKey(period, now) {
+  if (period === 'day') return toLocalDateKey(new Date(now.getTime() - DAY_MS));
+  if (period === 'week') return toLocalDateKey(new Date(now.getTime() - 7 * DAY_MS));
+
+  const monthAgo = new Date(now);
+  monthAgo.setUTCMonth(monthAgo.getUTCMonth() - 1);
+  return toLocalDateKey(monthAgo);
+}
+
+/**
+ * Each user's last snapshot on or before a date
+ * @returns {Map} userId -> { totalValue, netDeposits }
+ */
+async function loadStartSnapshots(dateKey) {
+  const snapshots = await PortfolioSnapshot.aggregate([
+    { $match: { date: { $lte: dateKey } } },
+    { $sort: { userId: 1, date: -1 } },
+    {
+      $group: {
+        _id: '$userId',
+        totalValue: { $first: '$totalValue' },
+        netDeposits: { $first: '$netDeposits' }
+      }
+    }
+  ]);
+
+  return new Map(snapshots.map(snapshot => [snapshot._id.toString(), snapshot]));
+}
+
+/**
+ * Gain over a period net of deposits, from a starting snapshot or (without one) from net deposits
+ */
+function getPeriodReturn(account, start) {
+  const startValue = start ? start.totalValue : account.netDeposits;
+  const depositsAdded = start ? account.netDeposits - start.netDeposits : 0;
+  const returnAmount = account.totalValue - startValue - depositsAdded;
+
+  return {
+    startValue,
+    returnAmount,
+    returnPercent: startValue > 0 ? (returnAmount / startValue) * 100 : 0
+  };
+}
+
+/**
+ * Competition ranking (equal figures share a rank) on a numeric field, highest first
+ */
+function assignRanks(entries, field, rankField) {
+  const ordered = [...entries].sort((a, b) => b[field] - a[field] || a.username.localeCompare(b.username));
+
+  ordered.forEach((entry, i) => {
+    const previous = ordered[i - 1];
+    entry[rankField] = previous && previous[field] === entry[field] ? previous[rankField] : i + 1;
+  });
+}
+
+/**
+ * Recompute every leaderboard period
+ * @param {Date} now - Time the rankings are computed for
+ * @returns {Object} { users, failed, computedAt }
+ */
+async function computeLeaderboards(now) {
+  const computedAt = new Date();
+  const users = await User.find({ role: 'user', isBanned: { $ne: true } }).select('_id username balance');
+
+  const accounts = [];
+  let failed = 0;
+  for (const user of users) {
+    try {
+      const snapshot = await buildSnapshot(user);
+      accounts.push({ user, ...snapshot });
+    } catch (error) {
+      failed++;
+      console.error(`❌ Leaderboard valuation failed for user ${user._id}:`, error);
+    }
+  }
+
+  for (const period of LEADERBOARD_PERIODS) {
+    const starts = period === 'all' ? new Map() : await loadStartSnapshots(getPeriodStartKey(period, now));
+
+    const entries = accounts.map(account => ({
+      period,
+      userId: account.user._id,
+      username: account.user.username || '',
+      totalValue: account.totalValue,
+      cashBalance: account.cashBalance,
+      holdingsValue: account.holdingsValue,
+      valueByAssetType: account.valueByAssetType,
+      ...getPeriodReturn(account, starts.get(account.user._id.toString())),
+      computedAt
+    }));
+
+    assignRanks(entries, 'totalValue', 'valueRank');
+    assignRanks(entries, 'returnPercent', 'returnRank');
+
+    if (entries.length > 0) {
+      await LeaderboardEntry.bulkWrite(entries.map(entry => ({
+        updateOne: {
+          filter: { period, userId: entry.userId },
+          update: { $set: entry },
+          upsert: true
+        }
+      })));
+    }
+  }
+
+  // Users who stopped qualifying (banned, deleted) drop off
+  await LeaderboardEntry.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { users: accounts.length, failed, computedAt };
+}
+
+/**
+ * Recompute the leaderboards, sharing a run that is already in progress
+ * @param {Date} now - Time the rankings are computed for
+ * @returns {Object} { users, failed, computedAt }
+ */
+function refreshLeaderboards(now = new Date()) {
+  if (!refreshInFlight) {
+    refreshInFlight = computeLeaderboards(now).finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Public view of an entry under one ranking
+ */
+function formatEntry(entry, sortBy, userId) {
+  return {
+    rank: sortBy === 'return' ? entry.returnRank : entry.valueRank,
+    username: entry.username,
+    totalValue: entry.totalValue,
+    returnAmount: entry.returnAmount,
+    returnPercent: entry.returnPercent,
+    valueByAssetType: entry.valueByAssetType,
+    isCurrentUser: Boolean(userId) && entry.userId.toString() === userId.toString()
+  };
+}
+
+/**
+ * One page of a leaderboard, plus the requesting user's own entry
+ * Computes the rankings on the spot if the job has not produced any yet
+ * @param {Object} options - { period, sortBy, page, limit }
+ * @param {ObjectId|null} userId - Requesting user, if signed in
+ * @returns {Object} { period, sortBy, computedAt, entries, pagination, me }
+ */
+async function getLeaderboardPage({ period = 'all', sortBy = 'value', page = 1, limit = 20 } = {}, userId = null) {
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    throw httpError(`Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`);
+  }
+
+  if (!LEADERBOARD_SORTS.includes(sortBy)) {
+    throw httpError(`sortBy must be one of: ${LEADERBOARD_SORTS.join(', ')}`);
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const rankField = sortBy === 'return' ? 'returnRank' : 'valueRank';
+
+  if (!(await LeaderboardEntry.exists({ period }))) {
+    await refreshLeaderboards();
+  }
+
+  const [entries, total, own] = await Promise.all([
+    LeaderboardEntry.find({ period })
+      .sort({ [rankField]: 1, username: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    LeaderboardEntry.countDocuments({ period }),
+    userId ? LeaderboardEntry.findOne({ period, userId }).lean() : null
+  ]);
+
+  return {
+    period,
+    sortBy,
+    computedAt: entries[0]?.computedAt || own?.computedAt || null,
+    entries: entries.map(entry => formatEntry(entry, sortBy, userId)),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    },
+    me: own ? formatEntry(own, sortBy, userId) : null
+  };
+}
+
+/**
+ * Leaderboard of a group of users (e.g. a classroom), ranked among themselves
+ * Built from the cached rankings, so it covers the same accounts and figures as the full board
+ * @param {ObjectId[]} userIds - Members of the group
+ * @param {Object} options - { period, sortBy }
+ * @param {ObjectId|null} userId - Requesting user, flagged in the entries
+ * @returns {Object} { period, sortBy, computedAt, entries }
+ */
+async function getGroupLeaderboard(userIds, { period = 'all', sortBy = 'value' } = {}, userId = null) {
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    throw httpError(`Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`);
+  }
+
+  if (!LEADERBOARD_SORTS.includes(sortBy)) {
+    throw httpError(`sortBy must be one of: ${LEADERBOARD_SORTS.join(', ')}`);
+  }
+
+  if (!(await LeaderboardEntry.exists({ period }))) {
+    await refreshLeaderboards();
+  }
+
+  const entries = await LeaderboardEntry.find({ period, userId: { $in: userIds } }).lean();
+  assignRanks(entries, 'totalValue', 'valueRank');
+  assignRanks(entries, 'returnPercent', 'returnRank');
+
+  const rankField = sortBy === 'return' ? 'returnRank' : 'valueRank';
+  entries.sort((a, b) => a[rankField] - b[rankField] || a.username.localeCompare(b.username));
+
+  return {
+    period,
+    sortBy,
+    computedAt: entries[0]?.computedAt || null,
+    entries: entries.map(entry => formatEntry(entry, sortBy, userId))
+  };
+}
+
+/**
+ * A user's value and return ranks in every period
+ * @returns {Object[]} [{ period, valueRank, returnRank, totalValue, returnPercent, outOf }]
+ */
+async function getUserRanks(userId) {
+  const [entries, counts] = await Promise.all([
+    LeaderboardEntry.find({ userId }).lean(),
+    LeaderboardEntry.aggregate([{ $group: { _id: '$period', count: { $sum: 1 } } }])
+  ]);
+
+  return LEADERBOARD_PERIODS.map(period => {
+    const entry = entries.find(candidate => candidate.period === period);
+    return {
+      period,
+      valueRank: entry?.valueRank ?? null,
+      returnRank: entry?.returnRank ?? null,
+      totalValue: entry?.totalValue ?? null,
+      returnPercent: entry?.returnPercent ?? null,
+      outOf: counts.find(count => count._id === period)?.count || 0,
+      computedAt: entry?.computedAt ?? null
+    };
+  });
+}
+
+export {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SORTS,
+  assignRanks,
+  refreshLeaderboards,
+  getLeaderboardPage,
+  getGroupLeaderboard,
+  getUserRanks
+};
@@ -0,0 +1,277 @@
+import MarketCalendarOverride from "../models/MarketCalendarOverride.js";
+
+/**
+ * Market Calendar
+ * Trading sessions per asset type in East Africa Time (UTC+3, no daylight saving),
+ * Kenyan public holidays for NSE and admin overrides for anything gazetted ad hoc
+ */
+
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMEZONE = 'Africa/Nairobi';
+
+// How far ahead to search for the next session (covers long holiday runs)
+const LOOKAHEAD_DAYS = 14;
+
+// Weekly sessions; days are 0 (Sunday) to 6 (Saturday) in EAT
+const SESSIONS = {
+  stock: {
+    market: 'Nairobi Securities Exchange',
+    days: [1, 2, 3, 4, 5],
+    open: '09:30',
+    close: '15:00',
+    observesHolidays: true
+  },
+  crypto: {
+    market: 'Crypto market',
+    days: [0, 1, 2, 3, 4, 5, 6],
+    open: '00:00',
+    close: '24:00',
+    observesHolidays: false
+  },
+  // Global FX trades 24/5: Sunday 21:00 UTC to Friday 21:00 UTC is Monday to Friday in EAT
+  currency: {
+    market: 'Forex market',
+    days: [1, 2, 3, 4, 5],
+    open: '00:00',
+    close: '24:00',
+    observesHolidays: false
+  }
+};
+
+// Fixed-date public holidays (Public Holidays Act); Eid dates are gazetted each year and go in overrides
+const FIXED_HOLIDAYS = [
+  ['01-01', "New Year's Day"],
+  ['05-01', 'Labour Day'],
+  ['06-01', 'Madaraka Day'],
+  ['10-10', 'Mazingira Day'],
+  ['10-20', 'Mashujaa Day'],
+  ['12-12', 'Jamhuri Day'],
+  ['12-25', 'Christmas Day'],
+  ['12-26', 'Boxing Day']
+];
+
+/**
+ * YYYY-MM-DD for a UTC-based date
+ */
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * YYYY-MM-DD of an instant in Nairobi time
+ */
+function toLocalDateKey(date = new Date()) {
+  return toDateKey(new Date(date.getTime() + EAT_OFFSET_MS));
+}
+
+/**
+ * Minutes since midnight for an HH:MM string
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert an EAT day and HH:MM time to the UTC instant
+ */
+function eatTimeToDate(dateKey, time) {
+  return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + toMinutes(time) * 60 * 1000 - EAT_OFFSET_MS);
+}
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Kenyan public holidays for a year
+ * A fixed holiday falling on a Sunday is observed on the next free day
+ * @param {number} year - Calendar year
+ * @returns {Map<string, string>} Date key to holiday name
+ */
+function getKenyanHolidays(year) {
+  const holidays = new Map();
+
+  FIXED_HOLIDAYS.forEach(([monthDay, name]) => {
+    const date = new Date(`${year}-${monthDay}T00:00:00Z`);
+    holidays.set(toDateKey(date), name);
+
+    if (date.getUTCDay() === 0) {
+      let observed = new Date(date.getTime() + DAY_MS);
+      while (holidays.has(toDateKey(observed))) {
+        observed = new Date(observed.getTime() + DAY_MS);
+      }
+      holidays.set(toDateKey(observed), `${name} (observed)`);
+    }
+  });
+
+  const easter = getEasterSunday(year);
+  holidays.set(toDateKey(new Date(easter.getTime() - 2 * DAY_MS)), 'Good Friday');
+  holidays.set(toDateKey(new Date(easter.getTime() + DAY_MS)), 'Easter Monday');
+
+  return holidays;
+}
+
+/**
+ * Resolve one EAT day's session for an asset type
+ * @param {string} assetType - 'stock', 'crypto', or 'currency'
+ * @param {string} dateKey - YYYY-MM-DD in EAT
+ * @param {Array} overrides - Override documents for the asset type
+ * @returns {Object} { dateKey, isTradingDay, open, close, reason }
+ */
+function getTradingDay(assetType, dateKey, overrides = []) {
+  const session = SESSIONS[assetType];
+  const override = overrides.find(entry => entry.date === dateKey);
+
+  if (override) {
+    return override.closed
+      ? { dateKey, isTradingDay: false, open: null, close: null, reason: override.reason }
+      : {
+          dateKey,
+          isTradingDay: true,
+          open: override.open || session.open,
+          close: override.close || session.close,
+          reason: override.reason
+        };
+  }
+
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  if (!session.days.includes(weekday)) {
+    return { dateKey, isTradingDay: false, open: null, close: null, reason: 'Weekend' };
+  }
+
+  if (session.observesHolidays) {
+    const holiday = getKenyanHolidays(Number(dateKey.slice(0, 4))).get(dateKey);
+    if (holiday) {
+      return { dateKey, isTradingDay: false, open: null, close: null, reason: `Public holiday: ${holiday}` };
+    }
+  }
+
+  return { dateKey, isTradingDay: true, open: session.open, close: session.close, reason: null };
+}
+
+/**
+ * Market status at an instant, given the overrides that apply
+ * @param {string} assetType - 'stock', 'crypto', or 'currency'
+ * @param {Date} now - Instant to evaluate
+ * @param {Array} overrides - Override documents for the asset type
+ * @returns {Object} { assetType, market, isOpen, status, reason, timezone, session, opensAt, closesAt }
+ */
+function getMarketStatus(assetType, now = new Date(), overrides = []) {
+  const session = SESSIONS[assetType];
+  if (!session) {
+    throw new Error(`Unsupported asset type: ${assetType}`);
+  }
+
+  const eatNow = new Date(now.getTime() + EAT_OFFSET_MS);
+  const todayKey = toLocalDateKey(now);
+  const minutes = eatNow.getUTCHours() * 60 + eatNow.getUTCMinutes();
+  const today = getTradingDay(assetType, todayKey, overrides);
+
+  const status = {
+    assetType,
+    market: session.market,
+    isOpen: false,
+    status: 'CLOSED',
+    reason: today.reason,
+    timezone: TIMEZONE,
+    session: today.isTradingDay ? { date: todayKey, open: today.open, close: today.close } : null,
+    opensAt: null,
+    closesAt: null
+  };
+
+  if (today.isTradingDay && minutes >= toMinutes(today.open) && minutes < toMinutes(today.close)) {
+    status.isOpen = true;
+    status.status = 'OPEN';
+    status.reason = null;
+
+    // Round-the-clock markets roll into the next day, so only report a close when there is a gap
+    const tomorrowKey = toDateKey(new Date(eatNow.getTime() + DAY_MS));
+    const tomorrow = getTradingDay(assetType, tomorrowKey, overrides);
+    const continuous = today.close === '24:00' && tomorrow.isTradingDay && tomorrow.open === '00:00';
+    status.closesAt = continuous ? null : eatTimeToDate(todayKey, today.close);
+    return status;
+  }
+
+  if (today.isTradingDay && minutes < toMinutes(today.open)) {
+    status.reason = 'Before trading hours';
+    status.opensAt = eatTimeToDate(todayKey, today.open);
+    return status;
+  }
+
+  if (today.isTradingDay) {
+    status.reason = 'After trading hours';
+  }
+
+  for (let offset = 1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const dateKey = toDateKey(new Date(eatNow.getTime() + offset * DAY_MS));
+    const day = getTradingDay(assetType, dateKey, overrides);
+    if (day.isTradingDay) {
+      status.opensAt = eatTimeToDate(dateKey, day.open);
+      break;
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Load the overrides that can affect the status around an instant
+ */
+async function loadOverrides(assetType, now = new Date()) {
+  const from = toDateKey(new Date(now.getTime() + EAT_OFFSET_MS));
+  const to = toDateKey(new Date(now.getTime() + EAT_OFFSET_MS + LOOKAHEAD_DAYS * DAY_MS));
+
+  return MarketCalendarOverride.find({ assetType, date: { $gte: from, $lte: to } }).lean();
+}
+
+/**
+ * Current market status including admin overrides
+ * @param {string} assetType - 'stock', 'crypto', or 'currency'
+ * @param {Date} now - Instant to evaluate (defaults to now)
+ * @returns {Object} Market status (see getMarketStatus)
+ */
+async function getCurrentMarketStatus(assetType, now = new Date()) {
+  const overrides = await loadOverrides(assetType, now);
+  return getMarketStatus(assetType, now, overrides);
+}
+
+/**
+ * User-facing explanation of why a market is closed and when it reopens
+ */
+function describeClosure(status) {
+  const reopens = status.opensAt
+    ? ` Trading resumes at ${status.opensAt.toISOString()}.`
+    : '';
+  return `${status.market} is closed (${status.reason}).${reopens}`;
+}
+
+export {
+  SESSIONS,
+  TIMEZONE,
+  toLocalDateKey,
+  eatTimeToDate,
+  getKenyanHolidays,
+  getTradingDay,
+  getMarketStatus,
+  getCurrentMarketStatus,
+  describeClosure
+};
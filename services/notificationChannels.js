@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import axios from "axios";
+import nodemailer from "nodemailer";
+import webpush from "web-push";
+
+/**
+ * Notification Channels
+ * Delivery channels for notifications besides the in-app inbox.
+ * A channel is { isConfigured(), getTargets(user), send(delivery, context) }:
+ * - isConfigured: whether the server has what the channel needs (SMTP host, VAPID keys)
+ * - getTargets: addresses to deliver one notification to for a user (email address, URL, push endpoints)
+ * - send: deliver to one target; throw to have the delivery retried, with `permanent` set to give up
+ * More channels can be added with registerChannel.
+ * Webhooks only reach public addresses: the host is checked when the URL is saved, and again on
+ * every connection so a DNS answer that changes later cannot point it inside the network.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DEFAULT_EMAIL_FROM = "Avodal Finance <no-reply@avodal.finance>";
+const PLAIN_HTTP_ENVIRONMENTS = ['development', 'test'];
+
+// Loopback, private, shared, link-local, unique-local, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const channels = new Map();
+
+let emailTransport = null;
+let emailTransportKey = null;
+let vapidKey = null;
+
+/**
+ * Error that should not be retried (bad address, expired subscription)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Hosts in WEBHOOK_ALLOWED_HOSTS (comma-separated) may be private, e.g. a local receiver in development
+ */
+function isAllowedHost(hostname) {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .includes(hostname.toLowerCase());
+}
+
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL is https (http too in development) and resolves only to public addresses
+ * Throws a permanent error naming the problem; a lookup failure is left retryable
+ */
+async function checkWebhookUrl(webhookUrl) {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch {
+    throw permanentError("webhookUrl must be a valid URL");
+  }
+
+  const allowPlainHttp = PLAIN_HTTP_ENVIRONMENTS.includes(process.env.NODE_ENV);
+  if (url.protocol !== 'https:' && !(allowPlainHttp && url.protocol === 'http:')) {
+    throw permanentError(allowPlainHttp ? "webhookUrl must be an http(s) URL" : "webhookUrl must be an https URL");
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isAllowedHost(hostname)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new Error(`webhookUrl host ${hostname} could not be resolved`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw permanentError("webhookUrl must point to a public address");
+  }
+}
+
+/**
+ * dns.lookup for webhook connections that refuses non-public answers
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!isAllowedHost(hostname) && addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(permanentError("webhookUrl must point to a public address"));
+    }
+    callback(null, address, family);
+  });
+}
+
+const webhookHttpAgent = new http.Agent({ lookup: publicLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * SMTP transport for the current SMTP_* settings, rebuilt when they change
+ */
+function getEmailTransport() {
+  const options = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    })
+  };
+
+  const key = JSON.stringify(options);
+  if (!emailTransport || emailTransportKey !== key) {
+    emailTransport = nodemailer.createTransport(options);
+    emailTransportKey = key;
+  }
+  return emailTransport;
+}
+
+/**
+ * Escape text for the HTML part of an email
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Set the VAPID details web-push signs with, once per key
+ */
+function configureWebPush() {
+  const key = `${process.env.VAPID_PUBLIC_KEY}:${process.env.VAPID_PRIVATE_KEY}`;
+  if (vapidKey !== key) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:support@avodal.finance',
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+    vapidKey = key;
+  }
+}
+
+/**
+ * Body posted to webhooks and pushed to browsers
+ */
+function buildPayload(notification) {
+  return {
+    id: notification._id,
+    event: notification.event,
+    title: notification.title,
+    body: notification.body,
+    data: notification.data,
+    createdAt: notification.createdAt
+  };
+}
+
+const emailChannel = {
+  isConfigured: () => Boolean(process.env.SMTP_HOST),
+
+  getTargets: (user) => (user.email ? [user.email] : []),
+
+  async send(delivery, { notification }) {
+    await getEmailTransport().sendMail({
+      from: process.env.NOTIFICATION_EMAIL_FROM || DEFAULT_EMAIL_FROM,
+      to: delivery.target,
+      subject: notification.title,
+      text: notification.body,
+      html: `<p>${escapeHtml(notification.body)}</p>`
+    });
+  }
+};
+
+const webhookChannel = {
+  isConfigured: () => true,
+
+  getTargets: (user) => (user.notificationPreferences?.webhookUrl ? [user.notificationPreferences.webhookUrl] : []),
+
+  // Signed with the user's webhook secret: X-Avodal-Signature is the hex HMAC-SHA256 of the raw body
+  async send(delivery, { user, notification }) {
+    const body = JSON.stringify(buildPayload(notification));
+    const secret = user.notificationPreferences?.webhookSecret || '';
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    await checkWebhookUrl(delivery.target);
+
+    try {
+      await axios.post(delivery.target, body, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent: webhookHttpAgent,
+        httpsAgent: webhookHttpsAgent,
+        proxy: false,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Avodal-Event': notification.event,
+          'X-Avodal-Signature': `sha256=${signature}`
+        }
+      });
+    } catch (error) {
+      if (error.permanent || error.cause?.permanent) throw permanentError(error.message);
+
+      const status = error.response?.status;
+      // Redirects are not followed, and client errors other than rate limiting will not fix themselves
+      if (status && ((status >= 300 && status < 400) || (status >= 400 && status < 500 && status !== 429))) {
+        throw permanentError(`Webhook responded ${status}`);
+      }
+      throw error;
+    }
+  }
+};
+
+const pushChannel = {
+  isConfigured: () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+
+  getTargets: (user) => (user.pushSubscriptions || []).map(subscription => subscription.endpoint),
+
+  async send(delivery, { user, notification }) {
+    const subscription = (user.pushSubscriptions || []).find(candidate => candidate.endpoint === delivery.target);
+    if (!subscription) {
+      throw permanentError("Push subscription was removed");
+    }
+
+    configureWebPush();
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+        JSON.stringify(buildPayload(notification))
+      );
+    } catch (error) {
+      // The browser dropped the subscription
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        throw Object.assign(permanentError(`Push subscription expired (${error.statusCode})`), { expiredSubscription: true });
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Add (or replace) a delivery channel
+ * @param {string} name - Channel name used in preferences and deliveries
+ * @param {Object} channel - { isConfigured, getTargets, send }
+ */
+function registerChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+function getChannelNames() {
+  return [...channels.keys()];
+}
+
+registerChannel('email', emailChannel);
+registerChannel('webhook', webhookChannel);
+registerChannel('push', pushChannel);
+
+export {
+  permanentError,
+  checkWebhookUrl,
+  registerChannel,
+  getChannel,
+  getChannelNames
+};
@@ -0,0 +1,372 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import NotificationDelivery from "../models/NotificationDelivery.js";
+import User from "../models/User.js";
+import SystemSettings from "../models/SystemSettings.js";
+import { NOTIFICATION_EVENTS, renderNotification } from "./notificationTemplates.js";
+import { getChannel, getChannelNames, permanentError, checkWebhookUrl } from "./notificationChannels.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Notification Service
+ * Every notification goes to the user's in-app inbox, then to each external channel the user
+ * has enabled (email, push, webhook) unless they muted the event. The platform-wide
+ * emailNotifications / pushNotifications settings switch those channels off for everyone.
+ * External deliveries are queued: the first attempt is made straight away and failures are
+ * retried with exponential backoff by the scheduler until MAX_DELIVERY_ATTEMPTS. A delivery is
+ * leased to whoever attempts it, so the retry job never sends one that is already in flight.
+ */
+
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 100;
+const DELIVERY_LEASE_MS = 5 * 60 * 1000; // well past the slowest channel's timeout
+const MAX_PAGE_SIZE = 100;
+
+// Platform settings that switch a channel off for everyone
+const CHANNEL_SETTINGS = { email: 'emailNotifications', push: 'pushNotifications' };
+
+let processingDeliveries = false;
+
+/**
+ * Delay before the next attempt after `attempts` failures: 1, 2, 4 ... minutes, at most an hour
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Load a user with the fields channels deliver with
+ */
+function loadRecipient(userId) {
+  return User.findById(userId).select('+notificationPreferences.webhookSecret');
+}
+
+/**
+ * Take a due delivery for one attempt by pushing its next attempt past the lease
+ * Only one caller can match while it is due; a crash mid-send leaves it to be retried once the lease runs out
+ * @returns {Object|null} The claimed delivery, or null when it is no longer due or pending
+ */
+function claimDelivery(deliveryId, now = new Date()) {
+  return NotificationDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS), updatedAt: now },
+    { new: true }
+  );
+}
+
+/**
+ * Make one delivery attempt and record the outcome
+ * @returns {Object} The delivery, now sent, failed or pending a retry
+ */
+async function attemptDelivery(delivery, now = new Date()) {
+  delivery.attempts += 1;
+
+  try {
+    const [user, notification] = await Promise.all([
+      loadRecipient(delivery.userId),
+      Notification.findById(delivery.notificationId).lean()
+    ]);
+    const channel = getChannel(delivery.channel);
+
+    if (!user || !notification) {
+      throw permanentError("Recipient or notification no longer exists");
+    }
+    if (!channel) {
+      throw permanentError(`Unknown channel: ${delivery.channel}`);
+    }
+
+    await channel.send(delivery, { user, notification });
+
+    delivery.status = 'sent';
+    delivery.sentAt = now;
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (error.expiredSubscription) {
+      await User.updateOne({ _id: delivery.userId }, { $pull: { pushSubscriptions: { endpoint: delivery.target } } });
+    }
+
+    if (error.permanent || delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelay(delivery.attempts));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * External channels a notification should go out on for a user
+ */
+async function getEnabledChannels(user, event) {
+  const preferences = user.notificationPreferences || {};
+  if ((preferences.mutedEvents || []).includes(event)) return [];
+
+  const settings = await SystemSettings.findOne().lean();
+
+  return getChannelNames().filter(name => {
+    const settingName = CHANNEL_SETTINGS[name];
+    if (settingName && settings && settings[settingName] === false) return false;
+    return preferences[name] === true && getChannel(name).isConfigured();
+  });
+}
+
+/**
+ * Notify a user of an event: write it to their inbox and deliver it on their enabled channels
+ * @param {ObjectId} userId - Recipient
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} data - Values for the event's template, stored with the notification
+ * @returns {Object|null} { notification, deliveries }, or null if the user does not exist
+ */
+async function notify(userId, event, data = {}) {
+  const user = await loadRecipient(userId);
+  if (!user) return null;
+
+  const { title, body } = renderNotification(event, data);
+  const notification = await Notification.create({ userId: user._id, event, title, body, data });
+
+  const deliveries = [];
+  for (const channelName of await getEnabledChannels(user, event)) {
+    for (const target of getChannel(channelName).getTargets(user)) {
+      // Created already leased, so the retry job leaves the first attempt to this call
+      const delivery = await NotificationDelivery.create({
+        notificationId: notification._id,
+        userId: user._id,
+        channel: channelName,
+        target,
+        nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS)
+      });
+      deliveries.push(await attemptDelivery(delivery));
+    }
+  }
+
+  return { notification, deliveries };
+}
+
+/**
+ * Notify without holding up the caller; failures are logged
+ */
+function notifyInBackground(userId, event, data = {}) {
+  notify(userId, event, data).catch(error => {
+    console.error(`❌ Failed to notify user ${userId} of ${event}:`, error);
+  });
+}
+
+/**
+ * Template data for an executed trade
+ */
+function getTradeData(trade) {
+  const orderLabels = { market: 'market order', limit: 'limit order', stop_loss: 'stop-loss', take_profit: 'take-profit', trailing_stop: 'trailing stop', recurring: 'recurring plan', rebalance: 'rebalance' };
+
+  return {
+    tradeId: trade._id,
+    assetType: trade.assetType,
+    symbol: trade.assetSymbol,
+    side: trade.type,
+    sideLabel: trade.type === 'buy' ? 'Bought' : 'Sold',
+    orderLabel: orderLabels[trade.orderType] || 'order',
+    quantity: String(trade.quantity),
+    price: trade.price,
+    totalFees: trade.totalFees || 0,
+    netAmount: trade.netAmount,
+    amountLabel: trade.type === 'buy' ? 'Total cost' : 'Net proceeds',
+    competitionId: trade.competitionId || null
+  };
+}
+
+/**
+ * Retry every queued delivery that is due
+ * Each delivery is claimed before it is sent, and overlapping calls in one process return straight away
+ * @param {Date} now - Time of the run
+ * @returns {Object} { attempted, sent, failed }
+ */
+async function processPendingDeliveries(now = new Date()) {
+  const result = { attempted: 0, sent: 0, failed: 0 };
+  if (processingDeliveries) return result;
+  processingDeliveries = true;
+
+  try {
+    const due = await NotificationDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .select('_id')
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .lean();
+
+    for (const { _id } of due) {
+      try {
+        const delivery = await claimDelivery(_id, now);
+        if (!delivery) continue;
+
+        result.attempted++;
+        await attemptDelivery(delivery, now);
+        if (delivery.status === 'sent') result.sent++;
+        if (delivery.status === 'failed') result.failed++;
+      } catch (error) {
+        console.error(`❌ Error retrying notification delivery ${_id}:`, error.message);
+      }
+    }
+  } finally {
+    processingDeliveries = false;
+  }
+
+  return result;
+}
+
+/**
+ * A page of the user's inbox, newest first
+ * @param {Object} options - { unread, page, limit }
+ * @returns {Object} { notifications, unreadCount, pagination }
+ */
+async function listNotifications(userId, { unread = false, page = 1, limit = 20 } = {}) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+
+  const filter = { userId };
+  if (unread) filter.readAt = null;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ userId, readAt: null })
+  ]);
+
+  return {
+    notifications,
+    unreadCount,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Mark one notification (or all of them when notificationId is null) as read
+ * @returns {number} Notifications newly marked read
+ */
+async function markRead(userId, notificationId = null) {
+  const filter = { userId, readAt: null };
+
+  if (notificationId) {
+    if (!mongoose.isValidObjectId(notificationId) || !(await Notification.exists({ _id: notificationId, userId }))) {
+      throw httpError("Notification not found", 404);
+    }
+    filter._id = notificationId;
+  }
+
+  const result = await Notification.updateMany(filter, { readAt: new Date() });
+  return result.modifiedCount;
+}
+
+async function deleteNotification(userId, notificationId) {
+  const deleted = mongoose.isValidObjectId(notificationId)
+    && await Notification.findOneAndDelete({ _id: notificationId, userId });
+
+  if (!deleted) {
+    throw httpError("Notification not found", 404);
+  }
+}
+
+/**
+ * A user's notification preferences, with which channels the server can deliver on
+ */
+function getPreferences(user) {
+  const preferences = user.notificationPreferences || {};
+
+  return {
+    email: preferences.email !== false,
+    push: preferences.push !== false,
+    webhook: preferences.webhook === true,
+    webhookUrl: preferences.webhookUrl || null,
+    mutedEvents: preferences.mutedEvents || [],
+    pushSubscriptions: (user.pushSubscriptions || []).length,
+    events: NOTIFICATION_EVENTS,
+    available: Object.fromEntries(getChannelNames().map(name => [name, getChannel(name).isConfigured()]))
+  };
+}
+
+/**
+ * Change a user's notification preferences
+ * Setting a new webhookUrl issues a new signing secret, returned once as webhookSecret
+ * @param {Object} changes - { email, push, webhook, webhookUrl, mutedEvents }
+ * @returns {Object} Preferences, plus webhookSecret when one was issued
+ */
+async function updatePreferences(user, changes) {
+  const { email, push, webhook, webhookUrl, mutedEvents } = changes;
+  const update = {};
+
+  for (const [name, value] of Object.entries({ email, push, webhook })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') {
+      throw httpError(`${name} must be true or false`);
+    }
+    update[`notificationPreferences.${name}`] = value;
+  }
+
+  if (mutedEvents !== undefined) {
+    if (!Array.isArray(mutedEvents) || mutedEvents.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+      throw httpError(`mutedEvents must list events from: ${NOTIFICATION_EVENTS.join(', ')}`);
+    }
+    update['notificationPreferences.mutedEvents'] = [...new Set(mutedEvents)];
+  }
+
+  let webhookSecret;
+  if (webhookUrl !== undefined) {
+    if (webhookUrl !== null) {
+      try {
+        await checkWebhookUrl(webhookUrl);
+      } catch (error) {
+        throw httpError(error.message);
+      }
+      webhookSecret = crypto.randomBytes(24).toString('hex');
+    }
+    update['notificationPreferences.webhookUrl'] = webhookUrl;
+    update['notificationPreferences.webhookSecret'] = webhookSecret || null;
+  }
+
+  const updated = await User.findByIdAndUpdate(user._id, { $set: update }, { new: true, runValidators: true });
+  return { ...getPreferences(updated), ...(webhookSecret && { webhookSecret }) };
+}
+
+/**
+ * Register a browser's web push subscription (replacing one with the same endpoint)
+ * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+ */
+async function addPushSubscription(user, subscription = {}) {
+  const { endpoint, keys } = subscription;
+  if (!endpoint || !keys?.p256dh || !keys?.auth) {
+    throw httpError("A push subscription needs endpoint, keys.p256dh and keys.auth");
+  }
+
+  await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint } } });
+  await User.updateOne(
+    { _id: user._id },
+    { $push: { pushSubscriptions: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } } }
+  );
+}
+
+async function removePushSubscription(user, endpoint) {
+  if (!endpoint) {
+    throw httpError("endpoint is required");
+  }
+  await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint } } });
+}
+
+export {
+  MAX_DELIVERY_ATTEMPTS,
+  getRetryDelay,
+  notify,
+  notifyInBackground,
+  getTradeData,
+  processPendingDeliveries,
+  listNotifications,
+  markRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription
+};
@@ -0,0 +1,71 @@
+/**
+ * Notification Templates
+ * Title and body for each notification event, with {{placeholders}} filled from the event data
+ */
+
+const NOTIFICATION_TEMPLATES = {
+  trade_executed: {
+    title: "{{sideLabel}} {{quantity}} {{symbol}}",
+    body: "Your {{orderLabel}} {{side}} of {{quantity}} {{symbol}} executed at KSh {{price}}. {{amountLabel}}: KSh {{netAmount}} (fees KSh {{totalFees}})."
+  },
+  alert_triggered: {
+    title: "Price alert: {{symbol}}",
+    body: "{{message}}{{noteText}}"
+  },
+  recurring_buy_skipped: {
+    title: "Recurring buy skipped: {{symbol}}",
+    body: "Your {{frequency}} buy of KSh {{amount}} of {{symbol}} was skipped: {{message}}"
+  },
+  account_banned: {
+    title: "Your account has been suspended",
+    body: "Your Avodal Finance account was suspended on {{date}}.{{reasonText}} Contact support if you think this is a mistake."
+  },
+  account_unbanned: {
+    title: "Your account has been restored",
+    body: "Your Avodal Finance account was restored on {{date}}. You can trade again."
+  }
+};
+
+const NOTIFICATION_EVENTS = Object.keys(NOTIFICATION_TEMPLATES);
+
+/**
+ * Format a placeholder value: money-like numbers to two decimals, missing values to nothing
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+}
+
+/**
+ * Fill a template's {{placeholders}} from data
+ */
+function renderTemplate(template, data = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => formatValue(data[key]));
+}
+
+/**
+ * Title and body of a notification event
+ * @throws when the event has no template
+ */
+function renderNotification(event, data = {}) {
+  const template = NOTIFICATION_TEMPLATES[event];
+  if (!template) {
+    throw new Error(`No notification template for event: ${event}`);
+  }
+
+  return {
+    title: renderTemplate(template.title, data),
+    body: renderTemplate(template.body, data)
+  };
+}
+
+export {
+  NOTIFICATION_TEMPLATES,
+  NOTIFICATION_EVENTS,
+  renderTemplate,
+  renderNotification
+};
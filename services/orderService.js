@@ -0,0 +1,757 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import Portfolio from "../models/Portfolio.js";
+import OHLCV from "../models/OHLCV.js";
+import { calculateFees, validateBuyOrder } from "../utils/feeCalculator.js";
+import { adjustBalance, findHolding, executeBuy, executeSell } from "./tradeService.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { getCurrentMarketStatus } from "./marketCalendar.js";
+import { checkTradingPolicy } from "./tradingPolicy.js";
+import { notifyInBackground, getTradeData } from "./notificationService.js";
+import { publishFill, publishOrder, publishBalance } from "./streamService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Order Service
+ * Places, amends and cancels pending orders and fills them against stored prices
+ */
+
+// Sell orders attached to a holding that fire when the price hits a trigger level
+const PROTECTIVE_ORDER_TYPES = ['stop_loss', 'take_profit', 'trailing_stop'];
+
+/**
+ * Move an open order to its next state in one conditional write
+ * Matches only while the order is still open with the reservation it was loaded with, so a cancel,
+ * amend and fill racing each other cannot all release or spend the same reservation: the loser
+ * gets a 409 and its transaction, with the balance or holding change, is rolled back
+ * @param {Object} order - Order as loaded (not modified by the caller's transaction work)
+ * @param {Object} update - Fields to set
+ * @param {ClientSession} session - Transaction the balance or holding change runs in
+ * @returns {Object} Updated order
+ */
+async function transitionOrder(order, update, session = null) {
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: 'open',
+      reservedAmount: order.reservedAmount,
+      reservedQuantity: order.reservedQuantity
+    },
+    { ...update, updatedAt: new Date() },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw httpError("Order changed while it was being updated. Reload it and try again", 409);
+  }
+
+  return updated;
+}
+
+/**
+ * Units label used in user-facing messages
+ */
+function unitLabel(assetType) {
+  return assetType === 'stock' ? 'shares' : 'units';
+}
+
+/**
+ * Hold back units of a holding in one conditional update
+ * Only matches while enough unreserved units remain, so concurrent orders cannot oversell
+ * @returns {Object|null} Updated holding, or null when the units are no longer available
+ */
+async function reserveUnits(holdingId, quantity, session = null) {
+  return Portfolio.findOneAndUpdate(
+    {
+      _id: holdingId,
+      $expr: {
+        $gte: [
+          { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] },
+          quantity
+        ]
+      }
+    },
+    { $inc: { reservedQuantity: quantity } },
+    { new: true, session }
+  );
+}
+
+/**
+ * Hand reserved units back to a holding without taking the reservation below zero
+ */
+async function releaseUnits(holdingId, quantity, session = null) {
+  await Portfolio.updateOne({ _id: holdingId }, [
+    {
+      $set: {
+        reservedQuantity: {
+          $max: [0, { $subtract: [{ $ifNull: ['$reservedQuantity', 0] }, quantity] }]
+        }
+      }
+    }
+  ], { session });
+}
+
+/**
+ * Reserve cash (buy) or units (sell) for a new order
+ * Buy reservations cover the fees at the limit price, so a fill at or below the limit is always funded
+ * @param {Object} user - User document; its balance is refreshed from the update
+ * @param {Object} terms - { assetType, assetSymbol, side, quantity, limitPrice }
+ * @param {ClientSession} session - Transaction the order is saved in
+ * @returns {Object} { reservedAmount } or { reservedQuantity } for the order
+ */
+async function reserveForOrder(user, terms, session) {
+  if (terms.side === 'buy') {
+    const feeData = await calculateFees(terms.limitPrice * terms.quantity, 'buy');
+
+    const balanceValidation = validateBuyOrder(user.balance, { totalCost: feeData.totalCost });
+    if (!balanceValidation.hasSufficientBalance) {
+      throw httpError(balanceValidation.message);
+    }
+
+    // The debit re-checks the balance, in case another request spent it since it was read
+    const account = await adjustBalance(user._id, -feeData.totalCost, session);
+    user.balance = account.balance;
+    return { reservedAmount: feeData.totalCost };
+  }
+
+  const holding = await findHolding(user._id, terms.assetType, terms.assetSymbol, session);
+  if (!holding) {
+    throw httpError(`You don't own any ${unitLabel(terms.assetType)} of ${terms.assetSymbol}`);
+  }
+
+  const available = holding.quantity - (holding.reservedQuantity || 0);
+  if (available < terms.quantity) {
+    throw httpError(`Insufficient ${unitLabel(terms.assetType)}. You have ${available} available but the order needs ${terms.quantity}`);
+  }
+
+  if (!await reserveUnits(holding._id, terms.quantity, session)) {
+    throw httpError(`Insufficient ${unitLabel(terms.assetType)}. The holding changed while the order was being placed`);
+  }
+
+  return { reservedQuantity: terms.quantity };
+}
+
+/**
+ * Release whatever an order is still holding back
+ * The order itself is left as it is; callers clear its reservation with transitionOrder
+ * @param {Object} user - User document; its balance is refreshed from the update
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Transaction the order's transition runs in
+ */
+async function releaseReservation(user, order, session = null) {
+  if (order.side === 'buy' && order.reservedAmount > 0) {
+    const account = await adjustBalance(user._id, order.reservedAmount, session);
+    user.balance = account.balance;
+  }
+
+  if (order.side === 'sell' && order.reservedQuantity > 0) {
+    const holding = await findHolding(user._id, order.assetType, order.assetSymbol, session);
+    if (holding) {
+      await releaseUnits(holding._id, order.reservedQuantity, session);
+    }
+  }
+}
+
+/**
+ * Place a limit order and reserve funds or holdings for it
+ * The reservation and the order commit together, so neither is left without the other
+ * @param {Object} user - User document
+ * @param {Object} params - { assetType, symbol, side, quantity, limitPrice, expiresAt }
+ * @returns {Object} Saved order
+ */
+async function placeLimitOrder(user, { assetType, symbol, side, quantity, limitPrice, expiresAt = null }) {
+  const terms = {
+    userId: user._id,
+    assetType,
+    assetSymbol: symbol,
+    side,
+    orderType: 'limit',
+    quantity,
+    limitPrice,
+    expiresAt
+  };
+
+  const order = await runInTransaction(async (session) => {
+    const reservation = await reserveForOrder(user, terms, session);
+    const [created] = await Order.create([{ ...terms, ...reservation }], { session });
+    return created;
+  });
+
+  if (side === 'buy') {
+    publishBalance(user._id, user.balance);
+  }
+  return order;
+}
+
+/**
+ * Latest stored price for an asset, or null when nothing is stored yet
+ */
+async function getStoredPrice(assetType, symbol) {
+  const latest = await OHLCV.getLatestPrice(assetType, symbol);
+  return latest && latest.valueKES > 0 ? latest.valueKES : null;
+}
+
+/**
+ * Apply stop price / trailing distance to a protective order
+ * Trailing stops derive their stop price from the high-water mark
+ * @param {Object} order - Protective order (updated in place)
+ * @param {Object} terms - { stopPrice, trailPercent }
+ * @param {number|null} currentPrice - Latest stored price used for validation
+ */
+function applyProtectiveTerms(order, { stopPrice, trailPercent }, currentPrice) {
+  if (order.orderType === 'trailing_stop') {
+    if (trailPercent !== undefined) order.trailPercent = trailPercent;
+    if (!order.trailPercent) {
+      throw httpError("Trailing stops require trailPercent");
+    }
+
+    order.highWaterMark = Math.max(order.highWaterMark || 0, currentPrice || 0);
+    if (!order.highWaterMark) {
+      throw httpError(`No price available for ${order.assetSymbol} to trail from`);
+    }
+
+    order.stopPrice = order.highWaterMark * (1 - order.trailPercent / 100);
+    return;
+  }
+
+  if (stopPrice !== undefined) order.stopPrice = stopPrice;
+  if (!order.stopPrice) {
+    throw httpError("Stop-loss and take-profit orders require stopPrice");
+  }
+
+  if (currentPrice && order.orderType === 'stop_loss' && order.stopPrice >= currentPrice) {
+    throw httpError(`Stop-loss price must be below the current price of KSh ${currentPrice.toFixed(2)}`);
+  }
+
+  if (currentPrice && order.orderType === 'take_profit' && order.stopPrice <= currentPrice) {
+    throw httpError(`Take-profit price must be above the current price of KSh ${currentPrice.toFixed(2)}`);
+  }
+}
+
+/**
+ * Attach a stop-loss, take-profit or trailing-stop sell order to a holding
+ * Protective orders do not reserve units, so several can guard the same holding
+ * @param {Object} user - User document
+ * @param {Object} params - { assetType, symbol, orderType, quantity, stopPrice, trailPercent, expiresAt }
+ * @returns {Object} Saved order
+ */
+async function placeProtectiveOrder(user, { assetType, symbol, orderType, quantity, stopPrice, trailPercent, expiresAt = null }) {
+  const holding = await findHolding(user._id, assetType, symbol);
+  if (!holding) {
+    throw httpError(`You don't own any ${unitLabel(assetType)} of ${symbol}`);
+  }
+
+  // Default to protecting the whole position
+  const orderQuantity = quantity ?? holding.quantity;
+  if (orderQuantity > holding.quantity) {
+    throw httpError(`Insufficient ${unitLabel(assetType)}. You own ${holding.quantity} but the order covers ${orderQuantity}`);
+  }
+
+  const order = new Order({
+    userId: user._id,
+    assetType,
+    assetSymbol: symbol,
+    side: 'sell',
+    orderType,
+    quantity: orderQuantity,
+    holdingId: holding._id,
+    expiresAt
+  });
+
+  const currentPrice = await getStoredPrice(assetType, symbol);
+  applyProtectiveTerms(order, { stopPrice, trailPercent }, currentPrice);
+
+  await order.save();
+  return order;
+}
+
+/**
+ * Find an open order owned by the user
+ */
+async function findOpenOrder(userId, orderId) {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw httpError("Order not found", 404);
+  }
+
+  const order = await Order.findOne({ _id: orderId, userId });
+
+  if (!order) {
+    throw httpError("Order not found", 404);
+  }
+
+  if (order.status !== 'open') {
+    throw httpError(`Order is already ${order.status}`);
+  }
+
+  return order;
+}
+
+/**
+ * Amend quantity, stop price, trailing distance or expiry of a protective order
+ */
+async function amendProtectiveOrder(user, order, { quantity, stopPrice, trailPercent, expiresAt }) {
+  if (quantity !== undefined) {
+    const holding = await findHolding(user._id, order.assetType, order.assetSymbol);
+    if (!holding || holding.quantity < quantity) {
+      throw httpError(`Insufficient ${unitLabel(order.assetType)}. You own ${holding ? holding.quantity : 0} but the order covers ${quantity}`);
+    }
+    order.quantity = quantity;
+  }
+
+  if (expiresAt !== undefined) order.expiresAt = expiresAt;
+
+  const currentPrice = await getStoredPrice(order.assetType, order.assetSymbol);
+  applyProtectiveTerms(order, { stopPrice, trailPercent }, currentPrice);
+
+  // Protective orders reserve nothing, so the conditional write alone keeps a fired order from being amended
+  return transitionOrder(order, {
+    quantity: order.quantity,
+    expiresAt: order.expiresAt,
+    stopPrice: order.stopPrice,
+    trailPercent: order.trailPercent,
+    highWaterMark: order.highWaterMark
+  });
+}
+
+/**
+ * Amend an open order
+ * For limit orders the new terms pass the same trading policy checks as a new order, and the
+ * reservation is topped up or partially released to match them
+ * @param {Object} user - User document
+ * @param {string} orderId - Order to amend
+ * @param {Object} changes - { quantity, limitPrice, stopPrice, trailPercent, expiresAt }
+ * @returns {Object} Updated order
+ */
+async function amendOrder(user, orderId, { quantity, limitPrice, stopPrice, trailPercent, expiresAt }) {
+  const order = await findOpenOrder(user._id, orderId);
+
+  if (PROTECTIVE_ORDER_TYPES.includes(order.orderType)) {
+    return amendProtectiveOrder(user, order, { quantity, stopPrice, trailPercent, expiresAt });
+  }
+
+  const terms = {
+    quantity: quantity !== undefined ? quantity : order.quantity,
+    limitPrice: limitPrice !== undefined ? limitPrice : order.limitPrice,
+    expiresAt: expiresAt !== undefined ? expiresAt : order.expiresAt
+  };
+
+  const violation = await checkTradingPolicy(
+    { assetType: order.assetType, symbol: order.assetSymbol, tradeAmount: terms.quantity * terms.limitPrice },
+    { requireSession: false }
+  );
+  if (violation) {
+    throw httpError(violation.message, violation.status, violation.code);
+  }
+
+  let additionalCash = 0;
+  if (order.side === 'buy') {
+    const feeData = await calculateFees(terms.limitPrice * terms.quantity, 'buy');
+    terms.reservedAmount = feeData.totalCost;
+    additionalCash = feeData.totalCost - order.reservedAmount;
+
+    if (additionalCash > 0) {
+      const balanceValidation = validateBuyOrder(user.balance, { totalCost: additionalCash });
+      if (!balanceValidation.hasSufficientBalance) {
+        throw httpError(balanceValidation.message);
+      }
+    }
+  } else {
+    terms.reservedQuantity = terms.quantity;
+  }
+
+  // The reservation change and the amended terms commit together
+  const amended = await runInTransaction(async (session) => {
+    if (order.side === 'buy') {
+      if (additionalCash !== 0) {
+        // Smaller orders hand back the difference; the debit re-checks the balance
+        const account = await adjustBalance(user._id, -additionalCash, session);
+        user.balance = account.balance;
+      }
+    } else {
+      const additionalUnits = terms.quantity - order.reservedQuantity;
+      const holding = await findHolding(user._id, order.assetType, order.assetSymbol, session);
+
+      if (additionalUnits < 0 && holding) {
+        await releaseUnits(holding._id, -additionalUnits, session);
+      } else if (additionalUnits > 0) {
+        if (!holding) {
+          throw httpError(`You don't own any ${unitLabel(order.assetType)} of ${order.assetSymbol}`);
+        }
+
+        const available = holding.quantity - (holding.reservedQuantity || 0);
+        if (available < additionalUnits) {
+          throw httpError(`Insufficient ${unitLabel(order.assetType)}. You have ${available} available but the order needs ${additionalUnits} more`);
+        }
+
+        if (!await reserveUnits(holding._id, additionalUnits, session)) {
+          throw httpError(`Insufficient ${unitLabel(order.assetType)}. The holding changed while the order was being amended`);
+        }
+      }
+    }
+
+    return transitionOrder(order, terms, session);
+  });
+
+  if (order.side === 'buy' && additionalCash !== 0) {
+    publishBalance(user._id, user.balance);
+  }
+  return amended;
+}
+
+/**
+ * Cancel an open order and release its reservation
+ * @param {Object} user - User document
+ * @param {string} orderId - Order to cancel
+ * @returns {Object} Cancelled order
+ */
+async function cancelOrder(user, orderId) {
+  const order = await findOpenOrder(user._id, orderId);
+  return closeOrder(order, 'cancelled', 'Cancelled by user', user);
+}
+
+/**
+ * Close an order without filling it (cancelled, expired or rejected)
+ * The reservation is released in the same transaction as the order leaves the open state
+ * @param {Object} order - Open order
+ * @param {string} status - 'cancelled', 'expired' or 'rejected'
+ * @param {string} reason - Status reason shown to the user
+ * @param {Object} user - Owner, when the caller already loaded it (a user cancel)
+ * @returns {Object} Closed order
+ */
+async function closeOrder(order, status, reason, user = undefined) {
+  const owner = user === undefined ? await User.findById(order.userId) : user;
+  const closing = { status, statusReason: reason, reservedAmount: 0, reservedQuantity: 0 };
+  if (status === 'cancelled') {
+    closing.cancelledAt = new Date();
+  }
+
+  const closed = await runInTransaction(async (session) => {
+    if (owner) {
+      await releaseReservation(owner, order, session);
+    }
+    return transitionOrder(order, closing, session);
+  });
+
+  if (owner && order.side === 'buy' && order.reservedAmount > 0) {
+    publishBalance(owner._id, owner.balance);
+  }
+  // A user's own cancel is answered directly; the other closes happen out of band
+  if (!user) {
+    publishOrder(closed);
+  }
+  return closed;
+}
+
+/**
+ * Fill an order at the given market price through the regular trade path
+ * @param {Object} order - Open order whose limit has been crossed
+ * @param {number} price - Fill price per unit
+ * @returns {string} Resulting order status
+ */
+async function fillOrder(order, price) {
+  const user = await User.findById(order.userId);
+  if (!user) {
+    const rejected = await transitionOrder(order, { status: 'rejected', statusReason: 'User not found' });
+    return rejected.status;
+  }
+
+  const fill = {
+    assetType: order.assetType,
+    symbol: order.assetSymbol,
+    quantity: order.quantity,
+    price,
+    orderType: 'limit',
+    orderId: order._id
+  };
+
+  let holding = null;
+
+  if (order.side === 'buy') {
+    fill.feeData = await calculateFees(price * order.quantity, 'buy');
+
+    // The reservation is handed back and the actual cost at the fill price charged in one write
+    fill.reservedAmount = order.reservedAmount;
+
+    if (user.balance + order.reservedAmount < fill.feeData.totalCost) {
+      const rejected = await closeOrder(order, 'rejected', 'Insufficient balance at fill time');
+      return rejected.status;
+    }
+  } else {
+    holding = await findHolding(user._id, order.assetType, order.assetSymbol);
+
+    if (!holding || holding.quantity < order.quantity) {
+      const rejected = await closeOrder(order, 'rejected', 'Holding no longer covers the order');
+      return rejected.status;
+    }
+
+    fill.reservedQuantity = order.reservedQuantity;
+    fill.feeData = await calculateFees(price * order.quantity, 'sell');
+  }
+
+  // The trade and the order's transition to filled commit together; a cancel or amend that got
+  // there first leaves the order no longer matching, and the trade is rolled back with it
+  const { trade: filledTrade, filled } = await runInTransaction(async (session) => {
+    const { trade } = order.side === 'buy'
+      ? await executeBuy(user, fill, session)
+      : await executeSell(user, holding, fill, session);
+
+    const filledOrder = await transitionOrder(order, {
+      status: 'filled',
+      reservedAmount: 0,
+      reservedQuantity: 0,
+      fillPrice: price,
+      filledAt: new Date(),
+      tradeId: trade._id
+    }, session);
+
+    return { trade, filled: filledOrder };
+  });
+
+  publishFill(filledTrade, user.balance);
+  publishOrder(filled);
+  notifyInBackground(user._id, 'trade_executed', getTradeData(filledTrade));
+  return filled.status;
+}
+
+/**
+ * Match open limit orders against the latest stored price for each symbol
+ * Called by the scheduler right after fresh OHLCV records are written
+ * @param {string} assetType - 'stock', 'crypto', or 'currency'
+ * @returns {Object} Counts of checked, filled, expired and rejected orders
+ */
+async function processOpenOrders(assetType) {
+  const result = { checked: 0, filled: 0, expired: 0, rejected: 0 };
+  const now = new Date();
+
+  const orders = await Order.find({ status: 'open', orderType: 'limit', assetType })
+    .sort({ createdAt: 1 });
+
+  // While the market is closed or trading is halted orders can still expire but are not filled
+  const marketStatus = await getCurrentMarketStatus(assetType);
+
+  // Group by symbol so each price is looked up once
+  const ordersBySymbol = new Map();
+  orders.forEach(order => {
+    if (!ordersBySymbol.has(order.assetSymbol)) {
+      ordersBySymbol.set(order.assetSymbol, []);
+    }
+    ordersBySymbol.get(order.assetSymbol).push(order);
+  });
+
+  for (const [symbol, symbolOrders] of ordersBySymbol) {
+    const latest = await OHLCV.getLatestPrice(assetType, symbol);
+    const price = latest ? latest.valueKES : null;
+    const tradable = !(await checkTradingPolicy({ assetType, symbol }, { marketStatus }));
+
+    for (const order of symbolOrders) {
+      result.checked++;
+
+      try {
+        if (order.expiresAt && order.expiresAt <= now) {
+          await closeOrder(order, 'expired', 'Order expired before the limit was reached');
+          result.expired++;
+          continue;
+        }
+
+        if (!tradable || !price || price <= 0) continue;
+
+        const crossed = order.side === 'buy' ? price <= order.limitPrice : price >= order.limitPrice;
+        if (!crossed) continue;
+
+        const status = await fillOrder(order, price);
+        if (status === 'filled') result.filled++;
+        if (status === 'rejected') result.rejected++;
+      } catch (error) {
+        console.error(`❌ Error processing order ${order._id} for ${assetType}:${symbol}:`, error.message);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Sell a holding because its protective order fired
+ * Executes at the current price, so any gap past the stop shows up as slippage
+ * @param {Object} order - Triggered protective order
+ * @param {number} price - Execution price per unit
+ * @returns {string} Resulting order status
+ */
+async function triggerProtectiveOrder(order, price) {
+  const user = await User.findById(order.userId);
+  const holding = user ? await findHolding(user._id, order.assetType, order.assetSymbol) : null;
+  const available = holding ? holding.quantity - (holding.reservedQuantity || 0) : 0;
+
+  // A trailing stop's latest high-water mark is saved with the trigger
+  const trigger = {
+    triggerPrice: order.stopPrice,
+    triggeredAt: new Date(),
+    stopPrice: order.stopPrice,
+    highWaterMark: order.highWaterMark
+  };
+
+  if (!user || available <= 0) {
+    const rejected = await transitionOrder(order, {
+      ...trigger,
+      status: 'rejected',
+      statusReason: user ? 'No unreserved units left in the holding' : 'User not found'
+    });
+    return rejected.status;
+  }
+
+  // Never sell units that open limit orders have reserved
+  const quantity = Math.min(order.quantity, available);
+  const feeData = await calculateFees(price * quantity, 'sell');
+
+  // The sale, the order's transition to filled and any sibling cancellations commit together
+  const { trade: filledTrade, filled } = await runInTransaction(async (session) => {
+    const { trade, holding: remaining } = await executeSell(user, holding, {
+      assetType: order.assetType,
+      symbol: order.assetSymbol,
+      quantity,
+      price,
+      feeData,
+      orderType: order.orderType,
+      orderId: order._id,
+      triggerPrice: trigger.triggerPrice
+    }, session);
+
+    const filledOrder = await transitionOrder(order, {
+      ...trigger,
+      status: 'filled',
+      fillPrice: price,
+      slippage: price - trigger.triggerPrice,
+      filledAt: new Date(),
+      tradeId: trade._id,
+      statusReason: quantity < order.quantity
+        ? `Sold ${quantity} of ${order.quantity} - the rest of the holding was unavailable`
+        : null
+    }, session);
+
+    // A closed position leaves nothing for sibling protective orders to guard
+    if (remaining.quantity <= 0) {
+      await Order.updateMany(
+        {
+          _id: { $ne: order._id },
+          userId: order.userId,
+          assetType: order.assetType,
+          assetSymbol: order.assetSymbol,
+          orderType: { $in: PROTECTIVE_ORDER_TYPES },
+          status: 'open'
+        },
+        {
+          status: 'cancelled',
+          statusReason: `Position closed by ${order.orderType.replace('_', '-')} order`,
+          cancelledAt: new Date(),
+          updatedAt: new Date()
+        },
+        { session }
+      );
+    }
+
+    return { trade, filled: filledOrder };
+  });
+
+  publishFill(filledTrade, user.balance);
+  publishOrder(filled);
+  notifyInBackground(user._id, 'trade_executed', getTradeData(filledTrade));
+  return filled.status;
+}
+
+/**
+ * Evaluate stop-loss, take-profit and trailing-stop orders against the latest stored prices
+ * Called by the scheduler after each full asset data update
+ * @returns {Object} Counts of checked, triggered, expired and rejected orders
+ */
+async function processProtectiveOrders() {
+  const result = { checked: 0, triggered: 0, expired: 0, rejected: 0 };
+  const now = new Date();
+
+  const orders = await Order.find({ status: 'open', orderType: { $in: PROTECTIVE_ORDER_TYPES } })
+    .sort({ createdAt: 1 });
+
+  // Group by asset so each price is looked up once
+  const ordersByAsset = new Map();
+  orders.forEach(order => {
+    const key = `${order.assetType}:${order.assetSymbol}`;
+    if (!ordersByAsset.has(key)) {
+      ordersByAsset.set(key, []);
+    }
+    ordersByAsset.get(key).push(order);
+  });
+
+  // While the market is closed or trading is halted orders can still expire but do not fire
+  const marketStatuses = {};
+
+  for (const [key, assetOrders] of ordersByAsset) {
+    const { assetType, assetSymbol } = assetOrders[0];
+    const price = await getStoredPrice(assetType, assetSymbol);
+
+    if (!marketStatuses[assetType]) {
+      marketStatuses[assetType] = await getCurrentMarketStatus(assetType);
+    }
+    const tradable = !(await checkTradingPolicy(
+      { assetType, symbol: assetSymbol },
+      { marketStatus: marketStatuses[assetType] }
+    ));
+
+    for (const order of assetOrders) {
+      result.checked++;
+
+      try {
+        // Earlier orders on the same asset may have closed this one already
+        if (!(await Order.exists({ _id: order._id, status: 'open' }))) {
+          continue;
+        }
+
+        if (order.expiresAt && order.expiresAt <= now) {
+          await closeOrder(order, 'expired', 'Order expired before it was triggered');
+          result.expired++;
+          continue;
+        }
+
+        if (!tradable || !price) continue;
+
+        let trailed = false;
+        if (order.orderType === 'trailing_stop' && price > order.highWaterMark) {
+          order.highWaterMark = price;
+          order.stopPrice = price * (1 - order.trailPercent / 100);
+          trailed = true;
+        }
+
+        const triggered = order.orderType === 'take_profit'
+          ? price >= order.stopPrice
+          : price <= order.stopPrice;
+
+        if (!triggered) {
+          if (trailed) {
+            await Order.updateOne(
+              { _id: order._id, status: 'open' },
+              { highWaterMark: order.highWaterMark, stopPrice: order.stopPrice, updatedAt: new Date() }
+            );
+          }
+          continue;
+        }
+
+        const status = await triggerProtectiveOrder(order, price);
+        if (status === 'filled') result.triggered++;
+        if (status === 'rejected') result.rejected++;
+      } catch (error) {
+        console.error(`❌ Error evaluating order ${order._id} for ${key}:`, error.message);
+      }
+    }
+  }
+
+  return result;
+}
+
+export {
+  PROTECTIVE_ORDER_TYPES,
+  placeLimitOrder,
+  placeProtectiveOrder,
+  amendOrder,
+  cancelOrder,
+  processOpenOrders,
+  processProtectiveOrders
+};
@@ -0,0 +1,281 @@
+import Trade from "../models/Trade.js";
+import { MAX_HISTORY_DAYS, getPortfolioValuation } from "./portfolioValuationService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Performance Service
+ * Return and risk metrics for a user's invested holdings over a period
+ * Holdings are valued daily from replayed trades and price history; buys count as money put
+ * into the holdings and sells as money taken out, so returns measure the investments rather
+ * than how much of the account sat in cash
+ */
+
+const PERFORMANCE_PERIODS = ['1M', '3M', 'YTD', '1Y', 'ALL'];
+const DAYS_PER_YEAR = 365; // crypto and FX are valued every calendar day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Annual risk-free rate (decimal) used by the Sharpe ratio
+ */
+function getRiskFreeRate() {
+  const rate = parseFloat(process.env.RISK_FREE_RATE);
+  return Number.isFinite(rate) ? rate : 0;
+}
+
+/**
+ * The same day some months earlier, moved back to the last day of a shorter month
+ * (31 March less one month is the end of February, not 3 March)
+ */
+function subtractMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() - months);
+
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+/**
+ * First day of a period, midnight UTC
+ * @param {string} period - One of PERFORMANCE_PERIODS
+ * @param {Date} now - Current time
+ * @param {Date|null} firstTradeAt - Time of the user's first trade (start of ALL)
+ */
+function getPeriodStart(period, now, firstTradeAt) {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+
+  switch (period) {
+    case '1M':
+      return subtractMonths(start, 1);
+    case '3M':
+      return subtractMonths(start, 3);
+    case 'YTD':
+      start.setUTCMonth(0, 1);
+      break;
+    case '1Y':
+      return subtractMonths(start, 12);
+    case 'ALL': {
+      const first = new Date(firstTradeAt || now);
+      first.setUTCHours(0, 0, 0, 0);
+      const earliest = start.getTime() - (MAX_HISTORY_DAYS - 1) * DAY_MS;
+      return new Date(Math.max(first.getTime(), earliest));
+    }
+    default:
+      throw httpError(`Period must be one of: ${PERFORMANCE_PERIODS.join(', ')}`);
+  }
+
+  return start;
+}
+
+/**
+ * Day-by-day returns of the holdings from valuation points
+ * Money moved into the holdings on a day (cash spent on buys less sell proceeds) is treated as
+ * arriving at the start of that day. Days with nothing invested have no return.
+ * @param {Object[]} points - Valuation points; the first is the baseline before the period
+ * @returns {Object[]} [{ date, value, flow, return }] - return is null on days with nothing invested
+ */
+function getDailyReturns(points) {
+  const days = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const point = points[i];
+    const flow = previous.cashBalance - point.cashBalance;
+    const invested = previous.portfolioValue + flow;
+
+    days.push({
+      date: point.date,
+      value: point.portfolioValue,
+      flow,
+      return: invested > 0 ? point.portfolioValue / invested - 1 : null
+    });
+  }
+
+  return days;
+}
+
+/**
+ * Time-weighted return: daily returns chained together, unaffected by when money went in
+ */
+function timeWeightedReturn(returns) {
+  return returns.reduce((growth, r) => growth * (1 + r), 1) - 1;
+}
+
+/**
+ * Largest fall from a peak of the time-weighted growth index (as a negative fraction)
+ */
+function maxDrawdown(returns) {
+  let index = 1;
+  let peak = 1;
+  let drawdown = 0;
+
+  for (const r of returns) {
+    index *= 1 + r;
+    peak = Math.max(peak, index);
+    drawdown = Math.min(drawdown, index / peak - 1);
+  }
+
+  return drawdown;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Annualized volatility of daily returns (null with fewer than two returns)
+ */
+function annualizedVolatility(returns) {
+  if (returns.length < 2) return null;
+  return standardDeviation(returns) * Math.sqrt(DAYS_PER_YEAR);
+}
+
+/**
+ * Annualized Sharpe ratio of daily returns against an annual risk-free rate
+ */
+function sharpeRatio(returns, riskFreeRate = 0) {
+  if (returns.length < 2) return null;
+
+  const dailyRiskFree = Math.pow(1 + riskFreeRate, 1 / DAYS_PER_YEAR) - 1;
+  const excess = returns.map(r => r - dailyRiskFree);
+  const deviation = standardDeviation(excess);
+  if (deviation === 0) return null;
+
+  return (mean(excess) / deviation) * Math.sqrt(DAYS_PER_YEAR);
+}
+
+/**
+ * Annual internal rate of return of dated cash flows, found by bisection
+ * @param {Object[]} cashFlows - [{ years, amount }] - years since the first flow; money paid in is negative
+ * @returns {number|null} Annual rate, or null when the flows have no solution (e.g. all one sign)
+ */
+function internalRateOfReturn(cashFlows) {
+  if (!cashFlows.some(flow => flow.amount < 0) || !cashFlows.some(flow => flow.amount > 0)) return null;
+
+  const npv = rate => cashFlows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+
+  let low = -0.9999;
+  let high = 1e6;
+  let npvLow = npv(low);
+  if (!Number.isFinite(npvLow) || npvLow * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-9) return mid;
+
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+const toPercent = value => (value === null ? null : value * 100);
+
+/**
+ * Daily valuation and holding returns of a user over a period
+ * @param {Object} user - User document
+ * @param {string} period - One of PERFORMANCE_PERIODS
+ * @param {Date} now - Current time
+ * @returns {Object} { from, years, points, days } - points start with the baseline the day before the period
+ */
+async function getDailyPerformance(user, period, now = new Date()) {
+  if (!PERFORMANCE_PERIODS.includes(period)) {
+    throw httpError(`Period must be one of: ${PERFORMANCE_PERIODS.join(', ')}`);
+  }
+
+  const firstTrade = await Trade.findOne({ userId: user._id, competitionId: null }).sort({ timestamp: 1 }).select('timestamp');
+  const from = getPeriodStart(period, now, firstTrade?.timestamp);
+
+  // Valued from the day before the period so the first day's trades count as flows
+  const points = await getPortfolioValuation(user, {
+    from: new Date(from.getTime() - DAY_MS),
+    to: now,
+    granularity: 'daily'
+  });
+
+  return {
+    from,
+    years: (now - from) / (DAYS_PER_YEAR * DAY_MS),
+    points,
+    days: getDailyReturns(points)
+  };
+}
+
+/**
+ * Performance metrics for a user over a period
+ * @param {Object} user - User document
+ * @param {string} period - One of PERFORMANCE_PERIODS
+ * @param {Date} now - Current time
+ * @returns {Object} Returns and risk figures (percentages), with the values they were worked out from
+ */
+async function getPerformanceMetrics(user, period = '1Y', now = new Date()) {
+  const { from, years, points, days } = await getDailyPerformance(user, period, now);
+  const returns = days.filter(day => day.return !== null).map(day => day.return);
+  const baseline = points[0];
+  const latest = points[points.length - 1];
+
+  const twr = returns.length > 0 ? timeWeightedReturn(returns) : null;
+
+  // Money-weighted: what was in the holdings at the start and every flow since, against today's value
+  const cashFlows = [{ years: 0, amount: -baseline.portfolioValue }];
+  days.forEach((day, i) => {
+    if (day.flow !== 0) cashFlows.push({ years: i / DAYS_PER_YEAR, amount: -day.flow });
+  });
+  cashFlows.push({ years, amount: latest.portfolioValue });
+  const irr = years > 0 ? internalRateOfReturn(cashFlows) : null;
+
+  const netInvested = days.reduce((sum, day) => sum + day.flow, 0);
+
+  return {
+    period,
+    from,
+    to: now,
+    days: days.length,
+    startValue: baseline.portfolioValue,
+    endValue: latest.portfolioValue,
+    netInvested,
+    gain: latest.portfolioValue - baseline.portfolioValue - netInvested,
+    accountValue: latest.totalValue,
+    timeWeightedReturn: toPercent(twr),
+    annualizedReturn: twr !== null && years >= 1 ? toPercent(Math.pow(1 + twr, 1 / years) - 1) : null,
+    moneyWeightedReturn: irr !== null ? toPercent(Math.pow(1 + irr, years) - 1) : null,
+    irr: toPercent(irr),
+    volatility: toPercent(annualizedVolatility(returns)),
+    maxDrawdown: returns.length > 0 ? toPercent(maxDrawdown(returns)) : null,
+    sharpeRatio: sharpeRatio(returns, getRiskFreeRate()),
+    riskFreeRate: toPercent(getRiskFreeRate()),
+    estimated: points.some(point => point.estimated)
+  };
+}
+
+export {
+  PERFORMANCE_PERIODS,
+  DAYS_PER_YEAR,
+  getRiskFreeRate,
+  mean,
+  standardDeviation,
+  getPeriodStart,
+  getDailyReturns,
+  timeWeightedReturn,
+  maxDrawdown,
+  annualizedVolatility,
+  sharpeRatio,
+  internalRateOfReturn,
+  getDailyPerformance,
+  getPerformanceMetrics
+};
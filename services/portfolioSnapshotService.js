@@ -0,0 +1,206 @@
+import PortfolioSnapshot from "../models/PortfolioSnapshot.js";
+import Portfolio from "../models/Portfolio.js";
+import Trade from "../models/Trade.js";
+import User from "../models/User.js";
+import OHLCV from "../models/OHLCV.js";
+import { toLocalDateKey } from "./marketCalendar.js";
+import { getCashHeld } from "./portfolioValuationService.js";
+
+/**
+ * Portfolio Snapshot Service
+ * Writes one end-of-day snapshot per user from stored prices, and serves charts and returns
+ * from those snapshots instead of pricing every holding on demand
+ */
+
+/**
+ * Cash put into an account: cash held today plus what buys spent, less what sells returned
+ * Covers the starting balance, resets and admin adjustments without a separate deposit record
+ */
+async function getNetDeposits(userId, cashHeld) {
+  const totals = await Trade.aggregate([
+    { $match: { userId, competitionId: null } },
+    { $group: { _id: '$type', amount: { $sum: '$netAmount' } } }
+  ]);
+
+  const spent = totals.find(total => total._id === 'buy')?.amount || 0;
+  const received = totals.find(total => total._id === 'sell')?.amount || 0;
+  return cashHeld + spent - received;
+}
+
+/**
+ * Current state of a user's main account, valued at the latest stored prices
+ * @param {Object} user - User document
+ * @returns {Object} Snapshot fields (without userId and date)
+ */
+async function buildSnapshot(user) {
+  const [holdings, cashBalance] = await Promise.all([
+    Portfolio.find({ userId: user._id, competitionId: null }),
+    getCashHeld(user)
+  ]);
+
+  const valueByAssetType = { stock: 0, crypto: 0, currency: 0 };
+  const positions = [];
+  let costBasis = 0;
+
+  for (const holding of holdings) {
+    const latest = await OHLCV.getLatestPrice(holding.assetType, holding.assetSymbol);
+    const priceAvailable = Boolean(latest && latest.valueKES > 0);
+    const price = priceAvailable ? latest.valueKES : holding.avgBuyPrice;
+    const value = price * holding.quantity;
+    const holdingCost = holding.quantity * (holding.avgCostBasis || holding.avgBuyPrice);
+
+    valueByAssetType[holding.assetType] += value;
+    costBasis += holdingCost;
+    positions.push({
+      assetType: holding.assetType,
+      symbol: holding.assetSymbol,
+      quantity: holding.quantity,
+      price,
+      value,
+      costBasis: holdingCost,
+      priceAvailable
+    });
+  }
+
+  const holdingsValue = positions.reduce((sum, position) => sum + position.value, 0);
+
+  return {
+    cashBalance,
+    holdingsValue,
+    totalValue: cashBalance + holdingsValue,
+    valueByAssetType,
+    costBasis,
+    netDeposits: await getNetDeposits(user._id, cashBalance),
+    holdings: positions
+  };
+}
+
+/**
+ * Write (or rewrite) a user's snapshot for a day
+ * @param {Object} user - User document
+ * @param {string} date - YYYY-MM-DD in Nairobi time
+ * @returns {Object} Saved snapshot
+ */
+async function takeSnapshot(user, date = toLocalDateKey()) {
+  const snapshot = await buildSnapshot(user);
+
+  return PortfolioSnapshot.findOneAndUpdate(
+    { userId: user._id, date },
+    { $set: { ...snapshot, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Snapshot every user for the day of `now`
+ * A failure for one user is logged and counted so it never stops the rest
+ * @param {Date} now - Instant whose Nairobi date the snapshots are recorded under
+ * @returns {Object} { date, users, written, failed }
+ */
+async function takeDailySnapshots(now = new Date()) {
+  const date = toLocalDateKey(now);
+  const result = { date, users: 0, written: 0, failed: 0 };
+
+  const cursor = User.find().select('_id balance').cursor();
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    result.users++;
+    try {
+      await takeSnapshot(user, date);
+      result.written++;
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Portfolio snapshot failed for user ${user._id}:`, error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Key of the period a day belongs to: the day itself, the Sunday ending its week, or its month
+ */
+function periodKey(date, granularity) {
+  if (granularity === 'monthly') return date.slice(0, 7);
+  if (granularity === 'weekly') {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + (7 - day.getUTCDay()) % 7);
+    return day.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+/**
+ * Return over a stretch of time, net of deposits made during it
+ */
+function periodReturn(start, end) {
+  const gain = end.totalValue - start.totalValue - (end.netDeposits - start.netDeposits);
+  return {
+    gain,
+    returnPercent: start.totalValue > 0 ? (gain / start.totalValue) * 100 : 0
+  };
+}
+
+/**
+ * Chart points and returns from stored snapshots
+ * Each period is represented by its last snapshot
+ * @param {Object} user - User document
+ * @param {Object} range - { fromKey, toKey, granularity } from resolveHistoryRange (snapshots are keyed by Nairobi date)
+ * @returns {Object} { points, summary } - summary is null without snapshots in the range
+ */
+async function getSnapshotPerformance(user, { fromKey, toKey, granularity }) {
+  const snapshots = await PortfolioSnapshot.find({
+    userId: user._id,
+    date: { $gte: fromKey, $lte: toKey }
+  })
+    .sort({ date: 1 })
+    .select('-holdings')
+    .lean();
+
+  const periods = new Map();
+  snapshots.forEach(snapshot => periods.set(periodKey(snapshot.date, granularity), snapshot));
+
+  const points = [];
+  let previous = null;
+  for (const snapshot of periods.values()) {
+    points.push({
+      date: snapshot.date,
+      totalValue: snapshot.totalValue,
+      cashBalance: snapshot.cashBalance,
+      holdingsValue: snapshot.holdingsValue,
+      valueByAssetType: snapshot.valueByAssetType,
+      costBasis: snapshot.costBasis,
+      netDeposits: snapshot.netDeposits,
+      totalGain: snapshot.totalValue - snapshot.netDeposits,
+      periodReturnPercent: previous ? periodReturn(previous, snapshot).returnPercent : null
+    });
+    previous = snapshot;
+  }
+
+  if (points.length === 0) {
+    return { points, summary: null };
+  }
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const { gain, returnPercent } = periodReturn(first, last);
+
+  return {
+    points,
+    summary: {
+      startDate: first.date,
+      endDate: last.date,
+      startValue: first.totalValue,
+      endValue: last.totalValue,
+      netDepositsChange: last.netDeposits - first.netDeposits,
+      gain,
+      returnPercent
+    }
+  };
+}
+
+export {
+  buildSnapshot,
+  takeSnapshot,
+  takeDailySnapshots,
+  getSnapshotPerformance
+};
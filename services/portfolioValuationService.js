@@ -0,0 +1,246 @@
+import Trade from "../models/Trade.js";
+import Order from "../models/Order.js";
+import OHLCV from "../models/OHLCV.js";
+import { toLocalDateKey } from "./marketCalendar.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Portfolio Valuation Service
+ * Rebuilds a user's portfolio as it stood at past dates by replaying their trades,
+ * and values each date's holdings at the last stored OHLCV price on or before it
+ */
+
+const GRANULARITIES = ['daily', 'weekly', 'monthly'];
+const MAX_HISTORY_DAYS = 5 * 366;
+const DEFAULT_HISTORY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function endOfDay(date) {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+}
+
+function startOfDay(date) {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Work out the history range from query parameters
+ * @param {Object} query - { from, to, days, granularity } - from/to are dates (to defaults to now);
+ *   days counts back from `to` when no `from` is given
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to, granularity, fromKey, toKey } - fromKey/toKey are the range as Nairobi
+ *   dates (YYYY-MM-DD) for data stored per day: given dates as they are, days counted from today in Nairobi
+ */
+function resolveHistoryRange({ from, to, days, granularity = 'daily' } = {}, now = new Date()) {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw httpError(`Granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const end = to ? endOfDay(parseDate(to, 'to')) : now;
+  const rangeEnd = end > now ? now : end;
+
+  const today = toLocalDateKey(now);
+  const requestedTo = to ? end.toISOString().slice(0, 10) : today;
+  const toKey = requestedTo < today ? requestedTo : today;
+
+  let rangeStart;
+  let fromKey;
+  if (from) {
+    rangeStart = startOfDay(parseDate(from, 'from'));
+    fromKey = rangeStart.toISOString().slice(0, 10);
+  } else {
+    const dayCount = days === undefined ? DEFAULT_HISTORY_DAYS : parseInt(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1) {
+      throw httpError('days must be a positive whole number');
+    }
+    rangeStart = startOfDay(new Date(rangeEnd.getTime() - (dayCount - 1) * DAY_MS));
+    fromKey = new Date(Date.parse(`${toKey}T00:00:00Z`) - (dayCount - 1) * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  if (rangeStart > rangeEnd) {
+    throw httpError('from must be before to');
+  }
+
+  if ((rangeEnd - rangeStart) / DAY_MS > MAX_HISTORY_DAYS) {
+    throw httpError(`History is limited to ${MAX_HISTORY_DAYS} days`);
+  }
+
+  return { from: rangeStart, to: rangeEnd, granularity, fromKey, toKey };
+}
+
+/**
+ * Dates the portfolio is valued at: the end (UTC) of every day, week (Sunday) or month in the range,
+ * and the end of the range itself for the period still in progress
+ * @returns {Date[]} Valuation dates, oldest first
+ */
+function getValuationDates(from, to, granularity) {
+  const dates = [];
+
+  for (let cursor = endOfDay(from); cursor < to; cursor = new Date(cursor.getTime() + DAY_MS)) {
+    const isPeriodEnd = granularity === 'daily'
+      || (granularity === 'weekly' && cursor.getUTCDay() === 0)
+      || (granularity === 'monthly' && new Date(cursor.getTime() + 1).getUTCDate() === 1);
+
+    if (isPeriodEnd) dates.push(cursor);
+  }
+
+  dates.push(new Date(to));
+  return dates;
+}
+
+/**
+ * Last stored price of each day in the range, plus the last price before it to carry forward
+ * @returns {Object[]} [{ timestamp, price }] oldest first
+ */
+async function loadDailyPrices(assetType, symbol, from, to) {
+  const [previous, days] = await Promise.all([
+    OHLCV.findOne({ type: assetType, symbol, timestamp: { $lt: from.getTime() }, valueKES: { $gt: 0 } })
+      .sort({ timestamp: -1 })
+      .select('timestamp valueKES')
+      .lean(),
+    OHLCV.aggregate([
+      {
+        $match: {
+          type: assetType,
+          symbol,
+          timestamp: { $gte: from.getTime(), $lte: to.getTime() },
+          valueKES: { $gt: 0 }
+        }
+      },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: { $toDate: '$timestamp' } } },
+          timestamp: { $last: '$timestamp' },
+          price: { $last: '$valueKES' }
+        }
+      },
+      { $sort: { timestamp: 1 } }
+    ])
+  ]);
+
+  const prices = days.map(day => ({ timestamp: day.timestamp, price: day.price }));
+  if (previous) {
+    prices.unshift({ timestamp: previous.timestamp, price: previous.valueKES });
+  }
+  return prices;
+}
+
+/**
+ * Cash a user holds: balance plus cash held back for open buy orders (still the user's money)
+ */
+async function getCashHeld(user) {
+  const openBuyOrders = await Order.find({ userId: user._id, side: 'buy', status: 'open' })
+    .select('reservedAmount')
+    .lean();
+  return openBuyOrders.reduce((sum, order) => sum + (order.reservedAmount || 0), user.balance);
+}
+
+/**
+ * Cash the trades moved: buys paid netAmount (price plus fees), sells received netAmount
+ */
+function cashFlow(trade) {
+  return trade.type === 'buy' ? -trade.netAmount : trade.netAmount;
+}
+
+/**
+ * Value a user's main portfolio at every date of a range
+ * Cash is worked back from today's balance (cash held for open buy orders counts as cash),
+ * so deposits and resets before the first trade need no separate record. Assets without a
+ * stored price at a date (stocks only keep their latest quote) are valued at their last trade
+ * price and the point is flagged as estimated.
+ * @param {Object} user - User document
+ * @param {Object} range - { from, to, granularity } from resolveHistoryRange
+ * @returns {Object[]} [{ date, totalValue, portfolioValue, cashBalance, estimated }]
+ */
+async function getPortfolioValuation(user, { from, to, granularity }) {
+  const [trades, currentCash] = await Promise.all([
+    Trade.find({ userId: user._id, competitionId: null })
+      .sort({ timestamp: 1, _id: 1 })
+      .select('assetType assetSymbol type quantity price netAmount timestamp')
+      .lean(),
+    getCashHeld(user)
+  ]);
+
+  let cash = currentCash - trades.reduce((sum, trade) => sum + cashFlow(trade), 0);
+
+  // Price series for every asset traded before the end of the range
+  const assets = new Map();
+  for (const trade of trades) {
+    if (trade.timestamp > to) break;
+    const key = `${trade.assetType}:${trade.assetSymbol}`;
+    if (!assets.has(key)) {
+      assets.set(key, {
+        assetType: trade.assetType,
+        symbol: trade.assetSymbol,
+        quantity: 0,
+        lastTradePrice: null,
+        prices: [],
+        priceIndex: 0
+      });
+    }
+  }
+
+  await Promise.all([...assets.values()].map(async asset => {
+    asset.prices = await loadDailyPrices(asset.assetType, asset.symbol, from, to);
+  }));
+
+  const history = [];
+  let tradeIndex = 0;
+
+  for (const date of getValuationDates(from, to, granularity)) {
+    while (tradeIndex < trades.length && trades[tradeIndex].timestamp <= date) {
+      const trade = trades[tradeIndex++];
+      const asset = assets.get(`${trade.assetType}:${trade.assetSymbol}`);
+      asset.quantity += trade.type === 'buy' ? trade.quantity : -trade.quantity;
+      asset.lastTradePrice = trade.price;
+      cash += cashFlow(trade);
+    }
+
+    let portfolioValue = 0;
+    let estimated = false;
+
+    for (const asset of assets.values()) {
+      while (asset.priceIndex < asset.prices.length && asset.prices[asset.priceIndex].timestamp <= date.getTime()) {
+        asset.priceIndex++;
+      }
+      if (asset.quantity <= 0) continue;
+
+      const stored = asset.prices[asset.priceIndex - 1];
+      if (!stored) estimated = true;
+      portfolioValue += asset.quantity * (stored ? stored.price : asset.lastTradePrice);
+    }
+
+    history.push({
+      date: date.toISOString().split('T')[0],
+      totalValue: cash + portfolioValue,
+      portfolioValue,
+      cashBalance: cash,
+      estimated
+    });
+  }
+
+  return history;
+}
+
+export {
+  GRANULARITIES,
+  MAX_HISTORY_DAYS,
+  resolveHistoryRange,
+  getValuationDates,
+  loadDailyPrices,
+  getCashHeld,
+  getPortfolioValuation
+};
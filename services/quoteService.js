@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { calculateFees, getCurrentFeeConfiguration } from "../utils/feeCalculator.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Quote Service
+ * Issues signed, short-lived price quotes that buy/sell can execute at
+ * A quote is a JWT, so any change to its terms breaks the signature
+ * The fee settings it was priced with are part of its terms, so a fee change while it is
+ * open does not change what the trade costs
+ */
+
+const DEFAULT_QUOTE_TTL_SECONDS = 15;
+const QUOTE_SUBJECT = 'trade-quote';
+
+function getQuoteSecret() {
+  return process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+}
+
+function getQuoteTtlSeconds() {
+  const ttl = parseInt(process.env.QUOTE_TTL_SECONDS);
+  return ttl > 0 ? ttl : DEFAULT_QUOTE_TTL_SECONDS;
+}
+
+/**
+ * Lock a price for a user's trade
+ * @param {Object} user - User the quote is issued to
+ * @param {Object} terms - { assetType, symbol, side, quantity, price }
+ * @returns {Object} { quoteId, assetType, symbol, side, quantity, price, feeData, expiresAt }
+ */
+async function createQuote(user, { assetType, symbol, side, quantity, price }) {
+  const { platformFeePercentage, taxPercentage, minimumFee, maximumFee } = await getCurrentFeeConfiguration();
+  const fees = { platformFeePercentage, taxPercentage, minimumFee, maximumFee };
+  const feeData = await calculateFees(price * quantity, side, fees);
+  const ttl = getQuoteTtlSeconds();
+
+  const quoteId = jwt.sign(
+    { userId: user._id.toString(), assetType, symbol, side, quantity, price, fees },
+    getQuoteSecret(),
+    { expiresIn: ttl, subject: QUOTE_SUBJECT, jwtid: crypto.randomUUID() }
+  );
+
+  return {
+    quoteId,
+    assetType,
+    symbol,
+    side,
+    quantity,
+    price,
+    feeData,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  };
+}
+
+/**
+ * Check a quote ID and return its locked terms
+ * Fields the client sends alongside the quote must agree with it
+ * @param {string} quoteId - Signed quote from createQuote
+ * @param {Object} user - User executing the trade
+ * @param {string} side - 'buy' or 'sell'
+ * @param {Object} requested - { assetType, symbol, quantity } from the request body (any may be undefined)
+ * @returns {Object} Quote payload; fees holds the fee settings it was priced with, jti identifies it for single use
+ */
+function verifyQuote(quoteId, user, side, requested = {}) {
+  let quote;
+  try {
+    quote = jwt.verify(quoteId, getQuoteSecret(), { subject: QUOTE_SUBJECT });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw httpError("Quote has expired. Request a new quote");
+    }
+    throw httpError("Invalid quote");
+  }
+
+  if (quote.userId !== user._id.toString()) {
+    throw httpError("Quote was issued to a different user", 403);
+  }
+
+  if (quote.side !== side) {
+    throw httpError(`Quote is for a ${quote.side} order`);
+  }
+
+  const mismatch = ['assetType', 'symbol', 'quantity'].find(field => {
+    const value = field === 'symbol' && typeof requested.symbol === 'string'
+      ? requested.symbol.toUpperCase()
+      : requested[field];
+    return value !== undefined && value !== quote[field];
+  });
+
+  if (mismatch) {
+    throw httpError(`Quote does not match the requested ${mismatch}`);
+  }
+
+  return quote;
+}
+
+export {
+  createQuote,
+  verifyQuote
+};
@@ -0,0 +1,452 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Portfolio from "../models/Portfolio.js";
+import OHLCV from "../models/OHLCV.js";
+import { calculateFees, getCurrentFeeConfiguration, getAffordableTradeAmount } from "../utils/feeCalculator.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { findHolding, executeBuy, executeSell } from "./tradeService.js";
+import { checkTradingPolicy } from "./tradingPolicy.js";
+import { notifyInBackground, getTradeData } from "./notificationService.js";
+import { publishFill } from "./streamService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Rebalance Service
+ * Compares the main account's holdings with the user's target allocation and proposes the
+ * sells and buys that bring it back in line. A target names a symbol or a whole asset type
+ * (spread over that type's holdings in their current proportions); holdings no target covers
+ * aim for 0%, and whatever the targets leave over is held as cash. Only allocations drifting
+ * further than the threshold are traded. The proposal is signed like a trade quote, so it
+ * executes exactly as shown, at its prices, and the whole batch commits in one transaction.
+ */
+
+const ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const MAX_TARGETS = 20;
+const DEFAULT_DRIFT_THRESHOLD_PERCENT = 5;
+const DEFAULT_PROPOSAL_TTL_SECONDS = 60;
+const PRICE_MAX_AGE_MS = 5 * 60 * 1000; // as for market buys
+const PROPOSAL_SUBJECT = 'rebalance-proposal';
+
+function getProposalSecret() {
+  return process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+}
+
+function getProposalTtlSeconds() {
+  const ttl = parseInt(process.env.REBALANCE_PROPOSAL_TTL_SECONDS);
+  return ttl > 0 ? ttl : DEFAULT_PROPOSAL_TTL_SECONDS;
+}
+
+/**
+ * Whole shares for stocks; crypto and FX to 8 decimal places
+ */
+function roundQuantity(assetType, units) {
+  return assetType === 'stock'
+    ? Math.floor(units)
+    : Math.floor(units * 1e8) / 1e8;
+}
+
+/**
+ * Check a target allocation before it is saved
+ * @param {Object[]} targets - [{ assetType, symbol, weight }]; weight is a percent, symbol is optional
+ * @returns {Object[]} Normalized targets
+ */
+async function validateTargets(targets) {
+  if (!Array.isArray(targets)) {
+    throw httpError("targets must be an array");
+  }
+
+  if (targets.length > MAX_TARGETS) {
+    throw httpError(`A target allocation can have at most ${MAX_TARGETS} targets`);
+  }
+
+  const normalized = [];
+  for (const target of targets) {
+    const assetType = target?.assetType;
+    const symbol = target?.symbol ? String(target.symbol).trim().toUpperCase() : null;
+    const weight = Number(target?.weight);
+    const label = symbol || assetType;
+
+    if (!ASSET_TYPES.includes(assetType)) {
+      throw httpError(`Target assetType must be one of: ${ASSET_TYPES.join(', ')}`);
+    }
+
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+      throw httpError(`Weight for ${label} must be a percentage above 0 and at most 100`);
+    }
+
+    if (normalized.some(existing => existing.assetType === assetType && existing.symbol === symbol)) {
+      throw httpError(`${label} is targeted more than once`);
+    }
+
+    if (symbol && !(await OHLCV.getLatestPrice(assetType, symbol))) {
+      throw httpError(`No price data for ${assetType}:${symbol}`, 404);
+    }
+
+    normalized.push({ assetType, symbol, weight });
+  }
+
+  const totalWeight = normalized.reduce((sum, target) => sum + target.weight, 0);
+  if (totalWeight > 100 + 1e-9) {
+    throw httpError(`Target weights add up to ${totalWeight}%, more than 100%`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Latest KES price of an asset, with whether it is fresh enough to trade at
+ */
+async function getPrice(assetType, symbol, now) {
+  const latest = await OHLCV.getLatestPrice(assetType, symbol);
+  if (!latest || !(latest.valueKES > 0)) {
+    throw httpError(`No price available for ${assetType}:${symbol}`, 404);
+  }
+
+  return {
+    price: latest.valueKES,
+    timestamp: latest.timestamp,
+    fresh: now.getTime() - new Date(latest.timestamp).getTime() <= PRICE_MAX_AGE_MS
+  };
+}
+
+/**
+ * Group holdings under the targets they count towards
+ * A symbol target takes its own holding, a type target the rest of that type; every holding
+ * left over becomes its own 0% allocation. Symbol targets not yet held get an empty position.
+ */
+function buildAllocations(targets, positions) {
+  const allocations = targets.map(target => ({ ...target, positions: [] }));
+  const symbolTarget = (assetType, symbol) =>
+    allocations.find(allocation => allocation.assetType === assetType && allocation.symbol === symbol);
+
+  for (const position of positions) {
+    const allocation = symbolTarget(position.assetType, position.symbol) || symbolTarget(position.assetType, null);
+    if (allocation) {
+      allocation.positions.push(position);
+    } else {
+      allocations.push({ assetType: position.assetType, symbol: position.symbol, weight: 0, positions: [position] });
+    }
+  }
+
+  return allocations;
+}
+
+/**
+ * Order a position needs to reach its target value, before fees and cash limits
+ * Positions targeted at 0% are sold in full (apart from units reserved for open orders)
+ */
+function sizeOrder(position, targetValue) {
+  const difference = targetValue - position.value;
+
+  if (difference < 0) {
+    const quantity = targetValue <= 0
+      ? position.sellable
+      : Math.min(position.sellable, roundQuantity(position.assetType, -difference / position.price));
+    return { side: 'sell', quantity };
+  }
+
+  return { side: 'buy', quantity: roundQuantity(position.assetType, difference / position.price) };
+}
+
+/**
+ * Work out the trades that bring the user's main account back to their target allocation
+ * Sells come first and their proceeds fund the buys; buys that outrun the cash are cut down
+ * to what it covers, fees included. Orders the trading policy would refuse (halts, size
+ * limits) are listed as skipped; the market session is only checked on execution.
+ * @param {Object} user - User document with a saved targetAllocation
+ * @param {Object} options - { driftThresholdPercent } percentage points an allocation may drift before it is traded
+ * @returns {Object} { totalValue, cash, allocations, orders, skipped, summary, warnings, proposalId, expiresAt }
+ */
+async function getRebalancePlan(user, { driftThresholdPercent = DEFAULT_DRIFT_THRESHOLD_PERCENT } = {}, now = new Date()) {
+  const threshold = Number(driftThresholdPercent);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold >= 100) {
+    throw httpError("driftThresholdPercent must be a number from 0 to below 100");
+  }
+
+  const targets = (user.targetAllocation || []).map(({ assetType, symbol, weight }) => ({ assetType, symbol: symbol || null, weight }));
+  if (targets.length === 0) {
+    throw httpError("No target allocation saved. Set one with PUT /api/portfolio/target-allocation");
+  }
+
+  const holdings = await Portfolio.find({ userId: user._id, competitionId: null, quantity: { $gt: 0 } });
+  const positions = [];
+  for (const holding of holdings) {
+    const quote = await getPrice(holding.assetType, holding.assetSymbol, now);
+    positions.push({
+      assetType: holding.assetType,
+      symbol: holding.assetSymbol,
+      quantity: holding.quantity,
+      sellable: Math.max(0, holding.quantity - (holding.reservedQuantity || 0)),
+      value: holding.quantity * quote.price,
+      ...quote
+    });
+  }
+
+  for (const target of targets) {
+    const held = positions.some(position => position.assetType === target.assetType && position.symbol === target.symbol);
+    if (target.symbol && !held) {
+      const quote = await getPrice(target.assetType, target.symbol, now);
+      positions.push({ assetType: target.assetType, symbol: target.symbol, quantity: 0, sellable: 0, value: 0, ...quote });
+    }
+  }
+
+  const cash = user.balance;
+  const totalValue = cash + positions.reduce((sum, position) => sum + position.value, 0);
+  if (!(totalValue > 0)) {
+    throw httpError("There is nothing to rebalance: the account holds no cash or assets");
+  }
+
+  const allocations = buildAllocations(targets, positions);
+  const proposed = [];
+
+  for (const allocation of allocations) {
+    allocation.currentValue = allocation.positions.reduce((sum, position) => sum + position.value, 0);
+    allocation.currentPercent = (allocation.currentValue / totalValue) * 100;
+    allocation.driftPercent = allocation.currentPercent - allocation.weight;
+    allocation.rebalance = Math.abs(allocation.driftPercent) > threshold;
+    if (!allocation.rebalance) continue;
+
+    const targetValue = (allocation.weight / 100) * totalValue;
+    if (allocation.positions.length === 0) {
+      throw httpError(`There are no ${allocation.assetType} holdings to spread the ${allocation.assetType} target over. Target a symbol to buy instead`);
+    }
+
+    for (const position of allocation.positions) {
+      // A type target keeps the type's holdings in their current proportions
+      const share = allocation.positions.length === 1 ? 1 : position.value / allocation.currentValue;
+      const order = sizeOrder(position, targetValue * share);
+      if (order.quantity > 0) {
+        proposed.push({ ...order, position, shortfall: targetValue * share - position.value });
+      }
+    }
+  }
+
+  const feeConfig = await getCurrentFeeConfiguration();
+  const orders = [];
+  const skipped = [];
+  let cashAvailable = cash;
+
+  const addOrder = async (side, position, quantity) => {
+    const tradeAmount = quantity * position.price;
+    const violation = await checkTradingPolicy(
+      { assetType: position.assetType, symbol: position.symbol, tradeAmount },
+      { requireSession: false }
+    );
+    if (violation) {
+      skipped.push({ side, assetType: position.assetType, symbol: position.symbol, quantity, code: violation.code, message: violation.message });
+      return null;
+    }
+
+    const feeData = await calculateFees(tradeAmount, side, feeConfig);
+    if (side === 'sell' && feeData.netAmount <= 0) {
+      skipped.push({ side, assetType: position.assetType, symbol: position.symbol, quantity, code: 'FEES_EXCEED_PROCEEDS', message: "The fees would take all of the sale's proceeds" });
+      return null;
+    }
+
+    const order = {
+      side,
+      assetType: position.assetType,
+      symbol: position.symbol,
+      quantity,
+      price: position.price,
+      priceTimestamp: position.timestamp,
+      tradeAmount,
+      estimatedFees: feeData.totalFees,
+      netAmount: feeData.netAmount // cost of a buy, proceeds of a sell
+    };
+    orders.push(order);
+    return order;
+  };
+
+  for (const { position, quantity } of proposed.filter(order => order.side === 'sell')) {
+    const order = await addOrder('sell', position, quantity);
+    if (order) cashAvailable += order.netAmount;
+  }
+
+  // Largest shortfall first, so a cash squeeze trims the smallest buys
+  const buys = proposed.filter(order => order.side === 'buy').sort((a, b) => b.shortfall - a.shortfall);
+  for (const { position, quantity } of buys) {
+    const affordable = roundQuantity(position.assetType, getAffordableTradeAmount(cashAvailable, feeConfig) / position.price);
+    const buyQuantity = Math.min(quantity, affordable);
+    if (buyQuantity <= 0) {
+      skipped.push({ side: 'buy', assetType: position.assetType, symbol: position.symbol, quantity, code: 'INSUFFICIENT_CASH', message: "Not enough cash left to buy after fees" });
+      continue;
+    }
+
+    const order = await addOrder('buy', position, buyQuantity);
+    if (order) cashAvailable -= order.netAmount;
+  }
+
+  const summary = {
+    sells: orders.filter(order => order.side === 'sell').length,
+    buys: orders.filter(order => order.side === 'buy').length,
+    totalSold: orders.filter(order => order.side === 'sell').reduce((sum, order) => sum + order.tradeAmount, 0),
+    totalBought: orders.filter(order => order.side === 'buy').reduce((sum, order) => sum + order.tradeAmount, 0),
+    estimatedFees: orders.reduce((sum, order) => sum + order.estimatedFees, 0),
+    cashAfter: cashAvailable
+  };
+
+  const warnings = orders
+    .filter(order => !positions.find(position => position.assetType === order.assetType && position.symbol === order.symbol).fresh)
+    .map(order => `The latest ${order.symbol} price is more than ${PRICE_MAX_AGE_MS / 60000} minutes old`);
+
+  let proposalId = null;
+  let expiresAt = null;
+  if (orders.length > 0 && warnings.length === 0) {
+    const ttl = getProposalTtlSeconds();
+    proposalId = jwt.sign(
+      {
+        userId: user._id.toString(),
+        orders: orders.map(({ side, assetType, symbol, quantity, price }) => ({ side, assetType, symbol, quantity, price }))
+      },
+      getProposalSecret(),
+      { expiresIn: ttl, subject: PROPOSAL_SUBJECT, jwtid: crypto.randomUUID() }
+    );
+    expiresAt = new Date(now.getTime() + ttl * 1000);
+  }
+
+  const cashWeight = 100 - targets.reduce((sum, target) => sum + target.weight, 0);
+
+  return {
+    totalValue,
+    cash,
+    driftThresholdPercent: threshold,
+    allocations: [
+      ...allocations.map(({ assetType, symbol, weight, currentValue, currentPercent, driftPercent, rebalance, positions: held }) => ({
+        assetType,
+        symbol,
+        targetPercent: weight,
+        currentValue,
+        currentPercent,
+        driftPercent,
+        rebalance,
+        holdings: held.filter(position => position.quantity > 0).map(position => position.symbol)
+      })),
+      {
+        assetType: 'cash',
+        symbol: null,
+        targetPercent: cashWeight,
+        currentValue: cash,
+        currentPercent: (cash / totalValue) * 100,
+        driftPercent: (cash / totalValue) * 100 - cashWeight,
+        rebalance: false,
+        holdings: []
+      }
+    ],
+    orders,
+    skipped,
+    summary,
+    warnings,
+    proposalId,
+    expiresAt
+  };
+}
+
+/**
+ * Check a proposal ID and return its orders
+ */
+function verifyProposal(proposalId, user) {
+  let proposal;
+  try {
+    proposal = jwt.verify(proposalId, getProposalSecret(), { subject: PROPOSAL_SUBJECT });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw httpError("Rebalance proposal has expired. Request a new plan");
+    }
+    throw httpError("Invalid rebalance proposal");
+  }
+
+  if (proposal.userId !== user._id.toString()) {
+    throw httpError("Rebalance proposal was issued to a different user", 403);
+  }
+
+  return proposal;
+}
+
+/**
+ * Execute a confirmed rebalance proposal
+ * Every order must pass the trading policy (market session included) before anything trades;
+ * then all sells and buys commit together or not at all, at the proposal's prices.
+ * Each trade records the proposal as its quote, so a proposal executes once.
+ * @param {Object} user - User document
+ * @param {string} proposalId - Signed proposal from getRebalancePlan
+ * @returns {Object} { trades, totalFees, balance }
+ */
+async function executeRebalance(user, proposalId) {
+  if (!proposalId || typeof proposalId !== 'string') {
+    throw httpError("proposalId is required");
+  }
+
+  const proposal = verifyProposal(proposalId, user);
+  const feeConfig = await getCurrentFeeConfiguration();
+
+  const fills = [];
+  for (const [index, order] of proposal.orders.entries()) {
+    const tradeAmount = order.quantity * order.price;
+    const violation = await checkTradingPolicy({ assetType: order.assetType, symbol: order.symbol, tradeAmount });
+    if (violation) {
+      throw httpError(`${order.side === 'buy' ? 'Buy' : 'Sell'} of ${order.symbol}: ${violation.message}`, violation.status);
+    }
+
+    fills.push({
+      side: order.side,
+      assetType: order.assetType,
+      symbol: order.symbol,
+      quantity: order.quantity,
+      price: order.price,
+      feeData: await calculateFees(tradeAmount, order.side, feeConfig),
+      orderType: 'rebalance',
+      quoteId: `${proposal.jti}:${index}`
+    });
+  }
+
+  let executed;
+  try {
+    executed = await runInTransaction(async session => {
+      const results = [];
+      for (const fill of fills) {
+        if (fill.side === 'sell') {
+          const holding = await findHolding(user._id, fill.assetType, fill.symbol, session);
+          if (!holding) {
+            throw httpError(`You no longer hold ${fill.symbol}`, 409);
+          }
+          results.push(await executeSell(user, holding, fill, session));
+        } else {
+          results.push(await executeBuy(user, fill, session));
+        }
+      }
+      return results;
+    });
+  } catch (error) {
+    if (error.status === 409 && error.message === "Quote has already been used") {
+      throw httpError("Rebalance proposal has already been executed", 409);
+    }
+    throw error;
+  }
+
+  for (const { trade, balance } of executed) {
+    publishFill(trade, balance);
+    notifyInBackground(user._id, 'trade_executed', getTradeData(trade));
+  }
+
+  return {
+    trades: executed.map(({ trade }) => ({
+      id: trade._id,
+      side: trade.type,
+      assetType: trade.assetType,
+      symbol: trade.assetSymbol,
+      quantity: trade.quantity,
+      price: trade.price,
+      totalFees: trade.totalFees,
+      netAmount: trade.netAmount
+    })),
+    totalFees: executed.reduce((sum, { trade }) => sum + trade.totalFees, 0),
+    balance: executed.length > 0 ? executed[executed.length - 1].balance : user.balance
+  };
+}
+
+export {
+  validateTargets,
+  getRebalancePlan,
+  executeRebalance
+};
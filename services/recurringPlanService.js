@@ -0,0 +1,456 @@
+import mongoose from "mongoose";
+import RecurringPlan from "../models/RecurringPlan.js";
+import RecurringPlanExecution from "../models/RecurringPlanExecution.js";
+import User from "../models/User.js";
+import OHLCV from "../models/OHLCV.js";
+import { calculateFees, validateBuyOrder, getCurrentFeeConfiguration, getAffordableTradeAmount } from "../utils/feeCalculator.js";
+import { executeBuy } from "./tradeService.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { checkTradingPolicy } from "./tradingPolicy.js";
+import { toLocalDateKey, eatTimeToDate, getTradingDay } from "./marketCalendar.js";
+import { notifyInBackground, getTradeData } from "./notificationService.js";
+import { publishFill } from "./streamService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Recurring Plan Service
+ * Scheduled buys of a fixed KES amount (dollar-cost averaging), executed by the scheduler with the
+ * same checks as a market buy: fresh price, trading policy and market session, fees and balance.
+ * The amount covers the fees; NSE stocks are bought in whole shares, crypto and FX in fractions.
+ * A run that finds the market closed or the price stale waits and retries until the plan's next
+ * run is due, then is recorded as skipped. Every other outcome is recorded in the plan's history
+ * and moves the plan on to its next run; runs missed while the server was down are not caught up.
+ * A buy, its history record and the move to the next run commit together, so a run is never
+ * bought twice or recorded as anything but what happened.
+ */
+
+const PLAN_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const PLAN_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const PLAN_STATUSES = ['active', 'paused'];
+const MAX_PLANS_PER_USER = 20;
+const MAX_PAGE_SIZE = 100;
+const DUE_BATCH_SIZE = 100;
+const PRICE_MAX_AGE_MS = 5 * 60 * 1000; // as for market buys
+const DEFER_RETRY_MS = 5 * 60 * 1000; // wait before retrying a run deferred for a missing or stale price
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let processingPlans = false;
+
+/**
+ * Check the settings shared by creating and editing a plan
+ */
+function validatePlanSettings({ amount, frequency, dayOfWeek, dayOfMonth, time, status }) {
+  if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+    throw httpError("amount must be a positive number of KES");
+  }
+
+  if (frequency !== undefined && !PLAN_FREQUENCIES.includes(frequency)) {
+    throw httpError(`frequency must be one of: ${PLAN_FREQUENCIES.join(', ')}`);
+  }
+
+  if (dayOfWeek !== undefined && dayOfWeek !== null && !(Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6)) {
+    throw httpError("dayOfWeek must be 0 (Sunday) to 6 (Saturday)");
+  }
+
+  if (dayOfMonth !== undefined && dayOfMonth !== null && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 28)) {
+    throw httpError("dayOfMonth must be 1 to 28");
+  }
+
+  if (time !== undefined && (typeof time !== 'string' || !TIME_PATTERN.test(time))) {
+    throw httpError("time must be HH:MM (24-hour, Nairobi time)");
+  }
+
+  if (status !== undefined && !PLAN_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${PLAN_STATUSES.join(', ')}`);
+  }
+}
+
+/**
+ * Fill in the day a weekly or monthly plan runs on, defaulting to Monday / the 1st
+ */
+function resolveSchedule(plan) {
+  plan.dayOfWeek = plan.frequency === 'weekly' ? (plan.dayOfWeek ?? 1) : null;
+  plan.dayOfMonth = plan.frequency === 'monthly' ? (plan.dayOfMonth ?? 1) : null;
+}
+
+/**
+ * First run of a plan's schedule after an instant
+ * Daily plans run only on the asset's trading days; weekly and monthly runs that land on a
+ * closed day wait for the market to open
+ * @param {Object} plan - { assetType, frequency, dayOfWeek, dayOfMonth, time }
+ * @returns {Date}
+ */
+function getNextRunAt(plan, after) {
+  const firstDay = Date.parse(`${toLocalDateKey(after)}T00:00:00Z`);
+
+  for (let day = 0; day <= 62; day++) {
+    const dateKey = new Date(firstDay + day * DAY_MS).toISOString().slice(0, 10);
+    const runAt = eatTimeToDate(dateKey, plan.time);
+    if (runAt <= after) continue;
+
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    if (plan.frequency === 'daily' && getTradingDay(plan.assetType, dateKey).isTradingDay) return runAt;
+    if (plan.frequency === 'weekly' && weekday === plan.dayOfWeek) return runAt;
+    if (plan.frequency === 'monthly' && Number(dateKey.slice(8)) === plan.dayOfMonth) return runAt;
+  }
+
+  throw httpError("The plan's schedule has no run in the next two months");
+}
+
+/**
+ * Load one of the user's plans
+ * @throws 404 when it does not exist or belongs to someone else
+ */
+async function findPlan(userId, planId) {
+  const plan = mongoose.isValidObjectId(planId)
+    ? await RecurringPlan.findOne({ _id: planId, userId })
+    : null;
+
+  if (!plan) {
+    throw httpError("Recurring plan not found", 404);
+  }
+  return plan;
+}
+
+/**
+ * Create a recurring buy on an asset with stored prices
+ * @param {Object} data - { assetType, symbol, amount, frequency, dayOfWeek, dayOfMonth, time }
+ * @returns {Object} RecurringPlan document
+ */
+async function createPlan(userId, data) {
+  const { assetType, amount, frequency, dayOfWeek, dayOfMonth, time = '10:00' } = data;
+  const symbol = typeof data.symbol === 'string' ? data.symbol.trim().toUpperCase() : '';
+
+  if (!PLAN_ASSET_TYPES.includes(assetType)) {
+    throw httpError(`Invalid asset type. Must be: ${PLAN_ASSET_TYPES.join(', ')}`);
+  }
+  if (!symbol) {
+    throw httpError("symbol is required");
+  }
+  if (amount === undefined || frequency === undefined) {
+    throw httpError("amount and frequency are required");
+  }
+  validatePlanSettings({ amount, frequency, dayOfWeek, dayOfMonth, time });
+
+  const latest = await OHLCV.getLatestPrice(assetType, symbol);
+  if (!latest) {
+    throw httpError(`No price data for ${assetType}:${symbol}`, 404);
+  }
+
+  const count = await RecurringPlan.countDocuments({ userId });
+  if (count >= MAX_PLANS_PER_USER) {
+    throw httpError(`You can have at most ${MAX_PLANS_PER_USER} recurring plans`);
+  }
+
+  const plan = new RecurringPlan({ userId, assetType, symbol, amount, frequency, dayOfWeek, dayOfMonth, time });
+  resolveSchedule(plan);
+  plan.nextRunAt = getNextRunAt(plan, new Date());
+  await plan.save();
+  return plan;
+}
+
+async function listPlans(userId, { status } = {}) {
+  const filter = { userId };
+  if (status) {
+    if (!PLAN_STATUSES.includes(status)) {
+      throw httpError(`status must be one of: ${PLAN_STATUSES.join(', ')}`);
+    }
+    filter.status = status;
+  }
+  return RecurringPlan.find(filter).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Change a plan's amount or schedule, or pause / resume it
+ * A changed schedule or a resumed plan runs next at its first run from now
+ * @param {Object} changes - { amount, frequency, dayOfWeek, dayOfMonth, time, status }
+ */
+async function updatePlan(userId, planId, changes) {
+  const plan = await findPlan(userId, planId);
+  const fields = ['amount', 'frequency', 'dayOfWeek', 'dayOfMonth', 'time', 'status'];
+  const updates = Object.fromEntries(fields.filter(field => changes[field] !== undefined).map(field => [field, changes[field]]));
+  validatePlanSettings(updates);
+
+  const reschedule = ['frequency', 'dayOfWeek', 'dayOfMonth', 'time'].some(field => field in updates)
+    || (updates.status === 'active' && plan.status !== 'active');
+
+  Object.assign(plan, updates);
+  if (reschedule) {
+    resolveSchedule(plan);
+    plan.nextRunAt = getNextRunAt(plan, new Date());
+    plan.retryAfter = null;
+  }
+
+  await plan.save();
+  return plan;
+}
+
+/**
+ * Delete a plan and its history; trades it made stay in the trade history
+ */
+async function deletePlan(userId, planId) {
+  const plan = await findPlan(userId, planId);
+  await RecurringPlanExecution.deleteMany({ planId: plan._id });
+  await plan.deleteOne();
+}
+
+/**
+ * A page of a plan's runs, newest first
+ * @returns {Object} { executions, pagination }
+ */
+async function getPlanHistory(userId, planId, { page = 1, limit = 50 } = {}) {
+  const plan = await findPlan(userId, planId);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  const [executions, total] = await Promise.all([
+    RecurringPlanExecution.find({ planId: plan._id }).sort({ executedAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean(),
+    RecurringPlanExecution.countDocuments({ planId: plan._id })
+  ]);
+
+  return {
+    executions,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Quantity the plan's amount buys at a price, fees included
+ * Whole shares for stocks; crypto and FX to 8 decimal places
+ */
+function getPlanQuantity(plan, price, feeConfig) {
+  const units = getAffordableTradeAmount(plan.amount, feeConfig) / price;
+  return plan.assetType === 'stock'
+    ? Math.floor(units)
+    : Math.floor(units * 1e8) / 1e8;
+}
+
+/**
+ * Record a run's outcome and move the plan on to its next run
+ * The plan only moves on from the run being recorded, so a run another process already
+ * recorded is rejected with a 409 instead of being counted twice
+ * @param {ClientSession} session - Transaction the run's trade was written in
+ * @returns {Object} { execution, updated } - updated is the plan after the write
+ */
+async function recordRun(plan, scheduledFor, outcome, now, session) {
+  const executed = outcome.status === 'executed';
+  const updated = await RecurringPlan.findOneAndUpdate(
+    { _id: plan._id, nextRunAt: scheduledFor },
+    {
+      $set: { lastRunAt: now, nextRunAt: getNextRunAt(plan, now), retryAfter: null, updatedAt: now },
+      $inc: executed
+        ? { executionCount: 1, totalInvested: outcome.totalCost, totalQuantity: outcome.quantity }
+        : { skipCount: 1 }
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw httpError("This run of the plan was already recorded", 409);
+  }
+
+  const [execution] = await RecurringPlanExecution.create([{
+    planId: plan._id,
+    userId: plan.userId,
+    assetType: plan.assetType,
+    symbol: plan.symbol,
+    scheduledFor,
+    executedAt: now,
+    ...outcome
+  }], { session });
+
+  return { execution, updated };
+}
+
+/**
+ * Bring a plan document up to date with a committed run
+ */
+function applyRun(plan, updated) {
+  for (const field of ['lastRunAt', 'nextRunAt', 'retryAfter', 'executionCount', 'skipCount', 'totalInvested', 'totalQuantity', 'updatedAt']) {
+    plan[field] = updated[field];
+  }
+}
+
+/**
+ * Record a run that bought nothing and move the plan on to its next run
+ * Skipped and failed runs notify the user
+ */
+async function finishRun(plan, scheduledFor, outcome, now) {
+  const { execution, updated } = await runInTransaction(session => recordRun(plan, scheduledFor, outcome, now, session));
+  applyRun(plan, updated);
+
+  notifyInBackground(plan.userId, 'recurring_buy_skipped', {
+    planId: plan._id,
+    symbol: plan.symbol,
+    frequency: plan.frequency,
+    amount: plan.amount,
+    reason: outcome.reason,
+    message: outcome.message
+  });
+
+  return execution;
+}
+
+/**
+ * Hold a deferred run back from the due plans until it is worth retrying
+ * Deferred plans keep their nextRunAt, so without this they would fill every batch until they run
+ */
+async function deferRun(plan, scheduledFor, retryAfter) {
+  await RecurringPlan.updateOne({ _id: plan._id, nextRunAt: scheduledFor }, { $set: { retryAfter } });
+  plan.retryAfter = retryAfter;
+}
+
+/**
+ * Run one due plan
+ * @returns {string} 'executed', 'skipped', 'failed' or 'deferred' (market closed or stale price; retried later)
+ */
+async function executePlan(plan, now = new Date()) {
+  const scheduledFor = plan.nextRunAt;
+  const skip = async (reason, message) => (await finishRun(plan, scheduledFor, { status: 'skipped', reason, message }, now)).status;
+
+  // Waiting is only worth it until the next run is due
+  const deferOrSkip = async (reason, message, retryAt = new Date(now.getTime() + DEFER_RETRY_MS)) => {
+    const nextRun = getNextRunAt(plan, scheduledFor);
+    if (now >= nextRun) return skip(reason, message);
+
+    await deferRun(plan, scheduledFor, retryAt < nextRun ? retryAt : nextRun);
+    return 'deferred';
+  };
+
+  const user = await User.findById(plan.userId);
+  if (!user) {
+    return skip('user_not_found', "User not found");
+  }
+  if (user.isBanned) {
+    return skip('account_suspended', "Your account is suspended");
+  }
+
+  const latest = await OHLCV.getLatestPrice(plan.assetType, plan.symbol);
+  if (!latest || !(latest.valueKES > 0)) {
+    return deferOrSkip('no_price', `No price available for ${plan.symbol}`);
+  }
+  if (now.getTime() - new Date(latest.timestamp).getTime() > PRICE_MAX_AGE_MS) {
+    return deferOrSkip('stale_price', `The latest ${plan.symbol} price is more than ${PRICE_MAX_AGE_MS / 60000} minutes old`);
+  }
+  const price = latest.valueKES;
+
+  const feeConfig = await getCurrentFeeConfiguration();
+  const quantity = getPlanQuantity(plan, price, feeConfig);
+  if (quantity <= 0) {
+    return skip('amount_too_small', `KSh ${plan.amount.toFixed(2)} does not cover one ${plan.assetType === 'stock' ? 'share' : 'unit'} at KSh ${price.toFixed(2)} plus fees`);
+  }
+  const tradeAmount = price * quantity;
+
+  const violation = await checkTradingPolicy({ assetType: plan.assetType, symbol: plan.symbol, tradeAmount });
+  if (violation) {
+    return violation.code === 'MARKET_CLOSED'
+      ? deferOrSkip('market_closed', violation.message, violation.marketStatus?.opensAt || undefined)
+      : skip(violation.code.toLowerCase(), violation.message);
+  }
+
+  const feeData = await calculateFees(tradeAmount, 'buy', feeConfig);
+  const balanceValidation = validateBuyOrder(user.balance, feeData);
+  if (!balanceValidation.hasSufficientBalance) {
+    return skip('insufficient_balance', balanceValidation.message);
+  }
+
+  let executed;
+  try {
+    executed = await runInTransaction(async (session) => {
+      const bought = await executeBuy(user, {
+        assetType: plan.assetType,
+        symbol: plan.symbol,
+        quantity,
+        price,
+        feeData,
+        orderType: 'recurring'
+      }, session);
+
+      const { updated } = await recordRun(plan, scheduledFor, {
+        status: 'executed',
+        price,
+        quantity,
+        totalCost: feeData.totalCost,
+        totalFees: feeData.totalFees,
+        tradeId: bought.trade._id
+      }, now, session);
+
+      return { ...bought, updated };
+    });
+  } catch (error) {
+    // Recorded with the trade's own reason (insufficient_balance when a concurrent trade spent the
+    // funds) or as rejected; a run recorded elsewhere is not a skip
+    if (error.status && error.status !== 409) {
+      return skip(error.code ? error.code.toLowerCase() : 'rejected', error.message);
+    }
+    throw error;
+  }
+
+  const { trade, balance, updated } = executed;
+  applyRun(plan, updated);
+  publishFill(trade, balance);
+  notifyInBackground(user._id, 'trade_executed', getTradeData(trade));
+
+  return 'executed';
+}
+
+/**
+ * Run every active plan that is due
+ * Called by the scheduler; one failing plan is recorded and never stops the rest.
+ * Overlapping calls in one process return straight away.
+ * @returns {Object} { due, executed, skipped, deferred, failed }
+ */
+async function processDuePlans(now = new Date()) {
+  const result = { due: 0, executed: 0, skipped: 0, deferred: 0, failed: 0 };
+  if (processingPlans) return result;
+  processingPlans = true;
+
+  try {
+    const plans = await RecurringPlan.find({
+      status: 'active',
+      nextRunAt: { $lte: now },
+      $or: [{ retryAfter: null }, { retryAfter: { $lte: now } }]
+    })
+      .sort({ nextRunAt: 1 })
+      .limit(DUE_BATCH_SIZE);
+
+    for (const plan of plans) {
+      result.due++;
+      try {
+        result[await executePlan(plan, now)]++;
+      } catch (error) {
+        // Another process recorded this run first; its outcome stands
+        if (error.status === 409) {
+          console.warn(`⚠️ Recurring plan ${plan._id} run was already recorded`);
+          continue;
+        }
+
+        console.error(`❌ Error executing recurring plan ${plan._id}:`, error);
+        result.failed++;
+        try {
+          await finishRun(plan, plan.nextRunAt, { status: 'failed', reason: 'error', message: "The buy could not be completed" }, now);
+        } catch (recordError) {
+          console.error(`❌ Error recording failed recurring plan ${plan._id}:`, recordError.message);
+        }
+      }
+    }
+  } finally {
+    processingPlans = false;
+  }
+
+  return result;
+}
+
+export {
+  PLAN_FREQUENCIES,
+  getPlanQuantity,
+  getNextRunAt,
+  createPlan,
+  listPlans,
+  updatePlan,
+  deletePlan,
+  getPlanHistory,
+  executePlan,
+  processDuePlans
+};
@@ -0,0 +1,448 @@
+import mongoose from "mongoose";
+import OHLCV from "../models/OHLCV.js";
+import Candle from "../models/Candle.js";
+import StockInfo from "../models/StockInfo.js";
+import SavedScreen from "../models/SavedScreen.js";
+import { CANDLE_INTERVALS, getBucketStart } from "./candleService.js";
+import { parseIndicatorSpecs, getIndicators } from "./indicatorService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Screener Service
+ * Filters and sorts every stored asset by price, daily change, volume, market cap, distance from its
+ * 52-week high and low, and indicator conditions such as "RSI(14) on daily candles below 30".
+ * Daily change is measured against the previous Nairobi day's close and the 52-week range comes from
+ * the stored weekly candles, so both cover only the history the platform has recorded.
+ * Market cap comes from the latest StockInfo scrape for stocks and from the feed metadata for crypto;
+ * assets without one never pass a market cap filter.
+ * Indicator conditions are checked last, only on assets that passed the other filters.
+ */
+
+const SCREENER_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const RANGE_FIELDS = ['price', 'changePercent', 'volume', 'marketCap', 'fromHigh52wPercent', 'fromLow52wPercent'];
+const SORT_FIELDS = ['symbol', ...RANGE_FIELDS];
+const SORT_ORDERS = ['asc', 'desc'];
+const INDICATOR_OPERATORS = {
+  lt: (value, target) => value < target,
+  lte: (value, target) => value <= target,
+  gt: (value, target) => value > target,
+  gte: (value, target) => value >= target
+};
+// Indicators returning several values, and the one compared when no field is given
+const INDICATOR_FIELDS = {
+  macd: ['macd', 'signal', 'histogram'],
+  bbands: ['middle', 'upper', 'lower'],
+  stoch: ['k', 'd']
+};
+const MAX_INDICATOR_CONDITIONS = 5;
+const MAX_INDICATOR_CANDIDATES = 200;
+const MAX_SCREENS_PER_USER = 20;
+const MAX_PAGE_SIZE = 100;
+const YEAR_MS = 52 * 7 * 24 * 60 * 60 * 1000;
+const PREVIOUS_CLOSE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MARKET_CAP_UNITS = {
+  trillion: 1e12, t: 1e12,
+  billion: 1e9, bn: 1e9, b: 1e9,
+  million: 1e6, mn: 1e6, m: 1e6,
+  thousand: 1e3, k: 1e3
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Market cap in KES from a number or a scraped label such as "12.3 billionB" or "KES 850M"
+ * @returns {number|null}
+ */
+function parseMarketCap(value) {
+  if (isNumber(value)) return value > 0 ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(trillion|billion|million|thousand|bn|mn|[tbmk])?/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]) * (match[2] ? MARKET_CAP_UNITS[match[2].toLowerCase()] : 1);
+  return amount > 0 ? amount : null;
+}
+
+function normalizeRange(field, range) {
+  if (typeof range !== 'object' || range === null || Array.isArray(range)) {
+    throw httpError(`filters.${field} must be an object with min and/or max`);
+  }
+
+  const normalized = {};
+  for (const bound of ['min', 'max']) {
+    if (range[bound] === undefined || range[bound] === null) continue;
+    if (!isNumber(range[bound])) {
+      throw httpError(`filters.${field}.${bound} must be a number`);
+    }
+    normalized[bound] = range[bound];
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    throw httpError(`filters.${field} needs a min or a max`);
+  }
+  if (normalized.min !== undefined && normalized.max !== undefined && normalized.min > normalized.max) {
+    throw httpError(`filters.${field}.min cannot be above its max`);
+  }
+  return normalized;
+}
+
+function normalizeIndicatorCondition(condition, index) {
+  const label = `indicators[${index}]`;
+  if (typeof condition !== 'object' || condition === null) {
+    throw httpError(`${label} must be an object`);
+  }
+
+  const { indicator, field, interval = '1d', operator, value } = condition;
+  if (typeof indicator !== 'string' || indicator.includes(',')) {
+    throw httpError(`${label}.indicator must be a single indicator spec, e.g. "rsi:14"`);
+  }
+  const [spec] = parseIndicatorSpecs(indicator);
+
+  const fields = INDICATOR_FIELDS[spec.name];
+  if (field !== undefined && field !== null && !(fields && fields.includes(field))) {
+    throw httpError(fields
+      ? `${label}.field must be one of: ${fields.join(', ')}`
+      : `${label}: ${spec.name} has a single value, so it takes no field`);
+  }
+
+  if (!CANDLE_INTERVALS[interval]) {
+    throw httpError(`${label}.interval must be one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+  }
+  if (!INDICATOR_OPERATORS[operator]) {
+    throw httpError(`${label}.operator must be one of: ${Object.keys(INDICATOR_OPERATORS).join(', ')}`);
+  }
+  if (!isNumber(value) && value !== 'price') {
+    throw httpError(`${label}.value must be a number or "price"`);
+  }
+
+  return { indicator: spec.key, field: fields ? (field ?? fields[0]) : null, interval, operator, value };
+}
+
+/**
+ * Validate screen criteria and fill in defaults
+ * @param {Object} criteria - { assetTypes, filters: { [field]: { min, max } }, indicators: [...], sort: { field, order } }
+ * @returns {Object} Normalized criteria, as stored on saved screens
+ */
+function normalizeCriteria(criteria = {}) {
+  if (typeof criteria !== 'object' || criteria === null || Array.isArray(criteria)) {
+    throw httpError("criteria must be an object");
+  }
+  const { filters = {}, indicators = [], sort = {} } = criteria;
+
+  const givenTypes = criteria.assetTypes ?? SCREENER_ASSET_TYPES;
+  const assetTypes = [...new Set(Array.isArray(givenTypes) ? givenTypes : String(givenTypes).split(',').map(type => type.trim()))];
+  if (assetTypes.length === 0 || assetTypes.some(type => !SCREENER_ASSET_TYPES.includes(type))) {
+    throw httpError(`assetTypes must list one or more of: ${SCREENER_ASSET_TYPES.join(', ')}`);
+  }
+
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    throw httpError("filters must be an object");
+  }
+  const unknownFilter = Object.keys(filters).find(field => !RANGE_FIELDS.includes(field));
+  if (unknownFilter) {
+    throw httpError(`Unknown filter "${unknownFilter}". Available: ${RANGE_FIELDS.join(', ')}`);
+  }
+
+  if (!Array.isArray(indicators) || indicators.length > MAX_INDICATOR_CONDITIONS) {
+    throw httpError(`indicators must be a list of at most ${MAX_INDICATOR_CONDITIONS} conditions`);
+  }
+
+  const { field: sortField = 'symbol', order = sortField === 'symbol' ? 'asc' : 'desc' } = sort ?? {};
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw httpError(`sort.field must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    throw httpError(`sort.order must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  return {
+    assetTypes,
+    filters: Object.fromEntries(Object.entries(filters).map(([field, range]) => [field, normalizeRange(field, range)])),
+    indicators: indicators.map(normalizeIndicatorCondition),
+    sort: { field: sortField, order }
+  };
+}
+
+/**
+ * Latest market cap per stock ticker from the newest StockInfo scrape
+ * Uses the scraped marketCap, or a "Market Cap" entry in the growth & valuation table
+ */
+async function loadStockMarketCaps() {
+  const latest = await StockInfo.aggregate([
+    { $sort: { ticker: 1, scrapedAt: -1 } },
+    { $group: { _id: "$ticker", marketCap: { $first: "$marketCap" }, growthValuation: { $first: "$growthValuation" } } }
+  ]);
+
+  return new Map(latest.map(({ _id, marketCap, growthValuation }) => {
+    const label = Object.entries(growthValuation || {}).find(([key]) => /market\s*cap/i.test(key));
+    return [String(_id).toUpperCase(), parseMarketCap(marketCap) ?? parseMarketCap(label?.[1])];
+  }));
+}
+
+/**
+ * One row per stored asset of the given types, with every screenable figure
+ */
+async function loadAssetRows(assetTypes, now) {
+  const todayStart = getBucketStart(now, '1d');
+  const keyOf = ({ type, symbol }) => `${type}:${symbol}`;
+
+  const [latest, previousCloses, yearRanges, stockMarketCaps] = await Promise.all([
+    OHLCV.aggregate([
+      { $match: { type: { $in: assetTypes }, valueKES: { $gt: 0 } } },
+      { $sort: { type: 1, symbol: 1, timestamp: -1 } },
+      { $group: { _id: { type: "$type", symbol: "$symbol" }, latest: { $first: "$$ROOT" } } },
+      { $replaceRoot: { newRoot: "$latest" } }
+    ]),
+    Candle.aggregate([
+      { $match: { type: { $in: assetTypes }, interval: '1d', openTime: { $lt: todayStart, $gte: todayStart - PREVIOUS_CLOSE_LOOKBACK_MS } } },
+      { $sort: { type: 1, symbol: 1, openTime: -1 } },
+      { $group: { _id: { type: "$type", symbol: "$symbol" }, close: { $first: "$close" } } }
+    ]),
+    Candle.aggregate([
+      { $match: { type: { $in: assetTypes }, interval: '1w', openTime: { $gte: getBucketStart(now - YEAR_MS, '1w') } } },
+      { $group: { _id: { type: "$type", symbol: "$symbol" }, high: { $max: "$high" }, low: { $min: "$low" } } }
+    ]),
+    assetTypes.includes('stock') ? loadStockMarketCaps() : new Map()
+  ]);
+
+  const closeByKey = new Map(previousCloses.map(({ _id, close }) => [keyOf(_id), close]));
+  const rangeByKey = new Map(yearRanges.map(({ _id, high, low }) => [keyOf(_id), { high, low }]));
+
+  return latest.map(record => {
+    const metadata = record.metadata || {};
+    const price = record.valueKES;
+
+    // Stocks without a stored previous day fall back to the feed's change for the day
+    let previousClose = closeByKey.get(keyOf(record)) ?? null;
+    if (previousClose === null && record.type === 'stock' && isNumber(metadata.change)) {
+      previousClose = price - metadata.change;
+    }
+    if (!(previousClose > 0)) previousClose = null;
+
+    const range = rangeByKey.get(keyOf(record));
+    const high52w = range ? Math.max(range.high, price) : null;
+    const low52w = range ? Math.min(range.low, price) : null;
+
+    let name = record.symbol;
+    if (record.type === 'stock') name = metadata.companyName || record.symbol;
+    if (record.type === 'crypto') name = metadata.baseAsset || record.symbol;
+    if (record.type === 'currency' && metadata.baseCurrency) name = `${metadata.baseCurrency}/${metadata.quoteCurrency}`;
+
+    return {
+      type: record.type,
+      symbol: record.symbol,
+      name,
+      price,
+      previousClose,
+      changePercent: previousClose ? ((price - previousClose) / previousClose) * 100 : null,
+      volume: isNumber(record.volume) ? record.volume : null,
+      marketCap: record.type === 'stock'
+        ? stockMarketCaps.get(String(record.symbol).toUpperCase()) ?? null
+        : parseMarketCap(metadata.marketCap),
+      high52w,
+      low52w,
+      fromHigh52wPercent: high52w ? ((price - high52w) / high52w) * 100 : null,
+      fromLow52wPercent: low52w ? ((price - low52w) / low52w) * 100 : null,
+      updatedAt: new Date(record.timestamp)
+    };
+  });
+}
+
+function matchesFilters(row, filters) {
+  return Object.entries(filters).every(([field, { min, max }]) => {
+    const value = row[field];
+    if (value === null || value === undefined) return false;
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+  });
+}
+
+/**
+ * Sort rows in place; assets missing the sort figure go last either way
+ */
+function sortRows(rows, { field, order }) {
+  const direction = order === 'asc' ? 1 : -1;
+  return rows.sort((a, b) => {
+    const first = a[field];
+    const second = b[field];
+    if (first === null || first === undefined) return second === null || second === undefined ? 0 : 1;
+    if (second === null || second === undefined) return -1;
+    if (field === 'symbol') return direction * String(first).localeCompare(String(second));
+    return direction * (first - second);
+  });
+}
+
+/**
+ * Check a row's indicator conditions on its latest bar, recording the values on row.indicators
+ * An asset without enough history for an indicator fails the condition
+ */
+async function matchesIndicators(row, conditions) {
+  const byInterval = new Map();
+  conditions.forEach(condition => {
+    byInterval.set(condition.interval, [...(byInterval.get(condition.interval) || []), condition]);
+  });
+
+  row.indicators = [];
+  for (const [interval, list] of byInterval) {
+    let result;
+    try {
+      result = await getIndicators(row.type, row.symbol, {
+        interval,
+        indicators: [...new Set(list.map(condition => condition.indicator))].join(','),
+        limit: 1
+      });
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+
+    for (const condition of list) {
+      const latest = result.indicators[condition.indicator].at(-1);
+      const value = condition.field ? latest?.[condition.field] ?? null : latest;
+      row.indicators.push({ indicator: condition.indicator, field: condition.field, interval, value });
+
+      const target = condition.value === 'price' ? row.price : condition.value;
+      if (value === null || !INDICATOR_OPERATORS[condition.operator](value, target)) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Run a screen over every stored asset
+ * @param {Object} criteria - See normalizeCriteria
+ * @param {Object} options - { page, limit, now }
+ * @returns {Object} { criteria, results, pagination, generatedAt }
+ */
+async function runScreen(criteria, { page = 1, limit = 50, now = Date.now() } = {}) {
+  const normalized = normalizeCriteria(criteria);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  const rows = await loadAssetRows(normalized.assetTypes, now);
+  let matches = sortRows(rows.filter(row => matchesFilters(row, normalized.filters)), normalized.sort);
+
+  if (normalized.indicators.length > 0) {
+    if (matches.length > MAX_INDICATOR_CANDIDATES) {
+      throw httpError(`${matches.length} assets match before the indicator conditions; narrow the screen to at most ${MAX_INDICATOR_CANDIDATES} with other filters`);
+    }
+
+    const passed = [];
+    for (const row of matches) {
+      if (await matchesIndicators(row, normalized.indicators)) passed.push(row);
+    }
+    matches = passed;
+  }
+
+  return {
+    criteria: normalized,
+    results: matches.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+    pagination: { page: pageNumber, limit: pageSize, total: matches.length, pages: Math.ceil(matches.length / pageSize) },
+    generatedAt: new Date(now)
+  };
+}
+
+/**
+ * Load one of the user's saved screens
+ * @throws 404 when it does not exist or belongs to someone else
+ */
+async function findScreen(userId, screenId) {
+  const screen = mongoose.isValidObjectId(screenId)
+    ? await SavedScreen.findOne({ _id: screenId, userId })
+    : null;
+
+  if (!screen) {
+    throw httpError("Saved screen not found", 404);
+  }
+  return screen;
+}
+
+function validateScreenName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 60) {
+    throw httpError("name must be text of 1 to 60 characters");
+  }
+  return name.trim();
+}
+
+async function ensureNameFree(userId, name, exceptId = null) {
+  const existing = await SavedScreen.findOne({ userId, name }).select('_id').lean();
+  if (existing && String(existing._id) !== String(exceptId)) {
+    throw httpError(`You already have a screen named "${name}"`, 409);
+  }
+}
+
+async function listScreens(userId) {
+  return SavedScreen.find({ userId }).sort({ name: 1 }).lean();
+}
+
+/**
+ * Save screen criteria under a name
+ * @param {Object} data - { name, criteria }
+ */
+async function createScreen(userId, { name, criteria } = {}) {
+  const screenName = validateScreenName(name);
+  const normalized = normalizeCriteria(criteria);
+
+  const count = await SavedScreen.countDocuments({ userId });
+  if (count >= MAX_SCREENS_PER_USER) {
+    throw httpError(`You can save at most ${MAX_SCREENS_PER_USER} screens`);
+  }
+  await ensureNameFree(userId, screenName);
+
+  return SavedScreen.create({ userId, name: screenName, criteria: normalized });
+}
+
+/**
+ * Rename a saved screen and/or replace its criteria
+ * @param {Object} changes - { name, criteria }
+ */
+async function updateScreen(userId, screenId, { name, criteria } = {}) {
+  const screen = await findScreen(userId, screenId);
+
+  if (name !== undefined) {
+    const screenName = validateScreenName(name);
+    await ensureNameFree(userId, screenName, screen._id);
+    screen.name = screenName;
+  }
+  if (criteria !== undefined) {
+    screen.criteria = normalizeCriteria(criteria);
+    screen.markModified('criteria');
+  }
+
+  await screen.save();
+  return screen;
+}
+
+async function deleteScreen(userId, screenId) {
+  const screen = await findScreen(userId, screenId);
+  await screen.deleteOne();
+}
+
+/**
+ * Run one of the user's saved screens
+ * @param {Object} options - { page, limit }
+ * @returns {Object} runScreen's result with the screen's id and name
+ */
+async function runSavedScreen(userId, screenId, options = {}) {
+  const screen = await findScreen(userId, screenId);
+  const result = await runScreen(screen.criteria, options);
+
+  screen.lastRunAt = new Date();
+  await screen.save();
+
+  return { screen: { _id: screen._id, name: screen.name }, ...result };
+}
+
+export {
+  SCREENER_ASSET_TYPES,
+  RANGE_FIELDS,
+  parseMarketCap,
+  normalizeCriteria,
+  runScreen,
+  listScreens,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  runSavedScreen
+};
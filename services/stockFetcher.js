@@ -1,5 +1,7 @@
 import OHLCV from "../models/OHLCV.js";
 import Stock from "../models/Stock.js";
+import { publishPrice } from "./streamService.js";
+import { recordCandleTick } from "./candleService.js";
 
 /**
  * Get latest stock price from MongoDB (converted from existing NSE data)
@@ -247,7 +249,7 @@ async function processAndStoreStockData() {
         };
         
         // Store in OHLCV collection (upsert to avoid duplicates)
-        await OHLCV.findOneAndUpdate(
+        const record = await OHLCV.findOneAndUpdate(
           { 
             type: "stock", 
             symbol: ticker.toUpperCase()
@@ -255,6 +257,8 @@ async function processAndStoreStockData() {
           ohlcvData,
           { upsert: true, new: true, setDefaultsOnInsert: true }
         );
+        await recordCandleTick(record);
+        publishPrice(record);
         
         processedCount++;
         
@@ -0,0 +1,211 @@
+import { EventEmitter } from "events";
+import OHLCV from "../models/OHLCV.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Stream Service
+ * In-process event bus behind the WebSocket and Server-Sent Events endpoints.
+ * Fetchers publish each OHLCV record as they write it; trades, order updates and balance
+ * changes are published to the user they belong to once they are committed.
+ * A stream is one client connection: it receives the prices it subscribed to and, when
+ * authenticated, its user's private fill, order and balance events.
+ * Events only reach clients of the process that published them, so the scheduler must run
+ * in the same process as the server.
+ */
+
+const STREAM_ASSET_TYPES = ['stock', 'crypto', 'currency'];
+const MAX_SUBSCRIPTIONS = 100;
+
+const streamEvents = new EventEmitter();
+streamEvents.setMaxListeners(0); // one listener per connected client
+
+function priceKey(assetType, symbol) {
+  return `${assetType}:${symbol.toUpperCase()}`;
+}
+
+/**
+ * Parse subscription keys given as "type:SYMBOL" (an array, or a comma-separated string)
+ * @returns {string[]} Normalized keys
+ * @throws 400 when a key is malformed
+ */
+function parseSubscriptions(symbols) {
+  if (symbols === undefined || symbols === null || symbols === '') return [];
+
+  const list = Array.isArray(symbols) ? symbols : String(symbols).split(',');
+  return list.map(entry => {
+    const [assetType, symbol] = String(entry).trim().split(':');
+    if (!STREAM_ASSET_TYPES.includes(assetType) || !symbol) {
+      throw httpError(`Invalid subscription "${entry}". Use type:SYMBOL with type one of: ${STREAM_ASSET_TYPES.join(', ')}`);
+    }
+    return priceKey(assetType, symbol);
+  });
+}
+
+/**
+ * Price update sent to clients, in the shape of GET /api/assets/latest/:type/:symbol
+ */
+function formatPrice(record) {
+  return {
+    type: record.type,
+    symbol: record.symbol,
+    price: record.valueKES,
+    open: record.open,
+    high: record.high,
+    low: record.low,
+    close: record.close,
+    volume: record.volume || null,
+    change: record.metadata?.change ?? record.metadata?.priceChangePercent ?? null,
+    timestamp: record.timestamp,
+    source: record.source,
+    lastUpdated: record.lastUpdated
+  };
+}
+
+/**
+ * Publish a freshly written OHLCV record to the clients watching it
+ */
+function publishPrice(record) {
+  if (!record) return;
+  streamEvents.emit('price', formatPrice(record));
+}
+
+/**
+ * Publish a private event to every stream of one user
+ * @param {ObjectId} userId - Recipient
+ * @param {string} type - 'fill', 'order' or 'balance'
+ * @param {Object} data - Event payload
+ */
+function publishToUser(userId, type, data) {
+  if (!userId) return;
+  streamEvents.emit('user', { userId: userId.toString(), type, data });
+}
+
+/**
+ * Publish an account's balance after a committed change
+ * @param {ObjectId} competitionId - Set when the competition balance changed rather than the main one
+ */
+function publishBalance(userId, balance, competitionId = null) {
+  publishToUser(userId, 'balance', { balance, competitionId, updatedAt: new Date() });
+}
+
+/**
+ * Publish an order's status after it changed outside the user's own request (filled, expired, rejected)
+ */
+function publishOrder(order) {
+  publishToUser(order.userId, 'order', {
+    orderId: order._id,
+    assetType: order.assetType,
+    symbol: order.assetSymbol,
+    side: order.side,
+    orderType: order.orderType,
+    quantity: order.quantity,
+    status: order.status,
+    statusReason: order.statusReason || null,
+    fillPrice: order.fillPrice ?? null,
+    tradeId: order.tradeId || null
+  });
+}
+
+/**
+ * Publish an executed trade and the balance it left
+ * @param {Object} trade - Trade document
+ * @param {number} balance - Balance of the account traded, after the trade
+ */
+function publishFill(trade, balance) {
+  publishToUser(trade.userId, 'fill', {
+    tradeId: trade._id,
+    orderId: trade.orderId || null,
+    assetType: trade.assetType,
+    symbol: trade.assetSymbol,
+    side: trade.type,
+    orderType: trade.orderType,
+    quantity: trade.quantity,
+    price: trade.price,
+    totalFees: trade.totalFees || 0,
+    netAmount: trade.netAmount,
+    competitionId: trade.competitionId || null,
+    timestamp: trade.timestamp
+  });
+
+  if (balance !== undefined) {
+    publishBalance(trade.userId, balance, trade.competitionId || null);
+  }
+}
+
+/**
+ * Open a stream for one client connection
+ * @param {Object} options - { userId, send } - send(type, data) writes one event to the client
+ * @returns {Object} { subscribe, unsubscribe, getSubscriptions, close }
+ */
+function openStream({ userId = null, send }) {
+  const subscriptions = new Set();
+  const owner = userId ? userId.toString() : null;
+
+  const onPrice = (price) => {
+    if (subscriptions.has(priceKey(price.type, price.symbol))) {
+      send('price', price);
+    }
+  };
+
+  const onUserEvent = (event) => {
+    if (event.userId === owner) {
+      send(event.type, event.data);
+    }
+  };
+
+  streamEvents.on('price', onPrice);
+  if (owner) {
+    streamEvents.on('user', onUserEvent);
+  }
+
+  return {
+    /**
+     * Watch more symbols; each new one is sent its latest stored price straight away
+     * @returns {string[]} All subscriptions
+     */
+    async subscribe(symbols) {
+      const keys = parseSubscriptions(symbols).filter(key => !subscriptions.has(key));
+      if (subscriptions.size + keys.length > MAX_SUBSCRIPTIONS) {
+        throw httpError(`A stream can watch up to ${MAX_SUBSCRIPTIONS} symbols`);
+      }
+
+      keys.forEach(key => subscriptions.add(key));
+
+      for (const key of keys) {
+        const [assetType, symbol] = key.split(':');
+        const latest = await OHLCV.getLatestPrice(assetType, symbol);
+        if (latest && subscriptions.has(key)) {
+          send('price', formatPrice(latest));
+        }
+      }
+
+      return [...subscriptions];
+    },
+
+    unsubscribe(symbols) {
+      parseSubscriptions(symbols).forEach(key => subscriptions.delete(key));
+      return [...subscriptions];
+    },
+
+    getSubscriptions() {
+      return [...subscriptions];
+    },
+
+    close() {
+      streamEvents.off('price', onPrice);
+      streamEvents.off('user', onUserEvent);
+      subscriptions.clear();
+    }
+  };
+}
+
+export {
+  STREAM_ASSET_TYPES,
+  MAX_SUBSCRIPTIONS,
+  parseSubscriptions,
+  publishPrice,
+  publishBalance,
+  publishOrder,
+  publishFill,
+  openStream
+};
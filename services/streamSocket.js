@@ -0,0 +1,127 @@
+import { WebSocketServer } from "ws";
+import { openStream } from "./streamService.js";
+import { findUserByToken, findUserByStreamToken } from "../middleware/authMiddleware.js";
+
+/**
+ * Stream Socket
+ * WebSocket transport for the price stream, on the HTTP server's /api/stream/ws path.
+ * Authenticate with ?token=<jwt> (or an Authorization header) to also get the user's private
+ * fill, order and balance events. Clients send JSON messages to change their subscriptions:
+ *   { "action": "subscribe", "symbols": ["crypto:BTCUSDT", "stock:SCOM"] }
+ *   { "action": "unsubscribe", "symbols": ["stock:SCOM"] }
+ * and receive { "type": "price" | "fill" | "order" | "balance" | "subscribed" | "error", "data" }.
+ */
+
+const STREAM_SOCKET_PATH = "/api/stream/ws";
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Reject an upgrade with a plain HTTP response
+ */
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function sendMessage(ws, type, data) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ type, data }));
+  }
+}
+
+/**
+ * Handle one client message: subscribe, unsubscribe or ping
+ */
+async function handleMessage(ws, stream, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    return sendMessage(ws, 'error', { message: "Messages must be JSON" });
+  }
+
+  try {
+    if (message.action === 'subscribe') {
+      sendMessage(ws, 'subscribed', { symbols: await stream.subscribe(message.symbols) });
+    } else if (message.action === 'unsubscribe') {
+      sendMessage(ws, 'subscribed', { symbols: stream.unsubscribe(message.symbols) });
+    } else if (message.action === 'ping') {
+      sendMessage(ws, 'pong', { time: new Date() });
+    } else {
+      sendMessage(ws, 'error', { message: "action must be subscribe, unsubscribe or ping" });
+    }
+  } catch (error) {
+    sendMessage(ws, 'error', { message: error.message });
+  }
+}
+
+/**
+ * Serve price streams over WebSocket on an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+function attachStreamSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== STREAM_SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    // A login token only in the Authorization header; the URL carries a short-lived stream token
+    const headerToken = req.headers.authorization?.replace('Bearer ', '');
+    const queryToken = url.searchParams.get('token');
+    let user = null;
+    if (headerToken || queryToken) {
+      try {
+        user = headerToken ? await findUserByToken(headerToken) : await findUserByStreamToken(queryToken);
+      } catch {
+        user = null;
+      }
+      if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit('connection', ws, { user, symbols: url.searchParams.get('symbols') });
+    });
+  });
+
+  wss.on('connection', async (ws, { user, symbols }) => {
+    const stream = openStream({
+      userId: user ? user._id : null,
+      send: (type, data) => sendMessage(ws, type, data)
+    });
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', raw => handleMessage(ws, stream, raw));
+    ws.on('close', () => stream.close());
+    ws.on('error', error => console.error("❌ Stream socket error:", error.message));
+
+    sendMessage(ws, 'connected', { authenticated: Boolean(user) });
+    if (symbols) {
+      await handleMessage(ws, stream, JSON.stringify({ action: 'subscribe', symbols }));
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+  return wss;
+}
+
+export {
+  STREAM_SOCKET_PATH,
+  attachStreamSocket
+};
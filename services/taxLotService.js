@@ -0,0 +1,186 @@
+import TaxLot from "../models/TaxLot.js";
+import Trade from "../models/Trade.js";
+import Portfolio from "../models/Portfolio.js";
+import OHLCV from "../models/OHLCV.js";
+
+/**
+ * Tax Lot Service
+ * Records every buy as a lot and draws lots down on sells to work out realized P&L
+ * FIFO sells the oldest lots first, LIFO the newest; average cost prices every sold unit
+ * at the holding's average cost basis (lots are still drawn down oldest first)
+ */
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+/**
+ * Open a lot for an executed buy
+ * @param {Object} trade - Saved buy trade
+ * @param {Object} feeData - Fees of the buy (totalCost spreads fees over the units)
+ * @param {ClientSession} session - Transaction session of the buy
+ * @returns {Object} Saved lot
+ */
+async function openLot(trade, feeData, session = null) {
+  const lot = new TaxLot({
+    userId: trade.userId,
+    assetType: trade.assetType,
+    assetSymbol: trade.assetSymbol,
+    tradeId: trade._id,
+    competitionId: trade.competitionId || null,
+    quantity: trade.quantity,
+    remainingQuantity: trade.quantity,
+    price: trade.price,
+    unitCost: feeData.totalCost / trade.quantity,
+    acquiredAt: trade.timestamp
+  });
+
+  await lot.save({ session });
+  return lot;
+}
+
+/**
+ * Draw down lots for a sell and work out the cost of the units sold
+ * Units not covered by lots (held before lots were tracked) are the oldest and use the fallback unit
+ * cost: they are sold before any lot, except under LIFO where they go last
+ * @param {Object} params - { userId, assetType, symbol, competitionId, quantity, heldQuantity, method, averageUnitCost }
+ *   heldQuantity - units held before this sale
+ * @param {ClientSession} session - Transaction session of the sell
+ * @returns {Object} { costBasis, method, lots: [{ lotId, quantity, unitCost }] }
+ */
+async function consumeLots({ userId, assetType, symbol, competitionId = null, quantity, heldQuantity, method = 'fifo', averageUnitCost }, session = null) {
+  const order = method === 'lifo' ? -1 : 1;
+  const openLots = await TaxLot.find({
+    userId,
+    assetType,
+    assetSymbol: symbol,
+    competitionId,
+    remainingQuantity: { $gt: 0 }
+  })
+    .sort({ acquiredAt: order, _id: order })
+    .session(session);
+
+  const lotQuantity = openLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+  const legacyQuantity = Math.max(0, heldQuantity - lotQuantity);
+  const legacyFirst = method === 'lifo' ? 0 : Math.min(legacyQuantity, quantity);
+
+  const consumed = [];
+  let remaining = quantity - legacyFirst;
+  let lotCost = 0;
+
+  for (const lot of openLots) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(lot.remainingQuantity, remaining);
+    lot.remainingQuantity -= take;
+    if (lot.remainingQuantity <= 0) {
+      lot.remainingQuantity = 0;
+      lot.closedAt = new Date();
+    }
+    await lot.save({ session });
+
+    consumed.push({ lotId: lot._id, quantity: take, unitCost: lot.unitCost });
+    lotCost += take * lot.unitCost;
+    remaining -= take;
+  }
+
+  // Legacy units without lots are carried at the average cost
+  const legacyCost = (legacyFirst + Math.max(0, remaining)) * averageUnitCost;
+
+  const costBasis = method === 'average'
+    ? quantity * averageUnitCost
+    : lotCost + legacyCost;
+
+  return { costBasis, method, lots: consumed };
+}
+
+/**
+ * Realized vs unrealized P&L for a user's main account
+ * Realized comes from sell trades; unrealized values open positions at the latest stored price
+ * against the cost of the units still held under the user's method
+ * @param {Object} user - User document
+ * @returns {Object} { method, realized, unrealized, total, byAsset }
+ */
+async function getPnLReport(user) {
+  const method = user.costBasisMethod || 'fifo';
+
+  const [realizedByAsset, holdings, openLots] = await Promise.all([
+    Trade.aggregate([
+      { $match: { userId: user._id, competitionId: null, type: 'sell', realizedPnL: { $ne: null } } },
+      {
+        $group: {
+          _id: { assetType: '$assetType', symbol: '$assetSymbol' },
+          realized: { $sum: '$realizedPnL' },
+          proceeds: { $sum: '$netAmount' },
+          costBasis: { $sum: '$costBasis' },
+          sells: { $sum: 1 }
+        }
+      }
+    ]),
+    Portfolio.find({ userId: user._id, competitionId: null }),
+    TaxLot.find({ userId: user._id, competitionId: null, remainingQuantity: { $gt: 0 } })
+  ]);
+
+  const byAsset = new Map();
+  const entryFor = (assetType, symbol) => {
+    const key = `${assetType}:${symbol}`;
+    if (!byAsset.has(key)) {
+      byAsset.set(key, {
+        assetType,
+        symbol,
+        realized: 0,
+        unrealized: 0,
+        quantity: 0,
+        costBasis: 0,
+        marketValue: 0,
+        priceAvailable: true
+      });
+    }
+    return byAsset.get(key);
+  };
+
+  realizedByAsset.forEach(row => {
+    entryFor(row._id.assetType, row._id.symbol).realized = row.realized;
+  });
+
+  for (const holding of holdings) {
+    const entry = entryFor(holding.assetType, holding.assetSymbol);
+    const averageUnitCost = holding.avgCostBasis || holding.avgBuyPrice;
+
+    let costBasis = holding.quantity * averageUnitCost;
+    if (method !== 'average') {
+      const lots = openLots.filter(lot =>
+        lot.assetType === holding.assetType && lot.assetSymbol === holding.assetSymbol
+      );
+      const lotQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+      const lotCost = lots.reduce((sum, lot) => sum + lot.remainingQuantity * lot.unitCost, 0);
+      costBasis = lotCost + Math.max(0, holding.quantity - lotQuantity) * averageUnitCost;
+    }
+
+    const latest = await OHLCV.getLatestPrice(holding.assetType, holding.assetSymbol);
+    const price = latest && latest.valueKES > 0 ? latest.valueKES : holding.avgBuyPrice;
+
+    entry.quantity = holding.quantity;
+    entry.costBasis = costBasis;
+    entry.marketValue = price * holding.quantity;
+    entry.unrealized = entry.marketValue - costBasis;
+    entry.priceAvailable = Boolean(latest && latest.valueKES > 0);
+  }
+
+  const assets = [...byAsset.values()];
+  const realized = assets.reduce((sum, asset) => sum + asset.realized, 0);
+  const unrealized = assets.reduce((sum, asset) => sum + asset.unrealized, 0);
+
+  return {
+    method,
+    realized,
+    unrealized,
+    total: realized + unrealized,
+    byAsset: assets
+  };
+}
+
+export {
+  COST_BASIS_METHODS,
+  openLot,
+  consumeLots,
+  getPnLReport
+};
@@ -0,0 +1,278 @@
+import Trade from "../models/Trade.js";
+import Portfolio from "../models/Portfolio.js";
+import User from "../models/User.js";
+import CompetitionEntry from "../models/CompetitionEntry.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { openLot, consumeLots } from "./taxLotService.js";
+import { publishBalance } from "./streamService.js";
+import { httpError } from "../utils/httpError.js";
+
+/**
+ * Trade Service
+ * Shared write path for executed trades (market orders, order fills)
+ * Balance, holding and trade record are always committed together in one transaction
+ * A fill with a competitionId trades the user's competition account instead of the main one
+ */
+
+/**
+ * Find a user's holding for an asset
+ * Falls back to the legacy stockSymbol field and migrates it when found
+ * @param {ObjectId} userId - Owner of the holding
+ * @param {string} assetType - 'stock', 'crypto', or 'currency'
+ * @param {string} symbol - Asset symbol
+ * @param {ClientSession} session - Optional transaction session
+ * @param {ObjectId} competitionId - Competition account to look in (null for the main account)
+ * @returns {Object|null} Portfolio document
+ */
+async function findHolding(userId, assetType, symbol, session = null, competitionId = null) {
+  let holding = await Portfolio.findOne({
+    userId: userId,
+    assetType: assetType,
+    assetSymbol: symbol,
+    competitionId
+  }).session(session);
+
+  // If not found, try to find with old schema (for backward compatibility)
+  if (!holding && assetType === 'stock' && !competitionId) {
+    holding = await Portfolio.findOne({
+      userId: userId,
+      stockSymbol: symbol
+    }).session(session);
+
+    // If found with old schema, migrate it
+    if (holding) {
+      holding.assetSymbol = symbol;
+      holding.assetType = assetType;
+      await holding.save({ session });
+    }
+  }
+
+  return holding;
+}
+
+/**
+ * Build a trade record from a fill
+ */
+function buildTrade(user, fill, type) {
+  const { assetType, symbol, quantity, price, feeData } = fill;
+
+  return new Trade({
+    userId: user._id,
+    assetType: assetType,
+    assetSymbol: symbol,
+    quantity,
+    price,
+    type: type,
+    orderType: fill.orderType || 'market',
+    orderId: fill.orderId || null,
+    triggerPrice: fill.triggerPrice ?? null,
+    idempotencyKey: fill.idempotencyKey || null,
+    quoteId: fill.quoteId || null,
+    competitionId: fill.competitionId || null,
+    platformFee: feeData.platformFee,
+    taxAmount: feeData.taxAmount,
+    totalFees: feeData.totalFees,
+    netAmount: feeData.netAmount,
+    feeBreakdown: feeData.feeBreakdown,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * Save a trade record, turning a second use of the same quote into a 409
+ */
+async function saveTrade(trade, session) {
+  try {
+    await trade.save({ session });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.quoteId) {
+      throw httpError("Quote has already been used", 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply a balance change as a single conditional update and return the updated account
+ * Debits only match while the balance still covers them, so concurrent requests cannot overdraw
+ * @param {ObjectId} userId - Account to change
+ * @param {number} amount - Positive to credit, negative to debit
+ * @param {ClientSession} session - Optional transaction session
+ * @param {ObjectId} competitionId - Change the user's competition balance instead of the main one
+ * @returns {Object} User (or CompetitionEntry) document after the update
+ * Changes outside a transaction are published to the user's stream; transactional callers publish after commit
+ */
+async function adjustBalance(userId, amount, session = null, competitionId = null) {
+  const Account = competitionId ? CompetitionEntry : User;
+  const filter = competitionId ? { competitionId, userId } : { _id: userId };
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+
+  const account = await Account.findOneAndUpdate(
+    filter,
+    { $inc: { balance: amount } },
+    { new: true, session }
+  );
+
+  if (!account) {
+    const { balance, ...owner } = filter;
+    const current = await Account.findOne(owner).select('balance').session(session);
+    if (!current) {
+      throw httpError(competitionId ? "Competition entry not found" : "User not found", 404);
+    }
+
+    throw httpError(
+      `Insufficient balance. Required: KSh ${(-amount).toFixed(2)}, Available: KSh ${current.balance.toFixed(2)}`,
+      400,
+      'INSUFFICIENT_BALANCE'
+    );
+  }
+
+  if (!session) {
+    publishBalance(userId, account.balance, competitionId);
+  }
+  return account;
+}
+
+/**
+ * Execute a buy: debit the user, add to the holding, record the trade and open a tax lot
+ * @param {Object} user - User document; its balance is refreshed from the committed write (main account only)
+ * @param {Object} fill - { assetType, symbol, quantity, price, feeData, orderType, orderId, reservedAmount, idempotencyKey, quoteId, competitionId }
+ * @param {ClientSession} session - Join the caller's transaction instead of starting one
+ * @returns {Object} { trade, holding, balance } - balance of the account traded
+ */
+async function executeBuy(user, fill, session = null) {
+  if (!session) {
+    return runInTransaction(transactionSession => executeBuy(user, fill, transactionSession));
+  }
+
+  const { assetType, symbol, quantity, price, feeData } = fill;
+
+  // Deduct balance (including fees); cash reserved by a pending order is handed back in the same write
+  const competitionId = fill.competitionId || null;
+  const account = await adjustBalance(user._id, (fill.reservedAmount || 0) - feeData.totalCost, session, competitionId);
+
+  // Update or create portfolio holding
+  let holding = await findHolding(user._id, assetType, symbol, session, competitionId);
+
+  if (holding) {
+    // Calculate new average buy price (asset price only)
+    const totalAssetCost = (holding.avgBuyPrice * holding.quantity) + (price * quantity);
+    const totalQuantity = holding.quantity + quantity;
+    holding.avgBuyPrice = totalAssetCost / totalQuantity;
+
+    // Calculate new average cost basis (including fees)
+    const totalCostBasis = (holding.avgCostBasis * holding.quantity) + feeData.totalCost;
+    holding.avgCostBasis = totalCostBasis / totalQuantity;
+
+    holding.quantity = totalQuantity;
+    holding.updatedAt = new Date();
+    await holding.save({ session });
+  } else {
+    holding = new Portfolio({
+      userId: user._id,
+      assetType: assetType,
+      assetSymbol: symbol,
+      quantity,
+      avgBuyPrice: price,
+      avgCostBasis: feeData.totalCost / quantity, // cost per unit including fees
+      competitionId,
+      updatedAt: new Date()
+    });
+    await holding.save({ session });
+  }
+
+  // Save trade record with fee information
+  const trade = buildTrade(user, fill, "buy");
+  await saveTrade(trade, session);
+
+  // Each buy is its own tax lot for realized P&L on later sells
+  await openLot(trade, feeData, session);
+
+  if (!competitionId) {
+    user.balance = account.balance;
+  }
+  return { trade, holding, balance: account.balance };
+}
+
+/**
+ * Execute a sell: credit net proceeds, reduce the holding, draw down tax lots and record the trade
+ * @param {Object} user - User document; its balance is refreshed from the committed write (main account only)
+ * @param {Object} holding - Portfolio document being sold from (only its id is relied on)
+ * @param {Object} fill - { assetType, symbol, quantity, price, feeData, orderType, orderId, triggerPrice, reservedQuantity, idempotencyKey, quoteId, competitionId }
+ * @param {ClientSession} session - Join the caller's transaction instead of starting one
+ * @returns {Object} { trade, holding, balance } - holding reflects the remaining position, balance the account traded
+ */
+async function executeSell(user, holding, fill, session = null) {
+  if (!session) {
+    return runInTransaction(transactionSession => executeSell(user, holding, fill, transactionSession));
+  }
+
+  const { symbol, quantity, feeData } = fill;
+
+  // Add net proceeds to balance (after fees)
+  const competitionId = fill.competitionId || null;
+  const account = await adjustBalance(user._id, feeData.netAmount, session, competitionId);
+
+  // Take the units in one conditional update: the sale may only consume units that are not
+  // reserved for other orders, plus whatever this fill's own order was holding back
+  const released = fill.reservedQuantity || 0;
+  const current = await Portfolio.findOneAndUpdate(
+    {
+      _id: holding._id,
+      quantity: { $gte: quantity },
+      $expr: {
+        $gte: [
+          { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] },
+          quantity - released
+        ]
+      }
+    },
+    {
+      $inc: { quantity: -quantity, reservedQuantity: -released },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true, session }
+  );
+
+  if (!current) {
+    throw httpError(`Holding no longer covers the sale of ${quantity} ${symbol}`);
+  }
+
+  if (current.quantity <= 0) {
+    await current.deleteOne({ session });
+  }
+
+  // Save trade record with fee information
+  // Realized P&L against the lots this sale draws down, using the user's cost basis method
+  const consumption = await consumeLots({
+    userId: user._id,
+    assetType: fill.assetType,
+    symbol,
+    competitionId,
+    quantity,
+    heldQuantity: current.quantity + quantity,
+    method: user.costBasisMethod,
+    averageUnitCost: current.avgCostBasis || current.avgBuyPrice
+  }, session);
+
+  const trade = buildTrade(user, fill, "sell");
+  trade.costBasis = consumption.costBasis;
+  trade.realizedPnL = feeData.netAmount - consumption.costBasis;
+  trade.costBasisMethod = consumption.method;
+  trade.lots = consumption.lots;
+  await saveTrade(trade, session);
+
+  if (!competitionId) {
+    user.balance = account.balance;
+  }
+  return { trade, holding: current, balance: account.balance };
+}
+
+export {
+  adjustBalance,
+  findHolding,
+  executeBuy,
+  executeSell
+};
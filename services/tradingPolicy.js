@@ -0,0 +1,112 @@
+import SystemSettings from "../models/SystemSettings.js";
+import { getCurrentMarketStatus, describeClosure } from "./marketCalendar.js";
+
+/**
+ * Trading Policy
+ * Platform-wide rules a trade must pass before it executes: the admin trading switch,
+ * maintenance mode, trade size limits, asset-type and symbol halts, and the market session
+ */
+
+// Settings are read on every trade, so keep a short-lived copy instead of hitting the database
+const SETTINGS_CACHE_MS = 30 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+/**
+ * Structured reason a trade is not allowed
+ */
+function policyViolation(code, message, extra = {}) {
+  return { code, message, status: 403, ...extra };
+}
+
+/**
+ * Trading settings, served from cache for up to SETTINGS_CACHE_MS
+ * Falls back to schema defaults when no settings document exists yet
+ * @returns {Object} SystemSettings document (or unsaved defaults)
+ */
+async function getTradingSettings() {
+  if (cachedSettings && Date.now() - cachedAt < SETTINGS_CACHE_MS) {
+    return cachedSettings;
+  }
+
+  cachedSettings = (await SystemSettings.findOne()) || new SystemSettings();
+  cachedAt = Date.now();
+  return cachedSettings;
+}
+
+/**
+ * Drop the cached settings so the next trade sees an admin change immediately
+ */
+function invalidateTradingSettings() {
+  cachedSettings = null;
+  cachedAt = 0;
+}
+
+/**
+ * Check a trade against the trading policy
+ * @param {Object} trade - { assetType, symbol, tradeAmount } - tradeAmount is optional (no size check without it)
+ * @param {Object} options - { marketStatus, requireSession } - marketStatus reuses a session status already
+ *   looked up; requireSession: false skips the session check (orders may be placed while the market is closed)
+ * @returns {Object|null} { code, message, status } when the trade is not allowed, otherwise null
+ */
+async function checkTradingPolicy({ assetType, symbol, tradeAmount }, { marketStatus, requireSession = true } = {}) {
+  const settings = await getTradingSettings();
+
+  if (settings.maintenanceMode) {
+    return policyViolation('MAINTENANCE_MODE', 'The platform is under maintenance. Trading is temporarily unavailable', { status: 503 });
+  }
+
+  if (!settings.tradingEnabled) {
+    return policyViolation('TRADING_DISABLED', 'Trading is currently disabled');
+  }
+
+  if ((settings.haltedAssetTypes || []).includes(assetType)) {
+    return policyViolation('ASSET_TYPE_HALTED', `Trading in ${assetType} assets is halted`);
+  }
+
+  const symbolHalt = (settings.haltedSymbols || []).find(halt =>
+    halt.assetType === assetType && halt.symbol === symbol?.toUpperCase()
+  );
+  if (symbolHalt) {
+    return policyViolation(
+      'SYMBOL_HALTED',
+      `Trading in ${symbolHalt.symbol} is halted${symbolHalt.reason ? `: ${symbolHalt.reason}` : ''}`
+    );
+  }
+
+  if (tradeAmount !== undefined) {
+    if (settings.minTradeAmount && tradeAmount < settings.minTradeAmount) {
+      return policyViolation(
+        'TRADE_BELOW_MINIMUM',
+        `Trade amount KSh ${tradeAmount.toFixed(2)} is below the minimum of KSh ${settings.minTradeAmount.toFixed(2)}`,
+        { status: 400 }
+      );
+    }
+
+    if (settings.maxTradeAmount && tradeAmount > settings.maxTradeAmount) {
+      return policyViolation(
+        'TRADE_ABOVE_MAXIMUM',
+        `Trade amount KSh ${tradeAmount.toFixed(2)} exceeds the maximum of KSh ${settings.maxTradeAmount.toFixed(2)}`,
+        { status: 400 }
+      );
+    }
+  }
+
+  if (!requireSession) {
+    return null;
+  }
+
+  const session = marketStatus || await getCurrentMarketStatus(assetType);
+  if (!session.isOpen) {
+    return policyViolation('MARKET_CLOSED', describeClosure(session), { status: 400, marketStatus: session });
+  }
+
+  return null;
+}
+
+export {
+  getTradingSettings,
+  invalidateTradingSettings,
+  checkTradingPolicy
+};
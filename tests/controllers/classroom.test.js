@@ -0,0 +1,155 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import ActivityLog from '../../models/ActivityLog.js';
+import classroomRoutes from '../../routes/classroomRoutes.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/classrooms', classroomRoutes);
+
+const createUser = (username, balance, role = 'user') => User.create({
+  username,
+  firstName: username,
+  lastName: 'Tester',
+  email: `${username}@example.com`,
+  passwordHash: 'hashed',
+  balance,
+  role
+});
+
+const tokenFor = (user) => jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+describe('Classrooms', () => {
+  let teacher;
+  let alice;
+  let bob;
+  let classroomId;
+  let inviteCode;
+
+  beforeEach(async () => {
+    teacher = await createUser('teacher', 100000, 'instructor');
+    alice = await createUser('alice', 80000);
+    bob = await createUser('bob', 120000);
+
+    const response = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${tokenFor(teacher)}`)
+      .send({ name: 'FIN 201', startingBalance: 50000 })
+      .expect(201);
+
+    classroomId = response.body.data._id;
+    inviteCode = response.body.data.inviteCode;
+
+    for (const student of [alice, bob]) {
+      await request(app)
+        .post('/api/classrooms/join')
+        .set('Authorization', `Bearer ${tokenFor(student)}`)
+        .send({ inviteCode: inviteCode.toLowerCase() })
+        .expect(201);
+    }
+  });
+
+  it('should only let instructors create classrooms', async () => {
+    expect(inviteCode).toMatch(/^[A-Z2-9]{8}$/);
+
+    await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ name: 'Mine' })
+      .expect(403);
+  });
+
+  it('should show the roster to the instructor only', async () => {
+    const response = await request(app)
+      .get(`/api/classrooms/${classroomId}`)
+      .set('Authorization', `Bearer ${tokenFor(teacher)}`)
+      .expect(200);
+
+    expect(response.body.data.students.map(student => student.username)).toEqual(['alice', 'bob']);
+
+    await request(app)
+      .get(`/api/classrooms/${classroomId}`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .expect(403);
+
+    await request(app)
+      .post('/api/classrooms/join')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .send({ inviteCode })
+      .expect(409);
+  });
+
+  it("should let the instructor see a student's trades and activity", async () => {
+    await Trade.create({
+      userId: alice._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      type: 'buy',
+      quantity: 1,
+      price: 1000,
+      netAmount: 1000
+    });
+
+    await ActivityLog.create({
+      userId: alice._id,
+      userEmail: alice.email,
+      userName: alice.username,
+      activityType: 'login',
+      activityDescription: 'Logged in'
+    });
+
+    const trades = await request(app)
+      .get(`/api/classrooms/${classroomId}/students/${alice._id}/trades`)
+      .set('Authorization', `Bearer ${tokenFor(teacher)}`)
+      .expect(200);
+    expect(trades.body.data.trades).toHaveLength(1);
+
+    const activity = await request(app)
+      .get(`/api/classrooms/${classroomId}/students/${alice._id}/activity`)
+      .set('Authorization', `Bearer ${tokenFor(teacher)}`)
+      .expect(200);
+    expect(activity.body.data.logs[0].activityType).toBe('login');
+
+    await request(app)
+      .get(`/api/classrooms/${classroomId}/students/${teacher._id}/trades`)
+      .set('Authorization', `Bearer ${tokenFor(teacher)}`)
+      .expect(404);
+  });
+
+  it('should reset every student to the classroom starting balance', async () => {
+    await Portfolio.create({
+      userId: bob._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      quantity: 2,
+      avgBuyPrice: 1000
+    });
+
+    const response = await request(app)
+      .post(`/api/classrooms/${classroomId}/reset`)
+      .set('Authorization', `Bearer ${tokenFor(teacher)}`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ students: 2, reset: 2, failed: 0 });
+    expect((await User.findById(bob._id)).balance).toBe(50000);
+    expect(await Portfolio.countDocuments({ userId: bob._id })).toBe(0);
+    expect((await User.findById(teacher._id)).balance).toBe(100000);
+  });
+
+  it('should rank the class among itself', async () => {
+    const response = await request(app)
+      .get(`/api/classrooms/${classroomId}/leaderboard`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+      .expect(200);
+
+    const { entries } = response.body.data;
+    expect(entries.map(entry => [entry.username, entry.rank])).toEqual([['bob', 1], ['alice', 2]]);
+    expect(entries[1].isCurrentUser).toBe(true);
+  });
+});
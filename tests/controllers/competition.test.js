@@ -0,0 +1,162 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import OHLCV from '../../models/OHLCV.js';
+import Competition from '../../models/Competition.js';
+import CompetitionEntry from '../../models/CompetitionEntry.js';
+import competitionRoutes from '../../routes/competitionRoutes.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+import { finalizeCompetitions } from '../../services/competitionService.js';
+import { storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/competitions', competitionRoutes);
+app.use('/api/trades', unifiedTradeRoutes);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createUser = (username, role = 'user') => User.create({
+  username,
+  firstName: username,
+  lastName: 'Trader',
+  email: `${username}@example.com`,
+  passwordHash: 'hashed',
+  balance: 50000,
+  role
+});
+
+describe('Competitions', () => {
+  let alice;
+  let aliceToken;
+  let adminToken;
+
+  const createCompetition = (overrides = {}) => request(app)
+    .post('/api/competitions')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({
+      name: 'Crypto Cup',
+      startDate: new Date(Date.now() - HOUR_MS),
+      endDate: new Date(Date.now() + HOUR_MS),
+      startingBalance: 10000,
+      allowedAssetTypes: ['crypto'],
+      fees: { mode: 'none' },
+      ...overrides
+    });
+
+  const join = (competitionId, token = aliceToken) => request(app)
+    .post(`/api/competitions/${competitionId}/join`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const trade = (side, body) => request(app)
+    .post(`/api/trades/${side}`)
+    .set('Authorization', `Bearer ${aliceToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    alice = await createUser('alice');
+    const admin = await createUser('admin', 'admin');
+    aliceToken = jwt.sign({ id: alice._id }, process.env.JWT_SECRET);
+    adminToken = jwt.sign({ id: admin._id }, process.env.JWT_SECRET);
+    await storePrice({ price: 1000 });
+  });
+
+  it('should only let admins create competitions', async () => {
+    await request(app)
+      .post('/api/competitions')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ name: 'Mine' })
+      .expect(403);
+
+    await createCompetition({ endDate: new Date(Date.now() - 2 * HOUR_MS) }).expect(400);
+
+    const response = await createCompetition().expect(201);
+    expect(response.body.data.startingBalance).toBe(10000);
+  });
+
+  it('should give each participant a separate balance once', async () => {
+    const { body } = await createCompetition().expect(201);
+
+    const response = await join(body.data._id).expect(201);
+    expect(response.body.data.balance).toBe(10000);
+
+    await join(body.data._id).expect(409);
+
+    const list = await request(app)
+      .get('/api/competitions')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+    expect(list.body.data[0]).toMatchObject({ status: 'active', participants: 1, joined: true, balance: 10000 });
+  });
+
+  it('should trade the competition account without touching the main one', async () => {
+    const { body } = await createCompetition().expect(201);
+    const competitionId = body.data._id;
+    await join(competitionId).expect(201);
+
+    const response = await trade('buy', { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 4, competitionId }).expect(200);
+
+    // No fees under the competition's rules
+    expect(response.body.data.user.balance).toBeCloseTo(6000);
+
+    const entry = await CompetitionEntry.findOne({ competitionId, userId: alice._id });
+    const user = await User.findById(alice._id);
+    expect(entry.balance).toBeCloseTo(6000);
+    expect(user.balance).toBe(50000);
+    expect(await Portfolio.countDocuments({ userId: alice._id, competitionId: null })).toBe(0);
+
+    // Competition holdings cannot be sold from the main account
+    await trade('sell', { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(400);
+    await trade('sell', { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1, competitionId }).expect(200);
+
+    const portfolio = await request(app)
+      .get(`/api/competitions/${competitionId}/portfolio`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+    expect(portfolio.body.data.holdings[0].quantity).toBe(3);
+    expect(portfolio.body.data.totalValue).toBeCloseTo(10000);
+  });
+
+  it('should reject trades outside the rules of the competition', async () => {
+    const { body } = await createCompetition().expect(201);
+    const competitionId = body.data._id;
+
+    await trade('buy', { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1, competitionId }).expect(403);
+
+    await join(competitionId).expect(201);
+    await trade('buy', { assetType: 'stock', symbol: 'SCOM', quantity: 1, competitionId }).expect(403);
+    await trade('buy', { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 20, competitionId }).expect(400);
+  });
+
+  it('should freeze the standings once the competition ends', async () => {
+    const { body } = await createCompetition().expect(201);
+    const competitionId = body.data._id;
+    const bob = await createUser('bob');
+
+    await join(competitionId).expect(201);
+    await join(competitionId, jwt.sign({ id: bob._id }, process.env.JWT_SECRET)).expect(201);
+    await trade('buy', { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 5, competitionId }).expect(200);
+    await storePrice({ price: 1200 });
+
+    await Competition.updateOne({ _id: competitionId }, { endDate: new Date() });
+    await storePrice({ price: 5000, timestamp: Date.now() + HOUR_MS }); // after the end, so it does not count
+    await finalizeCompetitions();
+
+    const response = await request(app)
+      .get(`/api/competitions/${competitionId}/standings`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    const { final, standings } = response.body.data;
+    expect(final).toBe(true);
+    expect(standings.map(standing => standing.username)).toEqual(['alice', 'bob']);
+    expect(standings[0].totalValue).toBeCloseTo(11000);
+    expect(standings[0].returnPercent).toBeCloseTo(10);
+
+    await join(competitionId, adminToken).expect(400);
+  });
+});
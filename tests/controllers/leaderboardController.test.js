@@ -0,0 +1,155 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import PortfolioSnapshot from '../../models/PortfolioSnapshot.js';
+import leaderboardRoutes from '../../routes/leaderboardRoutes.js';
+import { assignRanks, refreshLeaderboards } from '../../services/leaderboardService.js';
+import { toLocalDateKey } from '../../services/marketCalendar.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/leaderboard', leaderboardRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createUser = (username, balance, extra = {}) => User.create({
+  username,
+  firstName: username,
+  lastName: 'Trader',
+  email: `${username}@example.com`,
+  passwordHash: 'hashed',
+  balance,
+  ...extra
+});
+
+describe('Leaderboard Controller', () => {
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    // alice: all cash; bob spent 24000 on crypto now worth 30000
+    alice = await createUser('alice', 105000);
+    bob = await createUser('bob', 80000);
+    await createUser('carol', 500000, { isBanned: true });
+    await createUser('admin', 900000, { role: 'admin' });
+
+    await Portfolio.create({
+      userId: bob._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      quantity: 3,
+      avgBuyPrice: 8000,
+      avgCostBasis: 8000
+    });
+
+    await Trade.create({
+      userId: bob._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      type: 'buy',
+      quantity: 3,
+      price: 8000,
+      netAmount: 24000
+    });
+
+    await OHLCV.create({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: Date.now(),
+      open: 10000,
+      high: 10000,
+      low: 10000,
+      close: 10000,
+      valueKES: 10000,
+      source: 'test'
+    });
+
+    // A week ago alice was already at 104000, bob at 100000
+    const weekAgo = toLocalDateKey(new Date(Date.now() - 8 * DAY_MS));
+    await PortfolioSnapshot.create([
+      { userId: alice._id, date: weekAgo, cashBalance: 104000, holdingsValue: 0, totalValue: 104000, netDeposits: 105000 },
+      { userId: bob._id, date: weekAgo, cashBalance: 100000, holdingsValue: 0, totalValue: 100000, netDeposits: 104000 }
+    ]);
+  });
+
+  it('should rank eligible users by total value across asset types', async () => {
+    const response = await request(app)
+      .get('/api/leaderboard')
+      .expect(200);
+
+    const { entries, pagination } = response.body.data;
+
+    expect(entries.map(entry => entry.username)).toEqual(['bob', 'alice']);
+    expect(entries[0].totalValue).toBeCloseTo(110000);
+    expect(entries[0].valueByAssetType.crypto).toBeCloseTo(30000);
+    expect(pagination.total).toBe(2);
+  });
+
+  it('should rank by return over a period', async () => {
+    await refreshLeaderboards();
+
+    const response = await request(app)
+      .get('/api/leaderboard')
+      .query({ period: 'week', sortBy: 'return' })
+      .expect(200);
+
+    const [first, second] = response.body.data.entries;
+
+    // bob: 110000 - 100000 = 10000, less 4000 deposited since = 6000 on 100000; alice: 1000 on 104000
+    expect(first.username).toBe('bob');
+    expect(first.returnPercent).toBeCloseTo(6);
+    expect(second.returnPercent).toBeCloseTo(1000 / 104000 * 100);
+  });
+
+  it('should paginate and include the requesting user', async () => {
+    const token = jwt.sign({ id: alice._id }, process.env.JWT_SECRET);
+
+    const response = await request(app)
+      .get('/api/leaderboard')
+      .query({ limit: 1 })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.entries).toHaveLength(1);
+    expect(response.body.data.pagination.pages).toBe(2);
+    expect(response.body.data.me).toMatchObject({ username: 'alice', rank: 2, isCurrentUser: true });
+  });
+
+  it('should report the user rank in every period', async () => {
+    await refreshLeaderboards();
+    const token = jwt.sign({ id: bob._id }, process.env.JWT_SECRET);
+
+    const response = await request(app)
+      .get('/api/leaderboard/rank')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.map(rank => rank.period)).toEqual(['day', 'week', 'month', 'all']);
+    expect(response.body.data[3]).toMatchObject({ valueRank: 1, outOf: 2 });
+  });
+
+  it('should reject an unknown period', async () => {
+    await request(app)
+      .get('/api/leaderboard')
+      .query({ period: 'decade' })
+      .expect(400);
+  });
+
+  it('should share ranks between equal figures', () => {
+    const entries = [
+      { username: 'b', totalValue: 100 },
+      { username: 'a', totalValue: 100 },
+      { username: 'c', totalValue: 50 }
+    ];
+
+    assignRanks(entries, 'totalValue', 'valueRank');
+
+    expect(entries.map(entry => entry.valueRank)).toEqual([1, 1, 3]);
+  });
+});
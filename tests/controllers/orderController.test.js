@@ -0,0 +1,333 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import Order from '../../models/Order.js';
+import OHLCV from '../../models/OHLCV.js';
+import SystemSettings from '../../models/SystemSettings.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+import { processOpenOrders, processProtectiveOrders } from '../../services/orderService.js';
+import { invalidateTradingSettings } from '../../services/tradingPolicy.js';
+import { storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/trades', unifiedTradeRoutes);
+
+describe('Order Controller', () => {
+  let authToken;
+  let userId;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 100000
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+  });
+
+  describe('POST /api/trades/orders', () => {
+    it('should place a limit buy and reserve cash including fees', async () => {
+      const response = await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 2, limitPrice: 1000 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.order.status).toBe('open');
+      expect(response.body.data.order.reservedAmount).toBeGreaterThan(2000);
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBeCloseTo(100000 - response.body.data.order.reservedAmount);
+    });
+
+    it('should reject a limit buy the balance cannot cover', async () => {
+      const response = await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 1, limitPrice: 500000 })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Insufficient balance');
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should reserve units for a limit sell and block selling them at market', async () => {
+      await Portfolio.create({
+        userId,
+        assetType: 'crypto',
+        assetSymbol: 'ETHUSDT',
+        quantity: 5,
+        avgBuyPrice: 100,
+        avgCostBasis: 101
+      });
+      await storePrice({ symbol: 'ETHUSDT', price: 100 });
+
+      await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', side: 'sell', quantity: 4, limitPrice: 150 })
+        .expect(201);
+
+      const holding = await Portfolio.findOne({ userId, assetSymbol: 'ETHUSDT' });
+      expect(holding.reservedQuantity).toBe(4);
+
+      const response = await request(app)
+        .post('/api/trades/sell')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', quantity: 2 })
+        .expect(400);
+
+      expect(response.body.message).toContain('reserved for open orders');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/trades/orders')
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 1, limitPrice: 100 })
+        .expect(401);
+    });
+  });
+
+  describe('PATCH and DELETE /api/trades/orders/:orderId', () => {
+    let orderId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 2, limitPrice: 1000 });
+      orderId = response.body.data.order.id;
+    });
+
+    it('should list open orders', async () => {
+      const response = await request(app)
+        .get('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].symbol).toBe('BTCUSDT');
+    });
+
+    it('should adjust the reservation when amended', async () => {
+      const before = await Order.findById(orderId);
+
+      const response = await request(app)
+        .patch(`/api/trades/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 4 })
+        .expect(200);
+
+      expect(response.body.data.order.quantity).toBe(4);
+      expect(response.body.data.order.reservedAmount).toBeGreaterThan(before.reservedAmount);
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBeCloseTo(100000 - response.body.data.order.reservedAmount);
+    });
+
+    it('should apply the trade size limits to the amended terms', async () => {
+      await SystemSettings.create({ minTradeAmount: 1000, maxTradeAmount: 50000 });
+      invalidateTradingSettings();
+
+      const large = await request(app)
+        .patch(`/api/trades/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 60 })
+        .expect(400);
+      expect(large.body.code).toBe('TRADE_ABOVE_MAXIMUM');
+
+      const small = await request(app)
+        .patch(`/api/trades/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ limitPrice: 100 })
+        .expect(400);
+      expect(small.body.code).toBe('TRADE_BELOW_MINIMUM');
+
+      expect(await Order.findById(orderId)).toMatchObject({ quantity: 2, limitPrice: 1000 });
+      invalidateTradingSettings();
+    });
+
+    it('should release the reservation when cancelled', async () => {
+      const response = await request(app)
+        .delete(`/api/trades/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.order.status).toBe('cancelled');
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBeCloseTo(100000);
+    });
+
+    it('should not cancel an order twice', async () => {
+      await request(app)
+        .delete(`/api/trades/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/trades/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Order is already cancelled');
+    });
+  });
+
+  describe('processOpenOrders', () => {
+    it('should fill a buy once the stored price crosses the limit', async () => {
+      await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 2, limitPrice: 1000 });
+
+      await storePrice({ symbol: 'BTCUSDT', price: 1200 });
+      let result = await processOpenOrders('crypto');
+      expect(result.filled).toBe(0);
+
+      await storePrice({ symbol: 'BTCUSDT', price: 900 });
+      result = await processOpenOrders('crypto');
+      expect(result.filled).toBe(1);
+
+      const order = await Order.findOne({ userId });
+      expect(order.status).toBe('filled');
+      expect(order.fillPrice).toBe(900);
+
+      const trade = await Trade.findById(order.tradeId);
+      expect(trade.orderType).toBe('limit');
+
+      const holding = await Portfolio.findOne({ userId, assetSymbol: 'BTCUSDT' });
+      expect(holding.quantity).toBe(2);
+
+      // Only the actual cost at the fill price is charged
+      const user = await User.findById(userId);
+      expect(user.balance).toBeCloseTo(100000 - trade.netAmount);
+    });
+
+    it('should expire orders past their expiry', async () => {
+      const order = await Order.create({
+        userId,
+        assetType: 'crypto',
+        assetSymbol: 'BTCUSDT',
+        side: 'buy',
+        quantity: 1,
+        limitPrice: 10,
+        reservedAmount: 50,
+        expiresAt: new Date(Date.now() - 1000)
+      });
+
+      const result = await processOpenOrders('crypto');
+      expect(result.expired).toBe(1);
+
+      const expired = await Order.findById(order._id);
+      expect(expired.status).toBe('expired');
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBeCloseTo(100050);
+    });
+  });
+
+  describe('Protective orders', () => {
+    beforeEach(async () => {
+      await Portfolio.create({
+        userId,
+        assetType: 'crypto',
+        assetSymbol: 'ETHUSDT',
+        quantity: 5,
+        avgBuyPrice: 100,
+        avgCostBasis: 101
+      });
+      await storePrice({ symbol: 'ETHUSDT', price: 100 });
+    });
+
+    it('should reject a stop-loss above the current price', async () => {
+      const response = await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', orderType: 'stop_loss', stopPrice: 120 })
+        .expect(400);
+
+      expect(response.body.message).toContain('below the current price');
+    });
+
+    it('should sell the holding and record slippage when a stop-loss fires', async () => {
+      const placed = await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', orderType: 'stop_loss', stopPrice: 90 })
+        .expect(201);
+
+      expect(placed.body.data.order.quantity).toBe(5);
+
+      await storePrice({ symbol: 'ETHUSDT', price: 85 });
+      const result = await processProtectiveOrders();
+      expect(result.triggered).toBe(1);
+
+      const order = await Order.findById(placed.body.data.order.id);
+      expect(order.status).toBe('filled');
+      expect(order.triggerPrice).toBe(90);
+      expect(order.fillPrice).toBe(85);
+      expect(order.slippage).toBe(-5);
+
+      const trade = await Trade.findById(order.tradeId);
+      expect(trade.orderType).toBe('stop_loss');
+      expect(trade.triggerPrice).toBe(90);
+      expect(await Portfolio.countDocuments({ userId })).toBe(0);
+    });
+
+    it('should cancel sibling protective orders once the position is closed', async () => {
+      await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', orderType: 'stop_loss', stopPrice: 90 });
+      await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', orderType: 'take_profit', stopPrice: 150 });
+
+      await storePrice({ symbol: 'ETHUSDT', price: 160 });
+      await processProtectiveOrders();
+
+      const stopLoss = await Order.findOne({ orderType: 'stop_loss' });
+      expect(stopLoss.status).toBe('cancelled');
+    });
+
+    it('should raise a trailing stop with the price and fire on the pullback', async () => {
+      const placed = await request(app)
+        .post('/api/trades/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'ETHUSDT', orderType: 'trailing_stop', trailPercent: 10 })
+        .expect(201);
+
+      expect(placed.body.data.order.stopPrice).toBeCloseTo(90);
+
+      await storePrice({ symbol: 'ETHUSDT', price: 200 });
+      await processProtectiveOrders();
+
+      let order = await Order.findById(placed.body.data.order.id);
+      expect(order.status).toBe('open');
+      expect(order.highWaterMark).toBe(200);
+      expect(order.stopPrice).toBeCloseTo(180);
+
+      await storePrice({ symbol: 'ETHUSDT', price: 175 });
+      await processProtectiveOrders();
+
+      order = await Order.findById(placed.body.data.order.id);
+      expect(order.status).toBe('filled');
+      expect(order.slippage).toBeCloseTo(-5);
+    });
+  });
+});
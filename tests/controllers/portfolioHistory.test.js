@@ -0,0 +1,110 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import portfolioRoutes from '../../routes/portfolioRoutes.js';
+import { storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/portfolio', portfolioRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midday (UTC) a number of days ago, so every event falls clearly inside its day
+const daysAgo = (days) => {
+  const date = new Date(Date.now() - days * DAY_MS);
+  date.setUTCHours(12, 0, 0, 0);
+  return date;
+};
+
+const dayKey = (date) => date.toISOString().split('T')[0];
+
+describe('Portfolio History', () => {
+  let authToken;
+  let userId;
+
+  const history = (query) => request(app)
+    .get('/api/portfolio/history')
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  beforeEach(async () => {
+    // 100000 starting cash, less a buy of 2 BTC for 2010 three days ago
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 97990
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    await Trade.create({
+      userId,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      type: 'buy',
+      quantity: 2,
+      price: 1000,
+      totalFees: 10,
+      netAmount: 2010,
+      timestamp: daysAgo(3)
+    });
+
+    await storePrice({ symbol: 'BTCUSDT', price: 1000, timestamp: daysAgo(3).getTime() });
+    await storePrice({ symbol: 'BTCUSDT', price: 1500, timestamp: daysAgo(1).getTime() });
+  });
+
+  it('should value each day with the holdings and prices of that day', async () => {
+    const response = await history({ from: dayKey(daysAgo(4)), to: dayKey(daysAgo(1)) }).expect(200);
+    const points = response.body.data;
+
+    expect(points.map(point => point.date)).toEqual([4, 3, 2, 1].map(days => dayKey(daysAgo(days))));
+
+    expect(points[0].cashBalance).toBeCloseTo(100000);
+    expect(points[0].portfolioValue).toBe(0);
+
+    expect(points[1].cashBalance).toBeCloseTo(97990);
+    expect(points[1].portfolioValue).toBeCloseTo(2000);
+
+    // No price stored that day, so the previous close carries forward
+    expect(points[2].portfolioValue).toBeCloseTo(2000);
+
+    expect(points[3].portfolioValue).toBeCloseTo(3000);
+    expect(points[3].totalValue).toBeCloseTo(100990);
+  });
+
+  it('should fall back to the trade price for dates without a stored price', async () => {
+    await OHLCV.deleteMany({});
+
+    const response = await history({ days: 2 }).expect(200);
+    const latest = response.body.data[response.body.data.length - 1];
+
+    expect(latest.portfolioValue).toBeCloseTo(2000);
+    expect(latest.estimated).toBe(true);
+  });
+
+  it('should support weekly and monthly granularity', async () => {
+    const weekly = await history({ days: 60, granularity: 'weekly' }).expect(200);
+    expect(weekly.body.data.length).toBeLessThanOrEqual(10);
+    expect(weekly.body.meta.granularity).toBe('weekly');
+
+    const monthly = await history({ days: 365 * 3, granularity: 'monthly' }).expect(200);
+    expect(monthly.body.data.length).toBeGreaterThanOrEqual(35);
+    expect(monthly.body.data.length).toBeLessThanOrEqual(37);
+  });
+
+  it('should reject an invalid range or granularity', async () => {
+    await history({ granularity: 'hourly' }).expect(400);
+    await history({ from: '2000-01-01' }).expect(400);
+    await history({ from: dayKey(daysAgo(1)), to: dayKey(daysAgo(5)) }).expect(400);
+  });
+});
@@ -0,0 +1,146 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Trade from '../../models/Trade.js';
+import TaxLot from '../../models/TaxLot.js';
+import Portfolio from '../../models/Portfolio.js';
+import OHLCV from '../../models/OHLCV.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+import portfolioRoutes from '../../routes/portfolioRoutes.js';
+import { storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/trades', unifiedTradeRoutes);
+app.use('/api/portfolio', portfolioRoutes);
+
+describe('Tax Lots', () => {
+  let authToken;
+  let userId;
+
+  const trade = (side, quantity) => request(app)
+    .post(`/api/trades/${side}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ assetType: 'crypto', symbol: 'BTCUSDT', quantity });
+
+  const setMethod = (method) => request(app)
+    .put('/api/portfolio/cost-basis-method')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ method });
+
+  // Two lots: 2 @ 1000 then 2 @ 1500, sold down at 2000
+  const buildLots = async () => {
+    await storePrice({ symbol: 'BTCUSDT', price: 1000 });
+    await trade('buy', 2).expect(200);
+    await storePrice({ symbol: 'BTCUSDT', price: 1500 });
+    await trade('buy', 2).expect(200);
+    await storePrice({ symbol: 'BTCUSDT', price: 2000 });
+    return TaxLot.find({ userId }).sort({ acquiredAt: 1, _id: 1 });
+  };
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 100000
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+  });
+
+  it('should open a lot for every buy', async () => {
+    const lots = await buildLots();
+
+    expect(lots).toHaveLength(2);
+    expect(lots[0].remainingQuantity).toBe(2);
+    expect(lots[0].unitCost).toBeGreaterThan(1000);
+  });
+
+  it('should realize P&L against the oldest lots under FIFO', async () => {
+    const lots = await buildLots();
+
+    const response = await trade('sell', 2).expect(200);
+    const sell = await Trade.findById(response.body.data.trade.id);
+
+    expect(sell.costBasisMethod).toBe('fifo');
+    expect(sell.costBasis).toBeCloseTo(2 * lots[0].unitCost);
+    expect(sell.realizedPnL).toBeCloseTo(sell.netAmount - sell.costBasis);
+
+    const [oldest, newest] = await TaxLot.find({ userId }).sort({ acquiredAt: 1, _id: 1 });
+    expect(oldest.remainingQuantity).toBe(0);
+    expect(oldest.closedAt).not.toBeNull();
+    expect(newest.remainingQuantity).toBe(2);
+  });
+
+  it('should realize P&L against the newest lots under LIFO', async () => {
+    const lots = await buildLots();
+    await setMethod('lifo').expect(200);
+
+    const response = await trade('sell', 3).expect(200);
+    const sell = await Trade.findById(response.body.data.trade.id);
+
+    expect(sell.costBasis).toBeCloseTo(2 * lots[1].unitCost + lots[0].unitCost);
+
+    const oldest = await TaxLot.findById(lots[0]._id);
+    expect(oldest.remainingQuantity).toBe(1);
+  });
+
+  it('should use the holding average under average cost', async () => {
+    const lots = await buildLots();
+    await setMethod('average').expect(200);
+
+    const response = await trade('sell', 2).expect(200);
+    const sell = await Trade.findById(response.body.data.trade.id);
+
+    const averageCost = (2 * lots[0].unitCost + 2 * lots[1].unitCost) / 4;
+    expect(sell.costBasis).toBeCloseTo(2 * averageCost);
+  });
+
+  it('should sell units held before lots were tracked first under FIFO', async () => {
+    // 3 units from before lots existed, then a lot of 2
+    await Portfolio.create({ userId, assetType: 'crypto', assetSymbol: 'BTCUSDT', quantity: 3, avgBuyPrice: 500, avgCostBasis: 500 });
+    await storePrice({ symbol: 'BTCUSDT', price: 1500 });
+    await trade('buy', 2).expect(200);
+    const [lot] = await TaxLot.find({ userId });
+    const { avgCostBasis } = await Portfolio.findOne({ userId });
+
+    await storePrice({ symbol: 'BTCUSDT', price: 2000 });
+    const response = await trade('sell', 2).expect(200);
+    const sell = await Trade.findById(response.body.data.trade.id);
+
+    expect(sell.costBasis).toBeCloseTo(2 * avgCostBasis);
+    expect(sell.lots).toHaveLength(0);
+    expect((await TaxLot.findById(lot._id)).remainingQuantity).toBe(2);
+
+    // The last legacy unit goes before the lot
+    const next = await Trade.findById((await trade('sell', 2).expect(200)).body.data.trade.id);
+    expect(next.costBasis).toBeCloseTo(avgCostBasis + lot.unitCost);
+    expect((await TaxLot.findById(lot._id)).remainingQuantity).toBe(1);
+  });
+
+  it('should reject an unknown cost basis method', async () => {
+    await setMethod('hifo').expect(400);
+  });
+
+  it('should report realized and unrealized P&L', async () => {
+    const lots = await buildLots();
+    const response = await trade('sell', 2).expect(200);
+    const sell = await Trade.findById(response.body.data.trade.id);
+
+    const report = await request(app)
+      .get('/api/portfolio/pnl')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(report.body.data.realized).toBeCloseTo(sell.realizedPnL);
+    expect(report.body.data.unrealized).toBeCloseTo(2 * 2000 - 2 * lots[1].unitCost);
+    expect(report.body.data.byAsset[0].symbol).toBe('BTCUSDT');
+  });
+});
@@ -0,0 +1,122 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import SystemSettings from '../../models/SystemSettings.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+import { storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/trades', unifiedTradeRoutes);
+
+describe('Trade Quotes', () => {
+  let authToken;
+  let userId;
+
+  const requestQuote = (body) => request(app)
+    .post('/api/trades/quote')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const buyWithQuote = (quoteId) => request(app)
+    .post('/api/trades/buy')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quoteId });
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 100000
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    await storePrice({ symbol: 'BTCUSDT', price: 1000 });
+  });
+
+  it('should return a quote with price, fees and expiry', async () => {
+    const response = await requestQuote({ assetType: 'crypto', symbol: 'btcusdt', side: 'buy', quantity: 2 })
+      .expect(200);
+
+    expect(response.body.data.quoteId).toBeDefined();
+    expect(response.body.data.symbol).toBe('BTCUSDT');
+    expect(response.body.data.price).toBe(1000);
+    expect(response.body.data.fees.totalCost).toBeGreaterThan(2000);
+    expect(new Date(response.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should execute at the quoted price after the market moves', async () => {
+    const quote = await requestQuote({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 2 });
+
+    await storePrice({ symbol: 'BTCUSDT', price: 1500 });
+
+    const response = await buyWithQuote(quote.body.data.quoteId).expect(200);
+
+    expect(response.body.data.trade.price).toBe(1000);
+    expect(response.body.data.trade.quantity).toBe(2);
+    expect(response.body.data.trade.totalCost).toBeCloseTo(quote.body.data.fees.totalCost);
+  });
+
+  it('should charge the quoted fees after the fee settings change', async () => {
+    const quote = await requestQuote({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 2 });
+
+    await SystemSettings.create({ platformFeePercentage: 5, minimumFee: 50 });
+
+    const response = await buyWithQuote(quote.body.data.quoteId).expect(200);
+
+    expect(response.body.data.trade.totalFees).toBeCloseTo(quote.body.data.fees.totalFees);
+    expect(response.body.data.trade.totalCost).toBeCloseTo(quote.body.data.fees.totalCost);
+  });
+
+  it('should not execute the same quote twice', async () => {
+    const quote = await requestQuote({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 1 });
+
+    await buyWithQuote(quote.body.data.quoteId).expect(200);
+    const response = await buyWithQuote(quote.body.data.quoteId).expect(409);
+
+    expect(response.body.message).toBe('Quote has already been used');
+    expect(await Trade.countDocuments({ userId })).toBe(1);
+  });
+
+  it('should reject a tampered quote', async () => {
+    const quote = await requestQuote({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 1 });
+    const [header, payload, signature] = quote.body.data.quoteId.split('.');
+    const terms = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const tampered = Buffer.from(JSON.stringify({ ...terms, price: 1 })).toString('base64url');
+
+    const response = await buyWithQuote(`${header}.${tampered}.${signature}`).expect(400);
+
+    expect(response.body.message).toBe('Invalid quote');
+    expect(await Trade.countDocuments({ userId })).toBe(0);
+  });
+
+  it('should reject an expired quote', async () => {
+    const expired = jwt.sign(
+      { userId: userId.toString(), assetType: 'crypto', symbol: 'BTCUSDT', side: 'buy', quantity: 1, price: 1000 },
+      process.env.JWT_SECRET,
+      { expiresIn: -10, subject: 'trade-quote', jwtid: 'expired-quote' }
+    );
+
+    const response = await buyWithQuote(expired).expect(400);
+
+    expect(response.body.message).toContain('expired');
+  });
+
+  it('should reject a quote used for the other side', async () => {
+    const quote = await requestQuote({ assetType: 'crypto', symbol: 'BTCUSDT', side: 'sell', quantity: 1 });
+
+    const response = await buyWithQuote(quote.body.data.quoteId).expect(400);
+
+    expect(response.body.message).toBe('Quote is for a sell order');
+  });
+});
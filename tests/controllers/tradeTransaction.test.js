@@ -0,0 +1,166 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/trades', unifiedTradeRoutes);
+
+// These tests need a replica set (or Atlas) because trades run in a transaction
+describe('Trade transactions', () => {
+  let authToken;
+  let userId;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 100000
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    await OHLCV.create({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: Date.now(),
+      open: 1000,
+      high: 1000,
+      low: 1000,
+      close: 1000,
+      valueKES: 1000,
+      source: 'test'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/trades/buy', () => {
+    it('should roll back the balance and holding when the trade record fails to save', async () => {
+      jest.spyOn(Trade.prototype, 'save').mockRejectedValueOnce(new Error('Simulated crash'));
+
+      await request(app)
+        .post('/api/trades/buy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 2 })
+        .expect(500);
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBe(100000);
+      expect(await Portfolio.countDocuments({ userId })).toBe(0);
+      expect(await Trade.countDocuments({ userId })).toBe(0);
+    });
+
+    it('should retry a transient failure and apply the buy exactly once', async () => {
+      const transient = new Error('Simulated write conflict');
+      transient.errorLabels = ['TransientTransactionError'];
+      jest.spyOn(Trade.prototype, 'save').mockRejectedValueOnce(transient);
+
+      const response = await request(app)
+        .post('/api/trades/buy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 2 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const trades = await Trade.find({ userId });
+      expect(trades).toHaveLength(1);
+
+      const holding = await Portfolio.findOne({ userId, assetSymbol: 'BTCUSDT' });
+      expect(holding.quantity).toBe(2);
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBeCloseTo(100000 - trades[0].netAmount);
+    });
+  });
+
+  describe('Concurrent requests', () => {
+    it('should not let two simultaneous buys overdraw the balance', async () => {
+      const send = () => request(app)
+        .post('/api/trades/buy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 60 });
+
+      const responses = await Promise.all([send(), send()]);
+      const succeeded = responses.filter(response => response.status === 200);
+
+      expect(succeeded).toHaveLength(1);
+      expect(await Trade.countDocuments({ userId })).toBe(1);
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBeGreaterThanOrEqual(0);
+
+      const holding = await Portfolio.findOne({ userId, assetSymbol: 'BTCUSDT' });
+      expect(holding.quantity).toBe(60);
+    });
+
+    it('should not let two simultaneous sells take more than the holding', async () => {
+      await Portfolio.create({
+        userId,
+        assetType: 'crypto',
+        assetSymbol: 'BTCUSDT',
+        quantity: 5,
+        avgBuyPrice: 900,
+        avgCostBasis: 910
+      });
+
+      const send = () => request(app)
+        .post('/api/trades/sell')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 4 });
+
+      const responses = await Promise.all([send(), send()]);
+      const succeeded = responses.filter(response => response.status === 200);
+
+      expect(succeeded).toHaveLength(1);
+      expect(await Trade.countDocuments({ userId, type: 'sell' })).toBe(1);
+
+      const holding = await Portfolio.findOne({ userId, assetSymbol: 'BTCUSDT' });
+      expect(holding.quantity).toBe(1);
+    });
+  });
+
+  describe('POST /api/trades/sell', () => {
+    beforeEach(async () => {
+      await Portfolio.create({
+        userId,
+        assetType: 'crypto',
+        assetSymbol: 'BTCUSDT',
+        quantity: 5,
+        avgBuyPrice: 900,
+        avgCostBasis: 910
+      });
+    });
+
+    it('should leave the holding and balance untouched when the sale fails midway', async () => {
+      jest.spyOn(Trade.prototype, 'save').mockRejectedValueOnce(new Error('Simulated crash'));
+
+      await request(app)
+        .post('/api/trades/sell')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 5 })
+        .expect(500);
+
+      const user = await User.findById(userId);
+      expect(user.balance).toBe(100000);
+
+      const holding = await Portfolio.findOne({ userId, assetSymbol: 'BTCUSDT' });
+      expect(holding.quantity).toBe(5);
+      expect(await Trade.countDocuments({ userId })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import SystemSettings from '../../models/SystemSettings.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+import { invalidateTradingSettings } from '../../services/tradingPolicy.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/trades', unifiedTradeRoutes);
+
+describe('Trading Policy', () => {
+  let authToken;
+  let userId;
+
+  const buy = (body) => request(app)
+    .post('/api/trades/buy')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    invalidateTradingSettings();
+
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 100000
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    await OHLCV.create({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: Date.now(),
+      open: 1000,
+      high: 1000,
+      low: 1000,
+      close: 1000,
+      valueKES: 1000,
+      source: 'test'
+    });
+  });
+
+  it('should reject trades while trading is disabled', async () => {
+    await SystemSettings.create({ tradingEnabled: false });
+
+    const response = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(403);
+
+    expect(response.body.code).toBe('TRADING_DISABLED');
+    expect(await Trade.countDocuments({ userId })).toBe(0);
+  });
+
+  it('should reject trades in maintenance mode', async () => {
+    await SystemSettings.create({ maintenanceMode: true });
+
+    const response = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(503);
+
+    expect(response.body.code).toBe('MAINTENANCE_MODE');
+  });
+
+  it('should enforce the trade size limits', async () => {
+    await SystemSettings.create({ minTradeAmount: 5000, maxTradeAmount: 50000 });
+
+    const small = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 2 }).expect(400);
+    expect(small.body.code).toBe('TRADE_BELOW_MINIMUM');
+
+    const large = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 60 }).expect(400);
+    expect(large.body.code).toBe('TRADE_ABOVE_MAXIMUM');
+
+    await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 10 }).expect(200);
+  });
+
+  it('should reject halted asset types and symbols', async () => {
+    const settings = await SystemSettings.create({
+      haltedSymbols: [{ assetType: 'crypto', symbol: 'btcusdt', reason: 'Exchange outage' }]
+    });
+
+    const halted = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(403);
+    expect(halted.body.code).toBe('SYMBOL_HALTED');
+    expect(halted.body.message).toContain('Exchange outage');
+
+    settings.haltedSymbols = [];
+    settings.haltedAssetTypes = ['crypto'];
+    await settings.save();
+    invalidateTradingSettings();
+
+    const haltedType = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(403);
+    expect(haltedType.body.code).toBe('ASSET_TYPE_HALTED');
+  });
+
+  it('should serve settings from cache until invalidated', async () => {
+    await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(200);
+
+    await SystemSettings.create({ tradingEnabled: false });
+    await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(200);
+
+    invalidateTradingSettings();
+    await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 }).expect(403);
+  });
+});
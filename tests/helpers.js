@@ -0,0 +1,31 @@
+import OHLCV from '../models/OHLCV.js';
+
+// Strictly increasing timestamps so the latest stored price is unambiguous;
+// starts a minute back so prices stay fresh but predate anything a test opens "now"
+let priceClock = Date.now() - 60 * 1000;
+
+/**
+ * Build a flat price bar (open = high = low = close) for a single asset
+ * @param {Object} bar - Bar fields; anything beyond these (volume, metadata) is copied as-is
+ * @param {string} bar.type - Asset type, crypto by default
+ * @param {string} bar.symbol - Asset symbol, BTCUSDT by default
+ * @param {number} bar.price - Price in KES
+ * @param {number} bar.timestamp - Epoch milliseconds, next tick of the shared clock by default
+ */
+export const priceRecord = ({ type = 'crypto', symbol = 'BTCUSDT', price, timestamp = priceClock++, ...fields }) => ({
+  type,
+  symbol,
+  timestamp,
+  open: price,
+  high: price,
+  low: price,
+  close: price,
+  valueKES: price,
+  source: 'test',
+  ...fields
+});
+
+/**
+ * Store a flat price bar; takes the same fields as priceRecord
+ */
+export const storePrice = (bar) => OHLCV.create(priceRecord(bar));
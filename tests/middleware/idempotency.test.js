@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import IdempotencyKey from '../../models/IdempotencyKey.js';
+import unifiedTradeRoutes from '../../routes/unifiedTradeRoutes.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/trades', unifiedTradeRoutes);
+
+describe('Idempotency Middleware', () => {
+  let authToken;
+  let userId;
+
+  const buy = (body, key) => {
+    const req = request(app)
+      .post('/api/trades/buy')
+      .set('Authorization', `Bearer ${authToken}`);
+    if (key) req.set('Idempotency-Key', key);
+    return req.send(body);
+  };
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 100000
+    });
+
+    userId = user._id;
+    authToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    await OHLCV.create({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: Date.now(),
+      open: 1000,
+      high: 1000,
+      low: 1000,
+      close: 1000,
+      valueKES: 1000,
+      source: 'test'
+    });
+  });
+
+  it('should replay the stored response instead of buying twice', async () => {
+    const body = { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 2 };
+
+    const first = await buy(body, 'retry-1').expect(200);
+    const second = await buy(body, 'retry-1').expect(200);
+
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+
+    const trades = await Trade.find({ userId });
+    expect(trades).toHaveLength(1);
+    expect(trades[0].idempotencyKey).toBe('retry-1');
+
+    const holding = await Portfolio.findOne({ userId, assetSymbol: 'BTCUSDT' });
+    expect(holding.quantity).toBe(2);
+
+    const record = await IdempotencyKey.findOne({ userId, key: 'retry-1' });
+    expect(record.tradeId.toString()).toBe(trades[0]._id.toString());
+  });
+
+  it('should reject a key reused with a different body', async () => {
+    await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 2 }, 'retry-2').expect(200);
+
+    const response = await buy({ assetType: 'crypto', symbol: 'BTCUSDT', quantity: 3 }, 'retry-2').expect(422);
+
+    expect(response.body.message).toContain('different request');
+    expect(await Trade.countDocuments({ userId })).toBe(1);
+  });
+
+  it('should execute again once the replay window has passed', async () => {
+    const body = { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 };
+
+    await buy(body, 'retry-3').expect(200);
+    await IdempotencyKey.updateOne({ userId, key: 'retry-3' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await buy(body, 'retry-3').expect(200);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(await Trade.countDocuments({ userId })).toBe(2);
+  });
+
+  it('should free a key whose request never answered', async () => {
+    const body = { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 };
+    const hashed = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    const pending = {
+      userId,
+      key: 'retry-4',
+      route: 'POST /api/trades/buy',
+      requestHash: hashed,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    };
+
+    await IdempotencyKey.create({ ...pending, lockedUntil: new Date(Date.now() + 60 * 1000) });
+    await buy(body, 'retry-4').expect(409);
+
+    // The server died mid-trade: once the lock runs out the retry goes through
+    await IdempotencyKey.updateOne({ userId, key: 'retry-4' }, { lockedUntil: new Date(Date.now() - 1000) });
+    await buy(body, 'retry-4').expect(200);
+
+    expect(await Trade.countDocuments({ userId })).toBe(1);
+    expect((await IdempotencyKey.findOne({ userId, key: 'retry-4' })).status).toBe('completed');
+  });
+
+  it('should not store anything for requests without a key', async () => {
+    const body = { assetType: 'crypto', symbol: 'BTCUSDT', quantity: 1 };
+
+    await buy(body).expect(200);
+    await buy(body).expect(200);
+
+    expect(await Trade.countDocuments({ userId })).toBe(2);
+    expect(await IdempotencyKey.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,84 @@
+import User from '../../models/User.js';
+import OHLCV from '../../models/OHLCV.js';
+import PriceAlert from '../../models/PriceAlert.js';
+import AlertTrigger from '../../models/AlertTrigger.js';
+import { checkCondition, createAlert, evaluateAlerts } from '../../services/alertService.js';
+import { storePrice } from '../helpers.js';
+
+describe('Price Alerts', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed'
+    });
+    await storePrice({ price: 1000 });
+  });
+
+  it('should measure percent moves in the chosen direction', () => {
+    const alert = { condition: 'percent_change', threshold: 5, direction: 'down', referencePrice: 1000 };
+
+    const { met, changePercent } = checkCondition(alert, { price: 940 });
+    expect(met).toBe(true);
+    expect(changePercent).toBeCloseTo(-6);
+    expect(checkCondition(alert, { price: 1060 }).met).toBe(false);
+    expect(checkCondition({ ...alert, direction: 'either' }, { price: 1060 }).met).toBe(true);
+    expect(checkCondition({ condition: 'daily_change', threshold: 2, direction: 'up' }, { price: 1030, previousClose: 1000 }).met).toBe(true);
+  });
+
+  it('should only accept assets with stored prices', async () => {
+    await expect(createAlert(user._id, { assetType: 'crypto', symbol: 'NOPEUSDT', condition: 'price_above', threshold: 10 }))
+      .rejects.toMatchObject({ status: 404 });
+
+    const alert = await createAlert(user._id, { assetType: 'crypto', symbol: 'btcusdt', condition: 'percent_change', threshold: 10 });
+    expect(alert.symbol).toBe('BTCUSDT');
+    expect(alert.referencePrice).toBe(1000);
+  });
+
+  it('should retire a one-shot alert after it fires', async () => {
+    const alert = await createAlert(user._id, { assetType: 'crypto', symbol: 'BTCUSDT', condition: 'price_above', threshold: 1100 });
+
+    expect((await evaluateAlerts('crypto')).triggered).toBe(0);
+
+    await storePrice({ price: 1150 });
+    const result = await evaluateAlerts('crypto');
+
+    expect(result.triggered).toBe(1);
+    expect(result.triggers[0].message).toContain('above');
+    expect((await PriceAlert.findById(alert._id)).status).toBe('triggered');
+    expect((await evaluateAlerts('crypto')).checked).toBe(0);
+  });
+
+  it('should fire an alert once when two checks overlap', async () => {
+    const alert = await createAlert(user._id, { assetType: 'crypto', symbol: 'BTCUSDT', condition: 'price_above', threshold: 1100 });
+    await storePrice({ price: 1150 });
+
+    const results = await Promise.all([evaluateAlerts('crypto'), evaluateAlerts('crypto')]);
+
+    expect(results.reduce((sum, result) => sum + result.triggered, 0)).toBe(1);
+    expect(await AlertTrigger.countDocuments({ alertId: alert._id })).toBe(1);
+    expect((await PriceAlert.findById(alert._id)).triggerCount).toBe(1);
+  });
+
+  it('should fire a recurring alert again only after the condition clears', async () => {
+    const alert = await createAlert(user._id, { assetType: 'crypto', symbol: 'BTCUSDT', condition: 'price_below', threshold: 900, mode: 'recurring' });
+
+    await storePrice({ price: 850 });
+    await evaluateAlerts('crypto');
+    await storePrice({ price: 800 });
+    await evaluateAlerts('crypto'); // still below: no new trigger
+    await storePrice({ price: 950 });
+    await evaluateAlerts('crypto'); // cleared: re-armed
+    await storePrice({ price: 880 });
+    await evaluateAlerts('crypto');
+
+    const saved = await PriceAlert.findById(alert._id);
+    expect(saved.status).toBe('active');
+    expect(saved.triggerCount).toBe(2);
+    expect(await AlertTrigger.countDocuments({ alertId: alert._id })).toBe(2);
+  });
+});
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import OHLCV from '../../models/OHLCV.js';
+import Candle from '../../models/Candle.js';
+import { calculateFees } from '../../utils/feeCalculator.js';
+import { normalizeStrategy, simulateStrategy, submitBacktest, getBacktest } from '../../services/backtestService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEES = { platformFeePercentage: 0.5, taxPercentage: 0.1, minimumFee: 10, maximumFee: 1000 };
+
+// Daily bars opening at the previous close
+const START = Date.parse('2026-01-04T21:00:00Z');
+const CLOSES = [10, 10, 10, 10, 12, 14, 16, 15, 13, 11, 9];
+const BARS = CLOSES.map((close, index) => {
+  const open = index === 0 ? close : CLOSES[index - 1];
+  return { timestamp: START + index * DAY_MS, open, high: Math.max(open, close), low: Math.min(open, close), close, volume: 100 };
+});
+
+const crossover = (overrides = {}) => normalizeStrategy({
+  assetType: 'stock',
+  symbol: 'scom',
+  from: START,
+  to: START + CLOSES.length * DAY_MS,
+  initialCapital: 10000,
+  entry: { all: [{ left: 'price', operator: 'crosses_above', right: 'sma:3' }] },
+  exit: { any: [{ left: 'price', operator: 'crosses_below', right: 'sma:3' }] },
+  ...overrides
+});
+
+describe('Backtesting', () => {
+  it('should validate strategies and fill in defaults', () => {
+    const strategy = crossover();
+    expect(strategy).toMatchObject({ symbol: 'SCOM', interval: '1d', positionSizing: { type: 'percent_of_equity', value: 100 } });
+    expect(normalizeStrategy({ assetType: 'stock', symbol: 'SCOM', entry: { all: [{ left: 'macd', operator: 'gt', right: 0 }] } }).entry.all[0].left)
+      .toBe('macd:12:26:9.macd');
+
+    expect(() => crossover({ entry: { all: [{ left: 'price', operator: 'above', right: 10 }] } })).toThrow('operator must be one of');
+    expect(() => crossover({ entry: { all: [{ left: 'rsi.k', operator: 'lt', right: 30 }] } })).toThrow('takes no field');
+    expect(() => crossover({ interval: '5m', from: START - 365 * DAY_MS })).toThrow('more than 5000');
+  });
+
+  it('should trade signals at the next open with the platform fees', async () => {
+    const { trades, equityCurve, statistics } = await simulateStrategy(crossover(), BARS, FEES);
+
+    // Crosses above on the 12 close, below on the 13 close
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ entryTime: BARS[5].timestamp, entryPrice: 12, exitTime: BARS[9].timestamp, exitPrice: 13, exitReason: 'exit_rule' });
+
+    const buyFees = await calculateFees(12 * trades[0].quantity, 'buy', FEES);
+    const sellFees = await calculateFees(13 * trades[0].quantity, 'sell', FEES);
+    expect(buyFees.totalCost).toBeLessThanOrEqual(10000);
+    expect(trades[0].fees).toBeCloseTo(buyFees.totalFees + sellFees.totalFees);
+    expect(statistics.finalEquity).toBeCloseTo(10000 - buyFees.totalCost + sellFees.netAmount);
+    expect(statistics).toMatchObject({ totalTrades: 1, winningTrades: 1, bars: CLOSES.length });
+    expect(equityCurve).toHaveLength(CLOSES.length);
+  });
+
+  it('should exit at the stop-loss price', async () => {
+    const { trades } = await simulateStrategy(crossover({ exit: null, stopLossPercent: 10 }), BARS, FEES);
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ exitTime: BARS[10].timestamp, exitReason: 'stop_loss' });
+    expect(trades[0].exitPrice).toBeCloseTo(10.8);
+  });
+
+  it('should run a queued backtest over stored candles', async () => {
+    await OHLCV.create({ type: 'stock', symbol: 'SCOM', timestamp: BARS[10].timestamp, open: 9, high: 9, low: 9, close: 9, valueKES: 9, source: 'test' });
+    await Candle.insertMany(BARS.map(bar => ({
+      type: 'stock',
+      symbol: 'SCOM',
+      interval: '1d',
+      openTime: bar.timestamp,
+      closeTime: bar.timestamp + DAY_MS,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close
+    })));
+
+    const userId = new mongoose.Types.ObjectId();
+    const job = await submitBacktest(userId, {
+      assetType: 'stock',
+      symbol: 'SCOM',
+      from: START,
+      to: START + CLOSES.length * DAY_MS,
+      entry: { all: [{ left: 'price', operator: 'crosses_above', right: 'sma:3' }] },
+      exit: { any: [{ left: 'price', operator: 'crosses_below', right: 'sma:3' }] }
+    });
+    expect(job.status).toBe('queued');
+
+    let finished = job;
+    for (let attempt = 0; attempt < 50 && ['queued', 'running'].includes(finished.status); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      finished = await getBacktest(userId, job._id);
+    }
+
+    expect(finished.status).toBe('completed');
+    expect(finished.result.trades).toHaveLength(1);
+    expect(finished.result.equityCurve).toHaveLength(CLOSES.length);
+    expect(finished.result.fees).toMatchObject({ platformFeePercentage: expect.any(Number) });
+
+    await expect(getBacktest(new mongoose.Types.ObjectId(), job._id)).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,125 @@
+import User from '../../models/User.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import MarketInsights from '../../models/MarketInsights.js';
+import {
+  validateBenchmark,
+  getBenchmarkReturns,
+  compareReturns,
+  getBenchmarkComparison
+} from '../../services/benchmarkService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Benchmarks', () => {
+  it('should weight component returns daily', () => {
+    const returns = getBenchmarkReturns([
+      { weight: 0.5, levels: [100, 110, 121] },
+      { weight: 0.5, levels: [null, 50, 40] }
+    ], 3);
+
+    expect(returns[0]).toBeCloseTo(0.05);
+    expect(returns[1]).toBeCloseTo(0.05 - 0.1);
+  });
+
+  it('should report a beta of 2 for a portfolio moving twice as far', () => {
+    const benchmark = [0.01, -0.02, 0.015, 0.005];
+    const portfolio = benchmark.map(r => 2 * r);
+
+    const { beta, alpha, trackingError, correlation } = compareReturns(portfolio, benchmark);
+
+    expect(beta).toBeCloseTo(2);
+    expect(correlation).toBeCloseTo(1);
+    expect(alpha).toBeCloseTo(0);
+    expect(trackingError).toBeGreaterThan(0);
+  });
+
+  it('should normalize custom benchmark weights', async () => {
+    await OHLCV.create({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: Date.now(),
+      open: 1000,
+      high: 1000,
+      low: 1000,
+      close: 1000,
+      valueKES: 1000,
+      source: 'test'
+    });
+
+    const components = await validateBenchmark([
+      { assetType: 'index', symbol: 'nasi', weight: 60 },
+      { assetType: 'crypto', symbol: 'BTCUSDT', weight: 40 }
+    ]);
+
+    expect(components).toEqual([
+      { assetType: 'index', symbol: 'NASI', weight: 0.6 },
+      { assetType: 'crypto', symbol: 'BTCUSDT', weight: 0.4 }
+    ]);
+
+    await expect(validateBenchmark([{ assetType: 'crypto', symbol: 'NOPEUSDT', weight: 1 }]))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should compare the holdings with NASI', async () => {
+    const now = new Date();
+    const at = daysAgo => new Date(now.getTime() - daysAgo * DAY_MS);
+
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 99000
+    });
+
+    await Trade.create({
+      userId: user._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      type: 'buy',
+      quantity: 1,
+      price: 1000,
+      netAmount: 1000,
+      timestamp: at(10)
+    });
+
+    // Holdings up 20%, NASI up 10%
+    for (const [daysAgo, price, nasi] of [[10, 1000, 100], [1, 1200, 110]]) {
+      await OHLCV.create({
+        type: 'crypto',
+        symbol: 'BTCUSDT',
+        timestamp: at(daysAgo).getTime(),
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        valueKES: price,
+        source: 'test'
+      });
+
+      await MarketInsights.create({
+        currentValue: nasi,
+        nasiIndex: `${nasi}`,
+        yearToDate: '0',
+        marketCap: '0',
+        scrapedAt: at(daysAgo)
+      });
+    }
+
+    const comparison = await getBenchmarkComparison(user, { benchmark: 'NASI', period: '1M' }, now);
+
+    expect(comparison.summary.portfolioReturn).toBeCloseTo(20);
+    expect(comparison.summary.benchmarkReturn).toBeCloseTo(10);
+    expect(comparison.summary.excessReturn).toBeCloseTo(10);
+    expect(comparison.series[comparison.series.length - 1].benchmarkReturn).toBeCloseTo(10);
+  });
+
+  it('should require a saved benchmark for CUSTOM', async () => {
+    const user = new User({ balance: 100000 });
+
+    await expect(getBenchmarkComparison(user, { benchmark: 'CUSTOM' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
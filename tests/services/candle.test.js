@@ -0,0 +1,81 @@
+import OHLCV from '../../models/OHLCV.js';
+import Candle from '../../models/Candle.js';
+import CandleBackfill from '../../models/CandleBackfill.js';
+import { getBucketStart, recordCandleTick, rebuildCandles, getCandles } from '../../services/candleService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// 2026-03-02 (a Monday) 09:00 Nairobi time
+const MONDAY_9AM = Date.parse('2026-03-02T06:00:00Z');
+
+const snapshot = (price, timestamp, symbol = 'SCOM') => ({
+  type: 'stock',
+  symbol,
+  timestamp,
+  open: price,
+  high: price,
+  low: price,
+  close: price,
+  valueKES: price,
+  volume: 500,
+  source: 'test'
+});
+
+describe('Candles', () => {
+  it('should align day and week buckets to Nairobi time', () => {
+    expect(getBucketStart(MONDAY_9AM + 7 * MINUTE_MS, '5m')).toBe(MONDAY_9AM + 5 * MINUTE_MS);
+    expect(new Date(getBucketStart(MONDAY_9AM, '1d')).toISOString()).toBe('2026-03-01T21:00:00.000Z');
+    expect(new Date(getBucketStart(MONDAY_9AM + 3 * 24 * 60 * MINUTE_MS, '1w')).toISOString()).toBe('2026-03-01T21:00:00.000Z');
+  });
+
+  it('should roll live snapshots into every interval', async () => {
+    await recordCandleTick(snapshot(20, MONDAY_9AM));
+    await recordCandleTick(snapshot(23, MONDAY_9AM + MINUTE_MS));
+    await recordCandleTick(snapshot(19, MONDAY_9AM + 2 * MINUTE_MS));
+    await recordCandleTick(snapshot(21, MONDAY_9AM + 6 * MINUTE_MS));
+
+    const fiveMinute = await Candle.find({ symbol: 'SCOM', interval: '5m' }).sort({ openTime: 1 }).lean();
+    expect(fiveMinute).toHaveLength(2);
+    expect(fiveMinute[0]).toMatchObject({ open: 20, high: 23, low: 19, close: 19, ticks: 3 });
+
+    const hour = await Candle.findOne({ symbol: 'SCOM', interval: '1h' }).lean();
+    expect(hour).toMatchObject({ open: 20, high: 23, low: 19, close: 21, ticks: 4, closeTime: MONDAY_9AM + 60 * MINUTE_MS });
+  });
+
+  it('should keep the latest close when a snapshot arrives out of order', async () => {
+    await recordCandleTick(snapshot(20, MONDAY_9AM + 2 * MINUTE_MS));
+    await recordCandleTick(snapshot(25, MONDAY_9AM + MINUTE_MS));
+
+    const candle = await Candle.findOne({ symbol: 'SCOM', interval: '5m' }).lean();
+    expect(candle).toMatchObject({ open: 20, high: 25, close: 20 });
+  });
+
+  it('should build candles from stored snapshots on first request', async () => {
+    await OHLCV.insertMany([
+      snapshot(100, MONDAY_9AM, 'EQTY'),
+      snapshot(104, MONDAY_9AM + 20 * MINUTE_MS, 'EQTY'),
+      snapshot(98, MONDAY_9AM + 70 * MINUTE_MS, 'EQTY')
+    ]);
+
+    const candles = await getCandles('stock', 'EQTY', '1h', { limit: 10 });
+
+    expect(candles.map(candle => [candle.open, candle.high, candle.low, candle.close])).toEqual([[100, 104, 100, 104], [98, 98, 98, 98]]);
+    expect(candles[0]).toMatchObject({ timestamp: MONDAY_9AM, closed: true, ticks: 2 });
+
+    // Rebuilding again does not double-count
+    await rebuildCandles('stock', 'EQTY', '1h');
+    expect((await Candle.findOne({ symbol: 'EQTY', interval: '1h', openTime: MONDAY_9AM })).ticks).toBe(2);
+
+    await expect(getCandles('stock', 'EQTY', '2h')).rejects.toThrow('Invalid interval');
+  });
+
+  it('should backfill stored history even after a live tick created a candle', async () => {
+    await OHLCV.insertMany([snapshot(100, MONDAY_9AM, 'KCB'), snapshot(104, MONDAY_9AM + 20 * MINUTE_MS, 'KCB')]);
+    await recordCandleTick(snapshot(110, MONDAY_9AM + 3 * 60 * MINUTE_MS, 'KCB'));
+
+    const candles = await getCandles('stock', 'KCB', '1h', { limit: 10 });
+
+    expect(candles.map(candle => candle.close)).toEqual([104, 110]);
+    expect(await CandleBackfill.exists({ type: 'stock', symbol: 'KCB', interval: '1h' })).toBeTruthy();
+  });
+});
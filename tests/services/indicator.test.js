@@ -0,0 +1,82 @@
+import OHLCV from '../../models/OHLCV.js';
+import Candle from '../../models/Candle.js';
+import { sma, ema, rsi, stochastic } from '../../utils/indicators.js';
+import { getIndicators, parseIndicatorSpecs, clearIndicatorCache } from '../../services/indicatorService.js';
+import { getBucketStart } from '../../services/candleService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Technical Indicators', () => {
+  beforeEach(() => {
+    clearIndicatorCache();
+  });
+
+  it('should compute moving averages and oscillators', () => {
+    expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    expect(ema([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+
+    const closes = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28];
+    expect(rsi(closes, 14)[14]).toBeCloseTo(70.46, 2);
+
+    // A flat range has no stochastic reading
+    const flat = Array.from({ length: 5 }, () => ({ high: 10, low: 10, close: 10 }));
+    expect(stochastic(flat, 3, 1, 1)[4]).toBeNull();
+  });
+
+  it('should fill in default parameters and reject unknown indicators', () => {
+    expect(parseIndicatorSpecs('sma:50,macd,rsi:14,rsi').map(spec => spec.key)).toEqual(['sma:50', 'macd:12:26:9', 'rsi:14']);
+    expect(() => parseIndicatorSpecs('ichimoku')).toThrow('Unknown indicator');
+    expect(() => parseIndicatorSpecs('sma:1.5')).toThrow('Invalid sma parameter');
+  });
+
+  it('should compute indicators over hourly candles and cache the result', async () => {
+    const start = Date.now() - 40 * HOUR_MS;
+    await OHLCV.insertMany(Array.from({ length: 40 }, (_, index) => ({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: start + index * HOUR_MS,
+      open: 1000 + index,
+      high: 1000 + index,
+      low: 1000 + index,
+      close: 1000 + index,
+      valueKES: 1000 + index,
+      source: 'test'
+    })));
+
+    const result = await getIndicators('crypto', 'BTCUSDT', { interval: '1h', indicators: 'sma:5,rsi:14', limit: 10 });
+
+    expect(result.bars).toHaveLength(10);
+    expect(result.indicators['sma:5']).toHaveLength(10);
+    expect(result.indicators['sma:5'][9]).toBeCloseTo(result.bars[9].close - 2);
+    expect(result.indicators['rsi:14'][9]).toBe(100); // only gains
+    expect(result.cached).toBe(false);
+
+    const again = await getIndicators('crypto', 'BTCUSDT', { interval: '1h', indicators: 'sma:5,rsi:14', limit: 10 });
+    expect(again.cached).toBe(true);
+
+    await expect(getIndicators('crypto', 'NOPEUSDT', { interval: '1h' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should load warm-up bars beyond a single page of candles', async () => {
+    const start = getBucketStart(Date.now(), '1h') - 1200 * HOUR_MS;
+    const closes = Array.from({ length: 1200 }, (_, index) => 1000 + (index % 70) * 10);
+    await Candle.insertMany(closes.map((close, index) => ({
+      type: 'crypto',
+      symbol: 'ETHUSDT',
+      interval: '1h',
+      openTime: start + index * HOUR_MS,
+      closeTime: start + (index + 1) * HOUR_MS,
+      open: close,
+      high: close,
+      low: close,
+      close
+    })));
+
+    // 500 bars plus 600 of warm-up for ema:200
+    const result = await getIndicators('crypto', 'ETHUSDT', { interval: '1h', indicators: 'ema:200', limit: 500 });
+
+    expect(result.bars).toHaveLength(500);
+    const expected = ema(closes.slice(-1100), 200).slice(-500);
+    expect(result.indicators['ema:200'][0]).toBeCloseTo(expected[0], 4);
+  });
+});
@@ -0,0 +1,87 @@
+import MarketCalendarOverride from '../../models/MarketCalendarOverride.js';
+import {
+  getKenyanHolidays,
+  getMarketStatus,
+  getCurrentMarketStatus
+} from '../../services/marketCalendar.js';
+
+// Times are UTC; EAT is UTC+3 so 07:00Z is 10:00 in Nairobi
+describe('Market Calendar', () => {
+  describe('getKenyanHolidays', () => {
+    it('should include fixed and Easter holidays', () => {
+      const holidays = getKenyanHolidays(2026);
+
+      expect(holidays.get('2026-10-20')).toBe('Mashujaa Day');
+      expect(holidays.get('2026-04-03')).toBe('Good Friday');
+      expect(holidays.get('2026-04-06')).toBe('Easter Monday');
+    });
+
+    it('should observe a Sunday holiday on the Monday', () => {
+      // Madaraka Day 2025 fell on a Sunday
+      const holidays = getKenyanHolidays(2025);
+
+      expect(holidays.get('2025-06-02')).toBe('Madaraka Day (observed)');
+    });
+  });
+
+  describe('getMarketStatus', () => {
+    it('should open NSE during the weekday session', () => {
+      const status = getMarketStatus('stock', new Date('2026-10-19T07:00:00Z'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt.toISOString()).toBe('2026-10-19T12:00:00.000Z');
+    });
+
+    it('should close NSE after hours and point at the next session', () => {
+      const status = getMarketStatus('stock', new Date('2026-10-16T13:00:00Z'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('After trading hours');
+      expect(status.opensAt.toISOString()).toBe('2026-10-19T06:30:00.000Z');
+    });
+
+    it('should close NSE on public holidays', () => {
+      const status = getMarketStatus('stock', new Date('2026-10-20T07:00:00Z'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('Public holiday: Mashujaa Day');
+      expect(status.opensAt.toISOString()).toBe('2026-10-21T06:30:00.000Z');
+    });
+
+    it('should keep crypto open on weekends and holidays', () => {
+      expect(getMarketStatus('crypto', new Date('2026-10-17T07:00:00Z')).isOpen).toBe(true);
+      expect(getMarketStatus('crypto', new Date('2026-10-20T07:00:00Z')).isOpen).toBe(true);
+    });
+
+    it('should close FX over the weekend but not on Kenyan holidays', () => {
+      expect(getMarketStatus('currency', new Date('2026-10-17T07:00:00Z')).isOpen).toBe(false);
+      expect(getMarketStatus('currency', new Date('2026-10-20T07:00:00Z')).isOpen).toBe(true);
+    });
+
+    it('should apply overrides for closures and shortened sessions', () => {
+      const overrides = [
+        { date: '2026-10-19', closed: true, reason: 'Eid al-Fitr' },
+        { date: '2026-10-21', closed: false, open: '09:30', close: '12:00', reason: 'Half day' }
+      ];
+
+      const closed = getMarketStatus('stock', new Date('2026-10-19T07:00:00Z'), overrides);
+      expect(closed.isOpen).toBe(false);
+      expect(closed.reason).toBe('Eid al-Fitr');
+
+      const shortened = getMarketStatus('stock', new Date('2026-10-21T10:00:00Z'), overrides);
+      expect(shortened.isOpen).toBe(false);
+      expect(shortened.reason).toBe('After trading hours');
+    });
+  });
+
+  describe('getCurrentMarketStatus', () => {
+    it('should read admin overrides from the database', async () => {
+      await MarketCalendarOverride.create({ date: '2026-10-19', assetType: 'stock', reason: 'Market closure' });
+
+      const status = await getCurrentMarketStatus('stock', new Date('2026-10-19T07:00:00Z'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('Market closure');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import net from 'net';
+import User from '../../models/User.js';
+import Notification from '../../models/Notification.js';
+import NotificationDelivery from '../../models/NotificationDelivery.js';
+import { notify, processPendingDeliveries, listNotifications, updatePreferences } from '../../services/notificationService.js';
+import { renderNotification } from '../../services/notificationTemplates.js';
+
+/**
+ * Minimal SMTP server that accepts every message and keeps its raw DATA
+ */
+const startSmtpStub = () => new Promise(resolve => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let data = '';
+
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(data);
+            data = '';
+            socket.write('250 OK queued\r\n');
+          } else {
+            data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 stub\r\n');
+        else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+describe('Notifications', () => {
+  let smtp;
+  let user;
+
+  beforeAll(async () => {
+    smtp = await startSmtpStub();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    await new Promise(resolve => smtp.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    smtp.messages.length = 0;
+    user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed'
+    });
+  });
+
+  it('should fill templates from event data', () => {
+    const { title, body } = renderNotification('account_banned', { date: new Date('2026-03-01T10:00:00Z'), reasonText: ' Reason: spam.' });
+
+    expect(title).toBe('Your account has been suspended');
+    expect(body).toContain('suspended on 2026-03-01. Reason: spam.');
+  });
+
+  it('should write to the inbox and email the user', async () => {
+    const { notification, deliveries } = await notify(user._id, 'alert_triggered', {
+      symbol: 'BTCUSDT',
+      message: 'BTCUSDT (crypto) is at KSh 1100.00, above KSh 1050.00',
+      noteText: ''
+    });
+
+    expect(notification.title).toBe('Price alert: BTCUSDT');
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ channel: 'email', target: 'john.doe@example.com', status: 'sent', attempts: 1 });
+
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0]).toContain('Subject: Price alert: BTCUSDT');
+    expect(smtp.messages[0]).toContain('To: john.doe@example.com');
+
+    const inbox = await listNotifications(user._id, { unread: true });
+    expect(inbox.unreadCount).toBe(1);
+    expect(inbox.notifications[0].body).toContain('above KSh 1050.00');
+  });
+
+  it('should queue failed webhook deliveries for retry', async () => {
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const preferences = await updatePreferences(user, { email: false, webhook: true, webhookUrl: `http://127.0.0.1:${port}/hook` });
+    expect(preferences.webhookSecret).toHaveLength(48);
+
+    const before = Date.now();
+    const { deliveries } = await notify(user._id, 'account_unbanned', { date: new Date() });
+
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ channel: 'webhook', status: 'pending', attempts: 1 });
+    expect(deliveries[0].nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+
+    // Not due yet
+    expect((await processPendingDeliveries(new Date())).attempted).toBe(0);
+
+    const retry = await processPendingDeliveries(new Date(Date.now() + 2 * 60 * 1000));
+    expect(retry).toMatchObject({ attempted: 1, sent: 0 });
+    expect((await NotificationDelivery.findById(deliveries[0]._id)).attempts).toBe(2);
+  });
+
+  it('should attempt a due delivery once when retry runs overlap', async () => {
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    await updatePreferences(user, { email: false, webhook: true, webhookUrl: `http://127.0.0.1:${port}/hook` });
+    const { deliveries } = await notify(user._id, 'account_unbanned', { date: new Date() });
+
+    const later = new Date(Date.now() + 2 * 60 * 1000);
+    const runs = await Promise.all([processPendingDeliveries(later), processPendingDeliveries(later)]);
+    expect(runs[0].attempted + runs[1].attempted).toBe(1);
+    expect((await NotificationDelivery.findById(deliveries[0]._id)).attempts).toBe(2);
+  });
+
+  it('should refuse webhooks to internal addresses', async () => {
+    for (const webhookUrl of ['http://localhost:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook', 'http://[::1]/hook']) {
+      await expect(updatePreferences(user, { webhook: true, webhookUrl })).rejects.toMatchObject({ status: 400 });
+    }
+
+    // A URL saved before the check, or whose host now resolves inside the network, is refused at send time
+    await User.updateOne({ _id: user._id }, { 'notificationPreferences.email': false, 'notificationPreferences.webhook': true, 'notificationPreferences.webhookUrl': 'http://localhost:8080/hook' });
+    const { deliveries } = await notify(user._id, 'account_unbanned', { date: new Date() });
+    expect(deliveries[0]).toMatchObject({ channel: 'webhook', status: 'failed' });
+  });
+
+  it('should keep muted events in the inbox only', async () => {
+    await updatePreferences(user, { mutedEvents: ['trade_executed'] });
+
+    const { deliveries } = await notify(user._id, 'trade_executed', { symbol: 'SCOM', side: 'buy', quantity: '10' });
+
+    expect(deliveries).toHaveLength(0);
+    expect(smtp.messages).toHaveLength(0);
+    expect(await Notification.countDocuments({ userId: user._id })).toBe(1);
+  });
+});
@@ -0,0 +1,116 @@
+import User from '../../models/User.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import {
+  getDailyReturns,
+  timeWeightedReturn,
+  maxDrawdown,
+  internalRateOfReturn,
+  getPeriodStart,
+  getPerformanceMetrics
+} from '../../services/performanceService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Performance Metrics', () => {
+  describe('getDailyReturns', () => {
+    it('should treat buys and sells as money moved into and out of the holdings', () => {
+      const days = getDailyReturns([
+        { date: '2026-10-01', portfolioValue: 0, cashBalance: 1000 },
+        { date: '2026-10-02', portfolioValue: 500, cashBalance: 500 },
+        { date: '2026-10-03', portfolioValue: 550, cashBalance: 500 },
+        { date: '2026-10-04', portfolioValue: 1100, cashBalance: 0 }
+      ]);
+
+      expect(days.map(day => day.flow)).toEqual([500, 0, 500]);
+      expect(days[1].return).toBeCloseTo(0.1);
+      expect(days[2].return).toBeCloseTo(1100 / 1050 - 1);
+    });
+
+    it('should leave days with nothing invested without a return', () => {
+      const days = getDailyReturns([
+        { date: '2026-10-01', portfolioValue: 0, cashBalance: 1000 },
+        { date: '2026-10-02', portfolioValue: 0, cashBalance: 1000 }
+      ]);
+
+      expect(days[0].return).toBeNull();
+    });
+  });
+
+  it('should start month periods on the same day, or the end of a shorter month', () => {
+    const startOf = (period, now) => getPeriodStart(period, new Date(now)).toISOString().slice(0, 10);
+
+    expect(startOf('1M', '2026-03-31T12:00:00Z')).toBe('2026-02-28');
+    expect(startOf('3M', '2026-05-31T12:00:00Z')).toBe('2026-02-28');
+    expect(startOf('1M', '2026-03-15T12:00:00Z')).toBe('2026-02-15');
+    expect(startOf('1Y', '2028-02-29T12:00:00Z')).toBe('2027-02-28');
+  });
+
+  it('should chain returns and find the deepest drawdown', () => {
+    expect(timeWeightedReturn([0.1, -0.1])).toBeCloseTo(-0.01);
+    expect(maxDrawdown([0.1, -0.2, 0.05, -0.1])).toBeCloseTo(-0.244);
+  });
+
+  it('should solve the internal rate of return', () => {
+    expect(internalRateOfReturn([
+      { years: 0, amount: -100 },
+      { years: 1, amount: 110 }
+    ])).toBeCloseTo(0.1);
+
+    expect(internalRateOfReturn([{ years: 0, amount: -100 }])).toBeNull();
+  });
+
+  it('should measure a holding bought and revalued from stored prices', async () => {
+    const now = new Date();
+    const boughtAt = new Date(now.getTime() - 10 * DAY_MS);
+
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 99000
+    });
+
+    await Trade.create({
+      userId: user._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      type: 'buy',
+      quantity: 1,
+      price: 1000,
+      netAmount: 1000,
+      timestamp: boughtAt
+    });
+
+    for (const [daysAgo, price] of [[10, 1000], [5, 800], [1, 1200]]) {
+      await OHLCV.create({
+        type: 'crypto',
+        symbol: 'BTCUSDT',
+        timestamp: now.getTime() - daysAgo * DAY_MS,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        valueKES: price,
+        source: 'test'
+      });
+    }
+
+    const metrics = await getPerformanceMetrics(user, '1M', now);
+
+    expect(metrics.netInvested).toBeCloseTo(1000);
+    expect(metrics.endValue).toBeCloseTo(1200);
+    expect(metrics.timeWeightedReturn).toBeCloseTo(20);
+    expect(metrics.maxDrawdown).toBeCloseTo(-20);
+    expect(metrics.moneyWeightedReturn).toBeGreaterThan(0);
+    expect(metrics.annualizedReturn).toBeNull();
+  });
+
+  it('should reject an unknown period', async () => {
+    const user = new User({ balance: 100000 });
+
+    await expect(getPerformanceMetrics(user, '2W')).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,117 @@
+import User from '../../models/User.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import OHLCV from '../../models/OHLCV.js';
+import PortfolioSnapshot from '../../models/PortfolioSnapshot.js';
+import {
+  takeSnapshot,
+  takeDailySnapshots,
+  getSnapshotPerformance
+} from '../../services/portfolioSnapshotService.js';
+import { resolveHistoryRange } from '../../services/portfolioValuationService.js';
+
+describe('Portfolio Snapshots', () => {
+  let user;
+
+  beforeEach(async () => {
+    // 100000 starting cash, 2 BTC bought for 2010 and now priced at 1500
+    user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 97990
+    });
+
+    await Trade.create({
+      userId: user._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      type: 'buy',
+      quantity: 2,
+      price: 1000,
+      totalFees: 10,
+      netAmount: 2010
+    });
+
+    await Portfolio.create({
+      userId: user._id,
+      assetType: 'crypto',
+      assetSymbol: 'BTCUSDT',
+      quantity: 2,
+      avgBuyPrice: 1000,
+      avgCostBasis: 1005
+    });
+
+    await OHLCV.create({
+      type: 'crypto',
+      symbol: 'BTCUSDT',
+      timestamp: Date.now(),
+      open: 1500,
+      high: 1500,
+      low: 1500,
+      close: 1500,
+      valueKES: 1500,
+      source: 'test'
+    });
+  });
+
+  it('should record cash, holdings by asset type, cost basis and net deposits', async () => {
+    const snapshot = await takeSnapshot(user, '2026-10-19');
+
+    expect(snapshot.cashBalance).toBeCloseTo(97990);
+    expect(snapshot.holdingsValue).toBeCloseTo(3000);
+    expect(snapshot.valueByAssetType.crypto).toBeCloseTo(3000);
+    expect(snapshot.valueByAssetType.stock).toBe(0);
+    expect(snapshot.costBasis).toBeCloseTo(2010);
+    expect(snapshot.netDeposits).toBeCloseTo(100000);
+    expect(snapshot.totalValue).toBeCloseTo(100990);
+  });
+
+  it('should write one snapshot per user per day', async () => {
+    const now = new Date('2026-10-19T20:55:00Z');
+
+    const first = await takeDailySnapshots(now);
+    await takeDailySnapshots(now);
+
+    expect(first).toMatchObject({ date: '2026-10-19', users: 1, written: 1, failed: 0 });
+    expect(await PortfolioSnapshot.countDocuments({ userId: user._id })).toBe(1);
+  });
+
+  it('should report returns net of deposits', async () => {
+    const snapshot = (date, totalValue, netDeposits) => PortfolioSnapshot.create({
+      userId: user._id,
+      date,
+      cashBalance: totalValue,
+      holdingsValue: 0,
+      totalValue,
+      netDeposits
+    });
+
+    await snapshot('2026-10-01', 100000, 100000);
+    await snapshot('2026-10-02', 110000, 100000);
+    // 50000 added on the 3rd, so only 5000 of the rise is gain
+    await snapshot('2026-10-03', 165000, 150000);
+
+    const range = resolveHistoryRange({ from: '2026-10-01', to: '2026-10-03' });
+    const { points, summary } = await getSnapshotPerformance(user, range);
+
+    expect(points).toHaveLength(3);
+    expect(points[0].periodReturnPercent).toBeNull();
+    expect(points[1].periodReturnPercent).toBeCloseTo(10);
+    expect(points[2].periodReturnPercent).toBeCloseTo(5000 / 110000 * 100);
+
+    expect(summary.gain).toBeCloseTo(15000);
+    expect(summary.netDepositsChange).toBe(50000);
+    expect(summary.returnPercent).toBeCloseTo(15);
+  });
+
+  it('should count range days in Nairobi time', () => {
+    // 01:30 on 20 October in Nairobi, still the 19th in UTC
+    const now = new Date('2026-10-19T22:30:00Z');
+
+    expect(resolveHistoryRange({ days: 2 }, now)).toMatchObject({ fromKey: '2026-10-19', toKey: '2026-10-20' });
+    expect(resolveHistoryRange({ from: '2026-10-01', to: '2026-10-03' }, now)).toMatchObject({ fromKey: '2026-10-01', toKey: '2026-10-03' });
+  });
+});
@@ -0,0 +1,109 @@
+import User from '../../models/User.js';
+import OHLCV from '../../models/OHLCV.js';
+import Portfolio from '../../models/Portfolio.js';
+import Trade from '../../models/Trade.js';
+import { validateTargets, getRebalancePlan, executeRebalance } from '../../services/rebalanceService.js';
+import { storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const hold = (user, assetType, assetSymbol, quantity, price) => Portfolio.create({
+  userId: user._id,
+  assetType,
+  assetSymbol,
+  quantity,
+  avgBuyPrice: price,
+  avgCostBasis: price
+});
+
+describe('Rebalancing', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 10000
+    });
+
+    await storePrice({ type: 'stock', symbol: 'SCOM', price: 30 });
+    await storePrice({ type: 'crypto', symbol: 'BTCUSDT', price: 1000 });
+    await storePrice({ type: 'crypto', symbol: 'ETHUSDT', price: 100 });
+    await storePrice({ type: 'currency', symbol: 'USD/KES', price: 130 });
+  });
+
+  it('should validate target allocations', async () => {
+    const targets = await validateTargets([{ assetType: 'stock', weight: 50 }, { assetType: 'crypto', symbol: 'btcusdt', weight: 30 }]);
+    expect(targets).toEqual([{ assetType: 'stock', symbol: null, weight: 50 }, { assetType: 'crypto', symbol: 'BTCUSDT', weight: 30 }]);
+
+    await expect(validateTargets([{ assetType: 'stock', weight: 60 }, { assetType: 'crypto', weight: 50 }])).rejects.toThrow('more than 100%');
+    await expect(validateTargets([{ assetType: 'stock', weight: 10 }, { assetType: 'stock', weight: 10 }])).rejects.toThrow('more than once');
+    await expect(validateTargets([{ assetType: 'crypto', symbol: 'DOGEUSDT', weight: 10 }])).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should propose sells before buys and fit the buys to the cash', async () => {
+    await hold(user, 'stock', 'SCOM', 100, 30);
+    await hold(user, 'crypto', 'ETHUSDT', 10, 100);
+    user.targetAllocation = await validateTargets([
+      { assetType: 'stock', weight: 50 },
+      { assetType: 'crypto', symbol: 'BTCUSDT', weight: 30 },
+      { assetType: 'currency', symbol: 'USD/KES', weight: 20 }
+    ]);
+
+    const plan = await getRebalancePlan(user);
+
+    // 10,000 cash + 3,000 SCOM + 1,000 ETH
+    expect(plan.totalValue).toBe(14000);
+    const stocks = plan.allocations.find(allocation => allocation.assetType === 'stock');
+    expect(stocks).toMatchObject({ symbol: null, targetPercent: 50, rebalance: true, holdings: ['SCOM'] });
+    expect(stocks.currentPercent).toBeCloseTo(3000 / 140);
+
+    // ETH has no target, so it is sold in full to fund the buys
+    expect(plan.orders[0]).toMatchObject({ side: 'sell', symbol: 'ETHUSDT', quantity: 10 });
+    expect(plan.orders.slice(1).map(order => [order.side, order.symbol])).toEqual([
+      ['buy', 'BTCUSDT'],
+      ['buy', 'SCOM'],
+      ['buy', 'USD/KES']
+    ]);
+    expect(plan.orders[2].quantity).toBe(133);
+
+    // Fees leave too little cash for the whole USD target
+    expect(plan.orders[3].quantity).toBeLessThan(2800 / 130);
+    expect(plan.summary.cashAfter).toBeGreaterThanOrEqual(0);
+    expect(plan.summary.cashAfter).toBeCloseTo(0, 0);
+    expect(plan.summary.estimatedFees).toBeCloseTo(plan.orders.reduce((sum, order) => sum + order.estimatedFees, 0));
+    expect(plan.proposalId).toEqual(expect.any(String));
+
+    // Within the threshold nothing trades
+    user.targetAllocation = await validateTargets([{ assetType: 'stock', symbol: 'SCOM', weight: 20 }, { assetType: 'crypto', weight: 10 }]);
+    const calm = await getRebalancePlan(user, { driftThresholdPercent: 5 });
+    expect(calm.orders).toEqual([]);
+    expect(calm.proposalId).toBeNull();
+  });
+
+  it('should execute a proposal once, all in one batch', async () => {
+    await hold(user, 'crypto', 'ETHUSDT', 50, 100);
+    user.targetAllocation = await validateTargets([{ assetType: 'crypto', symbol: 'BTCUSDT', weight: 50 }]);
+
+    const plan = await getRebalancePlan(user);
+    expect(plan.orders.map(order => [order.side, order.symbol, order.quantity])).toEqual([
+      ['sell', 'ETHUSDT', 50],
+      ['buy', 'BTCUSDT', 7.5]
+    ]);
+
+    const result = await executeRebalance(user, plan.proposalId);
+    expect(result.trades).toHaveLength(2);
+    expect(await Trade.countDocuments({ userId: user._id, orderType: 'rebalance' })).toBe(2);
+    expect(await Portfolio.findOne({ userId: user._id, assetSymbol: 'ETHUSDT' })).toBeNull();
+    expect((await Portfolio.findOne({ userId: user._id, assetSymbol: 'BTCUSDT' })).quantity).toBe(7.5);
+
+    const [sell, buy] = plan.orders;
+    expect((await User.findById(user._id)).balance).toBeCloseTo(10000 + sell.netAmount - buy.netAmount);
+
+    await expect(executeRebalance(user, plan.proposalId)).rejects.toMatchObject({ status: 409 });
+    expect(await Trade.countDocuments({ userId: user._id })).toBe(2);
+  });
+});
@@ -0,0 +1,110 @@
+import User from '../../models/User.js';
+import OHLCV from '../../models/OHLCV.js';
+import Trade from '../../models/Trade.js';
+import RecurringPlan from '../../models/RecurringPlan.js';
+import RecurringPlanExecution from '../../models/RecurringPlanExecution.js';
+import { getNextRunAt, getPlanQuantity, createPlan, executePlan, processDuePlans } from '../../services/recurringPlanService.js';
+import { storePrice } from '../helpers.js';
+
+const FEES = { platformFeePercentage: 0.5, taxPercentage: 0.1, minimumFee: 10, maximumFee: 1000 };
+
+describe('Recurring Plans', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed',
+      balance: 10000
+    });
+    await storePrice({ price: 1000 });
+  });
+
+  it('should schedule runs at the plan time on the right days', () => {
+    // Saturday 2026-03-07, 11:00 Nairobi time
+    const saturday = new Date('2026-03-07T08:00:00Z');
+
+    expect(getNextRunAt({ assetType: 'stock', frequency: 'daily', time: '10:00' }, saturday).toISOString()).toBe('2026-03-09T07:00:00.000Z');
+    expect(getNextRunAt({ assetType: 'crypto', frequency: 'daily', time: '10:00' }, saturday).toISOString()).toBe('2026-03-08T07:00:00.000Z');
+    expect(getNextRunAt({ assetType: 'crypto', frequency: 'monthly', dayOfMonth: 1, time: '00:30' }, saturday).toISOString()).toBe('2026-03-31T21:30:00.000Z');
+  });
+
+  it('should buy whole shares of stocks and fractions of crypto within the amount', () => {
+    expect(getPlanQuantity({ assetType: 'stock', amount: 1000 }, 30, FEES)).toBe(32);
+    expect(getPlanQuantity({ assetType: 'crypto', amount: 1000 }, 30, FEES)).toBeCloseTo(32.97, 2);
+    expect(getPlanQuantity({ assetType: 'stock', amount: 20 }, 30, FEES)).toBe(0);
+  });
+
+  it('should execute due plans and record each run', async () => {
+    const plan = await createPlan(user._id, { assetType: 'crypto', symbol: 'btcusdt', amount: 500, frequency: 'daily' });
+    expect(plan.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+
+    await RecurringPlan.updateOne({ _id: plan._id }, { nextRunAt: new Date(Date.now() - 60 * 1000) });
+    const result = await processDuePlans(new Date());
+    expect(result).toMatchObject({ due: 1, executed: 1 });
+
+    const trade = await Trade.findOne({ userId: user._id });
+    expect(trade).toMatchObject({ orderType: 'recurring', assetSymbol: 'BTCUSDT', price: 1000 });
+
+    const [execution] = await RecurringPlanExecution.find({ planId: plan._id });
+    expect(execution).toMatchObject({ status: 'executed', tradeId: trade._id });
+    expect(execution.totalCost).toBeLessThanOrEqual(500);
+    expect((await User.findById(user._id)).balance).toBeCloseTo(10000 - execution.totalCost);
+
+    const updated = await RecurringPlan.findById(plan._id);
+    expect(updated).toMatchObject({ executionCount: 1, totalQuantity: execution.quantity });
+    expect(updated.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should not buy a run that was already recorded', async () => {
+    const plan = await createPlan(user._id, { assetType: 'crypto', symbol: 'BTCUSDT', amount: 500, frequency: 'daily' });
+    await RecurringPlan.updateOne({ _id: plan._id }, { nextRunAt: new Date(Date.now() - 60 * 1000) });
+
+    // Two workers holding the same due plan
+    const first = await RecurringPlan.findById(plan._id);
+    const second = await RecurringPlan.findById(plan._id);
+
+    expect(await executePlan(first, new Date())).toBe('executed');
+    await expect(executePlan(second, new Date())).rejects.toMatchObject({ status: 409 });
+
+    expect(await Trade.countDocuments({ userId: user._id })).toBe(1);
+    expect(await RecurringPlanExecution.countDocuments({ planId: plan._id })).toBe(1);
+    expect((await RecurringPlan.findById(plan._id)).executionCount).toBe(1);
+  });
+
+  it('should skip on insufficient balance and wait out a stale price', async () => {
+    const plan = await createPlan(user._id, { assetType: 'crypto', symbol: 'BTCUSDT', amount: 50000, frequency: 'weekly' });
+
+    expect(await executePlan(plan, new Date())).toBe('skipped');
+    const [execution] = await RecurringPlanExecution.find({ planId: plan._id });
+    expect(execution.reason).toBe('insufficient_balance');
+    expect(plan.skipCount).toBe(1);
+
+    // A stale price waits for a fresh one rather than skipping
+    await OHLCV.deleteMany({});
+    await storePrice({ price: 1000, timestamp: Date.now() - 10 * 60 * 1000 });
+    plan.amount = 500;
+    plan.nextRunAt = new Date(Date.now() - 60 * 1000);
+
+    expect(await executePlan(plan, new Date())).toBe('deferred');
+    expect(await RecurringPlanExecution.countDocuments({ planId: plan._id })).toBe(1);
+  });
+
+  it('should hold a deferred plan back so it does not crowd out other due plans', async () => {
+    await storePrice({ symbol: 'ETHUSDT', price: 100, timestamp: Date.now() - 10 * 60 * 1000 });
+    const stale = await createPlan(user._id, { assetType: 'crypto', symbol: 'ETHUSDT', amount: 500, frequency: 'daily' });
+    const fresh = await createPlan(user._id, { assetType: 'crypto', symbol: 'BTCUSDT', amount: 500, frequency: 'daily' });
+    await RecurringPlan.updateMany({ _id: { $in: [stale._id, fresh._id] } }, { nextRunAt: new Date(Date.now() - 60 * 1000) });
+
+    const now = new Date();
+    expect(await processDuePlans(now)).toMatchObject({ due: 2, executed: 1, deferred: 1 });
+    expect((await RecurringPlan.findById(stale._id)).retryAfter.getTime()).toBeGreaterThan(now.getTime());
+
+    // Not picked up again until its retry time
+    expect((await processDuePlans(now)).due).toBe(0);
+    expect(await processDuePlans(new Date(now.getTime() + 6 * 60 * 1000))).toMatchObject({ due: 1, deferred: 1 });
+  });
+});
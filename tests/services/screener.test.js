@@ -0,0 +1,112 @@
+import User from '../../models/User.js';
+import OHLCV from '../../models/OHLCV.js';
+import Candle from '../../models/Candle.js';
+import StockInfo from '../../models/StockInfo.js';
+import { getBucketStart } from '../../services/candleService.js';
+import { clearIndicatorCache } from '../../services/indicatorService.js';
+import {
+  parseMarketCap,
+  runScreen,
+  createScreen,
+  updateScreen,
+  listScreens,
+  runSavedScreen
+} from '../../services/screenerService.js';
+import { storePrice } from '../helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const candle = (type, symbol, interval, openTime, { high, low, close }) => ({
+  type,
+  symbol,
+  interval,
+  openTime,
+  closeTime: openTime + (interval === '1w' ? 7 * DAY_MS : DAY_MS),
+  open: close,
+  high,
+  low,
+  close
+});
+
+describe('Screener', () => {
+  const today = getBucketStart(Date.now(), '1d');
+
+  beforeEach(async () => {
+    clearIndicatorCache();
+
+    await storePrice({ type: 'stock', symbol: 'SCOM', price: 30, volume: 1000, metadata: { companyName: 'Safaricom', change: 1 } });
+    await storePrice({ type: 'stock', symbol: 'EQTY', price: 45, volume: 1000, metadata: { companyName: 'Equity Group' } });
+    await storePrice({ type: 'crypto', symbol: 'BTCUSDT', price: 1000, volume: 1000, metadata: { baseAsset: 'BTC' } });
+
+    await StockInfo.create([
+      { ticker: 'SCOM', name: 'Safaricom', marketCap: '1200 billionB' },
+      { ticker: 'EQTY', name: 'Equity Group', growthValuation: { 'Market Cap': 'KES 170B' } }
+    ]);
+
+    await Candle.insertMany([
+      candle('stock', 'EQTY', '1d', today - DAY_MS, { high: 50, low: 50, close: 50 }),
+      candle('stock', 'EQTY', '1w', getBucketStart(Date.now() - 14 * DAY_MS, '1w'), { high: 60, low: 40, close: 50 })
+    ]);
+  });
+
+  it('should read scraped market cap labels', () => {
+    expect(parseMarketCap('12.3 billionB')).toBe(12.3e9);
+    expect(parseMarketCap('KES 850M')).toBe(850e6);
+    expect(parseMarketCap('N/A')).toBeNull();
+  });
+
+  it('should filter, sort and paginate across asset types', async () => {
+    const falling = await runScreen({ filters: { changePercent: { max: 0 } } });
+    expect(falling.results.map(row => row.symbol)).toEqual(['EQTY']);
+    expect(falling.results[0]).toMatchObject({ name: 'Equity Group', previousClose: 50, marketCap: 170e9, high52w: 60, low52w: 40 });
+    expect(falling.results[0].changePercent).toBeCloseTo(-10);
+    expect(falling.results[0].fromHigh52wPercent).toBeCloseTo(-25);
+
+    // The day's change falls back to the feed's figure without a stored previous close
+    const rising = await runScreen({ assetTypes: ['stock'], filters: { changePercent: { min: 0 } } });
+    expect(rising.results[0].changePercent).toBeCloseTo((1 / 29) * 100);
+
+    const byMarketCap = await runScreen({ sort: { field: 'marketCap' } }, { limit: 2 });
+    expect(byMarketCap.results.map(row => row.symbol)).toEqual(['SCOM', 'EQTY']);
+    expect(byMarketCap.pagination).toMatchObject({ total: 3, pages: 2 });
+
+    const withMarketCap = await runScreen({ filters: { marketCap: { min: 1 } } });
+    expect(withMarketCap.results.map(row => row.symbol)).toEqual(['EQTY', 'SCOM']);
+
+    await expect(runScreen({ filters: { peRatio: { max: 10 } } })).rejects.toThrow('Unknown filter');
+  });
+
+  it('should keep only assets meeting indicator conditions', async () => {
+    await Candle.insertMany(Array.from({ length: 30 }, (_, index) => {
+      const close = 1300 - index * 10;
+      return candle('crypto', 'BTCUSDT', '1d', today - (30 - index) * DAY_MS, { high: close, low: close, close });
+    }));
+
+    const oversold = await runScreen({ indicators: [{ indicator: 'rsi', operator: 'lt', value: 30 }] });
+
+    expect(oversold.results.map(row => row.symbol)).toEqual(['BTCUSDT']);
+    expect(oversold.results[0].indicators[0]).toMatchObject({ indicator: 'rsi:14', interval: '1d', value: 0 });
+  });
+
+  it('should save, edit and run screens per user', async () => {
+    const user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed'
+    });
+
+    const screen = await createScreen(user._id, { name: 'Large caps', criteria: { filters: { marketCap: { min: 500e9 } } } });
+    expect(screen.criteria.sort).toEqual({ field: 'symbol', order: 'asc' });
+    await expect(createScreen(user._id, { name: 'Large caps', criteria: {} })).rejects.toMatchObject({ status: 409 });
+
+    const run = await runSavedScreen(user._id, screen._id);
+    expect(run.screen.name).toBe('Large caps');
+    expect(run.results.map(row => row.symbol)).toEqual(['SCOM']);
+
+    await updateScreen(user._id, screen._id, { criteria: { assetTypes: ['crypto'] } });
+    expect((await runSavedScreen(user._id, screen._id)).results.map(row => row.symbol)).toEqual(['BTCUSDT']);
+    expect((await listScreens(user._id))[0].lastRunAt).not.toBeNull();
+  });
+});
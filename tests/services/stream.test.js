@@ -0,0 +1,116 @@
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import WebSocket from 'ws';
+import User from '../../models/User.js';
+import OHLCV from '../../models/OHLCV.js';
+import { openStream, parseSubscriptions, publishPrice, publishFill, publishBalance } from '../../services/streamService.js';
+import { attachStreamSocket } from '../../services/streamSocket.js';
+import { createStreamToken } from '../../middleware/authMiddleware.js';
+import { priceRecord, storePrice } from '../helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Collect a stream's events as [type, data] pairs
+ */
+const recordStream = (userId = null) => {
+  const events = [];
+  const stream = openStream({ userId, send: (type, data) => events.push([type, data]) });
+  return { stream, events };
+};
+
+describe('Price Streaming', () => {
+  let user;
+  const streams = [];
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'johndoe',
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john.doe@example.com',
+      passwordHash: 'hashed'
+    });
+    await storePrice({ symbol: 'BTCUSDT', price: 1000 });
+  });
+
+  afterEach(() => {
+    streams.splice(0).forEach(stream => stream.close());
+  });
+
+  it('should normalize and validate subscriptions', () => {
+    expect(parseSubscriptions('crypto:btcusdt, stock:SCOM')).toEqual(['crypto:BTCUSDT', 'stock:SCOM']);
+    expect(() => parseSubscriptions(['metal:GOLD'])).toThrow('Invalid subscription');
+  });
+
+  it('should send the latest price on subscribe, then only subscribed updates', async () => {
+    const { stream, events } = recordStream();
+    streams.push(stream);
+
+    await stream.subscribe(['crypto:BTCUSDT']);
+    expect(events).toEqual([['price', expect.objectContaining({ symbol: 'BTCUSDT', price: 1000 })]]);
+
+    publishPrice(priceRecord({ symbol: 'ETHUSDT', price: 50 }));
+    publishPrice(priceRecord({ symbol: 'BTCUSDT', price: 1010 }));
+    expect(events).toHaveLength(2);
+    expect(events[1][1].price).toBe(1010);
+
+    stream.unsubscribe('crypto:BTCUSDT');
+    publishPrice(priceRecord({ symbol: 'BTCUSDT', price: 1020 }));
+    expect(events).toHaveLength(2);
+  });
+
+  it("should only deliver a user's fills and balance to that user", () => {
+    const own = recordStream(user._id);
+    const anonymous = recordStream();
+    streams.push(own.stream, anonymous.stream);
+
+    publishFill({ _id: 'trade1', userId: user._id, assetType: 'crypto', assetSymbol: 'BTCUSDT', type: 'buy', quantity: 1, price: 1000, netAmount: 1005 }, 98995);
+    publishBalance('someoneelse', 5);
+
+    expect(own.events.map(([type]) => type)).toEqual(['fill', 'balance']);
+    expect(own.events[1][1]).toMatchObject({ balance: 98995, competitionId: null });
+    expect(anonymous.events).toHaveLength(0);
+  });
+
+  it('should stream over WebSocket with token authentication', async () => {
+    const server = http.createServer();
+    const wss = attachStreamSocket(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // A login token is refused in the URL
+    const loginToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const refused = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/stream/ws?token=${loginToken}`);
+    const status = await new Promise(resolve => refused.on('unexpected-response', (request, response) => resolve(response.statusCode)));
+    expect(status).toBe(401);
+
+    const { token } = createStreamToken(user);
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/stream/ws?token=${token}&symbols=crypto:BTCUSDT`);
+    const messages = [];
+    ws.on('message', raw => messages.push(JSON.parse(raw.toString())));
+
+    const waitFor = (type) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${type} message`)), 5000);
+      const check = () => {
+        const found = messages.find(message => message.type === type);
+        if (found) {
+          clearTimeout(timer);
+          resolve(found);
+        } else {
+          setTimeout(check, 10);
+        }
+      };
+      check();
+    });
+
+    expect((await waitFor('connected')).data.authenticated).toBe(true);
+    expect((await waitFor('subscribed')).data.symbols).toEqual(['crypto:BTCUSDT']);
+
+    publishBalance(user._id, 12345);
+    expect((await waitFor('balance')).data.balance).toBe(12345);
+
+    ws.close();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+});
@@ -38,11 +38,12 @@ async function getFeeConfiguration() {
  * Calculate platform fees for a trade
  * @param {number} tradeAmount - The total trade amount (price × quantity)
  * @param {string} tradeType - 'buy' or 'sell'
+ * @param {Object} feeOverrides - Fee configuration to use instead of the platform settings (e.g. a competition's fee rules)
  * @returns {Object} Fee breakdown object
  */
-export async function calculateFees(tradeAmount, tradeType = 'buy') {
+export async function calculateFees(tradeAmount, tradeType = 'buy', feeOverrides = null) {
   // Get fee configuration from database
-  const feeConfig = await getFeeConfiguration();
+  const feeConfig = feeOverrides || await getFeeConfiguration();
   const PLATFORM_FEE_PERCENTAGE = feeConfig.platformFeePercentage;
   const TAX_PERCENTAGE = feeConfig.taxPercentage;
   const MINIMUM_FEE = feeConfig.minimumFee;
@@ -89,6 +90,27 @@ export async function calculateFees(tradeAmount, tradeType = 'buy') {
   };
 }
 
+/**
+ * Largest trade amount whose total cost including fees fits a budget
+ * The platform fee is a percentage clamped between a minimum and maximum, so each regime is tried
+ * @param {number} budget - Most the user may pay, fees included
+ * @param {Object} feeConfig - Fee configuration as from getCurrentFeeConfiguration
+ * @returns {number} Trade amount (price × quantity), 0 when even the minimum fee does not fit
+ */
+export function getAffordableTradeAmount(budget, feeConfig) {
+  const platform = feeConfig.platformFeePercentage / 100;
+  const tax = feeConfig.taxPercentage / 100;
+  const costOf = amount => amount + Math.max(Math.min(amount * platform, feeConfig.maximumFee), feeConfig.minimumFee) + amount * tax;
+
+  const candidates = [
+    (budget - feeConfig.minimumFee) / (1 + tax),
+    budget / (1 + platform + tax),
+    (budget - feeConfig.maximumFee) / (1 + tax)
+  ];
+
+  return Math.max(0, ...candidates.filter(amount => amount > 0 && costOf(amount) <= budget + 1e-9));
+}
+
 /**
  * Get current fee configuration (synchronous version for API responses)
  * @returns {Object} Current fee settings
@@ -0,0 +1,16 @@
+// utils/httpError.js
+// Errors that carry an HTTP status for the controller, route or stream transport to relay
+
+/**
+ * Create an error carrying an HTTP status (and optionally a machine-readable code)
+ * @param {string} message - Message safe to show to the client
+ * @param {number} status - HTTP status to respond with
+ * @param {string} [code] - Stable code clients can branch on (e.g. INSUFFICIENT_BALANCE)
+ * @returns {Error} Error with `status` and, when given, `code` set
+ */
+export function httpError(message, status = 400, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
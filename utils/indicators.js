@@ -0,0 +1,163 @@
+// utils/indicators.js
+// Technical indicator calculations over price bars
+// Every function returns an array aligned with its input; positions without enough history are null
+
+/**
+ * Simple moving average
+ * @param {Array<number|null>} values - Series, oldest first
+ * @param {number} period - Window length
+ */
+export function sma(values, period) {
+  return values.map((value, index) => {
+    if (index < period - 1) return null;
+    const window = values.slice(index - period + 1, index + 1);
+    if (window.some(item => item === null)) return null;
+    return window.reduce((sum, item) => sum + item, 0) / period;
+  });
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of its first `period` values
+ * Leading nulls are skipped, so it can smooth another indicator's output
+ */
+export function ema(values, period) {
+  const result = values.map(() => null);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = previous;
+
+  for (let index = start + period; index < values.length; index++) {
+    previous = values[index] * k + previous * (1 - k);
+    result[index] = previous;
+  }
+  return result;
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ */
+export function rsi(closes, period = 14) {
+  const result = closes.map(() => null);
+  if (closes.length <= period) return result;
+
+  let gains = 0;
+  let losses = 0;
+  for (let index = 1; index <= period; index++) {
+    const change = closes[index] - closes[index - 1];
+    if (change > 0) gains += change;
+    else losses -= change;
+  }
+
+  let averageGain = gains / period;
+  let averageLoss = losses / period;
+  const toRsi = () => (averageLoss === 0 ? (averageGain === 0 ? 50 : 100) : 100 - 100 / (1 + averageGain / averageLoss));
+  result[period] = toRsi();
+
+  for (let index = period + 1; index < closes.length; index++) {
+    const change = closes[index] - closes[index - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[index] = toRsi();
+  }
+  return result;
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+ * @returns {Array<Object|null>} [{ macd, signal, histogram }]
+ */
+export function macd(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = ema(closes, fastPeriod);
+  const slow = ema(closes, slowPeriod);
+  const line = closes.map((close, index) => (fast[index] !== null && slow[index] !== null ? fast[index] - slow[index] : null));
+  const signal = ema(line, signalPeriod);
+
+  return line.map((value, index) => (value === null ? null : {
+    macd: value,
+    signal: signal[index],
+    histogram: signal[index] === null ? null : value - signal[index]
+  }));
+}
+
+/**
+ * Bollinger Bands: SMA middle band with bands `multiplier` population standard deviations away
+ * @returns {Array<Object|null>} [{ middle, upper, lower }]
+ */
+export function bollingerBands(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+
+  return middle.map((mean, index) => {
+    if (mean === null) return null;
+    const window = closes.slice(index - period + 1, index + 1);
+    const deviation = Math.sqrt(window.reduce((sum, close) => sum + (close - mean) ** 2, 0) / period);
+    return { middle: mean, upper: mean + multiplier * deviation, lower: mean - multiplier * deviation };
+  });
+}
+
+/**
+ * Average true range with Wilder's smoothing
+ * @param {Object[]} bars - [{ high, low, close }]
+ */
+export function atr(bars, period = 14) {
+  const trueRanges = bars.map((bar, index) => {
+    if (index === 0) return bar.high - bar.low;
+    const previousClose = bars[index - 1].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+  });
+
+  const result = bars.map(() => null);
+  if (bars.length < period) return result;
+
+  let previous = trueRanges.slice(0, period).reduce((sum, range) => sum + range, 0) / period;
+  result[period - 1] = previous;
+  for (let index = period; index < bars.length; index++) {
+    previous = (previous * (period - 1) + trueRanges[index]) / period;
+    result[index] = previous;
+  }
+  return result;
+}
+
+/**
+ * Volume-weighted average of the typical price, restarting with each session
+ * @param {Object[]} bars - [{ high, low, close, volume, session }] - session is any key that changes between sessions
+ */
+export function vwap(bars) {
+  let session = null;
+  let priceVolume = 0;
+  let volume = 0;
+
+  return bars.map(bar => {
+    if (bar.session !== session) {
+      session = bar.session;
+      priceVolume = 0;
+      volume = 0;
+    }
+
+    const barVolume = bar.volume || 0;
+    priceVolume += ((bar.high + bar.low + bar.close) / 3) * barVolume;
+    volume += barVolume;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+}
+
+/**
+ * Stochastic oscillator: %K is where the close sits in the `period` high-low range, smoothed;
+ * %D is the SMA of %K. Null while the range is flat.
+ * @returns {Array<Object|null>} [{ k, d }]
+ */
+export function stochastic(bars, period = 14, kSmoothing = 3, dPeriod = 3) {
+  const rawK = bars.map((bar, index) => {
+    if (index < period - 1) return null;
+    const window = bars.slice(index - period + 1, index + 1);
+    const highest = Math.max(...window.map(item => item.high));
+    const lowest = Math.min(...window.map(item => item.low));
+    return highest === lowest ? null : ((bar.close - lowest) / (highest - lowest)) * 100;
+  });
+
+  const k = sma(rawK, kSmoothing);
+  const d = sma(k, dPeriod);
+  return k.map((value, index) => (value === null ? null : { k: value, d: d[index] }));
+}
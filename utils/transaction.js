@@ -0,0 +1,60 @@
+// utils/transaction.js
+// MongoDB transaction helpers (requires a replica set or Atlas cluster)
+import mongoose from "mongoose";
+
+const TRANSIENT_ERROR_LABELS = ['TransientTransactionError', 'UnknownTransactionCommitResult'];
+const WRITE_CONFLICT_CODE = 112;
+
+/**
+ * Check whether an error is a transient transaction failure worth retrying
+ * @param {Error} error - Error thrown inside or while committing a transaction
+ * @returns {boolean} True for write conflicts and errors labelled transient by the driver
+ */
+export function isTransientTransactionError(error) {
+  if (!error) return false;
+
+  if (error.code === WRITE_CONFLICT_CODE) return true;
+
+  if (typeof error.hasErrorLabel === 'function') {
+    return TRANSIENT_ERROR_LABELS.some(label => error.hasErrorLabel(label));
+  }
+
+  return Array.isArray(error.errorLabels) &&
+    TRANSIENT_ERROR_LABELS.some(label => error.errorLabels.includes(label));
+}
+
+/**
+ * Run a unit of work inside a MongoDB transaction, retrying transient failures
+ * The work function may run more than once, so it must load the documents it changes
+ * through the session instead of relying on state from a previous attempt
+ * @param {Function} work - async (session) => result
+ * @param {number} maxAttempts - Attempts before a transient error is rethrown
+ * @returns {*} Whatever the work function returns
+ */
+export async function runInTransaction(work, maxAttempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+      const result = await work(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+
+      if (attempt < maxAttempts && isTransientTransactionError(error)) {
+        console.warn(`⚠️ Transient transaction error (attempt ${attempt}/${maxAttempts}), retrying: ${error.message}`);
+        // Short backoff so the conflicting writer can finish
+        await new Promise(resolve => setTimeout(resolve, 50 * attempt));
+        continue;
+      }
+
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+}